@@ -0,0 +1,274 @@
+// alarm-grouping.js
+// Groups bursts of alarms into incidents, so a camera set off again and again (e.g. by wind) is handled once,
+// and mutes cameras that send alarms faster than a flood threshold
+const { getEventStore } = require('./event-store');
+const { ACTIONS, logUserActivity } = require('./audit-service');
+
+// Alarms are grouped per camera, or per site so several cameras seeing the same thing make one incident
+const GROUP_BY = ['camera', 'site'];
+
+// Used when no grouping policy has been saved in the settings yet
+const DEFAULT_GROUPING_POLICY = {
+    enabled: true,
+    groupBy: 'camera',
+    windowSeconds: 120,
+    floodThreshold: 30,
+    floodWindowMinutes: 5,
+    muteMinutes: 30
+};
+
+/**
+ * Check a grouping policy submitted by an admin and return a cleaned copy
+ * @param {Object} policy - { enabled, groupBy, windowSeconds, floodThreshold, floodWindowMinutes, muteMinutes }
+ * @returns {{policy: Object}|{error: string}} Normalised policy or a validation error
+ */
+function validateGroupingPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return { error: 'Invalid alarm grouping policy format' };
+    }
+
+    const groupBy = policy.groupBy || 'camera';
+    if (!GROUP_BY.includes(groupBy)) {
+        return { error: `Alarms must be grouped by one of: ${GROUP_BY.join(', ')}` };
+    }
+
+    const windowSeconds = Number(policy.windowSeconds);
+    if (!Number.isFinite(windowSeconds) || windowSeconds < 0) {
+        return { error: 'windowSeconds must be a number of seconds (0 or more)' };
+    }
+
+    // Without a threshold cameras are never muted
+    let floodThreshold = null;
+    if (policy.floodThreshold !== undefined && policy.floodThreshold !== null && policy.floodThreshold !== '') {
+        floodThreshold = Number(policy.floodThreshold);
+        if (!Number.isInteger(floodThreshold) || floodThreshold < 2) {
+            return { error: 'The flood threshold must be a whole number of alarms (2 or more)' };
+        }
+    }
+
+    for (const field of ['floodWindowMinutes', 'muteMinutes']) {
+        const minutes = Number(policy[field]);
+        if (floodThreshold !== null && (!Number.isFinite(minutes) || minutes <= 0)) {
+            return { error: `${field} must be a number of minutes (more than 0)` };
+        }
+    }
+
+    return {
+        policy: {
+            enabled: policy.enabled !== false,
+            groupBy,
+            windowSeconds,
+            floodThreshold,
+            floodWindowMinutes: floodThreshold !== null ? Number(policy.floodWindowMinutes) : null,
+            muteMinutes: floodThreshold !== null ? Number(policy.muteMinutes) : null
+        }
+    };
+}
+
+// Alarms are looked up by the camera's date but grouped by when they were received, so the search for
+// recent alarms reaches this much further back in case a camera's clock is behind
+const CAMERA_CLOCK_MARGIN_HOURS = 24;
+
+// Cameras are counted per site, since two sites may use the same camera names
+function getCameraKey(siteId, camera) {
+    return `${siteId === null || siteId === undefined ? '-' : siteId}|${camera}`;
+}
+
+/**
+ * Service that finds the incident an alarm belongs to and keeps track of flooding cameras
+ */
+class AlarmGroupingService {
+    /**
+     * Initialize the service
+     * @param {Object} options - Configuration options
+     * @param {EventStore} options.eventStore - Event store holding the incidents (default: the shared store)
+     * @param {Function} options.getPolicy - Returns the grouping policy from the settings
+     * @param {Function} options.notify - notify(data) sends an SSE message
+     */
+    constructor(options = {}) {
+        this.eventStore = options.eventStore || getEventStore();
+        this.getPolicy = options.getPolicy || (() => DEFAULT_GROUPING_POLICY);
+        this.notify = options.notify || (() => { });
+
+        // When each camera's recent alarms arrived, and the cameras muted for flooding, by camera key.
+        // Mutes are short-lived, so they are not kept over a restart.
+        this.recentAlarms = new Map();
+        this.mutes = new Map();
+    }
+
+    /**
+     * Count an alarm towards its camera's flood threshold
+     * @param {number|null} siteId - Site the alarm was matched to
+     * @param {string} camera - Camera name from the alarm
+     * @param {Date} now - When the alarm was received
+     * @returns {{muted: boolean, mutedUntil: string|null, started: boolean}} Whether the camera is muted,
+     *   and whether this alarm is the one that tipped it over the threshold
+     */
+    recordAlarm(siteId, camera, now = new Date()) {
+        const policy = this.getPolicy() || DEFAULT_GROUPING_POLICY;
+        const key = getCameraKey(siteId, camera);
+
+        const mute = this.mutes.get(key);
+        if (mute && new Date(mute.until) > now) {
+            return { muted: true, mutedUntil: mute.until, started: false };
+        }
+        this.mutes.delete(key);
+
+        if (policy.enabled === false || !policy.floodThreshold) {
+            this.recentAlarms.delete(key);
+            return { muted: false, mutedUntil: null, started: false };
+        }
+
+        const windowStart = now.getTime() - policy.floodWindowMinutes * 60 * 1000;
+        const recent = (this.recentAlarms.get(key) || []).filter(time => time > windowStart);
+        recent.push(now.getTime());
+
+        if (recent.length < policy.floodThreshold) {
+            this.recentAlarms.set(key, recent);
+            return { muted: false, mutedUntil: null, started: false };
+        }
+
+        const until = new Date(now.getTime() + policy.muteMinutes * 60 * 1000).toISOString();
+        this.mutes.set(key, { since: now.toISOString(), until });
+        this.recentAlarms.delete(key);
+
+        console.log(`Camera ${camera} sent ${recent.length} alarms in ${policy.floodWindowMinutes} minutes; muted until ${until}`);
+
+        logUserActivity(null, ACTIONS.CAMERA_FLOOD, 'cameras', key, {
+            camera,
+            siteId,
+            alarms: recent.length,
+            floodWindowMinutes: policy.floodWindowMinutes,
+            mutedUntil: until
+        });
+
+        this.notify({
+            type: 'camera-flooding',
+            siteId,
+            camera,
+            alarms: recent.length,
+            mutedUntil: until
+        });
+
+        return { muted: true, mutedUntil: until, started: true };
+    }
+
+    /**
+     * Find the open incident a new alarm should join: the latest unacknowledged alarm from the same camera
+     * (or site) that was itself received within the grouping window. A muted camera keeps joining it however long the gap.
+     * @param {number|null} siteId - Site the alarm was matched to
+     * @param {string} camera - Camera name from the alarm
+     * @param {boolean} lowPriority - Whether the alarm is held in the low-priority queue
+     * @param {boolean} muted - Whether the camera is muted for flooding
+     * @param {Date} now - When the alarm was received
+     * @returns {Object|null} The incident's parent event, or null to start a new one
+     */
+    findOpenIncident(siteId, camera, lowPriority, muted, now = new Date()) {
+        const policy = this.getPolicy() || DEFAULT_GROUPING_POLICY;
+        if (policy.enabled === false) {
+            return null;
+        }
+
+        // Alarms that were not matched to a site are only grouped with their own camera
+        const filter = { siteId, acknowledged: false, incidentId: null };
+        if (policy.groupBy !== 'site' || siteId === null) {
+            filter.camera = camera;
+        }
+
+        // Open incidents, however old, and single alarms recent enough to start one. A muted camera
+        // started flooding within the flood window, so its latest alarm is no older than that.
+        const lookbackSeconds = muted ? Math.max(policy.windowSeconds, (policy.floodWindowMinutes || 0) * 60) : policy.windowSeconds;
+        const since = new Date(now.getTime() - lookbackSeconds * 1000 - CAMERA_CLOCK_MARGIN_HOURS * 60 * 60 * 1000);
+        const candidates = [
+            ...this.eventStore.find({ ...filter, incident: true }),
+            ...this.eventStore.find({ ...filter, incident: false, from: since })
+        ];
+
+        const latest = candidates
+            .filter(event => !!event.lowPriority === lowPriority && !event.cameraOffline)
+            .map(event => ({ event, lastAt: new Date(event.incident ? event.incident.lastEventAt : event.receivedAt || event.date) }))
+            .sort((a, b) => b.lastAt - a.lastAt)[0];
+
+        if (!latest) {
+            return null;
+        }
+        if (muted || now - latest.lastAt <= policy.windowSeconds * 1000) {
+            return latest.event;
+        }
+        return null;
+    }
+
+    /**
+     * Add an alarm to an incident, turning a single alarm into an incident when the first one joins it.
+     * The incident takes the priority of its most urgent alarm.
+     * @param {Object} parent - Parent event of the incident
+     * @param {Object} child - Alarm that joined it
+     * @param {Object} flood - Result of recordAlarm() for the child
+     * @param {Date} now - When the child was received
+     * @returns {Object|null} The updated parent event
+     */
+    addToIncident(parent, child, flood, now = new Date()) {
+        const incident = parent.incident || {
+            count: 1,
+            firstEventAt: parent.receivedAt || parent.date,
+            cameras: [parent.camera],
+            flooding: null
+        };
+
+        const changes = {
+            incident: {
+                ...incident,
+                count: incident.count + 1,
+                lastEventAt: now.toISOString(),
+                lastEventId: child.id,
+                cameras: incident.cameras.includes(child.camera) ? incident.cameras : [...incident.cameras, child.camera],
+                flooding: flood && flood.muted
+                    ? { camera: child.camera, mutedUntil: flood.mutedUntil }
+                    : incident.flooding
+            }
+        };
+
+        const parentRank = parent.priority ? parent.priority.rank : 0;
+        if (child.priority && child.priority.rank > parentRank) {
+            changes.priority = child.priority;
+        }
+
+        return this.eventStore.update(parent.id, changes);
+    }
+
+    /**
+     * List the cameras muted for flooding
+     * @param {Date} now - Current time
+     * @returns {Array} [{ siteId, camera, since, until }]
+     */
+    getMutedCameras(now = new Date()) {
+        const muted = [];
+        for (const [key, mute] of this.mutes) {
+            if (new Date(mute.until) <= now) {
+                this.mutes.delete(key);
+                continue;
+            }
+            const [siteId, camera] = key.split('|');
+            muted.push({ siteId: siteId === '-' ? null : parseInt(siteId), camera, ...mute });
+        }
+        return muted;
+    }
+
+    /**
+     * Unmute a camera before its mute runs out
+     * @param {number|null} siteId - Site of the camera
+     * @param {string} camera - Camera name
+     * @returns {boolean} True if the camera was muted
+     */
+    unmute(siteId, camera) {
+        const key = getCameraKey(siteId, camera);
+        this.recentAlarms.delete(key);
+        return this.mutes.delete(key);
+    }
+}
+
+module.exports = {
+    AlarmGroupingService,
+    DEFAULT_GROUPING_POLICY,
+    validateGroupingPolicy
+};
@@ -4,21 +4,60 @@ const fs = require('fs');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { simpleParser } = require('mailparser');
+const http = require('http');
 const https = require('https');
 const { inspect } = require('util');
 // Authentication-related imports
 const session = require('express-session');
-const { authMiddleware } = require('./middleware/auth');
+const { SqliteSessionStore } = require('./session-store');
+const { getKeys, onKeyRotated } = require('./secrets');
+const { authMiddleware, requirePermission, requirePermissionToSet, readUsersData } = require('./middleware/auth');
+const { getLoginSessionStore } = require('./login-sessions');
+const { hasPermission } = require('./roles');
+const { getAllowedSiteIds, canAccessSite, canAccessEvent, scopeEventFilter, filterBySite, scopeMessage, rejectCrossSiteAccess } = require('./site-access');
 const authRoutes = require('./routes/auth');
 const statsRoutes = require('./routes/stats');
-const { router: sitesRoutes, matchCameraToSite } = require('./routes/sites');
+const { router: sitesRoutes, matchCameraToSite, readSitesData } = require('./routes/sites');
+// Add the camera registry
+const camerasRoutes = require('./routes/cameras');
+const { resolveCamera, matchesVideoPattern, isVideoOfSite, recordUnknownCamera } = require('./cameras');
 // Add the SMTP server import
-const { initSmtpServer, processEmail } = require('./smtp-server');
+const { initSmtpServer, parseRawEmail, processEmail } = require('./smtp-server');
+const { REASONS: QUARANTINE_REASONS, addToQuarantine, getQuarantinedEmail, readRawEmail, removeFromQuarantine } = require('./quarantine');
 // Add retention routes and service
 const retentionRoutes = require('./routes/retention');
 const EventRetentionService = require('./event-retention');
+// Add escalation of unacknowledged events
+const { EscalationService, DEFAULT_ESCALATION_POLICY, validateEscalationPolicy, cancelPendingSteps } = require('./escalation-service');
+// Add claiming of events by operators
+const EventClaimService = require('./event-claims');
+// Add structured acknowledgement outcomes
+const { DEFAULT_DISPOSITIONS, validateDispositionList, validateDisposition } = require('./dispositions');
+// Add site arming schedules
+const { DISARMED_DISPOSITION, getArmingState } = require('./arming-schedule');
+// Add detection of cameras that have stopped sending emails
+const { CameraHealthService, DEFAULT_SILENCE_POLICY, validateSilencePolicy } = require('./camera-health');
+// Add grouping of alarm bursts into incidents
+const { AlarmGroupingService, DEFAULT_GROUPING_POLICY, validateGroupingPolicy } = require('./alarm-grouping');
+// Add alarm priorities
+const { DEFAULT_PRIORITY_WEIGHTS, validatePriorityWeights, computePriority } = require('./priority');
+
+const { validateContactEntry } = require('./contact-log');
+const { buildEventHistory } = require('./event-history');
+const { readLogs: readAuditLogs } = require('./audit-logs');
+const { v4: uuidv4 } = require('uuid');
+// Event repository shared by all modules
+const { getEventStore, decodeCursor } = require('./event-store');
+const { importEvents } = require('./import-events');
 // Add operator logs routes
 const operatorLogsRoutes = require('./routes/operator-logs');
+const shiftsRoutes = require('./routes/shifts');
+// Add email parsing rules routes
+const emailRulesRoutes = require('./routes/email-rules');
+// Add ingestion quarantine routes
+const quarantineRoutes = require('./routes/quarantine');
+// Add SMTP device account routes
+const { router: smtpUsersRoutes, isCameraAllowedForSmtpUser } = require('./routes/smtp-users');
 // Add audit logs routes and middleware
 const auditLogsRoutes = require('./routes/audit-logs');
 const auditLoggerMiddleware = require('./middleware/audit-logger');
@@ -28,9 +67,24 @@ const CronJob = require('cron').CronJob;
 const app = express();
 const PORT = process.env.PORT || 3020;
 
+// Event store (SQLite by default, set EVENT_STORE=json to keep using events-data.json)
+const eventStore = getEventStore();
+
 // Store connected SSE clients
 const sseClients = new Set();
 
+// Close the live update streams of logins that have been ended, so a signed-out or deactivated
+// user stops receiving alerts straight away
+getLoginSessionStore().onRevoked(({ sessionIds }) => {
+    sseClients.forEach(client => {
+        const user = client.locals.user;
+        if (user && sessionIds.includes(user.sid)) {
+            sseClients.delete(client);
+            client.end();
+        }
+    });
+});
+
 // Email and application configuration
 const config = {
     // SMTP server settings
@@ -43,23 +97,56 @@ const config = {
     // Application settings
     lateResponseThresholdMinutes: 2, // Threshold for considering a response "late"
     retentionDays: process.env.RETENTION_DAYS || 7, // Default retention period in days
+    claimIdleMinutes: parseFloat(process.env.CLAIM_IDLE_MINUTES) || 5, // Claims expire once the claimant is idle this long
+    trustProxy: process.env.TRUST_PROXY || 'loopback', // Proxies whose X-Forwarded-For gives the client address (an address, hop count, "true" or "false")
 };
 
+// Client addresses (req.ip), used by login throttling and the audit log, come from X-Forwarded-For only
+// when the request arrived through a trusted proxy. By default that is a proxy on this machine, e.g. Nginx.
+app.set('trust proxy', config.trustProxy === 'true' ? true
+    : config.trustProxy === 'false' ? false
+    : /^\d+$/.test(config.trustProxy) ? parseInt(config.trustProxy)
+    : config.trustProxy);
+
 // Middleware - IMPORTANT: Apply body-parser and cors before auth middleware
 app.use(cors());
 app.use(bodyParser.json());
-app.use(express.static(path.join(__dirname, 'public')));
 
-// Set up session middleware
-app.use(session({
-    secret: 'cctv-monitor-session-key-X8sPq3tRw9yZ7aVb2nM5',
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-        secure: false, // set to true if using HTTPS
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+// Alarm snapshots and recordings are not served here: they are only served, further down, to logged-in
+// users who may see the site they belong to. The logo is needed by the login page.
+const publicFiles = express.static(path.join(__dirname, 'public'));
+app.use((req, res, next) => {
+    if (isMediaPath(req.path) && req.path !== '/images/logo.png') {
+        return next();
+    }
+    publicFiles(req, res, next);
+});
+
+// Set up session middleware. Sessions are kept in SQLite so a restart does not sign everyone out.
+// Cookies are signed with the current session key; cookies signed with a retired key are still accepted.
+const sessionStore = new SqliteSessionStore();
+
+function createSessionMiddleware() {
+    return session({
+        secret: getKeys('session').map(key => key.secret),
+        store: sessionStore,
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            secure: false, // set to true if using HTTPS
+            maxAge: 24 * 60 * 60 * 1000 // 24 hours
+        }
+    });
+}
+
+// Rebuilt when the session key is rotated, so new cookies are signed with the new key straight away
+let sessionMiddleware = createSessionMiddleware();
+onKeyRotated(kind => {
+    if (kind === 'session') {
+        sessionMiddleware = createSessionMiddleware();
     }
-}));
+});
+app.use((req, res, next) => sessionMiddleware(req, res, next));
 
 // Authentication middleware
 app.use(authMiddleware);
@@ -68,12 +155,19 @@ app.use(authMiddleware);
 // This needs to come AFTER authentication but BEFORE any routes
 app.use(auditLoggerMiddleware);
 
+// Serve alarm snapshots and recordings of the sites the user may see
+app.use('/images', requirePermission('events.view'), requireMediaAccess, express.static(path.join(__dirname, 'public', 'images')));
+app.use('/videos', requirePermission('events.view'), requireMediaAccess, express.static(path.join(__dirname, 'public', 'videos')));
+
 // Add auth routes
 app.use('/api/auth', authRoutes);
 
 // Add stats routes
 app.use('/api/stats', statsRoutes);
 
+// Add camera registry routes (before the sites routes, so /api/sites/cameras is not taken for a site ID)
+app.use('/api/sites', camerasRoutes);
+
 // Add sites routes
 app.use('/api/sites', sitesRoutes);
 
@@ -82,34 +176,19 @@ app.use('/api/retention', retentionRoutes);
 
 // Add operator logs routes
 app.use('/api/operator-logs', operatorLogsRoutes);
+app.use('/api/shifts', shiftsRoutes);
 
 // Add audit logs routes
 app.use('/api/audit-logs', auditLogsRoutes);
 
-// Data file path
-const dataFilePath = path.join(__dirname, 'events-data.json');
+// Add email parsing rules routes
+app.use('/api/email-rules', emailRulesRoutes);
 
-// Helper function to read events data
-function readEventsData() {
-    try {
-        const data = fs.readFileSync(dataFilePath, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('Error reading events data:', err);
-        return [];
-    }
-}
+// Add SMTP device account routes
+app.use('/api/smtp-users', smtpUsersRoutes);
 
-// Helper function to write events data
-function writeEventsData(events) {
-    try {
-        fs.writeFileSync(dataFilePath, JSON.stringify(events, null, 2));
-        return true;
-    } catch (err) {
-        console.error('Error writing events data:', err);
-        return false;
-    }
-}
+// Add ingestion quarantine routes (promoting an email to an event is handled below)
+app.use('/api/quarantine', quarantineRoutes);
 
 // Helper function to read settings data
 function readSettingsData() {
@@ -119,7 +198,8 @@ function readSettingsData() {
         // Check if file exists, if not create it with default settings
         if (!fs.existsSync(dataFilePath)) {
             const defaultSettings = {
-                tags: ['False Alarm', 'Intruder', 'Known Person', 'Animal', 'Vehicle', 'Other']
+                tags: ['False Alarm', 'Intruder', 'Known Person', 'Animal', 'Vehicle', 'Other'],
+                dispositions: DEFAULT_DISPOSITIONS
             };
             fs.writeFileSync(dataFilePath, JSON.stringify(defaultSettings, null, 2));
             return defaultSettings;
@@ -130,7 +210,10 @@ function readSettingsData() {
         return JSON.parse(data);
     } catch (err) {
         console.error('Error reading settings data:', err);
-        return { tags: ['False Alarm', 'Intruder', 'Known Person', 'Animal', 'Vehicle', 'Other'] };
+        return {
+            tags: ['False Alarm', 'Intruder', 'Known Person', 'Animal', 'Vehicle', 'Other'],
+            dispositions: DEFAULT_DISPOSITIONS
+        };
     }
 }
 
@@ -146,20 +229,70 @@ function writeSettingsData(settings) {
     }
 }
 
+// Limits on snapshots linked from an email body, so a slow camera or an email full of <img> tags
+// cannot hold up alarms or fill the disk
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 10 * 1000;
+const MAX_IMAGE_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+const MAX_URL_IMAGES_PER_EMAIL = 10;
+
 // Function to download an image from a URL
 function downloadImage(url, imagePath) {
     return new Promise((resolve, reject) => {
-        const file = fs.createWriteStream(imagePath);
-        https.get(url, (response) => {
+        let settled = false;
+        let file = null;
+
+        // Stop the download and delete whatever was written
+        const fail = (err) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            request.destroy();
+            const removePartial = () => fs.unlink(imagePath, () => { });
+            if (file) {
+                file.destroy();
+                file.on('close', removePartial);
+            } else {
+                removePartial();
+            }
+            reject(err);
+        };
+
+        // Cameras on the local network usually serve snapshots over plain HTTP
+        const client = url.startsWith('https:') ? https : http;
+        const request = client.get(url, (response) => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                return fail(new Error(`Image download failed with status ${response.statusCode}`));
+            }
+            if (parseInt(response.headers['content-length']) > MAX_IMAGE_DOWNLOAD_BYTES) {
+                response.resume();
+                return fail(new Error(`Image is larger than ${MAX_IMAGE_DOWNLOAD_BYTES} bytes`));
+            }
+
+            let received = 0;
+            response.on('data', (chunk) => {
+                received += chunk.length;
+                if (received > MAX_IMAGE_DOWNLOAD_BYTES) {
+                    fail(new Error(`Image is larger than ${MAX_IMAGE_DOWNLOAD_BYTES} bytes`));
+                }
+            });
+
+            file = fs.createWriteStream(imagePath);
+            file.on('error', fail);
             response.pipe(file);
             file.on('finish', () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
                 file.close();
                 resolve();
             });
-        }).on('error', (err) => {
-            fs.unlink(imagePath, () => { }); // Delete the file if there's an error
-            reject(err);
         });
+        request.on('error', fail);
+
+        // The whole download, not just each wait for data, has to finish in time
+        const timer = setTimeout(() => fail(new Error(`Image download timed out after ${IMAGE_DOWNLOAD_TIMEOUT_MS / 1000} seconds`)),
+            IMAGE_DOWNLOAD_TIMEOUT_MS);
     });
 }
 
@@ -194,12 +327,21 @@ async function saveEmailImage(imageData, imagePath) {
     }
 }
 
-// Helper function to notify all connected clients about new events
-function notifyClients(data) {
+// Helper function to notify connected clients about new events
+// An optional filter(user) limits the message to some of the connected users.
+// Users limited to some sites only hear about events and cameras at those sites.
+function notifyClients(data, filter = null) {
     console.log(`Notifying ${sseClients.size} clients of new events`);
     sseClients.forEach(client => {
+        if (filter && !filter(client.locals.user)) {
+            return;
+        }
+        const message = scopeMessage(client.locals.user, data);
+        if (!message) {
+            return;
+        }
         try {
-            client.write(`data: ${JSON.stringify(data)}\n\n`);
+            client.write(`data: ${JSON.stringify(message)}\n\n`);
         } catch (error) {
             console.error('Error notifying client:', error);
             // Remove problematic client
@@ -208,6 +350,298 @@ function notifyClients(data) {
     });
 }
 
+// Escalates events that stay unacknowledged, using the site's policy or the default from the settings
+const escalationService = new EscalationService({
+    eventStore,
+    notify: notifyClients,
+    getSite: siteId => readSitesData().find(site => site.id === siteId),
+    getDefaultPolicy: () => readSettingsData().escalationPolicy || DEFAULT_ESCALATION_POLICY
+});
+
+// Tracks which operator is handling which event
+const claimService = new EventClaimService({
+    eventStore,
+    notify: notifyClients,
+    idleMinutes: config.claimIdleMinutes
+});
+
+// Notices registered cameras that stop sending emails, using the camera's own silence window or the default from the settings
+const cameraHealthService = new CameraHealthService({
+    eventStore,
+    notify: notifyClients,
+    getSites: readSitesData,
+    getPolicy: () => readSettingsData().cameraSilencePolicy || DEFAULT_SILENCE_POLICY,
+    raiseOfflineEvent: raiseCameraOfflineEvent
+});
+
+// Groups bursts of alarms into incidents and mutes flooding cameras
+const alarmGroupingService = new AlarmGroupingService({
+    eventStore,
+    notify: notifyClients,
+    getPolicy: () => readSettingsData().alarmGroupingPolicy || DEFAULT_GROUPING_POLICY
+});
+
+/**
+ * Store an event parsed from an alarm email and notify connected clients
+ * @param {Object} eventData - Event data returned by processEmail()
+ * @returns {Promise<Object|null>} The stored event, or null if it could not be saved
+ */
+async function createEventFromEmail(eventData) {
+    // Save the snapshots carried in the email now. Snapshots linked by URL are fetched once the alarm
+    // has been stored and announced (see downloadLinkedImages), so a slow camera cannot hold it up.
+    const images = [];
+    const linkedImages = [];
+    for (const image of eventData.images || []) {
+        if (image.content && image.content.isUrl) {
+            linkedImages.push(image);
+        } else if (await saveEmailImage(image.content, image.path)) {
+            images.push(image.path);
+        }
+    }
+
+    // Check if camera matches a site
+    let siteInfo = null;
+    try {
+        siteInfo = matchCameraToSite(eventData.camera);
+        if (siteInfo) {
+            console.log(`Camera ${eventData.camera} matched to site ID ${siteInfo.id} (${siteInfo.name})`);
+        } else {
+            console.log(`No site match found for camera: ${eventData.camera}`);
+        }
+    } catch (siteError) {
+        console.error('Error matching camera to site:', siteError);
+    }
+
+    // Find the camera in the site's registry; alarms from cameras that are not registered are flagged for review
+    const camera = resolveCamera(siteInfo, eventData.camera, eventData.channel);
+    if (!camera) {
+        console.log(`Camera ${eventData.camera}${eventData.channel ? ` channel ${eventData.channel}` : ''} is not registered`);
+    }
+
+    // Alarms from a disarmed site (e.g. staff moving about during working hours) are kept,
+    // but either closed straight away or held in the low-priority queue instead of going to operators.
+    // Like escalation, this goes by when the alarm was received rather than the camera's clock.
+    const receivedAt = new Date();
+    const arming = siteInfo ? getArmingState(siteInfo, receivedAt) : null;
+    const disarmedAction = arming && !arming.armed ? arming.disarmedAction : null;
+
+    const holdFields = {};
+    if (disarmedAction) {
+        console.log(`Site ${siteInfo.name} is disarmed (${arming.source}); alarm will be ${disarmedAction === 'auto-disposition' ? 'closed automatically' : 'held as low priority'}`);
+
+        holdFields.siteDisarmed = { source: arming.source, label: arming.label, action: disarmedAction };
+        if (disarmedAction === 'auto-disposition') {
+            holdFields.acknowledged = true;
+            holdFields.acknowledgedAt = receivedAt.toISOString();
+            holdFields.acknowledgedBy = { userId: null, username: 'system', name: 'System' };
+            holdFields.disposition = DISARMED_DISPOSITION;
+        } else {
+            holdFields.lowPriority = true;
+        }
+    } else if (camera && camera.enabled === false) {
+        // A camera switched off in the registry (e.g. while it is being repaired) can still be checked in the low-priority queue
+        console.log(`Camera ${camera.displayName} is disabled; alarm will be held as low priority`);
+        holdFields.lowPriority = true;
+        holdFields.cameraDisabled = true;
+    }
+    const holdAction = disarmedAction || (holdFields.lowPriority ? 'low-priority' : null);
+
+    // How urgent the alarm is decides where it sits in the operator queue and which sound plays
+    const priority = computePriority(eventData, siteInfo, camera, arming,
+        readSettingsData().priorityWeights || DEFAULT_PRIORITY_WEIGHTS);
+
+    // A burst of alarms (e.g. one camera set off by wind all night) joins the open incident for its camera or site
+    // instead of alerting operators again, and a camera sending alarms faster than the flood threshold is muted.
+    // Alarms closed automatically and offline events raised by the console are never grouped.
+    const siteId = siteInfo ? siteInfo.id : null;
+    const groupable = disarmedAction !== 'auto-disposition' && !eventData.cameraOffline;
+    const flood = groupable ? alarmGroupingService.recordAlarm(siteId, eventData.camera, receivedAt) : null;
+    const incident = groupable
+        ? alarmGroupingService.findOpenIncident(siteId, eventData.camera, !!holdFields.lowPriority, flood.muted, receivedAt)
+        : null;
+    if (incident) {
+        console.log(`Alarm from ${eventData.camera} grouped into incident ${incident.id}`);
+    }
+    const muted = !!(flood && flood.muted);
+
+    // Create a new event (the store assigns a unique ID)
+    const newEvent = eventStore.insert({
+        messageId: eventData.messageId,
+        date: eventData.date.toISOString(),
+        subject: eventData.subject,
+        imagePath: images.length > 0 ? images[0] : '',
+        images,
+        camera: eventData.camera,
+        cameraId: camera ? camera.id : null,
+        cameraName: camera ? camera.displayName : null,
+        cameraUnknown: !camera,
+        eventType: eventData.eventType,
+        priority,
+        channel: eventData.channel,
+        cameraTimestamp: eventData.cameraTimestamp,
+        parsingRule: eventData.parsingRule,
+        device: eventData.device,
+        authenticated: eventData.authenticated,
+        authenticatedUser: eventData.authenticatedUser,
+        encrypted: eventData.encrypted,
+        acknowledged: false,
+        locked: false, // Default to unlocked
+        siteId,
+        receivedAt: receivedAt.toISOString(),
+        incidentId: incident ? incident.id : null,
+        // Grouped and muted alarms are handled through their incident, so they are not escalated on their own
+        escalation: holdAction || incident || muted ? null : escalationService.buildEscalationState(siteId, receivedAt),
+        ...(muted ? { floodMuted: true } : {}),
+        ...holdFields,
+        ...(eventData.cameraOffline ? { cameraOffline: eventData.cameraOffline } : {})
+    });
+
+    if (!newEvent) {
+        console.error('Failed to store event from email:', eventData.subject);
+        return null;
+    }
+    console.log('Added new event from email:', newEvent);
+
+    if (!camera) {
+        recordUnknownCamera(newEvent);
+    }
+
+    // An offline event is raised by the console itself, so it is not a sign that the camera is online
+    if (!eventData.cameraOffline) {
+        cameraHealthService.recordActivity(siteInfo, camera, 'event', receivedAt);
+    }
+
+    // Notify all connected clients. Held alarms only update the low-priority queue, without an alert,
+    // and grouped or muted alarms only update their incident.
+    if (incident) {
+        const updatedIncident = alarmGroupingService.addToIncident(incident, newEvent, flood, receivedAt);
+        notifyClients({
+            type: 'incident-update',
+            event: updatedIncident,
+            child: newEvent
+        });
+    } else if (muted) {
+        notifyClients({
+            type: 'muted-events',
+            count: 1,
+            events: [newEvent]
+        });
+    } else if (!holdAction) {
+        notifyClients({
+            type: 'new-events',
+            count: 1,
+            events: [newEvent]
+        });
+    } else if (holdAction === 'low-priority') {
+        notifyClients({
+            type: 'low-priority-events',
+            count: 1,
+            events: [newEvent]
+        });
+    }
+
+    if (linkedImages.length > 0) {
+        downloadLinkedImages(newEvent, eventData.images, linkedImages);
+    }
+
+    return newEvent;
+}
+
+/**
+ * Fetch the snapshots an alarm email linked to, in parallel, and add them to its stored event.
+ * Consoles showing the event are sent the updated event.
+ * @param {Object} event - Stored event
+ * @param {Array} allImages - Every image found in the email, in order ({ path, content })
+ * @param {Array} linkedImages - The images among them that still have to be downloaded
+ */
+async function downloadLinkedImages(event, allImages, linkedImages) {
+    if (linkedImages.length > MAX_URL_IMAGES_PER_EMAIL) {
+        console.warn(`Email for event ${event.id} links ${linkedImages.length} images; only the first ${MAX_URL_IMAGES_PER_EMAIL} are downloaded`);
+    }
+
+    try {
+        const toDownload = linkedImages.slice(0, MAX_URL_IMAGES_PER_EMAIL);
+        const results = await Promise.all(toDownload.map(image => saveEmailImage(image.content, image.path)));
+        const downloaded = new Set(toDownload.filter((image, index) => results[index]).map(image => image.path));
+        if (downloaded.size === 0) {
+            return;
+        }
+
+        // Keep the order the images had in the email, after anything saved since
+        const current = eventStore.getById(event.id);
+        if (!current) {
+            return;
+        }
+        const images = allImages
+            .map(image => image.path)
+            .filter(imagePath => downloaded.has(imagePath) || (current.images || []).includes(imagePath));
+
+        const updatedEvent = eventStore.update(event.id, {
+            images,
+            imagePath: images[0]
+        });
+        if (updatedEvent) {
+            notifyClients({
+                type: 'event-images',
+                event: updatedEvent
+            });
+        }
+    } catch (error) {
+        console.error(`Error downloading linked images for event ${event.id}:`, error);
+    }
+}
+
+/**
+ * Note a heartbeat email from a camera. Heartbeats show the camera is online but do not become events.
+ * @param {Object} eventData - Event data returned by processEmail() for a heartbeat rule
+ */
+function recordHeartbeat(eventData) {
+    const siteInfo = matchCameraToSite(eventData.camera);
+    const camera = resolveCamera(siteInfo, eventData.camera, eventData.channel);
+
+    if (camera) {
+        console.log(`Heartbeat from camera ${camera.displayName} at ${siteInfo.name}`);
+    } else {
+        console.log(`Heartbeat from camera ${eventData.camera}${eventData.channel ? ` channel ${eventData.channel}` : ''}, which is not registered`);
+    }
+
+    cameraHealthService.recordActivity(siteInfo, camera, 'heartbeat');
+}
+
+/**
+ * Raise a "Camera Offline" event for a camera that has stopped sending emails.
+ * It goes through the same pipeline as an alarm, so it is escalated and announced like one.
+ * @param {Object} site - Site of the camera
+ * @param {Object} camera - Registered camera
+ * @param {Object} details - { lastSeen, silenceMinutes }
+ * @returns {Promise<Object|null>} The stored event
+ */
+function raiseCameraOfflineEvent(site, camera, details) {
+    const now = new Date();
+    const since = details.lastSeen ? `since ${new Date(details.lastSeen).toLocaleString()}` : 'since it was registered';
+
+    return createEventFromEmail({
+        date: now,
+        subject: `Camera Offline: ${camera.displayName} at ${site.name} has not been heard from ${since}`,
+        messageId: `camera-offline-${site.id}-${camera.id}-${now.getTime()}`,
+        camera: camera.name,
+        eventType: 'Camera Offline',
+        channel: camera.channel,
+        cameraTimestamp: null,
+        parsingRule: null,
+        device: camera.name,
+        images: [],
+        authenticated: false,
+        authenticatedUser: null,
+        encrypted: false,
+        cameraOffline: {
+            lastSeen: details.lastSeen,
+            silenceMinutes: details.silenceMinutes,
+            recoveredAt: null
+        }
+    });
+}
+
 // Function to process emails - replaced with stub for SMTP-only implementation
 function processEmails() {
     console.log('IMAP checking is deprecated. Using built-in SMTP server instead.');
@@ -243,42 +677,39 @@ app.get('/statistics.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'statistics.html'));
 });
 
-// Serve user management page (admin only)
+// Serve user management page. Everyone can set up their own two-factor logins there;
+// the user and role lists are only shown with users.manage.
 app.get('/users', (req, res) => {
-    // Check if authenticated and is admin
+    // Check if authenticated
     if (!req.user) {
         return res.redirect('/login');
     }
 
-    if (req.user.role !== 'admin') {
-        return res.redirect('/');
-    }
-
     res.sendFile(path.join(__dirname, 'public', 'user-management.html'));
 });
 
-// Serve settings page (admin only)
+// Serve settings page (settings.edit)
 app.get('/settings', (req, res) => {
-    // Check if authenticated and is admin
+    // Check if authenticated and allowed to change settings
     if (!req.user) {
         return res.redirect('/login');
     }
 
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'settings.edit')) {
         return res.redirect('/');
     }
 
     res.sendFile(path.join(__dirname, 'public', 'settings.html'));
 });
 
-// Serve retention settings page (admin only)
+// Serve retention settings page (retention.run)
 app.get('/retention.html', (req, res) => {
-    // Check if authenticated and is admin
+    // Check if authenticated and allowed to run retention
     if (!req.user) {
         return res.redirect('/login');
     }
 
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'retention.run')) {
         return res.redirect('/');
     }
 
@@ -290,24 +721,190 @@ app.get('/test-events', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'test-events.html'));
 });
 
-// Get all events
-app.get('/api/events', (req, res) => {
+// Largest page a client may request from GET /api/events
+const MAX_EVENTS_PAGE_SIZE = 500;
+
+// Turn GET /api/events query parameters into an event store filter and paging options.
+// Returns { error } describing the first invalid parameter.
+function parseEventsQuery(query) {
+    const filter = {};
+    const options = {};
+
+    if (query.unacknowledged === 'true') {
+        filter.acknowledged = false;
+    }
+
+    if (query.lateResponse === 'true') {
+        filter.lateResponse = true;
+    }
+
+    // Alarms from disarmed sites are held back in their own queue
+    if (query.lowPriority === 'true' || query.lowPriority === 'false') {
+        filter.lowPriority = query.lowPriority === 'true';
+    }
+
+    // incidentId=none leaves out alarms grouped into an incident; an incident's ID lists the alarms grouped into it
+    if (query.incidentId === 'none') {
+        filter.incidentId = null;
+    } else if (query.incidentId) {
+        const incidentId = parseInt(query.incidentId);
+        if (isNaN(incidentId)) {
+            return { error: 'Invalid incidentId' };
+        }
+        filter.incidentId = incidentId;
+    }
+
+    for (const key of ['from', 'to']) {
+        if (query[key]) {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                return { error: `Invalid '${key}' date` };
+            }
+            filter[key] = date;
+        }
+    }
+
+    if (query.siteId) {
+        const siteId = parseInt(query.siteId);
+        if (isNaN(siteId)) {
+            return { error: 'Invalid siteId' };
+        }
+        filter.siteId = siteId;
+    }
+
+    for (const key of ['tag', 'camera', 'eventType', 'acknowledgedBy']) {
+        if (query[key]) {
+            filter[key] = String(query[key]);
+        }
+    }
+
+    if (query.search && String(query.search).trim()) {
+        filter.search = String(query.search).trim();
+    }
+
+    if (query.sort !== undefined) {
+        if (query.sort !== 'asc' && query.sort !== 'desc' && query.sort !== 'priority') {
+            return { error: "sort must be 'asc', 'desc' or 'priority'" };
+        }
+        options.sort = query.sort;
+    }
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit);
+        if (isNaN(limit) || limit < 1 || limit > MAX_EVENTS_PAGE_SIZE) {
+            return { error: `limit must be between 1 and ${MAX_EVENTS_PAGE_SIZE}` };
+        }
+        options.limit = limit;
+    }
+
+    if (query.cursor) {
+        try {
+            decodeCursor(query.cursor);
+        } catch (err) {
+            return { error: 'Invalid cursor' };
+        }
+        options.cursor = String(query.cursor);
+    }
+
+    return { filter, options };
+}
+
+// Get events
+// Without limit/cursor the response is the array of every matching event (oldest first), as before.
+// With limit or cursor it is one page: { events, nextCursor, total }, newest first unless sort=asc.
+// sort=priority puts unacknowledged events first, most urgent then oldest first, then acknowledged events newest first.
+app.get('/api/events', requirePermission('events.view'), (req, res) => {
     try {
-        const events = readEventsData();
-        res.json(events);
+        const { filter: requested, options, error } = parseEventsQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (requested.siteId !== undefined && !canAccessSite(req.user, requested.siteId)) {
+            return rejectCrossSiteAccess(req, res, 'sites', requested.siteId, requested.siteId);
+        }
+        const filter = scopeEventFilter(req.user, requested);
+
+        if (options.limit === undefined && options.cursor === undefined) {
+            return res.json(eventStore.find(filter));
+        }
+
+        const page = eventStore.query(filter, options);
+        res.json({
+            events: page.events,
+            nextCursor: page.nextCursor,
+            total: eventStore.count(filter)
+        });
     } catch (error) {
         console.error('Error fetching events:', error);
         res.status(500).json({ error: 'Failed to retrieve events' });
     }
 });
 
+// Whether a request path is under the alarm snapshot or recording folders
+function isMediaPath(requestPath) {
+    return requestPath.startsWith('/images/') || requestPath.startsWith('/videos/');
+}
+
+/**
+ * Check whether a user may see a snapshot or recording.
+ * Snapshots are looked up among the user's events and their sites' camera reference snapshots,
+ * recordings are matched to the user's sites by file name (as in /api/videos/list).
+ * @param {Object} user - Authenticated user
+ * @param {string} mediaPath - Path of the file, e.g. /images/1714000000000_snapshot.jpg
+ * @returns {boolean} True if the file belongs to a site the user may see
+ */
+function canAccessMedia(user, mediaPath) {
+    const allowed = getAllowedSiteIds(user);
+    if (allowed === null) {
+        return true;
+    }
+
+    const sites = readSitesData().filter(site => allowed.includes(site.id));
+
+    if (mediaPath.startsWith('/videos/')) {
+        return sites.some(site => isVideoOfSite(path.basename(mediaPath), site));
+    }
+
+    if (sites.some(site => (site.cameras || []).some(camera => camera.referenceImage === mediaPath))) {
+        return true;
+    }
+    return getEventStore().count(scopeEventFilter(user, { image: mediaPath })) > 0;
+}
+
+// Serve snapshots and recordings only to users who may see their site. Others get a 404, so they
+// cannot tell which files exist.
+function requireMediaAccess(req, res, next) {
+    try {
+        let mediaPath;
+        try {
+            mediaPath = decodeURIComponent(req.originalUrl.split('?')[0]);
+        } catch (err) {
+            return res.status(400).send('Bad request');
+        }
+
+        if (mediaPath === '/images/logo.png' || canAccessMedia(req.user, mediaPath)) {
+            return next();
+        }
+        res.status(404).send('Not found');
+    } catch (err) {
+        console.error('Error checking media access:', err);
+        res.status(500).send('Server error');
+    }
+}
+
 // New API route to list video files from date-based directories
-app.get('/api/videos/list', authMiddleware, (req, res) => {
+app.get('/api/videos/list', requirePermission('events.view'), (req, res) => {
     try {
         const camera = req.query.camera;
         const dateStr = req.query.date; // Format: YYYYMMDD
         const baseDir = path.join(__dirname, 'public', 'videos');
 
+        const siteId = parseInt(req.query.siteId);
+        if (siteId && !canAccessSite(req.user, siteId)) {
+            return rejectCrossSiteAccess(req, res, 'sites', siteId, siteId);
+        }
+
         // Make sure the base directory exists
         if (!fs.existsSync(baseDir)) {
             fs.mkdirSync(baseDir, { recursive: true });
@@ -403,8 +1000,15 @@ app.get('/api/videos/list', authMiddleware, (req, res) => {
             }
         }
 
-        // If camera is specified, filter by camera name
-        if (camera) {
+        // A registered camera can say how its recordings are named, e.g. POD1_00_* for channel 0 of a recorder
+        const cameraId = parseInt(req.query.cameraId);
+        const site = siteId ? readSitesData().find(site => site.id === siteId) : null;
+        const registeredCamera = site && cameraId ? (site.cameras || []).find(registered => registered.id === cameraId) : null;
+
+        if (registeredCamera && registeredCamera.videoPattern) {
+            videoFiles = videoFiles.filter(file => matchesVideoPattern(path.basename(file), registeredCamera.videoPattern));
+        } else if (camera) {
+            // Otherwise filter by camera name
             videoFiles = videoFiles.filter(file => {
                 // Get just the filename part
                 const filename = path.basename(file);
@@ -413,112 +1017,502 @@ app.get('/api/videos/list', authMiddleware, (req, res) => {
             });
         }
 
-        res.json(videoFiles);
+        // Users limited to some sites only see recordings from those sites' cameras
+        const allowedSiteIds = getAllowedSiteIds(req.user);
+        if (allowedSiteIds !== null) {
+            const allowedSites = readSitesData().filter(site => allowedSiteIds.includes(site.id));
+            videoFiles = videoFiles.filter(file => allowedSites.some(site => isVideoOfSite(path.basename(file), site)));
+        }
+
+        res.json(videoFiles);
+    } catch (error) {
+        console.error('Error listing video files:', error);
+        res.status(500).json({ error: 'Failed to list video files' });
+    }
+});
+
+// Acknowledge an event - updated to include notes, tags, and locked status
+app.post('/api/events/:id/acknowledge', requirePermission('events.acknowledge'), requirePermissionToSet('locked', 'events.lock'), (req, res) => {
+    try {
+        // Make sure user is authenticated
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const eventId = parseInt(req.params.id);
+        const { note, tags, locked } = req.body; // Get note, tags, and locked from request body
+
+        const event = eventStore.getById(eventId);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
+
+        // Another operator is working on this event
+        if (event.claimedBy && event.claimedBy.userId !== req.user.id &&
+            claimService.isClaimActive(event.claimedBy) && !hasPermission(req.user, 'events.reassign')) {
+            return res.status(409).json({
+                error: `This event is being handled by ${event.claimedBy.name || event.claimedBy.username}`,
+                claimedBy: event.claimedBy
+            });
+        }
+        
+        // Check the outcome against the configured disposition codes
+        const dispositions = readSettingsData().dispositions || DEFAULT_DISPOSITIONS;
+        const { disposition, error: dispositionError } = validateDisposition(req.body.disposition, dispositions, event);
+        if (dispositionError) {
+            return res.status(400).json({ error: dispositionError });
+        }
+
+        // Store the previous state for audit log
+        const previousState = { ...event };
+
+        // Get the current time for acknowledgment timestamp
+        const acknowledgedAt = new Date().toISOString();
+
+        // Calculate response time in milliseconds, from when the alarm came in rather than the camera's own
+        // clock, like the time to claim, so the two add up
+        const eventDate = new Date(event.receivedAt || event.date);
+        const ackDate = new Date(acknowledgedAt);
+        const responseTimeMs = ackDate.getTime() - eventDate.getTime();
+
+        // Convert to minutes for easier reading
+        const responseTimeMinutes = Math.floor(responseTimeMs / (1000 * 60));
+
+        // Check if response is late (greater than configured threshold)
+        const isLateResponse = responseTimeMinutes > config.lateResponseThresholdMinutes;
+
+        // Update the event with acknowledgment info
+        const changes = {
+            acknowledged: true,
+            acknowledgedAt,
+            responseTimeMinutes,
+
+            // Add information about which user acknowledged the event
+            acknowledgedBy: {
+                userId: req.user.id,
+                username: req.user.username,
+                name: req.user.name
+            }
+        };
+
+        // Add note if provided
+        if (note) {
+            changes.note = note;
+        }
+
+        // Add tags if provided
+        if (tags && Array.isArray(tags) && tags.length > 0) {
+            changes.tags = tags;
+        }
+
+        // Update locked status if provided
+        if (locked !== undefined) {
+            changes.locked = locked;
+        }
+
+        // Add the structured outcome if provided
+        if (disposition) {
+            changes.disposition = disposition;
+        }
+
+        if (isLateResponse) {
+            changes.isLateResponse = true;
+        }
+
+        // Stop any escalation steps that have not fired yet
+        if (event.escalation) {
+            changes.escalation = cancelPendingSteps(event.escalation);
+        }
+
+        // The event is finished with, so nobody holds it any more.
+        // Time from the first claim to acknowledgement is kept apart from the time to claim.
+        if (event.firstClaimedAt) {
+            changes.claimToAcknowledgeMinutes = Math.floor((ackDate.getTime() - new Date(event.firstClaimedAt).getTime()) / (1000 * 60));
+        }
+        if (event.claimedBy) {
+            changes.claimedBy = null;
+        }
+
+        // Save the updated data
+        const updatedEvent = eventStore.update(eventId, changes);
+        if (!updatedEvent) {
+            return res.status(500).json({ error: 'Failed to update event' });
+        }
+
+        // Acknowledging an incident closes every alarm grouped into it with the same outcome.
+        // Each alarm gets its own response time, timed the same way, so grouped alarms count in the statistics.
+        const groupedEvents = event.incident ? eventStore.find({ incidentId: eventId, acknowledged: false }) : [];
+        groupedEvents.forEach(child => {
+            const childResponseTimeMinutes = Math.floor((ackDate.getTime() - new Date(child.receivedAt || child.date).getTime()) / (1000 * 60));
+            eventStore.update(child.id, {
+                acknowledged: true,
+                acknowledgedAt,
+                acknowledgedBy: changes.acknowledgedBy,
+                responseTimeMinutes: childResponseTimeMinutes,
+                ...(childResponseTimeMinutes > config.lateResponseThresholdMinutes ? { isLateResponse: true } : {}),
+                ...(disposition ? { disposition } : {})
+            });
+        });
+
+        // Log the activity using the audit service
+        const { ACTIONS, logUserActivity } = require('./audit-service');
+        logUserActivity(
+            req,
+            ACTIONS.EVENT_ACKNOWLEDGE,
+            'events',
+            eventId,
+            {
+                previousState,
+                newState: updatedEvent,
+                changes: {
+                    note,
+                    tags,
+                    locked,
+                    disposition,
+                    responseTimeMinutes,
+                    isLateResponse,
+                    groupedEvents: groupedEvents.length
+                }
+            },
+            true
+        );
+
+        // Let the other consoles drop their "being handled" marker
+        if (event.claimedBy) {
+            notifyClients({ type: 'event-claim', action: 'acknowledged', event: updatedEvent });
+        }
+
+        res.json({
+            success: true,
+            event: updatedEvent
+        });
+    } catch (error) {
+        console.error('Error acknowledging event:', error);
+        res.status(500).json({ error: 'Failed to acknowledge event' });
+    }
+});
+
+// Keep the current user's claims alive while they are active at their console
+// Registered before the :id routes so "claims" is not read as an event ID
+app.post('/api/events/claims/heartbeat', requirePermission('events.claim'), (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    claimService.recordActivity(req.user);
+    res.json({ success: true });
+});
+
+// Claim an event so other operators know it is being handled
+app.post('/api/events/:id/claim', requirePermission('events.claim'), (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const event = eventStore.getById(parseInt(req.params.id));
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
+
+        if (event.acknowledged) {
+            return res.status(400).json({ error: 'This event has already been acknowledged' });
+        }
+
+        if (event.claimedBy && event.claimedBy.userId !== req.user.id && claimService.isClaimActive(event.claimedBy)) {
+            return res.status(409).json({
+                error: `This event is being handled by ${event.claimedBy.name || event.claimedBy.username}`,
+                claimedBy: event.claimedBy
+            });
+        }
+
+        const updatedEvent = claimService.assign(event, req.user);
+        if (!updatedEvent) {
+            return res.status(500).json({ error: 'Failed to claim event' });
+        }
+
+        notifyClients({ type: 'event-claim', action: 'claimed', event: updatedEvent });
+
+        res.json({ success: true, event: updatedEvent });
+    } catch (error) {
+        console.error('Error claiming event:', error);
+        res.status(500).json({ error: 'Failed to claim event' });
+    }
+});
+
+// Release a claimed event (the claimant, or anyone who can reassign events)
+app.post('/api/events/:id/release', requirePermission('events.claim', 'events.reassign'), (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const event = eventStore.getById(parseInt(req.params.id));
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
+
+        if (!event.claimedBy) {
+            return res.status(400).json({ error: 'This event is not claimed' });
+        }
+
+        if (event.claimedBy.userId !== req.user.id && !hasPermission(req.user, 'events.reassign')) {
+            return res.status(403).json({ error: 'Only the operator handling this event or a supervisor can release it' });
+        }
+
+        const updatedEvent = claimService.release(event);
+        if (!updatedEvent) {
+            return res.status(500).json({ error: 'Failed to release event' });
+        }
+
+        notifyClients({ type: 'event-claim', action: 'released', previousClaim: event.claimedBy, event: updatedEvent });
+
+        res.json({ success: true, event: updatedEvent });
+    } catch (error) {
+        console.error('Error releasing event:', error);
+        res.status(500).json({ error: 'Failed to release event' });
+    }
+});
+
+// Hand an event to another operator
+app.post('/api/events/:id/reassign', requirePermission('events.reassign'), (req, res) => {
+    try {
+        const event = eventStore.getById(parseInt(req.params.id));
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
+
+        if (event.acknowledged) {
+            return res.status(400).json({ error: 'This event has already been acknowledged' });
+        }
+
+        const user = readUsersData().find(user => user.id === parseInt(req.body.userId));
+        if (!user || user.isActive === false) {
+            return res.status(400).json({ error: 'Please choose an active user to assign the event to' });
+        }
+        if (!hasPermission(user, 'events.claim')) {
+            return res.status(400).json({ error: `${user.name || user.username} is not allowed to handle events` });
+        }
+        if (!canAccessEvent(user, event)) {
+            return res.status(400).json({ error: `${user.name || user.username} does not have access to this site` });
+        }
+
+        const updatedEvent = claimService.assign(event, user);
+        if (!updatedEvent) {
+            return res.status(500).json({ error: 'Failed to reassign event' });
+        }
+
+        notifyClients({
+            type: 'event-claim',
+            action: 'reassigned',
+            previousClaim: event.claimedBy || null,
+            by: { userId: req.user.id, username: req.user.username, name: req.user.name },
+            event: updatedEvent
+        });
+
+        res.json({ success: true, event: updatedEvent });
+    } catch (error) {
+        console.error('Error reassigning event:', error);
+        res.status(500).json({ error: 'Failed to reassign event' });
+    }
+});
+
+/**
+ * Check that the current user may change a keyholder call log entry (the operator who logged it, or anyone with events.contacts.manage)
+ * @param {Object} entry - Entry from event.contactLog
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} True if the entry can be edited or deleted
+ */
+function canEditContactEntry(entry, user) {
+    return (!!entry.loggedBy && entry.loggedBy.userId === user.id) || hasPermission(user, 'events.contacts.manage');
+}
+
+// Get the keyholder call log of an event
+app.get('/api/events/:id/contacts', requirePermission('events.view'), (req, res) => {
+    try {
+        const event = eventStore.getById(parseInt(req.params.id));
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
+
+        res.json(event.contactLog || []);
+    } catch (error) {
+        console.error('Error getting contact log:', error);
+        res.status(500).json({ error: 'Failed to get contact log' });
+    }
+});
+
+// Log a call to a keyholder
+app.post('/api/events/:id/contacts', requirePermission('events.contacts'), (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const event = eventStore.getById(parseInt(req.params.id));
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
+
+        const site = event.siteId ? readSitesData().find(site => site.id === event.siteId) : null;
+        const { entry, error } = validateContactEntry(req.body, site);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const now = new Date().toISOString();
+        const newEntry = {
+            id: uuidv4(),
+            ...entry,
+            loggedBy: { userId: req.user.id, username: req.user.username, name: req.user.name },
+            loggedAt: now,
+            updatedBy: null,
+            updatedAt: null
+        };
+
+        const updatedEvent = eventStore.update(event.id, { contactLog: [...(event.contactLog || []), newEntry] });
+        if (!updatedEvent) {
+            return res.status(500).json({ error: 'Failed to save contact log entry' });
+        }
+
+        notifyClients({ type: 'contact-log', action: 'added', entry: newEntry, event: updatedEvent });
+
+        res.status(201).json({ success: true, entry: newEntry, event: updatedEvent });
     } catch (error) {
-        console.error('Error listing video files:', error);
-        res.status(500).json({ error: 'Failed to list video files' });
+        console.error('Error adding contact log entry:', error);
+        res.status(500).json({ error: 'Failed to save contact log entry' });
     }
 });
 
-// Acknowledge an event - updated to include notes, tags, and locked status
-app.post('/api/events/:id/acknowledge', (req, res) => {
+// Edit a keyholder call (the operator who logged it, or anyone with events.contacts.manage)
+app.put('/api/events/:id/contacts/:entryId', requirePermission('events.contacts'), (req, res) => {
     try {
-        // Make sure user is authenticated
         if (!req.user) {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        const eventId = parseInt(req.params.id);
-        const { note, tags, locked } = req.body; // Get note, tags, and locked from request body
-        const events = readEventsData();
-
-        const eventIndex = events.findIndex(event => event.id === eventId);
-        if (eventIndex === -1) {
+        const event = eventStore.getById(parseInt(req.params.id));
+        if (!event) {
             return res.status(404).json({ error: 'Event not found' });
         }
-        
-        // Store the previous state for audit log
-        const previousState = { ...events[eventIndex] };
-
-        // Get the current time for acknowledgment timestamp
-        const acknowledgedAt = new Date().toISOString();
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
 
-        // Calculate response time in milliseconds
-        const eventDate = new Date(events[eventIndex].date);
-        const ackDate = new Date(acknowledgedAt);
-        const responseTimeMs = ackDate.getTime() - eventDate.getTime();
+        const contactLog = event.contactLog || [];
+        const existing = contactLog.find(entry => entry.id === req.params.entryId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Contact log entry not found' });
+        }
 
-        // Convert to minutes for easier reading
-        const responseTimeMinutes = Math.floor(responseTimeMs / (1000 * 60));
+        if (!canEditContactEntry(existing, req.user)) {
+            return res.status(403).json({ error: 'Only the operator who logged this call or an admin can change it' });
+        }
 
-        // Check if response is late (greater than configured threshold)
-        const isLateResponse = responseTimeMinutes > config.lateResponseThresholdMinutes;
+        // Keep the original call time unless a new one is sent
+        const site = event.siteId ? readSitesData().find(site => site.id === event.siteId) : null;
+        const { entry, error } = validateContactEntry({ calledAt: existing.calledAt, ...req.body }, site);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        // Update the event with acknowledgment info
-        events[eventIndex].acknowledged = true;
-        events[eventIndex].acknowledgedAt = acknowledgedAt;
-        events[eventIndex].responseTimeMinutes = responseTimeMinutes;
-
-        // Add information about which user acknowledged the event
-        events[eventIndex].acknowledgedBy = {
-            userId: req.user.id,
-            username: req.user.username,
-            name: req.user.name
+        const updatedEntry = {
+            ...existing,
+            ...entry,
+            updatedBy: { userId: req.user.id, username: req.user.username, name: req.user.name },
+            updatedAt: new Date().toISOString()
         };
 
-        // Add note if provided
-        if (note) {
-            events[eventIndex].note = note;
+        const updatedEvent = eventStore.update(event.id, {
+            contactLog: contactLog.map(item => item.id === existing.id ? updatedEntry : item)
+        });
+        if (!updatedEvent) {
+            return res.status(500).json({ error: 'Failed to update contact log entry' });
         }
 
-        // Add tags if provided
-        if (tags && Array.isArray(tags) && tags.length > 0) {
-            events[eventIndex].tags = tags;
-        }
+        notifyClients({ type: 'contact-log', action: 'updated', entry: updatedEntry, event: updatedEvent });
 
-        // Update locked status if provided
-        if (locked !== undefined) {
-            events[eventIndex].locked = locked;
+        res.json({ success: true, entry: updatedEntry, event: updatedEvent });
+    } catch (error) {
+        console.error('Error updating contact log entry:', error);
+        res.status(500).json({ error: 'Failed to update contact log entry' });
+    }
+});
+
+// Delete a keyholder call (the operator who logged it, or anyone with events.contacts.manage)
+app.delete('/api/events/:id/contacts/:entryId', requirePermission('events.contacts'), (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
         }
 
-        if (isLateResponse) {
-            events[eventIndex].isLateResponse = true;
+        const event = eventStore.getById(parseInt(req.params.id));
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
         }
 
-        // Save the updated data
-        const success = writeEventsData(events);
-        if (!success) {
-            return res.status(500).json({ error: 'Failed to update event' });
+        const contactLog = event.contactLog || [];
+        const existing = contactLog.find(entry => entry.id === req.params.entryId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Contact log entry not found' });
         }
 
-        // Log the activity using the audit service
-        const { ACTIONS, logUserActivity } = require('./audit-service');
-        logUserActivity(
-            req,
-            ACTIONS.EVENT_ACKNOWLEDGE,
-            'events',
-            eventId,
-            {
-                previousState,
-                newState: events[eventIndex],
-                changes: {
-                    note,
-                    tags,
-                    locked,
-                    responseTimeMinutes,
-                    isLateResponse
-                }
-            },
-            true
-        );
+        if (!canEditContactEntry(existing, req.user)) {
+            return res.status(403).json({ error: 'Only the operator who logged this call or an admin can delete it' });
+        }
 
-        res.json({
-            success: true,
-            event: events[eventIndex]
+        const updatedEvent = eventStore.update(event.id, {
+            contactLog: contactLog.filter(item => item.id !== existing.id)
         });
+        if (!updatedEvent) {
+            return res.status(500).json({ error: 'Failed to delete contact log entry' });
+        }
+
+        notifyClients({ type: 'contact-log', action: 'deleted', entry: existing, event: updatedEvent });
+
+        res.json({ success: true, event: updatedEvent });
     } catch (error) {
-        console.error('Error acknowledging event:', error);
-        res.status(500).json({ error: 'Failed to acknowledge event' });
+        console.error('Error deleting contact log entry:', error);
+        res.status(500).json({ error: 'Failed to delete contact log entry' });
+    }
+});
+
+// Get the history of an event: escalations, claims, keyholder calls and the acknowledgement
+app.get('/api/events/:id/history', requirePermission('events.view'), (req, res) => {
+    try {
+        const event = eventStore.getById(parseInt(req.params.id));
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
+
+        res.json(buildEventHistory(event, readAuditLogs()));
+    } catch (error) {
+        console.error('Error getting event history:', error);
+        res.status(500).json({ error: 'Failed to get event history' });
     }
 });
 
@@ -536,18 +1530,9 @@ app.get('/api/settings/tags', (req, res) => {
     }
 });
 
-// Update tags settings (admin only)
-app.post('/api/settings/tags', (req, res) => {
+// Update tags settings
+app.post('/api/settings/tags', requirePermission('settings.edit'), (req, res) => {
     try {
-        // Make sure user is authenticated and is admin
-        if (!req.user) {
-            return res.status(401).json({ error: 'Authentication required' });
-        }
-
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
-
         const { tags } = req.body;
 
         // Validate tags
@@ -574,8 +1559,217 @@ app.post('/api/settings/tags', (req, res) => {
     }
 });
 
+// Get the disposition codes operators choose from when acknowledging
+app.get('/api/settings/dispositions', (req, res) => {
+    try {
+        const settings = readSettingsData();
+        res.json(settings.dispositions || DEFAULT_DISPOSITIONS);
+    } catch (error) {
+        console.error('Error fetching dispositions:', error);
+        res.status(500).json({ error: 'Failed to retrieve dispositions' });
+    }
+});
+
+// Update the disposition codes
+app.post('/api/settings/dispositions', requirePermission('settings.edit'), (req, res) => {
+    try {
+        const { dispositions, error } = validateDispositionList(req.body.dispositions);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const settings = readSettingsData();
+        settings.dispositions = dispositions;
+
+        if (!writeSettingsData(settings)) {
+            return res.status(500).json({ error: 'Failed to update dispositions' });
+        }
+
+        res.json({ success: true, dispositions });
+    } catch (error) {
+        console.error('Error updating dispositions:', error);
+        res.status(500).json({ error: 'Failed to update dispositions' });
+    }
+});
+
+// Get the default escalation policy (used by sites without their own)
+app.get('/api/settings/escalation', (req, res) => {
+    try {
+        const settings = readSettingsData();
+        res.json(settings.escalationPolicy || DEFAULT_ESCALATION_POLICY);
+    } catch (error) {
+        console.error('Error fetching escalation policy:', error);
+        res.status(500).json({ error: 'Failed to retrieve escalation policy' });
+    }
+});
+
+// Update the default escalation policy
+app.post('/api/settings/escalation', requirePermission('settings.edit'), (req, res) => {
+    try {
+        const { policy, error } = validateEscalationPolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const settings = readSettingsData();
+        settings.escalationPolicy = policy;
+
+        if (!writeSettingsData(settings)) {
+            return res.status(500).json({ error: 'Failed to update escalation policy' });
+        }
+
+        res.json({ success: true, policy });
+    } catch (error) {
+        console.error('Error updating escalation policy:', error);
+        res.status(500).json({ error: 'Failed to update escalation policy' });
+    }
+});
+
+// Get the default camera silence policy (used by cameras without their own window)
+app.get('/api/settings/camera-silence', (req, res) => {
+    try {
+        const settings = readSettingsData();
+        res.json(settings.cameraSilencePolicy || DEFAULT_SILENCE_POLICY);
+    } catch (error) {
+        console.error('Error fetching camera silence policy:', error);
+        res.status(500).json({ error: 'Failed to retrieve camera silence policy' });
+    }
+});
+
+// Update the default camera silence policy
+app.post('/api/settings/camera-silence', requirePermission('settings.edit'), (req, res) => {
+    try {
+        const { policy, error } = validateSilencePolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const settings = readSettingsData();
+        settings.cameraSilencePolicy = policy;
+
+        if (!writeSettingsData(settings)) {
+            return res.status(500).json({ error: 'Failed to update camera silence policy' });
+        }
+
+        res.json({ success: true, policy });
+    } catch (error) {
+        console.error('Error updating camera silence policy:', error);
+        res.status(500).json({ error: 'Failed to update camera silence policy' });
+    }
+});
+
+// Get the alarm grouping and flood policy
+app.get('/api/settings/alarm-grouping', (req, res) => {
+    try {
+        const settings = readSettingsData();
+        res.json(settings.alarmGroupingPolicy || DEFAULT_GROUPING_POLICY);
+    } catch (error) {
+        console.error('Error fetching alarm grouping policy:', error);
+        res.status(500).json({ error: 'Failed to retrieve alarm grouping policy' });
+    }
+});
+
+// Update the alarm grouping and flood policy
+app.post('/api/settings/alarm-grouping', requirePermission('settings.edit'), (req, res) => {
+    try {
+        const { policy, error } = validateGroupingPolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const settings = readSettingsData();
+        settings.alarmGroupingPolicy = policy;
+
+        if (!writeSettingsData(settings)) {
+            return res.status(500).json({ error: 'Failed to update alarm grouping policy' });
+        }
+
+        res.json({ success: true, policy });
+    } catch (error) {
+        console.error('Error updating alarm grouping policy:', error);
+        res.status(500).json({ error: 'Failed to update alarm grouping policy' });
+    }
+});
+
+// Get the weights used to work out alarm priorities
+app.get('/api/settings/priority', (req, res) => {
+    try {
+        const settings = readSettingsData();
+        res.json(settings.priorityWeights || DEFAULT_PRIORITY_WEIGHTS);
+    } catch (error) {
+        console.error('Error fetching priority weights:', error);
+        res.status(500).json({ error: 'Failed to retrieve priority weights' });
+    }
+});
+
+// Update the weights used to work out alarm priorities
+app.post('/api/settings/priority', requirePermission('settings.edit'), (req, res) => {
+    try {
+        const { weights, error } = validatePriorityWeights(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const settings = readSettingsData();
+        settings.priorityWeights = weights;
+
+        if (!writeSettingsData(settings)) {
+            return res.status(500).json({ error: 'Failed to update priority weights' });
+        }
+
+        res.json({ success: true, weights });
+    } catch (error) {
+        console.error('Error updating priority weights:', error);
+        res.status(500).json({ error: 'Failed to update priority weights' });
+    }
+});
+
+// Get the cameras muted for flooding
+app.get('/api/muted-cameras', (req, res) => {
+    try {
+        res.json(filterBySite(req.user, alarmGroupingService.getMutedCameras(), muted => muted.siteId));
+    } catch (error) {
+        console.error('Error fetching muted cameras:', error);
+        res.status(500).json({ error: 'Failed to retrieve muted cameras' });
+    }
+});
+
+// Unmute a flooding camera before its mute runs out
+app.post('/api/muted-cameras/unmute', requirePermission('settings.edit'), (req, res) => {
+    try {
+        const { camera } = req.body;
+        const siteId = req.body.siteId === null || req.body.siteId === undefined ? null : parseInt(req.body.siteId);
+        if (!canAccessSite(req.user, siteId)) {
+            return rejectCrossSiteAccess(req, res, 'cameras', camera, siteId);
+        }
+
+        if (!camera || !alarmGroupingService.unmute(siteId, String(camera))) {
+            return res.status(404).json({ error: 'Camera is not muted' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error unmuting camera:', error);
+        res.status(500).json({ error: 'Failed to unmute camera' });
+    }
+});
+
+// Get when each site and registered camera was last heard from, optionally for one site (?siteId=)
+app.get('/api/camera-health', (req, res) => {
+    try {
+        const siteId = req.query.siteId ? parseInt(req.query.siteId) : null;
+        if (siteId !== null && !canAccessSite(req.user, siteId)) {
+            return rejectCrossSiteAccess(req, res, 'sites', siteId, siteId);
+        }
+        res.json(filterBySite(req.user, cameraHealthService.getStatus(siteId), status => status.siteId));
+    } catch (error) {
+        console.error('Error fetching camera health:', error);
+        res.status(500).json({ error: 'Failed to retrieve camera health' });
+    }
+});
+
 // Server-Sent Events endpoint for real-time updates
-app.get('/api/events/updates', (req, res) => {
+app.get('/api/events/updates', requirePermission('events.view'), (req, res) => {
     // Set headers for SSE
     res.writeHead(200, {
         'Content-Type': 'text/event-stream',
@@ -589,7 +1783,8 @@ app.get('/api/events/updates', (req, res) => {
     // Send an initial ping to establish the connection
     res.write('data: {"type":"connected"}\n\n');
 
-    // Add client to the set
+    // Add client to the set, remembering who it is so messages can be sent to some roles only
+    res.locals.user = req.user || null;
     sseClients.add(res);
 
     // Remove client when connection closes
@@ -606,11 +1801,12 @@ app.post('/api/check-emails', async (req, res) => {
     try {
         // If test parameter is true, create a test event
         if (req.query.test === 'true') {
-            const events = readEventsData();
+            if (!hasPermission(req.user, 'events.test')) {
+                return res.status(403).json({ error: 'You do not have permission to create test events' });
+            }
 
             // Create a new test event
-            const newEvent = {
-                id: Date.now(),
+            const newEvent = eventStore.insert({
                 messageId: `test-${Date.now()}`,
                 date: new Date().toISOString(),
                 subject: `Test Event at ${new Date().toLocaleTimeString()}`,
@@ -620,13 +1816,7 @@ app.post('/api/check-emails', async (req, res) => {
                 device: 'Test Device',
                 acknowledged: false,
                 locked: false // Default to unlocked
-            };
-
-            // Add to events array
-            events.push(newEvent);
-
-            // Save updated events
-            writeEventsData(events);
+            });
 
             // Notify connected clients
             notifyClients({
@@ -655,13 +1845,10 @@ app.post('/api/check-emails', async (req, res) => {
 });
 
 // Create a test event (for debugging)
-app.post('/api/test/create-event', (req, res) => {
+app.post('/api/test/create-event', requirePermission('events.test'), (req, res) => {
     try {
-        const events = readEventsData();
-
         // Create a new test event
-        const newEvent = {
-            id: Date.now(),
+        const newEvent = eventStore.insert({
             messageId: `test-${Date.now()}`,
             date: new Date().toISOString(),
             subject: `Test Event at ${new Date().toLocaleTimeString()}`,
@@ -671,13 +1858,11 @@ app.post('/api/test/create-event', (req, res) => {
             device: 'Test Device',
             acknowledged: false,
             locked: false // Default to unlocked
-        };
-
-        // Add to events array
-        events.push(newEvent);
+        });
 
-        // Save updated events
-        writeEventsData(events);
+        if (!newEvent) {
+            return res.status(500).json({ success: false, error: 'Failed to create test event' });
+        }
 
         // Notify connected clients
         notifyClients({
@@ -693,9 +1878,86 @@ app.post('/api/test/create-event', (req, res) => {
     }
 });
 
+// @route   POST /api/quarantine/:id/promote
+// @desc    Create an event from a quarantined email and remove it from the quarantine.
+//          Uses the saved parsing rules, or the camera/eventType in the body when given.
+//          An email matching a heartbeat rule is recorded as a heartbeat instead of an event.
+// @access  Private (email.manage)
+app.post('/api/quarantine/:id/promote', requirePermission('email.manage'), async (req, res) => {
+    try {
+        const entry = getQuarantinedEmail(parseInt(req.params.id));
+        if (!entry) {
+            return res.status(404).json({ error: 'Quarantined email not found' });
+        }
+
+        const rawEmail = readRawEmail(entry);
+        if (!rawEmail) {
+            return res.status(500).json({ error: 'The stored email could not be read' });
+        }
+
+        let emailData;
+        try {
+            emailData = await parseRawEmail(rawEmail, { user: entry.authenticatedUser, secure: entry.encrypted });
+        } catch (parseError) {
+            return res.status(400).json({ error: 'This email cannot be parsed', details: parseError.message });
+        }
+
+        const camera = typeof req.body.camera === 'string' ? req.body.camera.trim() : '';
+        const eventType = typeof req.body.eventType === 'string' ? req.body.eventType.trim() : '';
+
+        // A camera given by the admin overrides the saved rules with a one-off rule matching this email
+        const rules = camera
+            ? [{
+                id: null,
+                name: 'Promoted from quarantine',
+                enabled: true,
+                priority: 0,
+                match: { subject: { type: 'regex', pattern: '^' } },
+                fields: { camera, eventType: eventType || 'Alert' }
+            }]
+            : undefined;
+
+        const eventData = processEmail(emailData, rules);
+        if (!eventData) {
+            return res.status(400).json({ error: 'No parsing rule matches this email. Enter a camera name to promote it anyway.' });
+        }
+
+        if (eventStore.getByMessageId(eventData.messageId)) {
+            return res.status(409).json({ error: 'An event already exists for this email' });
+        }
+
+        // The same check as for emails received over SMTP: the sending account must be allowed the camera's site
+        if (!isCameraAllowedForSmtpUser(entry.authenticatedUser, eventData.camera)) {
+            return res.status(400).json({
+                error: `SMTP account ${entry.authenticatedUser} is not allowed to send alarms for camera "${eventData.camera}". ` +
+                    'Add the camera\'s site to the account, or enter a camera it is allowed, to promote this email.'
+            });
+        }
+
+        // A heartbeat rule now matches: note the camera as online instead of raising an alarm
+        if (eventData.heartbeat) {
+            recordHeartbeat(eventData);
+            removeFromQuarantine(entry.id);
+            return res.json({ success: true, heartbeat: true, camera: eventData.camera });
+        }
+
+        const newEvent = await createEventFromEmail(eventData);
+        if (!newEvent) {
+            return res.status(500).json({ error: 'Failed to create event' });
+        }
+
+        removeFromQuarantine(entry.id);
+
+        res.status(201).json({ success: true, event: newEvent });
+    } catch (error) {
+        console.error('Error promoting quarantined email:', error);
+        res.status(500).json({ error: 'Failed to promote quarantined email' });
+    }
+});
+
 // API endpoint to manually notify about a video upload
 // This replaces the FTP server event notification
-app.post('/api/videos/notify-upload', authMiddleware, (req, res) => {
+app.post('/api/videos/notify-upload', requirePermission('events.view'), (req, res) => {
     try {
         const { path, camera, timestamp } = req.body;
 
@@ -703,12 +1965,14 @@ app.post('/api/videos/notify-upload', authMiddleware, (req, res) => {
             return res.status(400).json({ error: 'Missing required fields: path and camera' });
         }
 
-        // Notify all connected SSE clients
+        // Notify all connected SSE clients (users limited to some sites only hear about their sites' cameras)
         if (sseClients.size > 0) {
+            const site = matchCameraToSite(camera);
             const notification = {
                 type: 'video-uploaded',
                 videoPath: path,
                 camera: camera,
+                siteId: site ? site.id : null,
                 timestamp: timestamp || new Date().toISOString()
             };
 
@@ -724,8 +1988,8 @@ app.post('/api/videos/notify-upload', authMiddleware, (req, res) => {
 
 // @route   POST /api/events/update-video-path
 // @desc    Update an event with the matched video path
-// @access  Private (requires authentication)
-app.post('/api/events/update-video-path', authMiddleware, (req, res) => {
+// @access  Private (events.view)
+app.post('/api/events/update-video-path', requirePermission('events.view'), (req, res) => {
     try {
         const { eventId, videoPath } = req.body;
 
@@ -738,59 +2002,42 @@ app.post('/api/events/update-video-path', authMiddleware, (req, res) => {
 
         console.log(`Updating event ${eventId} with video path: ${videoPath}`);
 
-        // Read current events data
-        const eventsFilePath = path.join(__dirname, 'events-data.json');
-        let events;
-
-        try {
-            const data = fs.readFileSync(eventsFilePath, 'utf8');
-            events = JSON.parse(data);
-        } catch (readErr) {
-            console.error('Error reading events data:', readErr);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to read events data'
-            });
-        }
-
         // Find the event
-        const eventIndex = events.findIndex(event => event.id === eventId);
-        if (eventIndex === -1) {
+        const event = eventStore.getById(eventId);
+        if (!event) {
             return res.status(404).json({
                 success: false,
                 error: 'Event not found'
             });
         }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
 
         // Check if the path is already set
-        if (events[eventIndex].videoPath === videoPath) {
+        if (event.videoPath === videoPath) {
             console.log(`Event ${eventId} already has the same video path, no update needed`);
             return res.json({
                 success: true,
                 message: 'Event already has this video path',
-                event: events[eventIndex]
+                event
             });
         }
 
         // Update the event with the video path
-        events[eventIndex].videoPath = videoPath;
-
-        // Save the updated events
-        try {
-            fs.writeFileSync(eventsFilePath, JSON.stringify(events, null, 2));
-            console.log(`Successfully updated event ${eventId} with video path ${videoPath}`);
-        } catch (writeErr) {
-            console.error('Error writing events data:', writeErr);
+        const updatedEvent = eventStore.update(eventId, { videoPath });
+        if (!updatedEvent) {
             return res.status(500).json({
                 success: false,
                 error: 'Failed to write events data'
             });
         }
+        console.log(`Successfully updated event ${eventId} with video path ${videoPath}`);
 
         res.json({
             success: true,
             message: 'Event updated with video path',
-            event: events[eventIndex]
+            event: updatedEvent
         });
     } catch (error) {
         console.error('Error updating event with video path:', error);
@@ -1163,26 +2410,38 @@ async function updateEventWithVideoPath(eventId, videoPath) {
 app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
 
+    // First start on the SQLite store - bring across the events from events-data.json
+    if (eventStore.type === 'sqlite' && eventStore.count() === 0) {
+        try {
+            importEvents(eventStore);
+        } catch (importError) {
+            console.error('Error importing existing events data:', importError);
+        }
+    }
+
     // Ensure events have acknowledged property, but only add it if it doesn't exist
-    const events = readEventsData();
-    let updated = false;
+    let updated = 0;
+
+    eventStore.all().forEach(event => {
+        const changes = {};
 
-    events.forEach(event => {
         if (event.acknowledged === undefined) {
-            event.acknowledged = false;
-            updated = true;
+            changes.acknowledged = false;
         }
 
         // Add locked property if it doesn't exist
         if (event.locked === undefined) {
-            event.locked = false;
-            updated = true;
+            changes.locked = false;
+        }
+
+        if (Object.keys(changes).length > 0) {
+            eventStore.update(event.id, changes);
+            updated++;
         }
     });
 
-    if (updated) {
-        writeEventsData(events);
-        console.log('Updated events data with acknowledged and locked properties');
+    if (updated > 0) {
+        console.log(`Updated ${updated} events with acknowledged and locked properties`);
     }
 
     // Make sure the videos directory exists
@@ -1194,7 +2453,7 @@ app.listen(PORT, () => {
 
     // Initialize the SMTP server
     if (config.smtp.enabled) {
-        const smtpServer = initSmtpServer(async (emailData) => {
+        const smtpServer = initSmtpServer(async (emailData, rawEmail) => {
             console.log(`Received email via SMTP: ${emailData.subject}`);
 
             // Log authentication status
@@ -1209,67 +2468,33 @@ app.listen(PORT, () => {
 
             if (eventData) {
                 try {
-                    // Read current events
-                    const events = readEventsData();
-
                     // Check if this event already exists
-                    const existingEvent = events.find(e => e.messageId === eventData.messageId);
+                    const existingEvent = eventStore.getByMessageId(eventData.messageId);
                     if (existingEvent) {
                         console.log('Event already exists, skipping');
                         return;
                     }
 
-                    // Save the image if available
-                    if (eventData.imagePath && eventData.imageContent) {
-                        await saveEmailImage(eventData.imageContent, eventData.imagePath);
+                    // Make sure the sending account is allowed to raise alarms for this camera's site
+                    if (!isCameraAllowedForSmtpUser(emailData.authenticatedUser, eventData.camera)) {
+                        console.warn(`SMTP account ${emailData.authenticatedUser} is not allowed to send alarms for camera "${eventData.camera}", email rejected: ${eventData.subject}`);
+                        addToQuarantine(rawEmail, emailData, QUARANTINE_REASONS.CAMERA_NOT_ALLOWED,
+                            `SMTP account ${emailData.authenticatedUser} is not allowed to send alarms for camera "${eventData.camera}"`);
+                        return;
                     }
 
-                    // Check if camera matches a site
-                    let siteInfo = null;
-                    try {
-                        siteInfo = matchCameraToSite(eventData.camera);
-                        if (siteInfo) {
-                            console.log(`Camera ${eventData.camera} matched to site ID ${siteInfo.id} (${siteInfo.name})`);
-                        } else {
-                            console.log(`No site match found for camera: ${eventData.camera}`);
-                        }
-                    } catch (siteError) {
-                        console.error('Error matching camera to site:', siteError);
+                    if (eventData.heartbeat) {
+                        recordHeartbeat(eventData);
+                        return;
                     }
 
-                    // Create a new event with a unique ID
-                    const newEvent = {
-                        id: Date.now(),
-                        messageId: eventData.messageId,
-                        date: eventData.date.toISOString(),
-                        subject: eventData.subject,
-                        imagePath: eventData.imagePath,
-                        camera: eventData.camera,
-                        eventType: eventData.eventType,
-                        device: eventData.device,
-                        authenticated: eventData.authenticated,
-                        authenticatedUser: eventData.authenticatedUser,
-                        acknowledged: false,
-                        locked: false, // Default to unlocked
-                        siteId: siteInfo ? siteInfo.id : null
-                    };
-
-                    // Add to events array
-                    events.push(newEvent);
-                    console.log('Added new event from SMTP:', newEvent);
-
-                    // Save updated events
-                    writeEventsData(events);
-
-                    // Notify all connected clients
-                    notifyClients({
-                        type: 'new-events',
-                        count: 1,
-                        events: [newEvent]
-                    });
+                    await createEventFromEmail(eventData);
                 } catch (error) {
                     console.error('Error processing SMTP email:', error);
                 }
+            } else {
+                // Keep the email so a misconfigured camera shows up in the quarantine instead of vanishing
+                addToQuarantine(rawEmail, emailData, QUARANTINE_REASONS.NO_RULE_MATCH, 'No enabled parsing rule matched this email');
             }
         });
 
@@ -1281,7 +2506,7 @@ app.listen(PORT, () => {
     // Initialize retention service
     const retentionService = new EventRetentionService({
         retentionDays: config.retentionDays,
-        eventsFilePath: path.join(__dirname, 'events-data.json'),
+        eventStore,
         imagesBasePath: path.join(__dirname, 'public'),
         videosBasePath: path.join(__dirname, 'public')
     });
@@ -1301,5 +2526,14 @@ app.listen(PORT, () => {
     cleanupJob.start();
     console.log('Scheduled event cleanup job initialized (runs daily at 3 AM)');
 
+    // Start escalating unacknowledged events
+    escalationService.start();
+
+    // Start expiring the claims of idle operators
+    claimService.start();
+
+    // Start watching for cameras that have gone silent
+    cameraHealthService.start();
+
     console.log('Note: External FTP server should be configured separately to upload files to the videos directory');
 });
\ No newline at end of file
@@ -0,0 +1,142 @@
+// arming-schedule.js
+// When a site is armed: weekly disarm windows (e.g. staffed hours), holiday exceptions and manual overrides
+const { validateTimeWindow, isWithinWindows, toLocalDateString } = require('./time-windows');
+
+// What happens to alarms from a disarmed site: closed straight away, or held in the low-priority queue
+const DISARMED_ACTIONS = ['auto-disposition', 'low-priority'];
+
+const ARMING_STATES = ['armed', 'disarmed'];
+
+// Disposition recorded on alarms closed automatically because their site was disarmed
+const DISARMED_DISPOSITION = {
+    code: 'site-disarmed',
+    label: 'Site disarmed',
+    contact: null,
+    contactedAt: null
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check an arming schedule submitted with a site and return a cleaned copy
+ * @param {Object} schedule - { enabled, disarmedWindows, exceptions, disarmedAction } from the request body
+ * @returns {{schedule: Object}|{error: string}} Normalised schedule or a validation error
+ */
+function validateArmingSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+        return { error: 'Invalid arming schedule format' };
+    }
+
+    const disarmedAction = schedule.disarmedAction || 'low-priority';
+    if (!DISARMED_ACTIONS.includes(disarmedAction)) {
+        return { error: `Alarms from a disarmed site must be handled with one of: ${DISARMED_ACTIONS.join(', ')}` };
+    }
+
+    const disarmedWindows = [];
+    for (const window of Array.isArray(schedule.disarmedWindows) ? schedule.disarmedWindows : []) {
+        const result = validateTimeWindow(window, 'disarm window');
+        if (result.error) {
+            return { error: result.error };
+        }
+        disarmedWindows.push(result.window);
+    }
+
+    // Exceptions replace the weekly schedule for a whole day, e.g. a bank holiday when the yard is closed
+    const exceptions = [];
+    for (const exception of Array.isArray(schedule.exceptions) ? schedule.exceptions : []) {
+        if (!exception || !DATE_PATTERN.test(exception.date) || isNaN(new Date(exception.date).getTime())) {
+            return { error: 'Schedule exceptions need a date in YYYY-MM-DD format' };
+        }
+        const state = exception.state || 'armed';
+        if (!ARMING_STATES.includes(state)) {
+            return { error: `Exception on ${exception.date} must be armed or disarmed` };
+        }
+        if (exceptions.some(existing => existing.date === exception.date)) {
+            return { error: `There is more than one exception on ${exception.date}` };
+        }
+        exceptions.push({
+            date: exception.date,
+            state,
+            label: typeof exception.label === 'string' ? exception.label.trim() : ''
+        });
+    }
+
+    return {
+        schedule: {
+            enabled: schedule.enabled !== false,
+            disarmedAction,
+            disarmedWindows,
+            exceptions: exceptions.sort((a, b) => a.date.localeCompare(b.date))
+        }
+    };
+}
+
+/**
+ * Check a manual arm or disarm request
+ * @param {string} state - 'armed' or 'disarmed'
+ * @param {Object} body - { until, reason } from the request body; without until the override lasts until it is cleared
+ * @param {Object} user - User making the change
+ * @param {Date} now - Current time
+ * @returns {{override: Object}|{error: string}} Override to store on the site or a validation error
+ */
+function validateArmingOverride(state, body, user, now = new Date()) {
+    let until = null;
+    if (body.until) {
+        until = new Date(body.until);
+        if (isNaN(until.getTime())) {
+            return { error: 'Invalid until date' };
+        }
+        if (until <= now) {
+            return { error: 'The override must last until a time in the future' };
+        }
+    }
+
+    return {
+        override: {
+            state,
+            until: until ? until.toISOString() : null,
+            reason: typeof body.reason === 'string' ? body.reason.trim() : '',
+            by: { userId: user.id, username: user.username, name: user.name },
+            at: now.toISOString()
+        }
+    };
+}
+
+/**
+ * Work out whether a site is armed at a given time.
+ * A manual override wins over a holiday exception, which wins over the weekly schedule.
+ * Sites without a schedule are always armed.
+ * @param {Object} site - Site from sites-data.json
+ * @param {Date} date - Time to check
+ * @returns {{armed: boolean, source: string, label: string|null, until: string|null, disarmedAction: string}}
+ *   The state and what decided it ('override', 'exception', 'schedule' or 'default')
+ */
+function getArmingState(site, date = new Date()) {
+    const schedule = site.armingSchedule || null;
+    const disarmedAction = schedule ? schedule.disarmedAction : 'low-priority';
+    const state = (armed, source, label = null, until = null) => ({ armed, source, label, until, disarmedAction });
+
+    const override = site.armingOverride;
+    if (override && (!override.until || new Date(override.until) > date)) {
+        return state(override.state === 'armed', 'override', override.reason || null, override.until);
+    }
+
+    if (!schedule || schedule.enabled === false) {
+        return state(true, 'default');
+    }
+
+    const exception = schedule.exceptions.find(item => item.date === toLocalDateString(date));
+    if (exception) {
+        return state(exception.state === 'armed', 'exception', exception.label || null);
+    }
+
+    return state(!isWithinWindows(schedule.disarmedWindows, date), 'schedule');
+}
+
+module.exports = {
+    DISARMED_ACTIONS,
+    DISARMED_DISPOSITION,
+    validateArmingSchedule,
+    validateArmingOverride,
+    getArmingState
+};
@@ -5,17 +5,54 @@ const ACTIONS = {
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAILURE: 'LOGIN_FAILURE',
   LOGOUT: 'LOGOUT',
+  SESSION_REVOKE: 'SESSION_REVOKE',
+  PASSWORD_CHANGE: 'PASSWORD_CHANGE',
+  PASSWORD_POLICY_UPDATE: 'PASSWORD_POLICY_UPDATE',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_UNLOCK: 'ACCOUNT_UNLOCK',
+  SMTP_AUTH_BLOCKED: 'SMTP_AUTH_BLOCKED',
+  TWO_FACTOR_ENROLL: 'TWO_FACTOR_ENROLL',
+  TWO_FACTOR_DISABLE: 'TWO_FACTOR_DISABLE',
+  TWO_FACTOR_RESET: 'TWO_FACTOR_RESET',
+  TWO_FACTOR_RECOVERY_USED: 'TWO_FACTOR_RECOVERY_USED',
+  TWO_FACTOR_RECOVERY_CODES: 'TWO_FACTOR_RECOVERY_CODES',
   EVENT_VIEW: 'EVENT_VIEW',
   EVENT_ACKNOWLEDGE: 'EVENT_ACKNOWLEDGE',
   EVENT_LOCK: 'EVENT_LOCK',
   EVENT_UNLOCK: 'EVENT_UNLOCK',
+  EVENT_ESCALATE: 'EVENT_ESCALATE',
+  EVENT_CLAIM: 'EVENT_CLAIM',
+  EVENT_RELEASE: 'EVENT_RELEASE',
+  EVENT_REASSIGN: 'EVENT_REASSIGN',
+  EVENT_CONTACT_ADD: 'EVENT_CONTACT_ADD',
+  EVENT_CONTACT_UPDATE: 'EVENT_CONTACT_UPDATE',
+  EVENT_CONTACT_DELETE: 'EVENT_CONTACT_DELETE',
+  SHIFT_START: 'SHIFT_START',
+  SHIFT_END: 'SHIFT_END',
+  SHIFT_HANDOVER_ACK: 'SHIFT_HANDOVER_ACK',
   USER_CREATE: 'USER_CREATE',
   USER_UPDATE: 'USER_UPDATE',
   USER_DELETE: 'USER_DELETE',
+  ROLE_CREATE: 'ROLE_CREATE',
+  ROLE_UPDATE: 'ROLE_UPDATE',
+  ROLE_DELETE: 'ROLE_DELETE',
+  KEY_ROTATE: 'KEY_ROTATE',
   SETTINGS_CHANGE: 'SETTINGS_CHANGE',
   DATA_EXPORT: 'DATA_EXPORT',
   SITE_VIEW: 'SITE_VIEW',
   SITE_UPDATE: 'SITE_UPDATE',
+  SITE_ARM: 'SITE_ARM',
+  SITE_DISARM: 'SITE_DISARM',
+  SITE_ARMING_RESUME: 'SITE_ARMING_RESUME',
+  CAMERA_CREATE: 'CAMERA_CREATE',
+  CAMERA_UPDATE: 'CAMERA_UPDATE',
+  CAMERA_DELETE: 'CAMERA_DELETE',
+  CAMERA_DISMISS: 'CAMERA_DISMISS',
+  CAMERA_OFFLINE: 'CAMERA_OFFLINE',
+  CAMERA_RECOVERED: 'CAMERA_RECOVERED',
+  CAMERA_FLOOD: 'CAMERA_FLOOD',
+  CAMERA_UNMUTE: 'CAMERA_UNMUTE',
+  SITE_ACCESS_DENIED: 'SITE_ACCESS_DENIED',
   API_REQUEST: 'API_REQUEST'
 };
 
@@ -33,7 +70,8 @@ function logUserActivity(req, action, resource, resourceId, details = {}, succes
   const user = req.user || { id: null, username: 'anonymous', role: 'anonymous' };
   
   // Extract IP from request (handling proxies)
-  const ipAddress = req.headers?.['x-forwarded-for'] || req.connection?.remoteAddress || '0.0.0.0';
+  // req.ip only uses X-Forwarded-For from a trusted proxy (see 'trust proxy' in app.js)
+  const ipAddress = req.ip || req.socket?.remoteAddress || req.connection?.remoteAddress || '0.0.0.0';
   
   const logEntry = {
     id: uuidv4(),
@@ -0,0 +1,316 @@
+// camera-health.js
+// Notices cameras that have gone quiet. A camera that stops emailing looks just like a quiet site,
+// so every alarm and heartbeat email is noted here, and a registered camera that stays silent for too long
+// raises a "Camera Offline" event.
+const fs = require('fs');
+const path = require('path');
+const { getEventStore } = require('./event-store');
+const { ACTIONS, logUserActivity } = require('./audit-service');
+
+const HEALTH_FILE_PATH = path.join(__dirname, 'camera-health.json');
+
+// Used when no silence policy has been saved in the settings yet
+const DEFAULT_SILENCE_POLICY = {
+    enabled: true,
+    silenceMinutes: 24 * 60
+};
+
+/**
+ * Check a silence policy submitted by an admin and return a cleaned copy
+ * @param {Object} policy - { enabled, silenceMinutes } from the request body
+ * @returns {{policy: Object}|{error: string}} Normalised policy or a validation error
+ */
+function validateSilencePolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return { error: 'Invalid camera silence policy format' };
+    }
+
+    const silenceMinutes = Number(policy.silenceMinutes);
+    if (!Number.isFinite(silenceMinutes) || silenceMinutes < 1) {
+        return { error: 'The silence window must be at least 1 minute' };
+    }
+
+    return { policy: { enabled: policy.enabled !== false, silenceMinutes } };
+}
+
+// Helper function to read when each camera and site was last heard from
+function readHealthData() {
+    try {
+        // Check if file exists, if not start with nothing seen
+        if (!fs.existsSync(HEALTH_FILE_PATH)) {
+            return { cameras: {}, sites: {} };
+        }
+
+        const data = JSON.parse(fs.readFileSync(HEALTH_FILE_PATH, 'utf8'));
+        return { cameras: data.cameras || {}, sites: data.sites || {} };
+    } catch (err) {
+        console.error('Error reading camera health data:', err);
+        return { cameras: {}, sites: {} };
+    }
+}
+
+// Helper function to write when each camera and site was last heard from
+function writeHealthData(data) {
+    try {
+        fs.writeFileSync(HEALTH_FILE_PATH, JSON.stringify(data, null, 2));
+        return true;
+    } catch (err) {
+        console.error('Error writing camera health data:', err);
+        return false;
+    }
+}
+
+// Registered cameras are tracked by site and registry ID, so a renamed camera keeps its history
+function getCameraKey(siteId, cameraId) {
+    return `${siteId}/${cameraId}`;
+}
+
+/**
+ * Service that tracks the last email from each camera and raises an event for cameras that go silent
+ */
+class CameraHealthService {
+    /**
+     * Initialize the service
+     * @param {Object} options - Configuration options
+     * @param {EventStore} options.eventStore - Event store holding the offline events (default: the shared store)
+     * @param {Function} options.getSites - Returns all sites, with their camera registries
+     * @param {Function} options.getPolicy - Returns the silence policy for cameras without their own window
+     * @param {Function} options.raiseOfflineEvent - raiseOfflineEvent(site, camera, details) stores and announces
+     *   the offline event, resolving to the stored event
+     * @param {Function} options.notify - notify(data) sends an SSE message
+     * @param {number} options.checkIntervalSeconds - How often to look for silent cameras (default: 60)
+     */
+    constructor(options = {}) {
+        this.eventStore = options.eventStore || getEventStore();
+        this.getSites = options.getSites || (() => []);
+        this.getPolicy = options.getPolicy || (() => DEFAULT_SILENCE_POLICY);
+        this.raiseOfflineEvent = options.raiseOfflineEvent || (async () => null);
+        this.notify = options.notify || (() => { });
+        this.checkIntervalSeconds = options.checkIntervalSeconds || 60;
+        this.timer = null;
+
+        // Cameras never heard from are timed from when they were registered, or from now if that is unknown
+        this.startedAt = new Date();
+    }
+
+    /**
+     * Start checking for silent cameras
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.checkCameras().catch(error => {
+                console.error('Error checking camera health:', error);
+            });
+        }, this.checkIntervalSeconds * 1000);
+
+        console.log(`Camera health service started (checks every ${this.checkIntervalSeconds} seconds)`);
+    }
+
+    /**
+     * Stop checking for silent cameras
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Note an email from a site's camera. A camera that was offline is marked as recovered.
+     * @param {Object|null} site - Site the email was matched to
+     * @param {Object|null} camera - Registered camera it came from, if any
+     * @param {string} kind - 'event' for an alarm, 'heartbeat' for a heartbeat email
+     * @param {Date} now - When the email was received
+     */
+    recordActivity(site, camera, kind, now = new Date()) {
+        if (!site) {
+            return;
+        }
+
+        const data = readHealthData();
+        const seenAt = now.toISOString();
+        data.sites[site.id] = { lastSeen: seenAt, lastCamera: camera ? camera.name : null };
+
+        let recovered = null;
+        if (camera) {
+            const key = getCameraKey(site.id, camera.id);
+            const entry = data.cameras[key] || { siteId: site.id, cameraId: camera.id };
+
+            entry.lastSeen = seenAt;
+            if (kind === 'heartbeat') {
+                entry.lastHeartbeatAt = seenAt;
+            } else {
+                entry.lastEventAt = seenAt;
+            }
+
+            if (entry.offline) {
+                recovered = { ...entry };
+                entry.offline = false;
+                entry.offlineSince = null;
+                entry.offlineEventId = null;
+            }
+            data.cameras[key] = entry;
+        }
+
+        writeHealthData(data);
+
+        if (recovered) {
+            this.markRecovered(site, camera, recovered, kind, now);
+        }
+    }
+
+    /**
+     * Record that a camera is back and close the loop on its offline event
+     * @param {Object} site - Site of the camera
+     * @param {Object} camera - Registered camera
+     * @param {Object} entry - Health entry as it was while the camera was offline
+     * @param {string} kind - What the camera sent ('event' or 'heartbeat')
+     * @param {Date} now - When it was heard from again
+     */
+    markRecovered(site, camera, entry, kind, now) {
+        const offlineMinutes = Math.round((now - new Date(entry.offlineSince)) / 60000);
+        console.log(`Camera ${camera.displayName} at ${site.name} is back online after ${offlineMinutes} minutes offline`);
+
+        logUserActivity(null, ACTIONS.CAMERA_RECOVERED, 'cameras', getCameraKey(site.id, camera.id), {
+            camera: camera.name,
+            siteId: site.id,
+            offlineSince: entry.offlineSince,
+            offlineMinutes,
+            offlineEventId: entry.offlineEventId,
+            recoveredBy: kind
+        });
+
+        let updatedEvent = null;
+        if (entry.offlineEventId) {
+            const event = this.eventStore.getById(entry.offlineEventId);
+            if (event) {
+                updatedEvent = this.eventStore.update(event.id, {
+                    cameraOffline: { ...event.cameraOffline, recoveredAt: now.toISOString() }
+                });
+            }
+        }
+
+        this.notify({
+            type: 'camera-health',
+            action: 'recovered',
+            siteId: site.id,
+            camera: { id: camera.id, name: camera.name, displayName: camera.displayName },
+            event: updatedEvent
+        });
+    }
+
+    /**
+     * Raise an offline event for each enabled camera that has been silent longer than its window
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Number of cameras found offline
+     */
+    async checkCameras(now = new Date()) {
+        const policy = this.getPolicy();
+        if (!policy || policy.enabled === false) {
+            return 0;
+        }
+
+        const data = readHealthData();
+        const silent = [];
+
+        for (const site of this.getSites()) {
+            for (const camera of site.cameras || []) {
+                if (camera.enabled === false) {
+                    continue;
+                }
+
+                const key = getCameraKey(site.id, camera.id);
+                const entry = data.cameras[key] || { siteId: site.id, cameraId: camera.id };
+                if (entry.offline) {
+                    continue;
+                }
+
+                const silenceMinutes = camera.silenceMinutes || policy.silenceMinutes;
+                const since = new Date(entry.lastSeen || camera.createdAt || this.startedAt);
+                if (now - since < silenceMinutes * 60 * 1000) {
+                    continue;
+                }
+
+                // Marked before the event is raised, so a slow save cannot raise a second one
+                entry.offline = true;
+                entry.offlineSince = now.toISOString();
+                data.cameras[key] = entry;
+                silent.push({ site, camera, key, lastSeen: entry.lastSeen || null, silenceMinutes });
+            }
+        }
+
+        if (silent.length === 0) {
+            return 0;
+        }
+        writeHealthData(data);
+
+        for (const { site, camera, key, lastSeen, silenceMinutes } of silent) {
+            console.log(`Camera ${camera.displayName} at ${site.name} has been silent for over ${silenceMinutes} minutes`);
+
+            const event = await this.raiseOfflineEvent(site, camera, { lastSeen, silenceMinutes });
+
+            if (event) {
+                const latest = readHealthData();
+                if (latest.cameras[key] && latest.cameras[key].offline) {
+                    latest.cameras[key].offlineEventId = event.id;
+                    writeHealthData(latest);
+                }
+            }
+
+            logUserActivity(null, ACTIONS.CAMERA_OFFLINE, 'cameras', key, {
+                camera: camera.name,
+                siteId: site.id,
+                lastSeen,
+                silenceMinutes,
+                eventId: event ? event.id : null
+            });
+        }
+
+        return silent.length;
+    }
+
+    /**
+     * Describe when each site and registered camera was last heard from
+     * @param {number|null} siteId - Only this site (null for all sites)
+     * @returns {Array} Sites of { siteId, name, lastSeen, cameras: [...] }
+     */
+    getStatus(siteId = null) {
+        const data = readHealthData();
+        const policy = this.getPolicy() || DEFAULT_SILENCE_POLICY;
+
+        return this.getSites()
+            .filter(site => siteId === null || site.id === siteId)
+            .map(site => ({
+                siteId: site.id,
+                name: site.name,
+                lastSeen: data.sites[site.id] ? data.sites[site.id].lastSeen : null,
+                cameras: (site.cameras || []).map(camera => {
+                    const entry = data.cameras[getCameraKey(site.id, camera.id)] || {};
+                    return {
+                        cameraId: camera.id,
+                        name: camera.name,
+                        displayName: camera.displayName,
+                        enabled: camera.enabled !== false,
+                        silenceMinutes: camera.silenceMinutes || policy.silenceMinutes,
+                        lastSeen: entry.lastSeen || null,
+                        lastEventAt: entry.lastEventAt || null,
+                        lastHeartbeatAt: entry.lastHeartbeatAt || null,
+                        offline: !!entry.offline,
+                        offlineSince: entry.offlineSince || null,
+                        offlineEventId: entry.offlineEventId || null
+                    };
+                })
+            }));
+    }
+}
+
+module.exports = {
+    CameraHealthService,
+    DEFAULT_SILENCE_POLICY,
+    validateSilencePolicy
+};
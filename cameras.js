@@ -0,0 +1,226 @@
+// cameras.js
+// The camera registry: the cameras each site is expected to send alarms from,
+// and the unknown cameras that have sent alarms without being registered
+const fs = require('fs');
+const path = require('path');
+const { validatePriorityWeight } = require('./priority');
+
+const UNKNOWN_CAMERAS_FILE_PATH = path.join(__dirname, 'unknown-cameras.json');
+
+// Video filename patterns may only use filename characters, with * standing for any run of characters
+const VIDEO_PATTERN_PATTERN = /^[A-Za-z0-9_.*-]+$/;
+
+// Reference snapshots are images the console already serves
+const REFERENCE_IMAGE_PATTERN = /^\/images\/[A-Za-z0-9_.-]+$/;
+
+/**
+ * Check whether a camera name belongs to a site, the same way alarms are matched to sites
+ * @param {string} name - Camera name as it appears in alarm emails
+ * @param {Object} site - Site with a prefix
+ * @returns {boolean} True if the name is the prefix or starts with the prefix and a hyphen
+ */
+function isCameraOfSite(name, site) {
+    return name === site.prefix || name.startsWith(site.prefix + '-');
+}
+
+/**
+ * Check the fields sent when registering or updating a camera and return cleaned values
+ * @param {Object} body - { name, channel, displayName, location, referenceImage, enabled, videoPattern, silenceMinutes,
+ *   priorityWeight }
+ * @param {Object} site - Site the camera belongs to
+ * @param {number|null} cameraId - ID of the camera being updated, so it does not clash with itself
+ * @returns {{camera: Object}|{error: string}} Cleaned camera fields or a validation error
+ */
+function validateCamera(body, site, cameraId = null) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Invalid camera format' };
+    }
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return { error: 'Please enter the camera name used in its alarm emails' };
+    }
+    if (!isCameraOfSite(name, site)) {
+        return { error: `Camera names for this site must be "${site.prefix}" or start with "${site.prefix}-"` };
+    }
+
+    // Channels come from the email rules as text, e.g. "01" on a multi-channel recorder
+    const channel = body.channel === undefined || body.channel === null ? '' : String(body.channel).trim();
+
+    const duplicate = (site.cameras || []).find(camera => camera.id !== cameraId &&
+        camera.name === name && (camera.channel || '') === channel);
+    if (duplicate) {
+        return { error: channel ? `Camera ${name} channel ${channel} is already registered` : `Camera ${name} is already registered` };
+    }
+
+    const videoPattern = typeof body.videoPattern === 'string' ? body.videoPattern.trim() : '';
+    if (videoPattern && !VIDEO_PATTERN_PATTERN.test(videoPattern)) {
+        return { error: 'The video filename pattern may only use letters, numbers, "_", "-", "." and "*"' };
+    }
+
+    const referenceImage = typeof body.referenceImage === 'string' ? body.referenceImage.trim() : '';
+    if (referenceImage && !REFERENCE_IMAGE_PATTERN.test(referenceImage)) {
+        return { error: 'The reference snapshot must be an image from /images/' };
+    }
+
+    // Cameras without their own silence window use the default from the settings
+    let silenceMinutes = null;
+    if (body.silenceMinutes !== undefined && body.silenceMinutes !== null && body.silenceMinutes !== '') {
+        silenceMinutes = Number(body.silenceMinutes);
+        if (!Number.isFinite(silenceMinutes) || silenceMinutes < 1) {
+            return { error: 'The silence window must be at least 1 minute' };
+        }
+    }
+
+    // Raises or lowers the priority of the camera's alarms, e.g. for a camera covering the main entrance
+    const priority = validatePriorityWeight(body.priorityWeight);
+    if (priority.error) {
+        return { error: priority.error };
+    }
+
+    const displayName = typeof body.displayName === 'string' ? body.displayName.trim() : '';
+
+    return {
+        camera: {
+            name,
+            channel: channel || null,
+            displayName: displayName || name,
+            location: typeof body.location === 'string' ? body.location.trim() : '',
+            referenceImage: referenceImage || null,
+            enabled: body.enabled !== false,
+            videoPattern: videoPattern || null,
+            silenceMinutes,
+            priorityWeight: priority.weight
+        }
+    };
+}
+
+/**
+ * Find the registered camera an alarm came from.
+ * A camera registered without a channel covers every channel of that name.
+ * @param {Object|null} site - Site the alarm was matched to
+ * @param {string} name - Camera name from the alarm
+ * @param {string|null} channel - Channel from the alarm, if the email rule extracts one
+ * @returns {Object|null} The camera record, or null if the camera is not registered
+ */
+function resolveCamera(site, name, channel) {
+    if (!site || !name || !Array.isArray(site.cameras)) {
+        return null;
+    }
+
+    const candidates = site.cameras.filter(camera => camera.name === name);
+    return candidates.find(camera => camera.channel && camera.channel === channel) ||
+        candidates.find(camera => !camera.channel) ||
+        null;
+}
+
+/**
+ * Check a video filename against a camera's pattern. Like camera names, patterns match from the start of the filename.
+ * @param {string} filename - Video filename, e.g. POD1_00_20250424153423.mp4
+ * @param {string} pattern - Pattern with * wildcards, e.g. POD1_00_*
+ * @returns {boolean} True if the filename matches
+ */
+function matchesVideoPattern(filename, pattern) {
+    const expression = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${expression}`).test(filename);
+}
+
+/**
+ * Check whether a video file was recorded at a site: it matches one of the site's camera patterns,
+ * or, like camera names, starts with the site prefix, e.g. POD1_00_20250424153423.mp4 for POD1
+ * @param {string} filename - Video filename
+ * @param {Object} site - Site with a prefix and cameras
+ * @returns {boolean} True if the file belongs to the site
+ */
+function isVideoOfSite(filename, site) {
+    return (site.cameras || []).some(camera => camera.videoPattern && matchesVideoPattern(filename, camera.videoPattern)) ||
+        matchesVideoPattern(filename, `${site.prefix}_*`) ||
+        matchesVideoPattern(filename, `${site.prefix}-*`);
+}
+
+// Helper function to read the unknown cameras waiting for review
+function readUnknownCameras() {
+    try {
+        // Check if file exists, if not create it with empty array
+        if (!fs.existsSync(UNKNOWN_CAMERAS_FILE_PATH)) {
+            fs.writeFileSync(UNKNOWN_CAMERAS_FILE_PATH, '[]');
+            return [];
+        }
+
+        const data = fs.readFileSync(UNKNOWN_CAMERAS_FILE_PATH, 'utf8');
+        return JSON.parse(data);
+    } catch (err) {
+        console.error('Error reading unknown cameras:', err);
+        return [];
+    }
+}
+
+// Helper function to write the unknown cameras waiting for review
+function writeUnknownCameras(cameras) {
+    try {
+        fs.writeFileSync(UNKNOWN_CAMERAS_FILE_PATH, JSON.stringify(cameras, null, 2));
+        return true;
+    } catch (err) {
+        console.error('Error writing unknown cameras:', err);
+        return false;
+    }
+}
+
+/**
+ * Note an alarm from a camera that is not in the registry, so an admin can register or dismiss it.
+ * Repeat alarms from the same camera update one entry rather than adding more.
+ * @param {Object} event - Stored event
+ * @returns {Object|null} The review entry, or null if it could not be saved
+ */
+function recordUnknownCamera(event) {
+    const cameras = readUnknownCameras();
+    const channel = event.channel || null;
+    let entry = cameras.find(camera => camera.camera === event.camera && camera.channel === channel &&
+        camera.siteId === (event.siteId || null));
+
+    if (!entry) {
+        entry = {
+            id: cameras.length > 0 ? Math.max(...cameras.map(camera => camera.id)) + 1 : 1,
+            camera: event.camera,
+            channel,
+            siteId: event.siteId || null,
+            firstSeen: event.date,
+            count: 0
+        };
+        cameras.push(entry);
+    }
+
+    entry.lastSeen = event.date;
+    entry.count += 1;
+    entry.lastEventId = event.id;
+    entry.lastImage = event.imagePath || entry.lastImage || null;
+
+    return writeUnknownCameras(cameras) ? entry : null;
+}
+
+/**
+ * Take cameras off the review list once they are registered or dismissed
+ * @param {Function} predicate - Returns true for the entries to remove
+ * @returns {Array} The entries removed
+ */
+function removeUnknownCameras(predicate) {
+    const cameras = readUnknownCameras();
+    const removed = cameras.filter(predicate);
+    if (removed.length > 0) {
+        writeUnknownCameras(cameras.filter(camera => !predicate(camera)));
+    }
+    return removed;
+}
+
+module.exports = {
+    validateCamera,
+    resolveCamera,
+    matchesVideoPattern,
+    isVideoOfSite,
+    readUnknownCameras,
+    recordUnknownCamera,
+    removeUnknownCameras
+};
@@ -0,0 +1,77 @@
+// contact-log.js
+// Per-event log of the calls operators make to site keyholders
+
+// Outcomes of a call
+const CONTACT_RESULTS = ['answered', 'voicemail', 'no-answer', 'attending'];
+
+/**
+ * Check a contact log entry sent by an operator
+ * @param {Object} entry - { keyholderId, name, number, calledAt, result, eta, note } from the request body
+ * @param {Object|null} site - Site the event belongs to, whose keyholders can be picked by ID
+ * @returns {{entry: Object}|{error: string}} Cleaned entry fields or a validation error
+ */
+function validateContactEntry(entry, site) {
+    if (!entry || typeof entry !== 'object') {
+        return { error: 'Invalid contact log entry' };
+    }
+
+    const number = typeof entry.number === 'string' ? entry.number.trim() : '';
+
+    // Either one of the site's keyholders or someone typed in by the operator
+    let keyholder;
+    if (entry.keyholderId !== undefined && entry.keyholderId !== null && entry.keyholderId !== '') {
+        const id = parseInt(entry.keyholderId);
+        const siteKeyholder = site && Array.isArray(site.keyholders)
+            ? site.keyholders.find(keyholder => keyholder.id === id)
+            : null;
+        if (!siteKeyholder) {
+            return { error: 'The selected keyholder does not exist for this site' };
+        }
+
+        // Keyholders can have several numbers; default to the first one
+        const phones = siteKeyholder.phones || [];
+        const contact = number || (phones[0] ? phones[0].number : '') || (siteKeyholder.emails || [])[0] || '';
+        keyholder = { id, name: siteKeyholder.name, role: siteKeyholder.role, contact };
+    } else {
+        const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+        if (!name) {
+            return { error: 'Please choose a keyholder or enter who was called' };
+        }
+        keyholder = { id: null, name, role: null, contact: number };
+    }
+
+    const calledAt = entry.calledAt ? new Date(entry.calledAt) : new Date();
+    if (isNaN(calledAt.getTime())) {
+        return { error: 'Call time is not a valid date' };
+    }
+
+    if (!CONTACT_RESULTS.includes(entry.result)) {
+        return { error: `Result must be one of: ${CONTACT_RESULTS.join(', ')}` };
+    }
+
+    let eta = null;
+    if (entry.eta) {
+        eta = new Date(entry.eta);
+        if (isNaN(eta.getTime())) {
+            return { error: 'ETA is not a valid date' };
+        }
+        if (eta < calledAt) {
+            return { error: 'ETA cannot be before the call' };
+        }
+    }
+
+    return {
+        entry: {
+            keyholder,
+            calledAt: calledAt.toISOString(),
+            result: entry.result,
+            eta: eta ? eta.toISOString() : null,
+            note: typeof entry.note === 'string' ? entry.note.trim() : ''
+        }
+    };
+}
+
+module.exports = {
+    CONTACT_RESULTS,
+    validateContactEntry
+};
@@ -0,0 +1,113 @@
+// dispositions.js
+// Structured outcomes operators record when they acknowledge an alarm
+
+// Used when no disposition codes have been saved in the settings yet
+const DEFAULT_DISPOSITIONS = [
+    { code: 'false-alarm', label: 'False alarm', requiresContact: false },
+    { code: 'audio-challenge', label: 'Audio challenge issued', requiresContact: false },
+    { code: 'keyholder-notified', label: 'Keyholder notified', requiresContact: true },
+    { code: 'keyholder-attended', label: 'Keyholder attended', requiresContact: true },
+    { code: 'police-dispatched', label: 'Police dispatched', requiresContact: true },
+    { code: 'guard-dispatched', label: 'Guard dispatched', requiresContact: true }
+];
+
+// Contact times may be this far outside the event and the server clock, as consoles and cameras drift
+// and contact times are entered to the minute
+const CONTACT_TIME_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Check the disposition codes submitted by an admin and return a cleaned copy
+ * @param {Array} dispositions - Disposition codes from the request body
+ * @returns {{dispositions: Array}|{error: string}} Normalised codes or a validation error
+ */
+function validateDispositionList(dispositions) {
+    if (!Array.isArray(dispositions)) {
+        return { error: 'Invalid dispositions format' };
+    }
+
+    const cleaned = [];
+    for (const disposition of dispositions) {
+        const label = disposition && typeof disposition.label === 'string' ? disposition.label.trim() : '';
+        if (!label) {
+            return { error: 'Every disposition needs a label' };
+        }
+
+        // Codes are stored on events, so they default to a slug of the label and never change with it
+        const code = (typeof disposition.code === 'string' && disposition.code.trim()
+            ? disposition.code.trim()
+            : label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+        if (!code) {
+            return { error: `Disposition "${label}" needs a code made of letters or numbers` };
+        }
+        if (cleaned.some(existing => existing.code === code)) {
+            return { error: `Disposition code "${code}" is used more than once` };
+        }
+
+        cleaned.push({ code, label, requiresContact: !!disposition.requiresContact });
+    }
+
+    return { dispositions: cleaned };
+}
+
+/**
+ * Check the disposition sent with an acknowledgement
+ * @param {Object} disposition - { code, contact, contactedAt } from the request body
+ * @param {Array} dispositions - Configured disposition codes
+ * @param {Object} event - Event being acknowledged
+ * @param {Date} now - Current time
+ * @returns {{disposition: Object|null}|{error: string}} Disposition to store on the event or a validation error
+ */
+function validateDisposition(disposition, dispositions, event, now = new Date()) {
+    // Dispositions are only required once some have been configured
+    if (!disposition || !disposition.code) {
+        return dispositions.length > 0
+            ? { error: 'Please choose a disposition for this event' }
+            : { disposition: null };
+    }
+
+    const definition = dispositions.find(item => item.code === disposition.code);
+    if (!definition) {
+        return { error: `Unknown disposition: ${disposition.code}` };
+    }
+
+    const contact = typeof disposition.contact === 'string' ? disposition.contact.trim() : '';
+    let contactedAt = null;
+
+    if (disposition.contactedAt) {
+        contactedAt = new Date(disposition.contactedAt);
+        if (isNaN(contactedAt.getTime())) {
+            return { error: 'Contact time is not a valid date' };
+        }
+        if (contactedAt.getTime() > now.getTime() + CONTACT_TIME_TOLERANCE_MS) {
+            return { error: 'Contact time cannot be in the future' };
+        }
+        if (event.date && contactedAt.getTime() < new Date(event.date).getTime() - CONTACT_TIME_TOLERANCE_MS) {
+            return { error: 'Contact time cannot be before the event' };
+        }
+    }
+
+    if (definition.requiresContact) {
+        if (!contact) {
+            return { error: `Please enter who was contacted for "${definition.label}"` };
+        }
+        if (!contactedAt) {
+            return { error: `Please enter when they were contacted for "${definition.label}"` };
+        }
+    }
+
+    return {
+        disposition: {
+            code: definition.code,
+            label: definition.label,
+            contact: contact || null,
+            contactedAt: contactedAt ? contactedAt.toISOString() : null
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_DISPOSITIONS,
+    validateDispositionList,
+    validateDisposition
+};
@@ -0,0 +1,348 @@
+// email-rules.js
+// Admin-editable rules that turn an incoming alarm email into event fields
+const fs = require('fs');
+const path = require('path');
+
+const RULES_FILE_PATH = path.join(__dirname, 'email-rules.json');
+
+// Parts of an email a rule can match against
+const MATCH_TARGETS = ['subject', 'body', 'from', 'attachment'];
+
+// Event fields a rule extracts
+const RULE_FIELDS = ['camera', 'eventType', 'channel', 'timestamp'];
+
+// Used when email-rules.json does not exist yet. Reproduces the original hard-coded parsing:
+// "<event type> from <camera> at <time>" subjects containing Detected, Alert or Motion.
+const DEFAULT_RULES = [
+    {
+        id: 1,
+        name: 'Default subject format',
+        enabled: true,
+        priority: 0,
+        match: {
+            subject: {
+                type: 'regex',
+                pattern: '^(?<eventType>.*?(?:Detected|Alert|Motion).*?)(?:\\s+from\\s+(?<camera>.+?)(?:\\s+at\\s+(?<timestamp>.+))?)?$'
+            }
+        },
+        fields: {}
+    }
+];
+
+// Helper function to read the parsing rules
+function readRulesData() {
+    try {
+        // Check if file exists, if not create it with the default rules
+        if (!fs.existsSync(RULES_FILE_PATH)) {
+            fs.writeFileSync(RULES_FILE_PATH, JSON.stringify(DEFAULT_RULES, null, 2));
+            return DEFAULT_RULES.map(rule => ({ ...rule }));
+        }
+
+        const data = fs.readFileSync(RULES_FILE_PATH, 'utf8');
+        return JSON.parse(data);
+    } catch (err) {
+        console.error('Error reading email rules data:', err);
+        return DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+}
+
+// Helper function to write the parsing rules
+function writeRulesData(rules) {
+    try {
+        fs.writeFileSync(RULES_FILE_PATH, JSON.stringify(rules, null, 2));
+        return true;
+    } catch (err) {
+        console.error('Error writing email rules data:', err);
+        return false;
+    }
+}
+
+/**
+ * Convert a template such as "{eventType} from {camera} at {timestamp}" into a regular expression.
+ * {name} captures text into the named field and * matches anything; everything else is literal.
+ * @param {string} template - Template pattern
+ * @returns {string} Regular expression source
+ */
+function templateToRegex(template) {
+    const source = template
+        .split(/(\{[A-Za-z_][A-Za-z0-9_]*\}|\*)/)
+        .map(part => {
+            if (part === '*') {
+                return '.*?';
+            }
+            const placeholder = part.match(/^\{([A-Za-z_][A-Za-z0-9_]*)\}$/);
+            if (placeholder) {
+                return `(?<${placeholder[1]}>.+?)`;
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        })
+        .join('');
+
+    return `^[ \\t]*${source}[ \\t]*$`;
+}
+
+/**
+ * Compile a rule matcher into a regular expression. Matching is case-insensitive.
+ * @param {Object} matcher - { type: 'regex'|'template', pattern }
+ * @returns {RegExp} Compiled expression
+ * @throws {Error} If the matcher is invalid
+ */
+function compileMatcher(matcher) {
+    if (!matcher || typeof matcher.pattern !== 'string' || !matcher.pattern) {
+        throw new Error('Matcher pattern is required');
+    }
+
+    if (matcher.type === 'template') {
+        // Multiline so a template can match a single line of a longer body
+        return new RegExp(templateToRegex(matcher.pattern), 'im');
+    }
+
+    if (matcher.type === 'regex') {
+        return new RegExp(matcher.pattern, 'i');
+    }
+
+    throw new Error(`Unknown matcher type: ${matcher.type}`);
+}
+
+/**
+ * Check a rule submitted by an admin and return a cleaned copy
+ * @param {Object} rule - Rule from the request body
+ * @returns {{rule: Object}|{error: string}} Normalised rule or a validation error
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return { error: 'Invalid rule format' };
+    }
+
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!name) {
+        return { error: 'Please provide a rule name' };
+    }
+
+    const priority = rule.priority === undefined || rule.priority === '' ? 0 : Number(rule.priority);
+    if (!Number.isInteger(priority)) {
+        return { error: 'Priority must be a whole number' };
+    }
+
+    const match = {};
+    for (const target of MATCH_TARGETS) {
+        const matcher = rule.match && rule.match[target];
+        if (!matcher || !matcher.pattern) {
+            continue;
+        }
+
+        try {
+            compileMatcher(matcher);
+        } catch (err) {
+            return { error: `Invalid ${target} matcher: ${err.message}` };
+        }
+
+        match[target] = { type: matcher.type, pattern: matcher.pattern };
+    }
+
+    if (Object.keys(match).length === 0) {
+        return { error: 'A rule needs at least one subject, body, sender or attachment matcher' };
+    }
+
+    const fields = {};
+    for (const field of RULE_FIELDS) {
+        const value = rule.fields && rule.fields[field];
+        if (typeof value === 'string' && value.trim()) {
+            fields[field] = value.trim();
+        }
+    }
+
+    return {
+        rule: {
+            name,
+            enabled: rule.enabled !== false,
+            priority,
+            match,
+            fields,
+            // Heartbeat rules recognise a camera's periodic "still alive" email, which shows the camera is online
+            // without raising an alarm
+            heartbeat: rule.heartbeat === true
+        }
+    };
+}
+
+/**
+ * Get the text of an email that a matcher target applies to
+ * @param {Object} email - Email data as produced by the SMTP server
+ * @param {string} target - One of MATCH_TARGETS
+ * @returns {Array<string>} Candidate strings (several for attachments)
+ */
+function getTargetText(email, target) {
+    switch (target) {
+        case 'subject':
+            return [email.subject || ''];
+        case 'body':
+            // Fall back to the HTML body with the tags removed
+            return [email.text || (email.html ? email.html.replace(/<[^>]*>/g, ' ') : '')];
+        case 'from':
+            return [email.from || ''];
+        case 'attachment':
+            return (email.attachments || []).map(attachment => attachment.filename || '');
+        default:
+            return [];
+    }
+}
+
+/**
+ * Fill {name} placeholders in a field template with captured values
+ * @param {string} template - Field template, e.g. "Line crossing ({channel})"
+ * @param {Object} values - Captured values
+ * @returns {string} Resulting text
+ */
+function fillTemplate(template, values) {
+    return template.replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (placeholder, name) => values[name] || '');
+}
+
+/**
+ * Evaluate one rule against an email
+ * @param {Object} rule - Parsing rule
+ * @param {Object} email - Email data
+ * @returns {Object} { matched, failedOn, error, fields }
+ */
+function evaluateRule(rule, email) {
+    const values = {};
+
+    for (const target of MATCH_TARGETS) {
+        const matcher = rule.match && rule.match[target];
+        if (!matcher) {
+            continue;
+        }
+
+        let regex;
+        try {
+            regex = compileMatcher(matcher);
+        } catch (err) {
+            return { matched: false, failedOn: target, error: err.message };
+        }
+
+        const result = getTargetText(email, target)
+            .map(text => regex.exec(text))
+            .find(match => match);
+
+        if (!result) {
+            return { matched: false, failedOn: target };
+        }
+
+        Object.entries(result.groups || {}).forEach(([name, value]) => {
+            if (value !== undefined && values[name] === undefined) {
+                values[name] = value.trim();
+            }
+        });
+    }
+
+    const fields = {};
+    RULE_FIELDS.forEach(field => {
+        const template = rule.fields && rule.fields[field];
+        fields[field] = (template ? fillTemplate(template, values) : values[field] || '').trim();
+    });
+
+    return { matched: true, fields };
+}
+
+/**
+ * Find the rule that applies to an email.
+ * Enabled rules are tried from the highest priority down; the first match wins.
+ * @param {Object} email - Email data as produced by the SMTP server
+ * @param {Array} rules - Parsing rules (defaults to the saved rules)
+ * @returns {Object} { rule, fields, trace } - rule is null when nothing matched;
+ *                   trace has the outcome of every rule, including disabled ones
+ */
+function matchEmail(email, rules = readRulesData()) {
+    const ordered = [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.id - b.id);
+
+    let winner = null;
+    const trace = ordered.map(rule => {
+        const result = evaluateRule(rule, email);
+
+        if (result.matched && rule.enabled !== false && !winner) {
+            winner = { rule, fields: result.fields };
+        }
+
+        return {
+            id: rule.id,
+            name: rule.name,
+            enabled: rule.enabled !== false,
+            priority: rule.priority || 0,
+            ...result
+        };
+    });
+
+    return {
+        rule: winner ? winner.rule : null,
+        fields: winner ? winner.fields : null,
+        trace
+    };
+}
+
+/**
+ * Draft a rule that would match an email, as a starting point for the admin.
+ * The subject becomes a template with numbers (dates, times, counters) replaced by wildcards.
+ * @param {Object} email - Email data (at least subject and from)
+ * @returns {Object} Unsaved rule without an id
+ */
+function suggestRule(email) {
+    const subjectTemplate = (email.subject || '')
+        // Characters with a meaning in templates cannot be matched literally
+        .replace(/[{}*]/g, '*')
+        .replace(/\d[\d:\/._-]*\d|\d/g, '*')
+        .replace(/\*(\s*\*)+/g, '*')
+        .trim();
+
+    const sender = (email.from || '').match(/[^\s<>"]+@[^\s<>"]+/);
+
+    const match = {};
+    if (subjectTemplate && subjectTemplate !== '*') {
+        match.subject = { type: 'template', pattern: subjectTemplate };
+    }
+    if (sender) {
+        match.from = { type: 'template', pattern: `*${sender[0]}*` };
+    }
+
+    return {
+        name: sender ? `Emails from ${sender[0]}` : `Emails like "${email.subject || ''}"`,
+        enabled: true,
+        priority: 0,
+        match,
+        fields: {}
+    };
+}
+
+/**
+ * Parse a timestamp taken from an email. Besides anything Date understands, finds the
+ * compact YYYYMMDDHHmmss form many cameras put in subjects and filenames (read as server local time).
+ * @param {string} value - Extracted timestamp text
+ * @returns {Date|null} Parsed date or null if it cannot be read
+ */
+function parseTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+
+    const compact = value.match(/(\d{4})(\d{2})(\d{2})[T_ -]?(\d{2})(\d{2})(\d{2})/);
+    if (compact) {
+        const [, year, month, day, hours, minutes, seconds] = compact.map(Number);
+        const date = new Date(year, month - 1, day, hours, minutes, seconds);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+    MATCH_TARGETS,
+    RULE_FIELDS,
+    readRulesData,
+    writeRulesData,
+    templateToRegex,
+    validateRule,
+    evaluateRule,
+    matchEmail,
+    suggestRule,
+    parseTimestamp
+};
@@ -0,0 +1,260 @@
+// escalation-service.js
+// Escalates alarms that stay unacknowledged: re-alert operators, then supervisors, then flag the event
+const { getEventStore } = require('./event-store');
+const { ACTIONS, logUserActivity } = require('./audit-service');
+const { hasPermission } = require('./roles');
+
+// Escalation steps in the order they fire, with the policy field holding each step's delay
+const ESCALATION_STEPS = [
+    { action: 're-alert', field: 'reAlertMinutes' },
+    { action: 'notify-supervisor', field: 'notifySupervisorMinutes' },
+    { action: 'mark-escalated', field: 'escalateMinutes' }
+];
+
+// Events are looked up by the camera's date but their age goes by when they were received, so the search
+// reaches this much further back in case a camera's clock is behind
+const CAMERA_CLOCK_MARGIN_HOURS = 24;
+
+// Used when no policy has been saved in the settings yet
+const DEFAULT_ESCALATION_POLICY = {
+    enabled: true,
+    reAlertMinutes: 2,
+    notifySupervisorMinutes: 5,
+    escalateMinutes: 10
+};
+
+/**
+ * Check an escalation policy submitted by an admin and return a cleaned copy.
+ * A step delay left empty (null) skips that step.
+ * @param {Object} policy - Policy from the request body
+ * @returns {{policy: Object}|{error: string}} Normalised policy or a validation error
+ */
+function validateEscalationPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return { error: 'Invalid escalation policy format' };
+    }
+
+    const cleaned = { enabled: policy.enabled !== false };
+    let previous = 0;
+
+    for (const step of ESCALATION_STEPS) {
+        const value = policy[step.field];
+        if (value === undefined || value === null || value === '') {
+            cleaned[step.field] = null;
+            continue;
+        }
+
+        const minutes = Number(value);
+        if (!Number.isFinite(minutes) || minutes < 0) {
+            return { error: `${step.field} must be a number of minutes (0 or more)` };
+        }
+        // Each step comes after the one before it
+        if (minutes < previous) {
+            return { error: 'Escalation steps must be in order: re-alert, then supervisor, then escalate' };
+        }
+
+        cleaned[step.field] = minutes;
+        previous = minutes;
+    }
+
+    return { policy: cleaned };
+}
+
+/**
+ * Service that walks unacknowledged events through their escalation steps
+ */
+class EscalationService {
+    /**
+     * Initialize the service
+     * @param {Object} options - Configuration options
+     * @param {EventStore} options.eventStore - Event store to watch (default: the shared store)
+     * @param {Function} options.notify - notify(data, filter) sends an SSE message; filter(user) limits the recipients
+     * @param {Function} options.getSite - getSite(siteId) returns the site, to read its own policy
+     * @param {Function} options.getDefaultPolicy - Returns the policy for sites without their own
+     * @param {number} options.checkIntervalSeconds - How often to look for due steps (default: 15)
+     * @param {number} options.maxEventAgeHours - Unacknowledged events received longer ago are left alone (default: 24)
+     */
+    constructor(options = {}) {
+        this.eventStore = options.eventStore || getEventStore();
+        this.notify = options.notify || (() => { });
+        this.getSite = options.getSite || (() => null);
+        this.getDefaultPolicy = options.getDefaultPolicy || (() => DEFAULT_ESCALATION_POLICY);
+        this.checkIntervalSeconds = options.checkIntervalSeconds || 15;
+        this.maxEventAgeHours = options.maxEventAgeHours || 24;
+        this.timer = null;
+    }
+
+    /**
+     * Start checking for due escalation steps
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            try {
+                this.checkEvents();
+            } catch (error) {
+                console.error('Error checking event escalations:', error);
+            }
+        }, this.checkIntervalSeconds * 1000);
+
+        console.log(`Escalation service started (checks every ${this.checkIntervalSeconds} seconds)`);
+    }
+
+    /**
+     * Stop checking for due escalation steps
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Get the escalation policy that applies to a site
+     * @param {number|null} siteId - Site ID (null for events without a site)
+     * @returns {{policy: Object, source: string}} The policy and where it came from ('site' or 'default')
+     */
+    getPolicyForSite(siteId) {
+        if (siteId) {
+            const site = this.getSite(siteId);
+            if (site && site.escalationPolicy) {
+                return { policy: site.escalationPolicy, source: 'site' };
+            }
+        }
+
+        return { policy: this.getDefaultPolicy(), source: 'default' };
+    }
+
+    /**
+     * Build the escalation state stored on a new event.
+     * Steps are timed from when the alarm was received rather than the camera's clock.
+     * @param {number|null} siteId - Site the event belongs to
+     * @param {Date} receivedAt - When the alarm was received
+     * @returns {Object|null} Escalation state, or null if escalation is disabled for the site
+     */
+    buildEscalationState(siteId, receivedAt = new Date()) {
+        const { policy, source } = this.getPolicyForSite(siteId);
+        if (!policy || policy.enabled === false) {
+            return null;
+        }
+
+        const steps = ESCALATION_STEPS
+            .filter(step => policy[step.field] !== null && policy[step.field] !== undefined)
+            .map(step => ({
+                action: step.action,
+                afterMinutes: policy[step.field],
+                dueAt: new Date(receivedAt.getTime() + policy[step.field] * 60 * 1000).toISOString(),
+                status: 'pending',
+                firedAt: null
+            }));
+
+        if (steps.length === 0) {
+            return null;
+        }
+
+        return { policy: source, steps };
+    }
+
+    /**
+     * Fire every escalation step that has come due on an unacknowledged event
+     * @param {Date} now - Current time
+     * @returns {number} Number of steps fired
+     */
+    checkEvents(now = new Date()) {
+        const oldest = now.getTime() - this.maxEventAgeHours * 60 * 60 * 1000;
+        const from = new Date(oldest - CAMERA_CLOCK_MARGIN_HOURS * 60 * 60 * 1000);
+        const events = this.eventStore.find({ acknowledged: false, from })
+            .filter(event => new Date(event.receivedAt || event.date).getTime() >= oldest);
+        let fired = 0;
+
+        for (const event of events) {
+            if (!event.escalation || !Array.isArray(event.escalation.steps)) {
+                continue;
+            }
+
+            const dueSteps = event.escalation.steps.filter(step =>
+                step.status === 'pending' && new Date(step.dueAt) <= now);
+
+            // Fire in order, so an event that missed several checks still escalates step by step
+            for (const step of dueSteps) {
+                this.fireStep(event, step, now);
+                fired++;
+            }
+        }
+
+        return fired;
+    }
+
+    /**
+     * Carry out one escalation step and record it on the event
+     * @param {Object} event - Unacknowledged event
+     * @param {Object} step - Step from event.escalation.steps
+     * @param {Date} now - Current time
+     */
+    fireStep(event, step, now) {
+        step.status = 'done';
+        step.firedAt = now.toISOString();
+
+        const changes = { escalation: event.escalation };
+        if (step.action === 'mark-escalated') {
+            changes.escalated = true;
+            changes.escalatedAt = step.firedAt;
+        }
+
+        const updatedEvent = this.eventStore.update(event.id, changes) || { ...event, ...changes };
+        Object.assign(event, changes);
+
+        console.log(`Escalation step ${step.action} fired for event ${event.id} after ${step.afterMinutes} minutes unacknowledged`);
+
+        const message = {
+            type: 'escalation',
+            action: step.action,
+            afterMinutes: step.afterMinutes,
+            event: updatedEvent
+        };
+
+        if (step.action === 'notify-supervisor') {
+            this.notify(message, user => hasPermission(user, 'escalations.receive'));
+        } else {
+            this.notify(message);
+        }
+
+        if (step.action === 'mark-escalated') {
+            logUserActivity(null, ACTIONS.EVENT_ESCALATE, 'events', event.id, {
+                subject: event.subject,
+                camera: event.camera,
+                siteId: event.siteId,
+                policy: event.escalation.policy,
+                unacknowledgedMinutes: step.afterMinutes
+            });
+        }
+    }
+}
+
+/**
+ * Cancel the steps that have not fired yet, e.g. when the event is acknowledged
+ * @param {Object|null} escalation - Escalation state from the event
+ * @returns {Object|null} Updated escalation state
+ */
+function cancelPendingSteps(escalation) {
+    if (!escalation || !Array.isArray(escalation.steps)) {
+        return escalation || null;
+    }
+
+    return {
+        ...escalation,
+        steps: escalation.steps.map(step => step.status === 'pending' ? { ...step, status: 'cancelled' } : step)
+    };
+}
+
+module.exports = {
+    EscalationService,
+    ESCALATION_STEPS,
+    DEFAULT_ESCALATION_POLICY,
+    validateEscalationPolicy,
+    cancelPendingSteps
+};
@@ -0,0 +1,161 @@
+// event-claims.js
+// Lets an operator claim an alarm so other consoles know it is being handled
+const { getEventStore } = require('./event-store');
+const { ACTIONS, logUserActivity } = require('./audit-service');
+
+/**
+ * Service that keeps track of who is handling which event and expires claims of idle operators
+ */
+class EventClaimService {
+    /**
+     * Initialize the service
+     * @param {Object} options - Configuration options
+     * @param {EventStore} options.eventStore - Event store holding the claims (default: the shared store)
+     * @param {Function} options.notify - notify(data) broadcasts a claim change over SSE
+     * @param {number} options.idleMinutes - Claims expire after the claimant is idle this long (default: 5)
+     * @param {number} options.checkIntervalSeconds - How often to look for idle claims (default: 30)
+     * @param {number} options.maxEventAgeHours - Older events are left alone (default: 24)
+     */
+    constructor(options = {}) {
+        this.eventStore = options.eventStore || getEventStore();
+        this.notify = options.notify || (() => { });
+        this.idleMinutes = options.idleMinutes || 5;
+        this.checkIntervalSeconds = options.checkIntervalSeconds || 30;
+        this.maxEventAgeHours = options.maxEventAgeHours || 24;
+        this.timer = null;
+
+        // Last time each user's console reported keyboard or mouse activity, by user ID
+        this.lastActivity = new Map();
+    }
+
+    /**
+     * Start checking for claims held by idle operators
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            try {
+                this.expireIdleClaims();
+            } catch (error) {
+                console.error('Error expiring idle event claims:', error);
+            }
+        }, this.checkIntervalSeconds * 1000);
+
+        console.log(`Event claim service started (claims expire after ${this.idleMinutes} idle minutes)`);
+    }
+
+    /**
+     * Stop checking for idle claims
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Record that a user is active at their console
+     * @param {Object} user - Authenticated user
+     * @param {Date} now - Current time
+     */
+    recordActivity(user, now = new Date()) {
+        this.lastActivity.set(user.id, now);
+    }
+
+    /**
+     * Check whether a claim is still held, i.e. the claimant has been active recently
+     * @param {Object|null} claim - Claim from event.claimedBy
+     * @param {Date} now - Current time
+     * @returns {boolean} True if the claim has not expired
+     */
+    isClaimActive(claim, now = new Date()) {
+        if (!claim) {
+            return false;
+        }
+
+        // The claim itself counts as activity, so a claim survives until the first check after a restart
+        const claimedAt = new Date(claim.claimedAt);
+        const lastActive = this.lastActivity.get(claim.userId);
+        const activeAt = lastActive && lastActive > claimedAt ? lastActive : claimedAt;
+
+        return now.getTime() - activeAt.getTime() < this.idleMinutes * 60 * 1000;
+    }
+
+    /**
+     * Give an event to a user. The first claim also records the time-to-claim.
+     * @param {Object} event - Event to claim
+     * @param {Object} user - User taking the event ({ id, username, name })
+     * @param {Date} now - Current time
+     * @returns {Object|null} The updated event
+     */
+    assign(event, user, now = new Date()) {
+        const changes = {
+            claimedBy: {
+                userId: user.id,
+                username: user.username,
+                name: user.name,
+                claimedAt: now.toISOString()
+            }
+        };
+
+        if (!event.firstClaimedAt) {
+            changes.firstClaimedAt = changes.claimedBy.claimedAt;
+            // Timed from when the alarm came in, not the camera's own clock
+            changes.claimTimeMinutes = Math.floor((now.getTime() - new Date(event.receivedAt || event.date).getTime()) / (1000 * 60));
+        }
+
+        this.recordActivity(user, now);
+        return this.eventStore.update(event.id, changes);
+    }
+
+    /**
+     * Drop the current claim on an event
+     * @param {Object} event - Claimed event
+     * @returns {Object|null} The updated event
+     */
+    release(event) {
+        return this.eventStore.update(event.id, { claimedBy: null });
+    }
+
+    /**
+     * Release the claims of operators who have gone idle and tell the other consoles
+     * @param {Date} now - Current time
+     * @returns {number} Number of claims released
+     */
+    expireIdleClaims(now = new Date()) {
+        const from = new Date(now.getTime() - this.maxEventAgeHours * 60 * 60 * 1000);
+        const events = this.eventStore.find({ acknowledged: false, from });
+        let expired = 0;
+
+        for (const event of events) {
+            if (!event.claimedBy || this.isClaimActive(event.claimedBy, now)) {
+                continue;
+            }
+
+            const updatedEvent = this.release(event);
+            expired++;
+
+            console.log(`Claim on event ${event.id} by ${event.claimedBy.username} expired after ${this.idleMinutes} idle minutes`);
+
+            logUserActivity(null, ACTIONS.EVENT_RELEASE, 'events', event.id, {
+                reason: 'idle',
+                previousClaim: event.claimedBy
+            });
+
+            this.notify({
+                type: 'event-claim',
+                action: 'expired',
+                previousClaim: event.claimedBy,
+                event: updatedEvent
+            });
+        }
+
+        return expired;
+    }
+}
+
+module.exports = EventClaimService;
@@ -0,0 +1,140 @@
+// event-history.js
+// Builds the timeline of everything that happened to an event, for the event detail pane
+const { ACTIONS } = require('./audit-service');
+
+// Audit log actions that belong in an event's history, with the wording shown to operators
+const AUDITED_HISTORY_ACTIONS = {
+    [ACTIONS.EVENT_CLAIM]: { type: 'claim', label: 'Claimed' },
+    [ACTIONS.EVENT_RELEASE]: { type: 'claim', label: 'Released' },
+    [ACTIONS.EVENT_REASSIGN]: { type: 'claim', label: 'Reassigned' },
+    [ACTIONS.EVENT_CONTACT_UPDATE]: { type: 'contact', label: 'Keyholder call edited' },
+    [ACTIONS.EVENT_CONTACT_DELETE]: { type: 'contact', label: 'Keyholder call deleted' }
+};
+
+// Wording for the escalation steps that fired
+const ESCALATION_LABELS = {
+    're-alert': 'Operators re-alerted',
+    'notify-supervisor': 'Supervisors notified',
+    'mark-escalated': 'Marked as escalated'
+};
+
+// Wording for call results
+const CONTACT_RESULT_LABELS = {
+    'answered': 'answered',
+    'voicemail': 'voicemail',
+    'no-answer': 'no answer',
+    'attending': 'attending'
+};
+
+/**
+ * Describe who carried out an audited action
+ * @param {Object} log - Audit log entry
+ * @returns {string} Username, or "system" for automatic actions
+ */
+function describeAuditUser(log) {
+    return log.username || 'system';
+}
+
+/**
+ * Build an event's history, oldest first
+ * @param {Object} event - Event from the store
+ * @param {Array} auditLogs - Audit log entries (only the ones for this event are used)
+ * @returns {Array} Entries of { at, type, label, by, details }, plus eta for keyholder calls
+ */
+function buildEventHistory(event, auditLogs = []) {
+    const history = [];
+
+    history.push({
+        at: event.date,
+        type: 'received',
+        label: 'Alarm received',
+        by: null,
+        details: event.camera ? `Camera ${event.camera}` : null
+    });
+
+    if (event.escalation && Array.isArray(event.escalation.steps)) {
+        event.escalation.steps
+            .filter(step => step.status === 'done' && step.firedAt)
+            .forEach(step => history.push({
+                at: step.firedAt,
+                type: 'escalation',
+                label: ESCALATION_LABELS[step.action] || step.action,
+                by: 'system',
+                details: `After ${step.afterMinutes} minutes unacknowledged`
+            }));
+    }
+
+    // Claims and call log edits are only kept in the audit log
+    const eventId = String(event.id);
+    auditLogs
+        .filter(log => log.resource === 'events' && log.resourceId === eventId && log.success !== false &&
+            AUDITED_HISTORY_ACTIONS[log.action])
+        .forEach(log => {
+            let details = null;
+            if (log.action === ACTIONS.EVENT_RELEASE && log.details && log.details.reason === 'idle') {
+                details = 'Claim expired while the operator was idle';
+            }
+
+            history.push({
+                at: log.timestamp,
+                type: AUDITED_HISTORY_ACTIONS[log.action].type,
+                label: AUDITED_HISTORY_ACTIONS[log.action].label,
+                by: describeAuditUser(log),
+                details
+            });
+        });
+
+    (event.contactLog || []).forEach(entry => {
+        const parts = [CONTACT_RESULT_LABELS[entry.result] || entry.result];
+        if (entry.note) {
+            parts.push(entry.note);
+        }
+
+        // The ETA is passed on as a timestamp so the console can show it in local time
+        history.push({
+            at: entry.calledAt,
+            type: 'contact',
+            label: `Called ${entry.keyholder.name || entry.keyholder.contact}`,
+            by: entry.loggedBy ? entry.loggedBy.username : null,
+            details: parts.join(' - '),
+            eta: entry.eta
+        });
+    });
+
+    // Offline events record when the silent camera was heard from again
+    if (event.cameraOffline && event.cameraOffline.recoveredAt) {
+        history.push({
+            at: event.cameraOffline.recoveredAt,
+            type: 'camera',
+            label: 'Camera back online',
+            by: 'system',
+            details: null
+        });
+    }
+
+    if (event.acknowledged) {
+        const details = [];
+        if (event.disposition) {
+            details.push(event.disposition.label);
+        }
+        if (event.note) {
+            details.push(event.note);
+        }
+
+        history.push({
+            at: event.acknowledgedAt,
+            type: 'acknowledged',
+            label: 'Acknowledged',
+            by: event.acknowledgedBy ? event.acknowledgedBy.username : null,
+            details: details.join(' - ') || null
+        });
+    }
+
+    return history
+        .filter(entry => entry.at)
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+module.exports = {
+    buildEventHistory
+};
@@ -2,6 +2,7 @@
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const { getEventStore } = require('./event-store');
 
 // Make fs.unlink promise-based
 const unlinkAsync = util.promisify(fs.unlink);
@@ -14,13 +15,13 @@ class EventRetentionService {
      * Initialize the service
      * @param {Object} options - Configuration options
      * @param {number} options.retentionDays - Number of days to keep events (default: 7)
-     * @param {string} options.eventsFilePath - Path to events JSON file
+     * @param {EventStore} options.eventStore - Event store to clean up (default: the shared store)
      * @param {string} options.imagesBasePath - Base path to image files
      * @param {string} options.videosBasePath - Base path to video files
      */
     constructor(options = {}) {
         this.retentionDays = options.retentionDays || 7;
-        this.eventsFilePath = options.eventsFilePath || path.join(__dirname, 'events-data.json');
+        this.eventStore = options.eventStore || getEventStore();
         this.imagesBasePath = options.imagesBasePath || path.join(__dirname, 'public');
         
         // Make sure videosBasePath is correctly pointing to the parent directory of 'videos'
@@ -29,40 +30,11 @@ class EventRetentionService {
         
         // Log the paths for debugging
         console.log('EventRetentionService initialized with:');
-        console.log('- eventsFilePath:', this.eventsFilePath);
+        console.log('- eventStore:', this.eventStore.type);
         console.log('- imagesBasePath:', this.imagesBasePath);
         console.log('- videosBasePath:', this.videosBasePath);
     }
 
-    /**
-     * Read events data from file
-     * @returns {Array} Array of events
-     */
-    readEventsData() {
-        try {
-            const data = fs.readFileSync(this.eventsFilePath, 'utf8');
-            return JSON.parse(data);
-        } catch (err) {
-            console.error('Error reading events data:', err);
-            return [];
-        }
-    }
-
-    /**
-     * Write events data to file
-     * @param {Array} events - Array of events to save
-     * @returns {boolean} Success status
-     */
-    writeEventsData(events) {
-        try {
-            fs.writeFileSync(this.eventsFilePath, JSON.stringify(events, null, 2));
-            return true;
-        } catch (err) {
-            console.error('Error writing events data:', err);
-            return false;
-        }
-    }
-
     /**
      * Try to delete a file with more robust error handling
      * @param {string} filePath - Path to the file to delete
@@ -82,6 +54,19 @@ class EventRetentionService {
         }
     }
 
+    /**
+     * Get every snapshot image stored for an event
+     * @param {Object} event - Event object
+     * @returns {Array<string>} Image paths relative to the public directory
+     */
+    getEventImagePaths(event) {
+        const imagePaths = Array.isArray(event.images) ? [...event.images] : [];
+        if (event.imagePath && !imagePaths.includes(event.imagePath)) {
+            imagePaths.unshift(event.imagePath);
+        }
+        return imagePaths;
+    }
+
     /**
      * Run cleanup process to remove old events
      * @returns {Object} Cleanup statistics
@@ -97,9 +82,8 @@ class EventRetentionService {
         console.log(`Starting cleanup of events older than ${this.retentionDays} days...`);
         console.log('========================');
 
-        // Read current events
-        const events = this.readEventsData();
-        const initialCount = events.length;
+        // Count current events
+        const initialCount = this.eventStore.count();
         console.log(`Total events in database: ${initialCount}`);
 
         // Calculate cutoff date (X days ago)
@@ -107,6 +91,9 @@ class EventRetentionService {
         cutoffDate.setDate(cutoffDate.getDate() - this.retentionDays);
         console.log(`Cutoff date: ${cutoffDate.toISOString()}`);
 
+        // Only events older than the cutoff need to be looked at
+        const oldEvents = this.eventStore.find({ to: cutoffDate });
+
         // Track deletion statistics
         const stats = {
             processedEvents: initialCount,
@@ -117,27 +104,19 @@ class EventRetentionService {
             errors: []
         };
 
-        // Filter events to keep (not old or locked)
-        const eventsToKeep = [];
+        // Old events are deleted unless they are locked
         const eventsToDelete = [];
 
-        for (const event of events) {
-            const eventDate = new Date(event.date);
-            const isOld = eventDate < cutoffDate;
-
-            if (isOld && !event.locked) {
+        for (const event of oldEvents) {
+            if (!event.locked) {
                 eventsToDelete.push(event);
             } else {
-                eventsToKeep.push(event);
-
                 // Count skipped events due to being locked
-                if (isOld && event.locked) {
-                    stats.skippedLockedEvents++;
-                }
+                stats.skippedLockedEvents++;
             }
         }
 
-        console.log(`Found ${eventsToDelete.length} events to delete and ${eventsToKeep.length} events to keep`);
+        console.log(`Found ${eventsToDelete.length} events to delete and ${initialCount - eventsToDelete.length} events to keep`);
         console.log(`(${stats.skippedLockedEvents} old events are kept because they are locked)`);
         console.log('------------------------');
 
@@ -146,10 +125,11 @@ class EventRetentionService {
             try {
                 console.log(`Processing event ${event.id}: "${event.subject}"`);
 
-                // Try to delete associated image
-                if (event.imagePath) {
+                // Try to delete associated images (older events only have imagePath)
+                const imagePaths = this.getEventImagePaths(event);
+                for (const imagePath of imagePaths) {
                     try {
-                        const fullImagePath = path.join(this.imagesBasePath, event.imagePath);
+                        const fullImagePath = path.join(this.imagesBasePath, imagePath);
                         console.log(`Attempting to delete image: ${fullImagePath}`);
 
                         if (fs.existsSync(fullImagePath)) {
@@ -166,7 +146,9 @@ class EventRetentionService {
                             stats.errors.push(`Failed to delete image for event ${event.id}: ${imageErr.message}`);
                         }
                     }
-                } else {
+                }
+
+                if (imagePaths.length === 0) {
                     console.log('No image path available for this event');
                 }
 
@@ -567,15 +549,15 @@ class EventRetentionService {
             }
         }
 
-        // Save updated events list
+        // Remove the deleted events from the store
         if (stats.deletedEvents > 0) {
-            console.log(`Saving updated events list with ${eventsToKeep.length} remaining events`);
-            const saveResult = this.writeEventsData(eventsToKeep);
-            if (!saveResult) {
-                console.error('Failed to save updated events data');
+            const deleteIds = eventsToDelete.map(event => event.id);
+            const removed = this.eventStore.remove(deleteIds);
+            if (removed !== deleteIds.length) {
+                console.error(`Removed ${removed} of ${deleteIds.length} events from the event store`);
                 stats.errors.push('Failed to save updated events data');
             } else {
-                console.log('Events data saved successfully');
+                console.log(`Removed ${removed} events, ${initialCount - removed} remaining`);
             }
         } else {
             console.log('No events were deleted, no need to update events data');
@@ -600,28 +582,21 @@ class EventRetentionService {
      * @returns {Object} Result of the operation
      */
     toggleEventLock(eventId, locked) {
-        // Read current events
-        const events = this.readEventsData();
-
         // Find the event
-        const eventIndex = events.findIndex(e => e.id === eventId);
-        if (eventIndex === -1) {
+        if (!this.eventStore.getById(eventId)) {
             return { success: false, error: 'Event not found' };
         }
 
         // Update locked status
-        events[eventIndex].locked = locked;
-
-        // Save updated events
-        const saveResult = this.writeEventsData(events);
-        if (!saveResult) {
+        const event = this.eventStore.update(eventId, { locked });
+        if (!event) {
             return { success: false, error: 'Failed to save events data' };
         }
 
         return {
             success: true,
             message: locked ? 'Event locked successfully' : 'Event unlocked successfully',
-            event: events[eventIndex]
+            event
         };
     }
 
@@ -632,28 +607,21 @@ class EventRetentionService {
      * @returns {Object} Result of the operation
      */
     storeVideoPath(eventId, videoPath) {
-        // Read current events
-        const events = this.readEventsData();
-
         // Find the event
-        const eventIndex = events.findIndex(e => e.id === eventId);
-        if (eventIndex === -1) {
+        if (!this.eventStore.getById(eventId)) {
             return { success: false, error: 'Event not found' };
         }
 
         // Update video path
-        events[eventIndex].videoPath = videoPath;
-
-        // Save updated events
-        const saveResult = this.writeEventsData(events);
-        if (!saveResult) {
+        const event = this.eventStore.update(eventId, { videoPath });
+        if (!event) {
             return { success: false, error: 'Failed to save events data' };
         }
 
         return {
             success: true,
             message: 'Video path stored successfully',
-            event: events[eventIndex]
+            event
         };
     }
 }
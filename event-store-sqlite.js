@@ -0,0 +1,396 @@
+// event-store-sqlite.js
+// SQLite-backed event store with indexed queries by date, camera, site and acknowledged state
+const Database = require('better-sqlite3');
+const { EventStore, encodeCursor, decodeCursor, DEFAULT_PAGE_SIZE, DEFAULT_DB_PATH } = require('./event-store');
+
+/**
+ * Event store backed by a SQLite database.
+ * The full event is kept as JSON in the `data` column; the fields used for
+ * filtering are copied into their own indexed columns.
+ */
+class SqliteEventStore extends EventStore {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.dbPath - Path to the SQLite database file
+     */
+    constructor(options = {}) {
+        super();
+        this.type = 'sqlite';
+        this.dbPath = options.dbPath || DEFAULT_DB_PATH;
+        this.db = new Database(this.dbPath);
+
+        // WAL lets readers carry on while an alarm is being written
+        this.db.pragma('journal_mode = WAL');
+
+        this.createSchema();
+        this.prepareStatements();
+
+        console.log(`SQLite event store opened at ${this.dbPath}`);
+    }
+
+    /**
+     * Create the events table and its indexes if they do not exist
+     */
+    createSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS events (
+                id INTEGER PRIMARY KEY,
+                message_id TEXT,
+                date TEXT NOT NULL,
+                camera TEXT,
+                site_id INTEGER,
+                acknowledged INTEGER NOT NULL DEFAULT 0,
+                locked INTEGER NOT NULL DEFAULT 0,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_events_date ON events (date);
+            CREATE INDEX IF NOT EXISTS idx_events_camera ON events (camera, date);
+            CREATE INDEX IF NOT EXISTS idx_events_site ON events (site_id, date);
+            CREATE INDEX IF NOT EXISTS idx_events_acknowledged ON events (acknowledged, date);
+            CREATE INDEX IF NOT EXISTS idx_events_message_id ON events (message_id);
+        `);
+    }
+
+    /**
+     * Prepare the statements that do not depend on a filter
+     */
+    prepareStatements() {
+        this.statements = {
+            getById: this.db.prepare('SELECT data FROM events WHERE id = ?'),
+            getByMessageId: this.db.prepare('SELECT data FROM events WHERE message_id = ? LIMIT 1'),
+            insert: this.db.prepare(`
+                INSERT INTO events (id, message_id, date, camera, site_id, acknowledged, locked, data)
+                VALUES (@id, @messageId, @date, @camera, @siteId, @acknowledged, @locked, @data)
+            `),
+            update: this.db.prepare(`
+                UPDATE events
+                SET message_id = @messageId, date = @date, camera = @camera, site_id = @siteId,
+                    acknowledged = @acknowledged, locked = @locked, data = @data
+                WHERE id = @id
+            `),
+            remove: this.db.prepare('DELETE FROM events WHERE id = ?')
+        };
+    }
+
+    /**
+     * Convert an event into the named parameters used by the insert/update statements
+     * @param {Object} event - Event object
+     * @returns {Object} Statement parameters
+     */
+    toRow(event) {
+        return {
+            id: event.id,
+            messageId: event.messageId || null,
+            date: new Date(event.date).toISOString(),
+            camera: event.camera || null,
+            siteId: event.siteId !== undefined && event.siteId !== null ? event.siteId : null,
+            acknowledged: event.acknowledged ? 1 : 0,
+            locked: event.locked ? 1 : 0,
+            data: JSON.stringify(event)
+        };
+    }
+
+    /**
+     * Build a WHERE clause for a query filter
+     * @param {Object} filter - See matchesFilter() in event-store.js
+     * @returns {{where: string, params: Array}} SQL fragment and its parameters
+     */
+    buildWhere(filter = {}) {
+        const clauses = [];
+        const params = [];
+
+        if (filter.from !== undefined) {
+            clauses.push('date >= ?');
+            params.push(new Date(filter.from).toISOString());
+        }
+
+        if (filter.to !== undefined) {
+            clauses.push('date <= ?');
+            params.push(new Date(filter.to).toISOString());
+        }
+
+        if (filter.camera !== undefined) {
+            clauses.push('camera = ?');
+            params.push(filter.camera);
+        }
+
+        if (filter.siteId !== undefined) {
+            if (filter.siteId === null) {
+                clauses.push('site_id IS NULL');
+            } else {
+                clauses.push('site_id = ?');
+                params.push(filter.siteId);
+            }
+        }
+
+        if (filter.siteIds !== undefined) {
+            if (filter.siteIds.length === 0) {
+                clauses.push('0');
+            } else {
+                clauses.push(`site_id IN (${filter.siteIds.map(() => '?').join(', ')})`);
+                params.push(...filter.siteIds);
+            }
+        }
+
+        if (filter.acknowledged !== undefined) {
+            clauses.push('acknowledged = ?');
+            params.push(filter.acknowledged ? 1 : 0);
+        }
+
+        if (filter.locked !== undefined) {
+            clauses.push('locked = ?');
+            params.push(filter.locked ? 1 : 0);
+        }
+
+        // The remaining fields only live in the JSON document
+        if (filter.lateResponse !== undefined) {
+            clauses.push("COALESCE(json_extract(data, '$.isLateResponse'), 0) = ?");
+            params.push(filter.lateResponse ? 1 : 0);
+        }
+
+        if (filter.lowPriority !== undefined) {
+            clauses.push("COALESCE(json_extract(data, '$.lowPriority'), 0) = ?");
+            params.push(filter.lowPriority ? 1 : 0);
+        }
+
+        if (filter.incidentId !== undefined) {
+            if (filter.incidentId === null) {
+                clauses.push("json_extract(data, '$.incidentId') IS NULL");
+            } else {
+                clauses.push("json_extract(data, '$.incidentId') = ?");
+                params.push(filter.incidentId);
+            }
+        }
+
+        if (filter.incident !== undefined) {
+            clauses.push(filter.incident
+                ? "json_extract(data, '$.incident') IS NOT NULL"
+                : "json_extract(data, '$.incident') IS NULL");
+        }
+
+        if (filter.tag !== undefined) {
+            clauses.push("EXISTS (SELECT 1 FROM json_each(events.data, '$.tags') WHERE json_each.value = ?)");
+            params.push(filter.tag);
+        }
+
+        if (filter.eventType !== undefined) {
+            clauses.push("json_extract(data, '$.eventType') = ?");
+            params.push(filter.eventType);
+        }
+
+        if (filter.acknowledgedBy !== undefined) {
+            clauses.push("(CAST(json_extract(data, '$.acknowledgedBy.userId') AS TEXT) = ? " +
+                "OR json_extract(data, '$.acknowledgedBy.username') = ?)");
+            params.push(String(filter.acknowledgedBy), String(filter.acknowledgedBy));
+        }
+
+        // Acknowledgement times are stored as ISO strings, which sort in time order
+        if (filter.acknowledgedFrom !== undefined) {
+            clauses.push("json_extract(data, '$.acknowledgedAt') >= ?");
+            params.push(new Date(filter.acknowledgedFrom).toISOString());
+        }
+
+        if (filter.acknowledgedTo !== undefined) {
+            clauses.push("json_extract(data, '$.acknowledgedAt') <= ?");
+            params.push(new Date(filter.acknowledgedTo).toISOString());
+        }
+
+        if (filter.search !== undefined) {
+            clauses.push("(instr(lower(COALESCE(json_extract(data, '$.subject'), '')), ?) > 0 " +
+                "OR instr(lower(COALESCE(json_extract(data, '$.note'), '')), ?) > 0)");
+            const search = String(filter.search).toLowerCase();
+            params.push(search, search);
+        }
+
+        if (filter.image !== undefined) {
+            clauses.push("(json_extract(data, '$.imagePath') = ? " +
+                "OR EXISTS (SELECT 1 FROM json_each(events.data, '$.images') WHERE json_each.value = ?))");
+            params.push(filter.image, filter.image);
+        }
+
+        return {
+            where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    find(filter = {}) {
+        try {
+            const { where, params } = this.buildWhere(filter);
+            const rows = this.db.prepare(`SELECT data FROM events ${where} ORDER BY date, id`).all(...params);
+            return rows.map(row => JSON.parse(row.data));
+        } catch (err) {
+            console.error('Error querying events:', err);
+            return [];
+        }
+    }
+
+    query(filter = {}, options = {}) {
+        if (options.sort === 'priority') {
+            return this.queryByPriority(filter, options);
+        }
+
+        const descending = options.sort !== 'asc';
+        const limit = options.limit || DEFAULT_PAGE_SIZE;
+        const after = options.cursor ? decodeCursor(options.cursor) : null;
+
+        const { where, params } = this.buildWhere(filter);
+        let sql = where;
+
+        if (after) {
+            const comparison = descending ? '<' : '>';
+            const keyset = `(date ${comparison} ? OR (date = ? AND id ${comparison} ?))`;
+            sql = sql ? `${sql} AND ${keyset}` : `WHERE ${keyset}`;
+            params.push(after.date, after.date, after.id);
+        }
+
+        const direction = descending ? 'DESC' : 'ASC';
+
+        // Fetch one extra row to find out whether there is another page
+        const rows = this.db.prepare(
+            `SELECT data FROM events ${sql} ORDER BY date ${direction}, id ${direction} LIMIT ?`
+        ).all(...params, limit + 1);
+
+        const events = rows.slice(0, limit).map(row => JSON.parse(row.data));
+        return {
+            events,
+            nextCursor: rows.length > limit ? encodeCursor(events[events.length - 1]) : null
+        };
+    }
+
+    /**
+     * Get one page of events in the operator queue ordering: unacknowledged events first,
+     * most urgent then oldest first, followed by acknowledged events newest first
+     * @param {Object} filter - See matchesFilter() in event-store.js
+     * @param {Object} options - { limit, cursor } as for query()
+     * @returns {{events: Array, nextCursor: string|null}} The page and the cursor for the next one
+     */
+    queryByPriority(filter = {}, options = {}) {
+        const limit = options.limit || DEFAULT_PAGE_SIZE;
+        const after = options.cursor ? decodeCursor(options.cursor) : null;
+        const rank = "(CASE WHEN acknowledged = 0 THEN COALESCE(json_extract(data, '$.priority.rank'), 0) ELSE 0 END)";
+
+        const { where, params } = this.buildWhere(filter);
+        let sql = where;
+
+        if (after) {
+            const keyset = after.acknowledged
+                ? '(acknowledged = 1 AND (date < ? OR (date = ? AND id < ?)))'
+                : `(acknowledged = 1 OR (acknowledged = 0 AND (${rank} < ? OR (${rank} = ? AND (date > ? OR (date = ? AND id > ?))))))`;
+            sql = sql ? `${sql} AND ${keyset}` : `WHERE ${keyset}`;
+            if (after.acknowledged) {
+                params.push(after.date, after.date, after.id);
+            } else {
+                params.push(after.rank, after.rank, after.date, after.date, after.id);
+            }
+        }
+
+        // Fetch one extra row to find out whether there is another page
+        const rows = this.db.prepare(`
+            SELECT data FROM events ${sql}
+            ORDER BY acknowledged ASC, ${rank} DESC,
+                CASE WHEN acknowledged = 0 THEN date END ASC, CASE WHEN acknowledged = 1 THEN date END DESC,
+                CASE WHEN acknowledged = 0 THEN id END ASC, CASE WHEN acknowledged = 1 THEN id END DESC
+            LIMIT ?
+        `).all(...params, limit + 1);
+
+        const events = rows.slice(0, limit).map(row => JSON.parse(row.data));
+        return {
+            events,
+            nextCursor: rows.length > limit ? encodeCursor(events[events.length - 1]) : null
+        };
+    }
+
+    count(filter = {}) {
+        try {
+            const { where, params } = this.buildWhere(filter);
+            return this.db.prepare(`SELECT COUNT(*) AS total FROM events ${where}`).get(...params).total;
+        } catch (err) {
+            console.error('Error counting events:', err);
+            return 0;
+        }
+    }
+
+    getById(id) {
+        const row = this.statements.getById.get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    getByMessageId(messageId) {
+        const row = this.statements.getByMessageId.get(messageId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    insert(event) {
+        try {
+            const newEvent = { ...event };
+
+            if (!newEvent.id || this.statements.getById.get(newEvent.id)) {
+                newEvent.id = this.nextId();
+            }
+
+            this.statements.insert.run(this.toRow(newEvent));
+            return newEvent;
+        } catch (err) {
+            console.error('Error inserting event:', err);
+            return null;
+        }
+    }
+
+    update(id, changes) {
+        try {
+            // Read and write inside one transaction so concurrent updates cannot interleave
+            return this.db.transaction(() => {
+                const existing = this.getById(id);
+                if (!existing) {
+                    return null;
+                }
+
+                const updated = { ...existing, ...changes, id };
+                this.statements.update.run(this.toRow(updated));
+                return updated;
+            })();
+        } catch (err) {
+            console.error('Error updating event:', err);
+            return null;
+        }
+    }
+
+    remove(ids) {
+        try {
+            return this.db.transaction(() => {
+                let removed = 0;
+                for (const id of ids) {
+                    removed += this.statements.remove.run(id).changes;
+                }
+                return removed;
+            })();
+        } catch (err) {
+            console.error('Error deleting events:', err);
+            return 0;
+        }
+    }
+
+    /**
+     * Insert many events in a single transaction
+     * @param {Array} events - Events to insert
+     * @returns {number} Number of events inserted
+     */
+    insertMany(events) {
+        return this.db.transaction(() => {
+            let inserted = 0;
+            for (const event of events) {
+                if (this.insert(event)) {
+                    inserted++;
+                }
+            }
+            return inserted;
+        })();
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteEventStore;
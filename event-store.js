@@ -0,0 +1,515 @@
+// event-store.js
+// Event repository used by every module that reads or writes alarm events
+const fs = require('fs');
+const path = require('path');
+
+// Default locations for the two storage back-ends
+const DEFAULT_JSON_PATH = path.join(__dirname, 'events-data.json');
+const DEFAULT_DB_PATH = path.join(__dirname, 'events.db');
+
+// Page size used by query() when the caller does not ask for one
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Check whether an event matches a query filter.
+ * Shared by the stores so that both back-ends agree on what a filter means.
+ * @param {Object} event - The event to test
+ * @param {Object} filter - Query filter
+ * @param {string|Date} [filter.from] - Only events on or after this date
+ * @param {string|Date} [filter.to] - Only events on or before this date
+ * @param {string} [filter.camera] - Exact camera name
+ * @param {number|null} [filter.siteId] - Site ID the event was matched to (null for unmatched)
+ * @param {Array<number>} [filter.siteIds] - Only events matched to one of these sites (leaves out unmatched events)
+ * @param {boolean} [filter.acknowledged] - Acknowledged state
+ * @param {boolean} [filter.locked] - Locked state
+ * @param {boolean} [filter.lateResponse] - Late response state
+ * @param {boolean} [filter.lowPriority] - Held in the low-priority queue (alarms from a disarmed site)
+ * @param {number|null} [filter.incidentId] - Incident the event was grouped into (null for events that are not part of another)
+ * @param {boolean} [filter.incident] - Whether the event is the parent of an incident (other alarms were grouped into it)
+ * @param {string} [filter.tag] - Tag the event must carry
+ * @param {string} [filter.eventType] - Exact event type
+ * @param {string|number} [filter.acknowledgedBy] - User ID or username of the acknowledging user
+ * @param {string|Date} [filter.acknowledgedFrom] - Only events acknowledged on or after this time
+ * @param {string|Date} [filter.acknowledgedTo] - Only events acknowledged on or before this time
+ * @param {string} [filter.search] - Case-insensitive text to look for in the subject or note
+ * @param {string} [filter.image] - Path of a snapshot the event carries, e.g. /images/1714000000000_snapshot.jpg
+ * @returns {boolean} True if the event matches every supplied condition
+ */
+function matchesFilter(event, filter = {}) {
+    const eventTime = new Date(event.date).getTime();
+
+    if (filter.from !== undefined && eventTime < new Date(filter.from).getTime()) {
+        return false;
+    }
+
+    if (filter.to !== undefined && eventTime > new Date(filter.to).getTime()) {
+        return false;
+    }
+
+    if (filter.camera !== undefined && event.camera !== filter.camera) {
+        return false;
+    }
+
+    if (filter.siteId !== undefined && (event.siteId ?? null) !== filter.siteId) {
+        return false;
+    }
+
+    if (filter.siteIds !== undefined && !filter.siteIds.includes(event.siteId ?? null)) {
+        return false;
+    }
+
+    if (filter.acknowledged !== undefined && !!event.acknowledged !== filter.acknowledged) {
+        return false;
+    }
+
+    if (filter.locked !== undefined && !!event.locked !== filter.locked) {
+        return false;
+    }
+
+    if (filter.lateResponse !== undefined && !!event.isLateResponse !== filter.lateResponse) {
+        return false;
+    }
+
+    if (filter.lowPriority !== undefined && !!event.lowPriority !== filter.lowPriority) {
+        return false;
+    }
+
+    if (filter.incidentId !== undefined && (event.incidentId ?? null) !== filter.incidentId) {
+        return false;
+    }
+
+    if (filter.incident !== undefined && !!event.incident !== filter.incident) {
+        return false;
+    }
+
+    if (filter.tag !== undefined && !(Array.isArray(event.tags) && event.tags.includes(filter.tag))) {
+        return false;
+    }
+
+    if (filter.eventType !== undefined && event.eventType !== filter.eventType) {
+        return false;
+    }
+
+    if (filter.acknowledgedBy !== undefined) {
+        const by = event.acknowledgedBy || {};
+        const wanted = String(filter.acknowledgedBy);
+        if (String(by.userId) !== wanted && by.username !== wanted) {
+            return false;
+        }
+    }
+
+    if (filter.acknowledgedFrom !== undefined &&
+        !(event.acknowledgedAt && new Date(event.acknowledgedAt).getTime() >= new Date(filter.acknowledgedFrom).getTime())) {
+        return false;
+    }
+
+    if (filter.acknowledgedTo !== undefined &&
+        !(event.acknowledgedAt && new Date(event.acknowledgedAt).getTime() <= new Date(filter.acknowledgedTo).getTime())) {
+        return false;
+    }
+
+    if (filter.search !== undefined) {
+        const search = String(filter.search).toLowerCase();
+        const inSubject = String(event.subject || '').toLowerCase().includes(search);
+        const inNote = String(event.note || '').toLowerCase().includes(search);
+        if (!inSubject && !inNote) {
+            return false;
+        }
+    }
+
+    if (filter.image !== undefined && event.imagePath !== filter.image &&
+        !(Array.isArray(event.images) && event.images.includes(filter.image))) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Get the rank an event is queued by in the priority ordering.
+ * Acknowledged events and events from before priorities were computed have no rank.
+ * @param {Object} event - The event
+ * @returns {number} Rank from the event's priority, or 0
+ */
+function getQueueRank(event) {
+    return !event.acknowledged && event.priority && event.priority.rank ? event.priority.rank : 0;
+}
+
+/**
+ * Encode the position of an event as an opaque page cursor.
+ * The cursor holds enough to continue either the (date, id) ordering or the priority ordering.
+ * @param {Object} event - Last event of a page
+ * @returns {string} Cursor string
+ */
+function encodeCursor(event) {
+    const position = {
+        date: new Date(event.date).toISOString(),
+        id: event.id,
+        acknowledged: !!event.acknowledged,
+        rank: getQueueRank(event)
+    };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a page cursor created by encodeCursor()
+ * @param {string} cursor - Cursor string
+ * @returns {{date: string, id: number, acknowledged: boolean, rank: number}} Position of the last event of the previous page
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!position || typeof position.id !== 'number' || isNaN(new Date(position.date).getTime())) {
+        throw new Error('Invalid cursor');
+    }
+
+    return {
+        date: new Date(position.date).toISOString(),
+        id: position.id,
+        acknowledged: !!position.acknowledged,
+        rank: Number(position.rank) || 0
+    };
+}
+
+/**
+ * Compare two events by date, then ID
+ * @param {Object} a - First event
+ * @param {Object} b - Second event
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+function compareEvents(a, b) {
+    const timeDifference = new Date(a.date).getTime() - new Date(b.date).getTime();
+    return timeDifference !== 0 ? timeDifference : a.id - b.id;
+}
+
+/**
+ * Compare two events (or cursor positions) in the operator queue ordering:
+ * unacknowledged events first, most urgent then oldest first, followed by acknowledged events newest first
+ * @param {Object} a - First event, or a position from decodeCursor()
+ * @param {Object} b - Second event, or a position from decodeCursor()
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+function compareQueuePositions(a, b) {
+    const acknowledgedA = !!a.acknowledged;
+    const acknowledgedB = !!b.acknowledged;
+    if (acknowledgedA !== acknowledgedB) {
+        return acknowledgedA ? 1 : -1;
+    }
+
+    const rankA = a.rank !== undefined ? a.rank : getQueueRank(a);
+    const rankB = b.rank !== undefined ? b.rank : getQueueRank(b);
+    if (rankA !== rankB) {
+        return rankB - rankA;
+    }
+
+    return acknowledgedA ? compareEvents(b, a) : compareEvents(a, b);
+}
+
+/**
+ * Event repository interface.
+ * All methods are synchronous so they can be used from the existing route handlers
+ * without changing their control flow. Each mutating call is applied in one step,
+ * so two alarms arriving together can no longer overwrite each other.
+ */
+class EventStore {
+    constructor() {
+        this.lastId = 0;
+    }
+
+    /**
+     * Generate a unique event ID based on the current time
+     * @returns {number} New event ID
+     */
+    nextId() {
+        this.lastId = Math.max(Date.now(), this.lastId + 1);
+        return this.lastId;
+    }
+
+    /**
+     * Get every stored event, oldest first
+     * @returns {Array} Array of events
+     */
+    all() {
+        return this.find({});
+    }
+
+    /**
+     * Find events matching a filter, oldest first
+     * @param {Object} filter - See matchesFilter()
+     * @returns {Array} Matching events
+     */
+    find(filter) {
+        throw new Error('find() is not implemented by this event store');
+    }
+
+    /**
+     * Count events matching a filter
+     * @param {Object} filter - See matchesFilter()
+     * @returns {number} Number of matching events
+     */
+    count(filter = {}) {
+        return this.find(filter).length;
+    }
+
+    /**
+     * Get one page of events matching a filter.
+     * Pages are keyed on (date, id) so alarms arriving between requests do not shift later pages.
+     * @param {Object} filter - See matchesFilter()
+     * @param {Object} options - Paging options
+     * @param {string} [options.sort='desc'] - 'desc' for newest first, 'asc' for oldest first,
+     *   'priority' for the operator queue ordering (see compareQueuePositions())
+     * @param {number} [options.limit=50] - Maximum number of events to return
+     * @param {string} [options.cursor] - Cursor returned with the previous page
+     * @returns {{events: Array, nextCursor: string|null}} The page and the cursor for the next one
+     */
+    query(filter = {}, options = {}) {
+        const limit = options.limit || DEFAULT_PAGE_SIZE;
+        const after = options.cursor ? decodeCursor(options.cursor) : null;
+
+        // Ascending in the chosen ordering
+        let compare = compareEvents;
+        if (options.sort === 'priority') {
+            compare = compareQueuePositions;
+        } else if (options.sort !== 'asc') {
+            compare = (a, b) => compareEvents(b, a);
+        }
+
+        let events = this.find(filter).sort(compare);
+        if (after) {
+            events = events.filter(event => compare(event, after) > 0);
+        }
+
+        const page = events.slice(0, limit);
+        return {
+            events: page,
+            nextCursor: events.length > limit ? encodeCursor(page[page.length - 1]) : null
+        };
+    }
+
+    /**
+     * Get a single event by ID
+     * @param {number} id - Event ID
+     * @returns {Object|null} The event or null if not found
+     */
+    getById(id) {
+        throw new Error('getById() is not implemented by this event store');
+    }
+
+    /**
+     * Get a single event by the message ID of the email it was created from
+     * @param {string} messageId - Email message ID
+     * @returns {Object|null} The event or null if not found
+     */
+    getByMessageId(messageId) {
+        throw new Error('getByMessageId() is not implemented by this event store');
+    }
+
+    /**
+     * Add a new event. An ID is assigned if the event does not have one.
+     * @param {Object} event - Event to add
+     * @returns {Object|null} The stored event or null on failure
+     */
+    insert(event) {
+        throw new Error('insert() is not implemented by this event store');
+    }
+
+    /**
+     * Add several events, e.g. when importing an existing events file
+     * @param {Array} events - Events to add
+     * @returns {number} Number of events added
+     */
+    insertMany(events) {
+        let inserted = 0;
+        for (const event of events) {
+            if (this.insert(event)) {
+                inserted++;
+            }
+        }
+        return inserted;
+    }
+
+    /**
+     * Apply changes to an existing event
+     * @param {number} id - Event ID
+     * @param {Object} changes - Properties to set on the event
+     * @returns {Object|null} The updated event or null if not found
+     */
+    update(id, changes) {
+        throw new Error('update() is not implemented by this event store');
+    }
+
+    /**
+     * Delete events by ID
+     * @param {Array<number>} ids - IDs of the events to delete
+     * @returns {number} Number of events deleted
+     */
+    remove(ids) {
+        throw new Error('remove() is not implemented by this event store');
+    }
+
+    /**
+     * Release any resources held by the store
+     */
+    close() { }
+}
+
+/**
+ * Event store backed by the original events-data.json file.
+ * Kept for small installations and for reading files that have not been imported yet.
+ */
+class JsonEventStore extends EventStore {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.filePath - Path to the events JSON file
+     */
+    constructor(options = {}) {
+        super();
+        this.type = 'json';
+        this.filePath = options.filePath || DEFAULT_JSON_PATH;
+    }
+
+    /**
+     * Read events data from file
+     * @returns {Array} Array of events
+     */
+    readEventsData() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                return [];
+            }
+            const data = fs.readFileSync(this.filePath, 'utf8');
+            return JSON.parse(data);
+        } catch (err) {
+            console.error('Error reading events data:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Write events data to file.
+     * Writes to a temporary file first so a crash never leaves a truncated file behind.
+     * @param {Array} events - Array of events to save
+     * @returns {boolean} Success status
+     */
+    writeEventsData(events) {
+        try {
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(events, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+            return true;
+        } catch (err) {
+            console.error('Error writing events data:', err);
+            return false;
+        }
+    }
+
+    find(filter = {}) {
+        return this.readEventsData().filter(event => matchesFilter(event, filter));
+    }
+
+    getById(id) {
+        return this.readEventsData().find(event => event.id === id) || null;
+    }
+
+    getByMessageId(messageId) {
+        return this.readEventsData().find(event => event.messageId === messageId) || null;
+    }
+
+    insert(event) {
+        const events = this.readEventsData();
+        const newEvent = { ...event };
+
+        if (!newEvent.id || events.some(e => e.id === newEvent.id)) {
+            newEvent.id = this.nextId();
+        }
+
+        events.push(newEvent);
+        return this.writeEventsData(events) ? newEvent : null;
+    }
+
+    update(id, changes) {
+        const events = this.readEventsData();
+        const eventIndex = events.findIndex(event => event.id === id);
+        if (eventIndex === -1) {
+            return null;
+        }
+
+        events[eventIndex] = { ...events[eventIndex], ...changes, id };
+        return this.writeEventsData(events) ? events[eventIndex] : null;
+    }
+
+    remove(ids) {
+        const idSet = new Set(ids);
+        const events = this.readEventsData();
+        const remaining = events.filter(event => !idSet.has(event.id));
+        const removed = events.length - remaining.length;
+
+        if (removed > 0 && !this.writeEventsData(remaining)) {
+            return 0;
+        }
+        return removed;
+    }
+}
+
+/**
+ * Create an event store
+ * @param {Object} options - Store options
+ * @param {string} options.type - 'sqlite' or 'json'
+ * @param {string} options.filePath - Path to the events JSON file (json store)
+ * @param {string} options.dbPath - Path to the SQLite database (sqlite store)
+ * @returns {EventStore} The event store
+ */
+function createEventStore(options = {}) {
+    const type = options.type || 'sqlite';
+
+    if (type === 'json') {
+        return new JsonEventStore({ filePath: options.filePath });
+    }
+
+    if (type === 'sqlite') {
+        // Required lazily so JSON-only installations do not need the native module
+        const SqliteEventStore = require('./event-store-sqlite');
+        return new SqliteEventStore({ dbPath: options.dbPath });
+    }
+
+    throw new Error(`Unknown event store type: ${type}`);
+}
+
+// Shared store instance used by the application
+let eventStore = null;
+
+/**
+ * Get the application's event store, creating it on first use.
+ * The back-end is chosen with the EVENT_STORE environment variable ('sqlite' or 'json').
+ * @returns {EventStore} The shared event store
+ */
+function getEventStore() {
+    if (!eventStore) {
+        eventStore = createEventStore({
+            type: process.env.EVENT_STORE || 'sqlite',
+            filePath: process.env.EVENTS_FILE_PATH || DEFAULT_JSON_PATH,
+            dbPath: process.env.EVENTS_DB_PATH || DEFAULT_DB_PATH
+        });
+    }
+    return eventStore;
+}
+
+module.exports = {
+    EventStore,
+    JsonEventStore,
+    createEventStore,
+    getEventStore,
+    matchesFilter,
+    encodeCursor,
+    decodeCursor,
+    compareQueuePositions,
+    DEFAULT_PAGE_SIZE,
+    DEFAULT_JSON_PATH,
+    DEFAULT_DB_PATH
+};
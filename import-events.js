@@ -0,0 +1,87 @@
+// import-events.js
+// One-shot importer that copies an existing events-data.json file into the configured event store
+// Usage: node import-events.js [path/to/events-data.json]
+
+const fs = require('fs');
+const path = require('path');
+const { getEventStore, DEFAULT_JSON_PATH } = require('./event-store');
+
+/**
+ * Import events from a JSON file into an event store.
+ * Events that are already in the store (same ID) are skipped, so the import can be run again safely.
+ * @param {EventStore} store - Store to import into
+ * @param {string} filePath - Path to the events JSON file
+ * @returns {Object} Import statistics
+ */
+function importEvents(store, filePath = DEFAULT_JSON_PATH) {
+    const stats = {
+        total: 0,
+        imported: 0,
+        skipped: 0,
+        invalid: 0
+    };
+
+    if (!fs.existsSync(filePath)) {
+        console.log(`No events file found at ${filePath}, nothing to import`);
+        return stats;
+    }
+
+    let events;
+    try {
+        events = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        console.error(`Error reading events file ${filePath}:`, err);
+        throw err;
+    }
+
+    if (!Array.isArray(events)) {
+        throw new Error(`Events file ${filePath} does not contain an array`);
+    }
+
+    stats.total = events.length;
+
+    const toImport = [];
+    for (const event of events) {
+        // An event without an ID or a valid date cannot be indexed
+        if (!event || !event.id || isNaN(new Date(event.date).getTime())) {
+            stats.invalid++;
+            continue;
+        }
+
+        if (store.getById(event.id)) {
+            stats.skipped++;
+            continue;
+        }
+
+        toImport.push({
+            ...event,
+            acknowledged: event.acknowledged || false,
+            locked: event.locked || false
+        });
+    }
+
+    stats.imported = store.insertMany(toImport);
+
+    console.log(`Imported ${stats.imported} of ${stats.total} events from ${filePath} ` +
+        `(${stats.skipped} already present, ${stats.invalid} invalid)`);
+
+    return stats;
+}
+
+// Run directly from the command line
+if (require.main === module) {
+    const filePath = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_JSON_PATH;
+
+    try {
+        const store = getEventStore();
+        importEvents(store, filePath);
+        store.close();
+    } catch (error) {
+        console.error('Event import failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    importEvents
+};
@@ -0,0 +1,179 @@
+// keyholders.js
+// Site keyholders: who to call for a site, in what order, and when they can be reached
+const { validateTimeWindow, isWithinWindows } = require('./time-windows');
+
+// Kinds of contact a site can have
+const KEYHOLDER_ROLES = ['keyholder', 'site-manager', 'police-urn'];
+
+const PHONE_PATTERN = /^\+?[0-9 ()-]{3,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Convert a keyholder saved before keyholders had roles and call orders ({ name, contact })
+ * @param {Object} keyholder - Stored keyholder
+ * @param {number} index - Position in the site's list, used for the ID and call order
+ * @returns {Object} Keyholder in the current format
+ */
+function upgradeKeyholder(keyholder, index) {
+    if (Array.isArray(keyholder.phones)) {
+        return keyholder;
+    }
+
+    return {
+        id: index + 1,
+        name: keyholder.name || '',
+        role: 'keyholder',
+        priority: index + 1,
+        phones: keyholder.contact ? [{ label: '', number: keyholder.contact }] : [],
+        emails: [],
+        reference: null,
+        availability: []
+    };
+}
+
+/**
+ * Bring a site's stored keyholders up to the current format, dropping the empty slots older sites were created with
+ * @param {Array} keyholders - Keyholders from sites-data.json
+ * @returns {Array} Keyholders in call order
+ */
+function normalizeKeyholders(keyholders) {
+    if (!Array.isArray(keyholders)) {
+        return [];
+    }
+
+    return keyholders
+        .filter(keyholder => keyholder && (Array.isArray(keyholder.phones) || keyholder.name || keyholder.contact))
+        .map(upgradeKeyholder)
+        .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Check the keyholders sent with a site and return a cleaned copy in call order
+ * @param {Array} keyholders - Keyholders from the request body
+ * @returns {{keyholders: Array}|{error: string}} Normalised keyholders or a validation error
+ */
+function validateKeyholders(keyholders) {
+    if (!Array.isArray(keyholders)) {
+        return { error: 'Keyholders must be a list' };
+    }
+
+    const cleaned = [];
+    const usedIds = new Set();
+
+    for (const [index, keyholder] of keyholders.entries()) {
+        if (!keyholder || typeof keyholder !== 'object') {
+            return { error: 'Invalid keyholder format' };
+        }
+
+        const name = typeof keyholder.name === 'string' ? keyholder.name.trim() : '';
+        if (!name) {
+            return { error: `Keyholder ${index + 1} needs a name` };
+        }
+
+        const role = keyholder.role || 'keyholder';
+        if (!KEYHOLDER_ROLES.includes(role)) {
+            return { error: `Role for ${name} must be one of: ${KEYHOLDER_ROLES.join(', ')}` };
+        }
+
+        const priority = keyholder.priority === undefined || keyholder.priority === null || keyholder.priority === ''
+            ? index + 1
+            : Number(keyholder.priority);
+        if (!Number.isInteger(priority) || priority < 1) {
+            return { error: `Call order for ${name} must be a whole number from 1` };
+        }
+
+        const phones = [];
+        for (const phone of Array.isArray(keyholder.phones) ? keyholder.phones : []) {
+            const number = phone && typeof phone.number === 'string' ? phone.number.trim() : '';
+            if (!PHONE_PATTERN.test(number)) {
+                return { error: `"${number}" is not a valid phone number for ${name}` };
+            }
+            phones.push({ label: phone.label ? String(phone.label).trim() : '', number });
+        }
+
+        const emails = [];
+        for (const email of Array.isArray(keyholder.emails) ? keyholder.emails : []) {
+            const address = typeof email === 'string' ? email.trim() : '';
+            if (!EMAIL_PATTERN.test(address)) {
+                return { error: `"${address}" is not a valid email address for ${name}` };
+            }
+            emails.push(address);
+        }
+
+        if (phones.length === 0 && emails.length === 0) {
+            return { error: `Please give at least one phone number or email address for ${name}` };
+        }
+
+        // A police entry is only useful with the unique reference number the police gave the site
+        const reference = typeof keyholder.reference === 'string' ? keyholder.reference.trim() : '';
+        if (role === 'police-urn' && !reference) {
+            return { error: `Please enter the police URN for ${name}` };
+        }
+
+        const availability = [];
+        for (const window of Array.isArray(keyholder.availability) ? keyholder.availability : []) {
+            const result = validateTimeWindow(window, `availability window for ${name}`);
+            if (result.error) {
+                return { error: result.error };
+            }
+            availability.push(result.window);
+        }
+
+        // IDs stay the same when the list is reordered, so call logs keep pointing at the right person
+        let id = Number(keyholder.id);
+        if (!Number.isInteger(id) || id < 1 || usedIds.has(id)) {
+            id = null;
+        } else {
+            usedIds.add(id);
+        }
+
+        cleaned.push({ id, name, role, priority, phones, emails, reference: reference || null, availability });
+    }
+
+    let nextId = usedIds.size > 0 ? Math.max(...usedIds) + 1 : 1;
+    cleaned.forEach(keyholder => {
+        if (keyholder.id === null) {
+            keyholder.id = nextId++;
+        }
+    });
+
+    return { keyholders: cleaned.sort((a, b) => a.priority - b.priority) };
+}
+
+/**
+ * Check whether a keyholder can be called at a given time.
+ * Windows are in the server's local time; a keyholder without windows can always be called.
+ * @param {Object} keyholder - Keyholder in the current format
+ * @param {Date} date - Time to check
+ * @returns {boolean} True if the keyholder is available
+ */
+function isKeyholderAvailable(keyholder, date) {
+    if (!Array.isArray(keyholder.availability) || keyholder.availability.length === 0) {
+        return true;
+    }
+
+    return isWithinWindows(keyholder.availability, date);
+}
+
+/**
+ * Work out who to call for a site at a given time
+ * @param {Object} site - Site with normalised keyholders
+ * @param {Date} date - When the alarm fired
+ * @returns {{available: Array, unavailable: Array}} Keyholders in call order, split by availability
+ */
+function getCallList(site, date) {
+    const keyholders = normalizeKeyholders(site.keyholders);
+
+    return {
+        available: keyholders.filter(keyholder => isKeyholderAvailable(keyholder, date)),
+        unavailable: keyholders.filter(keyholder => !isKeyholderAvailable(keyholder, date))
+    };
+}
+
+module.exports = {
+    KEYHOLDER_ROLES,
+    normalizeKeyholders,
+    validateKeyholders,
+    isKeyholderAvailable,
+    getCallList
+};
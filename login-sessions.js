@@ -0,0 +1,263 @@
+// login-sessions.js
+// Logins that the server can end. Each login gets a long-lived refresh token, kept here hashed, and
+// short-lived access tokens that name the login they belong to. Ending a login (signing out, an admin
+// signing a user out everywhere, or the user being deactivated or moved to another role) stops both
+// working straight away instead of when the access token runs out.
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const DEFAULT_LOGIN_SESSIONS_DB_PATH = path.join(__dirname, 'login-sessions.db');
+
+// How long an access token lasts. Pages renew it with the refresh token when it runs out.
+const ACCESS_TOKEN_EXPIRY = '15m';
+
+// How long a login lasts before the user has to enter their password again (the old token lifetime)
+const REFRESH_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+// How often ended and expired logins are removed
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Hash of the secret part of a refresh token; the token itself is never stored
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Logins kept in a SQLite database, so they survive a restart like the express sessions do
+ */
+class LoginSessionStore {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.dbPath - Path to the SQLite database file (default: login-sessions.db)
+     */
+    constructor(options = {}) {
+        this.dbPath = options.dbPath || process.env.LOGIN_SESSIONS_DB_PATH || DEFAULT_LOGIN_SESSIONS_DB_PATH;
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS login_sessions (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                secret_hash TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                last_used_at INTEGER NOT NULL,
+                revoked_at INTEGER,
+                revoked_reason TEXT,
+                ip TEXT,
+                user_agent TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_login_sessions_user ON login_sessions (user_id);
+            CREATE INDEX IF NOT EXISTS idx_login_sessions_expires ON login_sessions (expires_at);
+        `);
+
+        this.statements = {
+            insert: this.db.prepare(`
+                INSERT INTO login_sessions (id, user_id, secret_hash, created_at, expires_at, last_used_at, ip, user_agent)
+                VALUES (@id, @userId, @secretHash, @createdAt, @expiresAt, @createdAt, @ip, @userAgent)
+            `),
+            get: this.db.prepare('SELECT * FROM login_sessions WHERE id = ?'),
+            touch: this.db.prepare('UPDATE login_sessions SET last_used_at = ? WHERE id = ?'),
+            revoke: this.db.prepare(`
+                UPDATE login_sessions SET revoked_at = ?, revoked_reason = ?
+                WHERE id = ? AND revoked_at IS NULL
+            `),
+            activeForUser: this.db.prepare(`
+                SELECT id FROM login_sessions
+                WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ? AND id IS NOT ?
+            `),
+            revokeUser: this.db.prepare(`
+                UPDATE login_sessions SET revoked_at = ?, revoked_reason = ?
+                WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ? AND id IS NOT ?
+            `),
+            countActive: this.db.prepare(`
+                SELECT user_id, COUNT(*) AS count FROM login_sessions
+                WHERE revoked_at IS NULL AND expires_at > ?
+                GROUP BY user_id
+            `),
+            removeEnded: this.db.prepare('DELETE FROM login_sessions WHERE expires_at <= ?')
+        };
+
+        // Functions called with { userId, sessionIds, reason } when logins are ended
+        this.revocationListeners = [];
+
+        this.removeEnded();
+        this.cleanupTimer = setInterval(() => this.removeEnded(), CLEANUP_INTERVAL_MS);
+        this.cleanupTimer.unref();
+
+        console.log(`Login session store opened at ${this.dbPath}`);
+    }
+
+    /**
+     * Start a login
+     * @param {Object} user - Stored user
+     * @param {Object} details - { ip, userAgent } of the device logging in
+     * @returns {{session: Object, refreshToken: string}} The login and its refresh token, which is only available now
+     */
+    create(user, details = {}) {
+        const id = crypto.randomBytes(16).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+
+        this.statements.insert.run({
+            id,
+            userId: user.id,
+            secretHash: hashSecret(secret),
+            createdAt: now,
+            expiresAt: now + REFRESH_TOKEN_TTL_MS,
+            ip: details.ip || null,
+            userAgent: details.userAgent || null
+        });
+
+        return {
+            session: this.statements.get.get(id),
+            refreshToken: `${id}.${secret}`
+        };
+    }
+
+    /**
+     * Find the login a refresh token belongs to
+     * @param {string} refreshToken - Token from POST /api/auth/login
+     * @returns {Object|null} The login, or null if the token is wrong or the login has ended
+     */
+    findByRefreshToken(refreshToken) {
+        const [id, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+        if (!id || !secret) {
+            return null;
+        }
+
+        const session = this.statements.get.get(id);
+        if (!session || !this.isOpen(session)) {
+            return null;
+        }
+
+        const expected = Buffer.from(session.secret_hash, 'hex');
+        const actual = Buffer.from(hashSecret(secret), 'hex');
+        return crypto.timingSafeEqual(expected, actual) ? session : null;
+    }
+
+    // Whether a login has neither been ended nor run out
+    isOpen(session) {
+        return !session.revoked_at && session.expires_at > Date.now();
+    }
+
+    /**
+     * Check that the login an access token belongs to has not been ended. Called on every request.
+     * @param {string} sessionId - sid from the access token
+     * @param {number} userId - id from the access token
+     * @returns {boolean} True if the token may still be used
+     */
+    isActive(sessionId, userId) {
+        const session = sessionId ? this.statements.get.get(sessionId) : null;
+        return !!session && session.user_id === userId && this.isOpen(session);
+    }
+
+    /**
+     * Record that a login has just been used to get a new access token
+     * @param {string} sessionId - Login ID
+     */
+    touch(sessionId) {
+        this.statements.touch.run(Date.now(), sessionId);
+    }
+
+    /**
+     * End one login, e.g. when the user signs out
+     * @param {string} sessionId - Login ID
+     * @param {string} reason - Why it was ended
+     * @returns {boolean} True if the login was open
+     */
+    revoke(sessionId, reason) {
+        const session = this.statements.get.get(sessionId);
+        if (!session || this.statements.revoke.run(Date.now(), reason, sessionId).changes === 0) {
+            return false;
+        }
+
+        this.notifyRevoked({ userId: session.user_id, sessionIds: [sessionId], reason });
+        return true;
+    }
+
+    /**
+     * End every login of a user
+     * @param {number} userId - User ID
+     * @param {string} reason - Why, e.g. 'signed-out-everywhere', 'deactivated' or 'role-changed'
+     * @param {string|null} exceptSessionId - A login to leave open, e.g. the one the user changed their password from
+     * @returns {number} How many logins were ended
+     */
+    revokeUser(userId, reason, exceptSessionId = null) {
+        const now = Date.now();
+        const sessionIds = this.statements.activeForUser.all(userId, now, exceptSessionId).map(row => row.id);
+        if (sessionIds.length === 0) {
+            return 0;
+        }
+
+        this.statements.revokeUser.run(now, reason, userId, now, exceptSessionId);
+        this.notifyRevoked({ userId, sessionIds, reason });
+        return sessionIds.length;
+    }
+
+    /**
+     * Count the open logins of each user
+     * @returns {Map<number, number>} Open logins by user ID
+     */
+    countActiveByUser() {
+        return new Map(this.statements.countActive.all(Date.now()).map(row => [row.user_id, row.count]));
+    }
+
+    /**
+     * Be told when logins are ended, e.g. to close their live update streams
+     * @param {Function} listener - listener({ userId, sessionIds, reason })
+     */
+    onRevoked(listener) {
+        this.revocationListeners.push(listener);
+    }
+
+    notifyRevoked(revocation) {
+        this.revocationListeners.forEach(listener => {
+            try {
+                listener(revocation);
+            } catch (err) {
+                console.error('Error handling ended login:', err);
+            }
+        });
+    }
+
+    /**
+     * Remove logins that have run out, including ones ended before then (tokens from removed logins are refused as well)
+     * @returns {number} How many were removed
+     */
+    removeEnded() {
+        try {
+            return this.statements.removeEnded.run(Date.now()).changes;
+        } catch (err) {
+            console.error('Error removing expired logins:', err);
+            return 0;
+        }
+    }
+
+    close() {
+        clearInterval(this.cleanupTimer);
+        this.db.close();
+    }
+}
+
+let loginSessionStore = null;
+
+/**
+ * Get the application's login session store, creating it on first use
+ * @returns {LoginSessionStore} The shared store
+ */
+function getLoginSessionStore() {
+    if (!loginSessionStore) {
+        loginSessionStore = new LoginSessionStore();
+    }
+    return loginSessionStore;
+}
+
+module.exports = {
+    LoginSessionStore,
+    getLoginSessionStore,
+    ACCESS_TOKEN_EXPIRY,
+    REFRESH_TOKEN_TTL_MS
+};
@@ -0,0 +1,186 @@
+// login-throttle.js
+// Slows down and then locks out repeated failed logins, so passwords cannot be guessed indefinitely.
+// Each failure after the first few doubles the wait before the next attempt, and too many failures
+// lock the account (or IP address) out for a while.
+
+// Used when a throttle is created without its own policy
+const DEFAULT_THROTTLE_POLICY = {
+    freeAttempts: 3,        // Failures allowed before attempts are slowed down
+    baseDelaySeconds: 1,    // Wait after the first slowed-down failure, doubled for each one after
+    maxDelaySeconds: 300,   // Longest wait between attempts
+    lockoutThreshold: 10,   // Failures that lock the account or address out
+    lockoutMinutes: 15,     // How long a lockout lasts, unless an admin unlocks it first
+    resetMinutes: 60        // Failures are forgotten after this long without another one
+};
+
+// Entries are swept once there are this many, so guesses at made-up usernames do not build up
+const MAX_ENTRIES = 1000;
+
+/**
+ * Counts failed logins per key (a username or an IP address) and says when the next attempt is allowed
+ */
+class LoginThrottle {
+    /**
+     * Initialize the throttle
+     * @param {Object} options - Configuration options
+     * @param {string} options.name - What the keys are, used in log messages (e.g. 'account', 'IP address')
+     * @param {Object} options.policy - Overrides for DEFAULT_THROTTLE_POLICY
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'login';
+        this.policy = { ...DEFAULT_THROTTLE_POLICY, ...(options.policy || {}) };
+
+        // Failures by key. Like camera flood mutes they are short-lived, so they are not kept over a restart.
+        this.entries = new Map();
+    }
+
+    /**
+     * Get the failures recorded for a key, dropping them once they have been forgotten
+     * @param {string} key - Username or IP address
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object|null} { failures, lastFailureAt, nextAttemptAt, lockedUntil }
+     */
+    getEntry(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.lockedUntil && entry.lockedUntil <= now) {
+            // A lockout that has run out starts the count again
+            this.entries.delete(key);
+            return null;
+        }
+        if (!entry.lockedUntil && now - entry.lastFailureAt > this.policy.resetMinutes * 60 * 1000) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Check whether a login attempt may go ahead
+     * @param {string} key - Username or IP address
+     * @param {Date} now - When the attempt was made
+     * @returns {{allowed: boolean, locked: boolean, retryAfterSeconds: number, lockedUntil: string|null}} Whether to try
+     *   the credentials, and if not how long until the next attempt is allowed
+     */
+    check(key, now = new Date()) {
+        const entry = this.getEntry(key, now.getTime());
+        if (entry && entry.lockedUntil) {
+            return {
+                allowed: false,
+                locked: true,
+                retryAfterSeconds: Math.ceil((entry.lockedUntil - now.getTime()) / 1000),
+                lockedUntil: new Date(entry.lockedUntil).toISOString()
+            };
+        }
+        if (entry && entry.nextAttemptAt > now.getTime()) {
+            return {
+                allowed: false,
+                locked: false,
+                retryAfterSeconds: Math.ceil((entry.nextAttemptAt - now.getTime()) / 1000),
+                lockedUntil: null
+            };
+        }
+        return { allowed: true, locked: false, retryAfterSeconds: 0, lockedUntil: null };
+    }
+
+    /**
+     * Count a failed login
+     * @param {string} key - Username or IP address
+     * @param {Date} now - When the attempt was made
+     * @returns {{failures: number, lockedUntil: string|null, lockedOut: boolean}} The count so far,
+     *   and whether this failure is the one that started a lockout
+     */
+    recordFailure(key, now = new Date()) {
+        if (this.entries.size >= MAX_ENTRIES) {
+            this.removeStale(now.getTime());
+        }
+
+        const entry = this.getEntry(key, now.getTime()) || { failures: 0, nextAttemptAt: 0, lockedUntil: null };
+        entry.failures += 1;
+        entry.lastFailureAt = now.getTime();
+
+        let lockedOut = false;
+        if (entry.failures >= this.policy.lockoutThreshold) {
+            lockedOut = !entry.lockedUntil;
+            entry.lockedUntil = now.getTime() + this.policy.lockoutMinutes * 60 * 1000;
+        } else if (entry.failures >= this.policy.freeAttempts) {
+            const delaySeconds = Math.min(
+                this.policy.maxDelaySeconds,
+                this.policy.baseDelaySeconds * Math.pow(2, entry.failures - this.policy.freeAttempts)
+            );
+            entry.nextAttemptAt = now.getTime() + delaySeconds * 1000;
+        }
+
+        this.entries.set(key, entry);
+
+        if (lockedOut) {
+            console.log(`Locked out ${this.name} ${key} after ${entry.failures} failed logins`);
+        }
+
+        return {
+            failures: entry.failures,
+            lockedUntil: entry.lockedUntil ? new Date(entry.lockedUntil).toISOString() : null,
+            lockedOut
+        };
+    }
+
+    /**
+     * Forget the failures of a key after a successful login
+     * @param {string} key - Username or IP address
+     */
+    recordSuccess(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Lift a lockout (or back-off) before it runs out
+     * @param {string} key - Username or IP address
+     * @returns {boolean} True if the key was locked out
+     */
+    unlock(key) {
+        const entry = this.getEntry(key);
+        this.entries.delete(key);
+        return !!(entry && entry.lockedUntil);
+    }
+
+    /**
+     * Get the failed logins of a key
+     * @param {string} key - Username or IP address
+     * @returns {{failures: number, lockedUntil: string|null}} Failures not yet forgotten and the end of any lockout
+     */
+    getStatus(key) {
+        const entry = this.getEntry(key);
+        return {
+            failures: entry ? entry.failures : 0,
+            lockedUntil: entry && entry.lockedUntil ? new Date(entry.lockedUntil).toISOString() : null
+        };
+    }
+
+    // Drop every entry that has been forgotten or whose lockout has run out
+    removeStale(now = Date.now()) {
+        for (const key of [...this.entries.keys()]) {
+            this.getEntry(key, now);
+        }
+    }
+}
+
+/**
+ * Get the address a request came from, the same way the audit log records it. X-Forwarded-For is
+ * only believed when it was added by a trusted proxy (the app's 'trust proxy' setting), as anyone
+ * can send the header to get a fresh address on each attempt.
+ * @param {Object} req - Express request
+ * @returns {string} IP address
+ */
+function getClientIp(req) {
+    return req.ip || (req.socket && req.socket.remoteAddress) || '0.0.0.0';
+}
+
+module.exports = {
+    LoginThrottle,
+    DEFAULT_THROTTLE_POLICY,
+    getClientIp
+};
@@ -20,9 +20,13 @@ function auditLoggerMiddleware(req, res, next) {
     if (
       !req.path.startsWith('/api/') ||  // Skip non-API paths
       req.path === '/api/auth/user' ||  // Skip frequent auth checks
+      req.path === '/api/auth/refresh' || // Skip access token renewals
+      req.path.startsWith('/api/auth/login') || // Logins and their later steps are logged by routes/auth.js (success only once a token is issued)
       req.path === '/api/events' ||     // Skip routine event listing
       req.path === '/api/settings/tags' || // Skip routine tags retrieval
+      (req.path === '/api/settings/dispositions' && req.method === 'GET') || // Skip routine dispositions retrieval
       req.path === '/api/check-emails' || // Skip routine email checks
+      req.path === '/api/events/claims/heartbeat' || // Skip console activity pings
       req.path === '/api/videos/list' ||  // Skip video listing
       req.path === '/login' ||
       req.path === '/login.html' ||
@@ -34,7 +38,6 @@ function auditLoggerMiddleware(req, res, next) {
     
     // We only want to audit specific actions, not every API call
     const auditActions = [
-      '/api/auth/login',
       '/api/auth/logout',
       '/api/auth/users',         // User management
       '/api/events/acknowledge', // Event acknowledgment
@@ -58,22 +61,7 @@ function auditLoggerMiddleware(req, res, next) {
     let resourceId = req.params.id;
     
     // More specific action mapping
-    if (req.path.includes('/api/auth/login') && req.method === 'POST') {
-      // This is a login attempt - we want to log these
-      action = success ? ACTIONS.LOGIN_SUCCESS : ACTIONS.LOGIN_FAILURE;
-      resource = 'auth';
-      
-      // For successful logins, get the user info
-      if (success && req.body) {
-        try {
-          // We want to know who logged in, but don't log passwords
-          const { username } = req.body;
-          resourceId = username; // Store username as resourceId
-        } catch (err) {
-          console.error('Error extracting login info:', err);
-        }
-      }
-    } else if (req.path.includes('/api/auth/logout') && req.method === 'POST') {
+    if (req.path.includes('/api/auth/logout') && req.method === 'POST') {
       action = ACTIONS.LOGOUT;
       resource = 'auth';
       
@@ -85,6 +73,28 @@ function auditLoggerMiddleware(req, res, next) {
       action = ACTIONS.EVENT_ACKNOWLEDGE;
       resource = 'events';
       resourceId = req.params.id;
+    } else if (/^\/api\/events\/[^/]+\/(claim|release|reassign)$/.test(req.path) && req.method === 'POST') {
+      const claimActions = {
+        claim: ACTIONS.EVENT_CLAIM,
+        release: ACTIONS.EVENT_RELEASE,
+        reassign: ACTIONS.EVENT_REASSIGN
+      };
+      action = claimActions[req.path.split('/').pop()];
+      resource = 'events';
+      resourceId = req.params.id;
+    } else if (/^\/api\/events\/[^/]+\/contacts(\/[^/]+)?$/.test(req.path) && ['POST', 'PUT', 'DELETE'].includes(req.method)) {
+      const contactActions = {
+        POST: ACTIONS.EVENT_CONTACT_ADD,
+        PUT: ACTIONS.EVENT_CONTACT_UPDATE,
+        DELETE: ACTIONS.EVENT_CONTACT_DELETE
+      };
+      action = contactActions[req.method];
+      resource = 'events';
+      resourceId = req.params.id;
+    } else if (req.path === '/api/muted-cameras/unmute' && req.method === 'POST') {
+      action = ACTIONS.CAMERA_UNMUTE;
+      resource = 'cameras';
+      resourceId = req.body ? `${req.body.siteId ?? '-'}|${req.body.camera}` : undefined;
     } else if (req.path.includes('/api/retention/events') && req.path.includes('/lock') && req.method === 'PUT') {
       // Determine if this is a lock or unlock action
       // We need to examine the request body to know
@@ -164,7 +174,7 @@ function sanitizeRequestBody(body) {
   if (!body) return {};
   
   const sanitized = { ...body };
-  const sensitiveFields = ['password', 'token', 'secret', 'key', 'authorization'];
+  const sensitiveFields = ['password', 'token', 'secret', 'key', 'authorization', 'code', 'recoveryCode', 'challengeToken', 'refreshToken', 'currentPassword', 'newPassword'];
   
   sensitiveFields.forEach(field => {
     if (sanitized[field]) {
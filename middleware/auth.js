@@ -2,9 +2,52 @@
 const jwt = require('jsonwebtoken');
 const fs = require('fs');
 const path = require('path');
+const { PERMISSIONS, getRolePermissions } = require('../roles');
+const { getKeys, getSigningKey } = require('../secrets');
+const { getLoginSessionStore, ACCESS_TOKEN_EXPIRY } = require('../login-sessions');
 
-// JWT secret key - in production this should be in environment variables
-const JWT_SECRET = 'cctv-monitor-jwt-H45nB9Kp2L7zX3vF8qRs6tYu4mWdE2jG';
+/**
+ * Sign a login token with the current JWT key. The key ID goes in the token header,
+ * so the token can still be checked after the key is rotated.
+ * @param {Object} payload - Token payload
+ * @param {Object} options - jsonwebtoken sign options, e.g. { expiresIn: '12h' }
+ * @returns {string} The signed token
+ */
+function signToken(payload, options = {}) {
+    const key = getSigningKey('jwt');
+    return jwt.sign(payload, key.secret, { ...options, keyid: key.id });
+}
+
+/**
+ * Verify a login token against the current and retired JWT keys
+ * @param {string} token - Token from the request
+ * @returns {Object} The decoded payload
+ * @throws {Error} If the token is invalid, expired or signed with a key that is no longer kept
+ */
+function verifyToken(token) {
+    const keys = getKeys('jwt');
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded && decoded.header ? decoded.header.kid : undefined;
+
+    // Tokens from before keys had IDs are tried against every key
+    const candidates = kid ? keys.filter(key => key.id === kid) : keys;
+    if (candidates.length === 0) {
+        throw new jwt.JsonWebTokenError('Token was signed with a key that is no longer accepted');
+    }
+
+    let lastError = null;
+    for (const key of candidates) {
+        try {
+            return jwt.verify(token, key.secret);
+        } catch (err) {
+            lastError = err;
+            if (err.name === 'TokenExpiredError') {
+                break;
+            }
+        }
+    }
+    throw lastError;
+}
 
 // Read users data file
 function readUsersData() {
@@ -30,76 +73,170 @@ function writeUsersData(users) {
     }
 }
 
-// Authentication middleware
-function authMiddleware(req, res, next) {
-    // Get token from header or session
-    const token = req.header('x-auth-token') || (req.session && req.session.token);
+/**
+ * Sign a short-lived access token for a login
+ * @param {Object} user - Stored user
+ * @param {string} sessionId - ID of the login (see login-sessions.js), checked on every request
+ * @returns {string} The signed token
+ */
+function issueAccessToken(user, sessionId) {
+    return signToken({
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        sid: sessionId
+    }, { expiresIn: ACCESS_TOKEN_EXPIRY });
+}
+
+/**
+ * Get a new access token with a login's refresh token
+ * @param {string} refreshToken - Refresh token given at login
+ * @returns {{token: string, user: Object}|null} The new token and the user, or null if the login has ended
+ *   or the user can no longer log in
+ */
+function refreshAccessToken(refreshToken) {
+    const store = getLoginSessionStore();
+    const session = store.findByRefreshToken(refreshToken);
+    if (!session) {
+        return null;
+    }
 
-    // Check if no token
+    const user = readUsersData().find(u => u.id === session.user_id && u.isActive);
+    if (!user) {
+        store.revoke(session.id, 'user-unavailable');
+        return null;
+    }
+
+    store.touch(session.id);
+    return { token: issueAccessToken(user, session.id), user };
+}
+
+// These paths are allowed without authentication
+const publicPaths = [
+    '/login', 
+    '/login.html',
+    '/api/auth/login',
+    '/api/auth/login/setup',
+    '/api/auth/login/verify',
+    '/api/auth/login/password',
+    '/api/auth/refresh',
+    '/styles.css',
+    '/login-styles.css',
+    '/app.js',
+    '/auth-fetch.js',
+    '/user-management-styles.css',
+    '/favicon.ico',
+    '/images/logo.png'
+];
+
+function isPublicPath(path) {
+    return publicPaths.includes(path) || path.startsWith('/public/');
+}
+
+// Get the user of a request from its access token, or null if there is none or it can no longer be used
+function authenticate(req) {
+    const headerToken = req.header('x-auth-token');
+    const token = headerToken || (req.session && req.session.token);
     if (!token) {
-        // These paths are allowed without authentication
-        const publicPaths = [
-            '/login', 
-            '/login.html',
-            '/api/auth/login',
-            '/styles.css',
-            '/login-styles.css',
-            '/app.js',
-            '/user-management-styles.css',
-            '/favicon.ico'
-        ];
-        
-        if (publicPaths.includes(req.path) || req.path.startsWith('/public/') || 
-            req.path.startsWith('/images/')) {
-            return next();
-        }
-        
-        // If it's an API request, return 401
-        if (req.path.startsWith('/api/')) {
-            return res.status(401).json({ error: 'No token, authorization denied' });
-        }
-        
-        // For regular page requests, redirect to login
-        console.log('Redirecting unauthenticated request to /login.html:', req.path);
-        return res.redirect('/login.html');
+        return null;
     }
 
     try {
-        // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        // Add user to request
-        req.user = decoded;
-        next();
+        const decoded = verifyToken(token);
+
+        // Tokens of ended logins are refused, as are tokens from before logins could be ended
+        return getLoginSessionStore().isActive(decoded.sid, decoded.id) ? decoded : null;
     } catch (err) {
-        if (req.path.startsWith('/api/')) {
-            return res.status(401).json({ error: 'Token is not valid' });
+        // Pages and the live update stream use the session cookie. Renew its access token from the
+        // refresh token kept in the session instead of sending the user back to the login page.
+        if (!headerToken && err.name === 'TokenExpiredError' && req.session && req.session.refreshToken) {
+            const refreshed = refreshAccessToken(req.session.refreshToken);
+            if (refreshed) {
+                req.session.token = refreshed.token;
+                return verifyToken(refreshed.token);
+            }
         }
+        return null;
+    }
+}
+
+// Authentication middleware
+function authMiddleware(req, res, next) {
+    const user = authenticate(req);
+    if (user) {
+        // Add user to request
+        req.user = user;
+        return next();
+    }
+
+    if (isPublicPath(req.path)) {
+        return next();
+    }
+
+    const hadToken = !!(req.header('x-auth-token') || (req.session && req.session.token));
+
+    // If it's an API request, return 401
+    if (req.path.startsWith('/api/')) {
+        return res.status(401).json({ error: hadToken ? 'Token is not valid' : 'No token, authorization denied' });
+    }
+
+    if (hadToken) {
         // Clear invalid session and redirect to login
         if (req.session) {
             req.session.destroy();
         }
         return res.redirect('/login');
     }
+
+    // For regular page requests, redirect to login
+    console.log('Redirecting unauthenticated request to /login.html:', req.path);
+    return res.redirect('/login.html');
 }
 
-// Admin middleware - checks if user is an admin
-function adminMiddleware(req, res, next) {
-    if (!req.user) {
-        return res.status(401).json({ error: 'Not authorized' });
-    }
+// Permission middleware - checks that the user's role has at least one of the given permissions.
+// Permissions are looked up on each request, so changes to a role apply without signing in again.
+function requirePermission(...permissions) {
+    return function (req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Not authorized' });
+        }
 
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
+        const granted = getRolePermissions(req.user.role);
+        if (!permissions.some(permission => granted.includes(permission))) {
+            const labels = permissions.map(permission => {
+                const known = PERMISSIONS.find(p => p.id === permission);
+                return known ? known.label.toLowerCase() : permission;
+            });
+            return res.status(403).json({
+                error: `You do not have permission to ${labels.join(' or ')}`,
+                permission: permissions[0]
+            });
+        }
+
+        next();
+    };
+}
 
-    next();
+// Refuse a request that sets a field only some roles may change, e.g. the lock on an event sent along with
+// its acknowledgement. Requests that leave the field out are let through.
+function requirePermissionToSet(field, permission) {
+    return function (req, res, next) {
+        if (!req.body || req.body[field] === undefined) {
+            return next();
+        }
+        return requirePermission(permission)(req, res, next);
+    };
 }
 
 module.exports = {
-    JWT_SECRET,
+    signToken,
+    verifyToken,
+    issueAccessToken,
+    refreshAccessToken,
     authMiddleware,
-    adminMiddleware,
+    requirePermission,
+    requirePermissionToSet,
     readUsersData,
     writeUsersData
 };
\ No newline at end of file
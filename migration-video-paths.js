@@ -4,37 +4,16 @@
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const { getEventStore } = require('./event-store');
 
 // Make fs functions promise-based
 const readdir = util.promisify(fs.readdir);
 const stat = util.promisify(fs.stat);
 
-// Path to events data file
-const eventsFilePath = path.join(__dirname, 'events-data.json');
+// Event store and videos directory
+const eventStore = getEventStore();
 const videosBasePath = path.join(__dirname, 'public', 'videos');
 
-// Helper function to read events data
-function readEventsData() {
-    try {
-        const data = fs.readFileSync(eventsFilePath, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('Error reading events data:', err);
-        return [];
-    }
-}
-
-// Helper function to write events data
-function writeEventsData(events) {
-    try {
-        fs.writeFileSync(eventsFilePath, JSON.stringify(events, null, 2));
-        return true;
-    } catch (err) {
-        console.error('Error writing events data:', err);
-        return false;
-    }
-}
-
 /**
  * Find matching video for an event
  * @param {Object} event - Event data
@@ -271,13 +250,14 @@ async function migrateVideoPaths() {
     console.log('Starting video path migration...');
 
     // Read all events
-    const events = readEventsData();
+    const events = eventStore.all();
     console.log(`Found ${events.length} events to process`);
 
     // Track statistics
     const stats = {
         total: events.length,
         updated: 0,
+        failed: 0,
         skipped: 0,
         alreadyHadPath: 0,
         noMatch: 0
@@ -301,30 +281,27 @@ async function migrateVideoPaths() {
         if (videoPath) {
             // Update the event
             console.log(`  Found matching video: ${videoPath}`);
-            events[i].videoPath = videoPath;
-            stats.updated++;
+            if (eventStore.update(event.id, { videoPath })) {
+                stats.updated++;
+            } else {
+                console.log(`  Failed to save video path`);
+                stats.failed++;
+            }
         } else {
             console.log(`  No matching video found`);
             stats.noMatch++;
         }
-
-        // Save progress every 10 events or at the end
-        if ((i + 1) % 10 === 0 || i === events.length - 1) {
-            console.log(`Saving progress: ${i + 1}/${events.length}...`);
-            writeEventsData(events);
-        }
     }
 
-    // Save final results
-    const success = writeEventsData(events);
-
     // Print results
     console.log('\nMigration completed:');
     console.log(`Total events: ${stats.total}`);
     console.log(`Updated with video path: ${stats.updated}`);
     console.log(`Already had video path: ${stats.alreadyHadPath}`);
     console.log(`No matching video found: ${stats.noMatch}`);
-    console.log(`Save ${success ? 'succeeded' : 'failed'}`);
+    console.log(`Failed to save: ${stats.failed}`);
+
+    eventStore.close();
 }
 
 // Run the migration
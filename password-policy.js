@@ -0,0 +1,236 @@
+// password-policy.js
+// Rules for console passwords set by admins: how long and how varied they must be, how many old
+// passwords cannot be used again, and how long a password lasts before it has to be changed.
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const POLICY_FILE_PATH = path.join(__dirname, 'password-policy.json');
+
+// Used until an admin saves a policy. History and expiry are off, as before there was a policy.
+const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    requireUppercase: false,
+    requireLowercase: false,
+    requireNumber: false,
+    requireSymbol: false,
+    historyCount: 0,    // Previous passwords that cannot be used again (0 only rules out the current one)
+    maxAgeDays: 0,      // Days before a password has to be changed (0 for never)
+    maxAgeSetAt: null   // When expiry was turned on, the age of passwords whose last change was never recorded
+};
+
+// bcrypt only looks at the first 72 bytes, so anything after them would not be checked at login
+const MAX_PASSWORD_BYTES = 72;
+
+const MAX_HISTORY_COUNT = 24;
+
+// Helper function to read the password policy
+function readPasswordPolicy() {
+    try {
+        if (!fs.existsSync(POLICY_FILE_PATH)) {
+            return { ...DEFAULT_PASSWORD_POLICY };
+        }
+
+        const data = fs.readFileSync(POLICY_FILE_PATH, 'utf8');
+        return { ...DEFAULT_PASSWORD_POLICY, ...JSON.parse(data) };
+    } catch (err) {
+        console.error('Error reading password policy:', err);
+        return { ...DEFAULT_PASSWORD_POLICY };
+    }
+}
+
+// Helper function to write the password policy
+function writePasswordPolicy(policy) {
+    try {
+        fs.writeFileSync(POLICY_FILE_PATH, JSON.stringify(policy, null, 2));
+        return true;
+    } catch (err) {
+        console.error('Error writing password policy:', err);
+        return false;
+    }
+}
+
+/**
+ * Check a password policy submitted by an admin and return a cleaned copy
+ * @param {Object} policy - Policy fields from the request body (see DEFAULT_PASSWORD_POLICY)
+ * @returns {{policy: Object}|{error: string}} Normalised policy or a validation error
+ */
+function validatePasswordPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return { error: 'Invalid password policy format' };
+    }
+
+    const minLength = Number(policy.minLength);
+    if (!Number.isInteger(minLength) || minLength < 6 || minLength > MAX_PASSWORD_BYTES) {
+        return { error: `The minimum length must be a whole number from 6 to ${MAX_PASSWORD_BYTES}` };
+    }
+
+    const historyCount = Number(policy.historyCount || 0);
+    if (!Number.isInteger(historyCount) || historyCount < 0 || historyCount > MAX_HISTORY_COUNT) {
+        return { error: `Password history must be a whole number from 0 to ${MAX_HISTORY_COUNT}` };
+    }
+
+    const maxAgeDays = Number(policy.maxAgeDays || 0);
+    if (!Number.isInteger(maxAgeDays) || maxAgeDays < 0 || maxAgeDays > 3650) {
+        return { error: 'The maximum password age must be a whole number of days from 0 (never) to 3650' };
+    }
+
+    return {
+        policy: {
+            minLength,
+            requireUppercase: !!policy.requireUppercase,
+            requireLowercase: !!policy.requireLowercase,
+            requireNumber: !!policy.requireNumber,
+            requireSymbol: !!policy.requireSymbol,
+            historyCount,
+            maxAgeDays
+        }
+    };
+}
+
+/**
+ * Record when password expiry was turned on. Passwords set before changes were recorded are aged from then,
+ * so turning expiry on does not lock their users out straight away.
+ * @param {Object} policy - Validated policy about to be saved, changed in place
+ * @param {Object} previous - The policy it replaces
+ * @param {Date} now - Current time
+ */
+function stampPasswordExpiry(policy, previous, now = new Date()) {
+    if (!policy.maxAgeDays) {
+        policy.maxAgeSetAt = null;
+    } else {
+        policy.maxAgeSetAt = (previous.maxAgeDays && previous.maxAgeSetAt) || now.toISOString();
+    }
+}
+
+/**
+ * Describe a policy's rules for the people choosing a password
+ * @param {Object} policy - Password policy
+ * @returns {string} e.g. "At least 10 characters, with an upper-case letter and a number"
+ */
+function describePasswordPolicy(policy) {
+    const needs = [];
+    if (policy.requireUppercase) needs.push('an upper-case letter');
+    if (policy.requireLowercase) needs.push('a lower-case letter');
+    if (policy.requireNumber) needs.push('a number');
+    if (policy.requireSymbol) needs.push('a symbol');
+
+    let text = `At least ${policy.minLength} characters`;
+    if (needs.length > 0) {
+        text += `, with ${needs.length > 1 ? `${needs.slice(0, -1).join(', ')} and ${needs[needs.length - 1]}` : needs[0]}`;
+    }
+    if (policy.historyCount > 0) {
+        text += `. Your last ${policy.historyCount} password${policy.historyCount === 1 ? '' : 's'} cannot be used again`;
+    }
+    return text;
+}
+
+/**
+ * Check a new password against the length and complexity rules
+ * @param {string} password - New password
+ * @param {Object} policy - Password policy
+ * @returns {string|null} What is wrong with the password, or null if it is allowed
+ */
+function checkPasswordStrength(password, policy) {
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        return `Passwords must be at least ${policy.minLength} characters long`;
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+        return `Passwords can be at most ${MAX_PASSWORD_BYTES} characters long`;
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        return 'Passwords must contain an upper-case letter';
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        return 'Passwords must contain a lower-case letter';
+    }
+    if (policy.requireNumber && !/[0-9]/.test(password)) {
+        return 'Passwords must contain a number';
+    }
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        return 'Passwords must contain a symbol';
+    }
+    return null;
+}
+
+/**
+ * Check whether a user has used a password before: their current one, or one of the last historyCount
+ * @param {Object} user - Stored user
+ * @param {string} password - New password
+ * @param {Object} policy - Password policy
+ * @returns {Promise<boolean>} True if the password cannot be used again
+ */
+async function isPasswordReused(user, password, policy) {
+    const previous = [user.password, ...(user.passwordHistory || []).slice(0, policy.historyCount)];
+    for (const hash of previous) {
+        if (hash && await bcrypt.compare(password, hash)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Give a user a new password, keeping the old one in their history
+ * @param {Object} user - Stored user, changed in place
+ * @param {string} password - New password, already checked against the policy
+ * @param {Object} policy - Password policy
+ * @param {boolean} mustChange - True when someone else chose the password, so the user has to change it at their next login
+ */
+async function setPassword(user, password, policy, mustChange = false) {
+    if (user.password) {
+        user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, policy.historyCount);
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.passwordChangedAt = new Date().toISOString();
+    user.mustChangePassword = mustChange;
+}
+
+/**
+ * Work out when a user's password has to be changed by
+ * @param {Object} user - Stored user
+ * @param {Object} policy - Password policy
+ * @returns {Date|null} When it runs out, or null if passwords do not expire. Passwords from before
+ *   changes were recorded are aged from when expiry was turned on.
+ */
+function getPasswordExpiry(user, policy) {
+    const since = user.passwordChangedAt || policy.maxAgeSetAt;
+    if (!policy.maxAgeDays || !since) {
+        return null;
+    }
+    return new Date(new Date(since).getTime() + policy.maxAgeDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether a user has to choose a new password before they can log in
+ * @param {Object} user - Stored user
+ * @param {Object} policy - Password policy
+ * @param {Date} now - Current time
+ * @returns {string|null} 'reset' after an admin set the password, 'expired' when it is too old, or null
+ */
+function getPasswordChangeReason(user, policy, now = new Date()) {
+    if (user.mustChangePassword) {
+        return 'reset';
+    }
+    const expiry = getPasswordExpiry(user, policy);
+    if (expiry && expiry <= now) {
+        return 'expired';
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_PASSWORD_POLICY,
+    readPasswordPolicy,
+    writePasswordPolicy,
+    validatePasswordPolicy,
+    stampPasswordExpiry,
+    describePasswordPolicy,
+    checkPasswordStrength,
+    isPasswordReused,
+    setPassword,
+    getPasswordExpiry,
+    getPasswordChangeReason
+};
@@ -18,6 +18,7 @@ APP_REPO="https://github.com/leon101noel/PodARC-beta.git"
 APP_DIR="/opt/podarc"
 APP_PORT=3020
 SMTP_PORT=2525
+SMTP_SECURE_PORT=2465 # Implicit TLS for cameras that cannot do STARTTLS
 FTP_USER="cctv@cctv.com"
 FTP_PASS="cctv"
 NODE_VERSION="20" # LTS version
@@ -107,6 +108,7 @@ Restart=on-failure
 Environment=NODE_ENV=production
 Environment=PORT=${APP_PORT}
 Environment=SMTP_PORT=${SMTP_PORT}
+Environment=SMTP_SECURE_PORT=${SMTP_SECURE_PORT}
 
 [Install]
 WantedBy=multi-user.target
@@ -168,6 +170,23 @@ echo -e "${BLUE}Configuring automatic SSL renewal...${NC}"
 systemctl enable certbot.timer
 systemctl start certbot.timer
 
+# Give the SMTP server a copy of the certificate it can read.
+# The deploy hook runs again after every renewal and PodARC picks up the new files without a restart.
+echo -e "${BLUE}Configuring SMTP TLS certificate...${NC}"
+cat > /etc/letsencrypt/renewal-hooks/deploy/podarc-smtp.sh << EOL
+#!/bin/bash
+mkdir -p ${APP_DIR}/certs
+cp /etc/letsencrypt/live/${DOMAIN_NAME}/privkey.pem ${APP_DIR}/certs/smtp-key.pem
+cp /etc/letsencrypt/live/${DOMAIN_NAME}/fullchain.pem ${APP_DIR}/certs/smtp-cert.pem
+chown -R podarc:podarc ${APP_DIR}/certs
+chmod 600 ${APP_DIR}/certs/smtp-key.pem
+EOL
+chmod +x /etc/letsencrypt/renewal-hooks/deploy/podarc-smtp.sh
+/etc/letsencrypt/renewal-hooks/deploy/podarc-smtp.sh
+
+# Implicit TLS only starts when the certificate exists at startup
+systemctl restart podarc
+
 # Configure VSFTPD server
 echo -e "${BLUE}Configuring VSFTPD server...${NC}"
 # Back up original config
@@ -246,6 +265,7 @@ ufw allow 443/tcp
 # Allow application ports
 ufw allow $APP_PORT/tcp
 ufw allow $SMTP_PORT/tcp
+ufw allow $SMTP_SECURE_PORT/tcp
 
 # Allow FTP control and data ports
 ufw allow 21/tcp
@@ -0,0 +1,158 @@
+// priority.js
+// Works out how urgent an alarm is when it arrives, from its event type, site, camera and arming state,
+// so operators handle a person at the gate before a tree moving in the wind
+
+// Priority levels from most to least urgent. The rank orders the operator queue.
+const PRIORITY_LEVELS = [
+    { level: 'high', rank: 3 },
+    { level: 'medium', rank: 2 },
+    { level: 'low', rank: 1 }
+];
+
+// Used when no priority weights have been saved in the settings yet
+const DEFAULT_PRIORITY_WEIGHTS = {
+    eventTypes: [
+        { match: 'Person', weight: 30 },
+        { match: 'Vehicle', weight: 20 },
+        { match: 'Camera Offline', weight: 15 },
+        { match: 'Motion', weight: 10 }
+    ],
+    defaultEventTypeWeight: 10,
+    disarmedWeight: -20,
+    thresholds: {
+        high: 30,
+        medium: 15
+    }
+};
+
+// Site and camera weights are kept on the site and camera, from -100 to 100
+const MAX_WEIGHT = 100;
+
+/**
+ * Check a weight entered by an admin
+ * @param {*} value - Weight from the request body
+ * @param {string} label - What the weight is for, used in the error message
+ * @returns {{weight: number}|{error: string}} The weight or a validation error
+ */
+function validateWeight(value, label) {
+    const weight = Number(value);
+    if (!Number.isFinite(weight) || Math.abs(weight) > MAX_WEIGHT) {
+        return { error: `The ${label} weight must be a number from -${MAX_WEIGHT} to ${MAX_WEIGHT}` };
+    }
+    return { weight };
+}
+
+/**
+ * Check the priority weights submitted by an admin and return a cleaned copy
+ * @param {Object} weights - { eventTypes: [{ match, weight }], defaultEventTypeWeight, disarmedWeight, thresholds: { high, medium } }
+ * @returns {{weights: Object}|{error: string}} Normalised weights or a validation error
+ */
+function validatePriorityWeights(weights) {
+    if (!weights || typeof weights !== 'object') {
+        return { error: 'Invalid priority weights format' };
+    }
+
+    const eventTypes = [];
+    for (const entry of Array.isArray(weights.eventTypes) ? weights.eventTypes : []) {
+        const match = entry && typeof entry.match === 'string' ? entry.match.trim() : '';
+        if (!match) {
+            return { error: 'Each event type weight needs the text to look for in the event type' };
+        }
+        if (eventTypes.some(existing => existing.match.toLowerCase() === match.toLowerCase())) {
+            return { error: `There is more than one weight for "${match}"` };
+        }
+
+        const result = validateWeight(entry.weight, `"${match}"`);
+        if (result.error) {
+            return { error: result.error };
+        }
+        eventTypes.push({ match, weight: result.weight });
+    }
+
+    const defaultEventTypeWeight = validateWeight(weights.defaultEventTypeWeight ?? 0, 'other event types');
+    if (defaultEventTypeWeight.error) {
+        return { error: defaultEventTypeWeight.error };
+    }
+
+    const disarmedWeight = validateWeight(weights.disarmedWeight ?? 0, 'disarmed site');
+    if (disarmedWeight.error) {
+        return { error: disarmedWeight.error };
+    }
+
+    const thresholds = weights.thresholds || {};
+    const high = Number(thresholds.high);
+    const medium = Number(thresholds.medium);
+    if (!Number.isFinite(high) || !Number.isFinite(medium)) {
+        return { error: 'Please provide the scores at which alarms become high and medium priority' };
+    }
+    if (medium > high) {
+        return { error: 'The high priority score must be at least the medium priority score' };
+    }
+
+    return {
+        weights: {
+            eventTypes,
+            defaultEventTypeWeight: defaultEventTypeWeight.weight,
+            disarmedWeight: disarmedWeight.weight,
+            thresholds: { high, medium }
+        }
+    };
+}
+
+/**
+ * Check the priority weight set on a site or camera. Empty means no adjustment.
+ * @param {*} value - priorityWeight from the request body
+ * @returns {{weight: number}|{error: string}} The weight or a validation error
+ */
+function validatePriorityWeight(value) {
+    if (value === undefined || value === null || value === '') {
+        return { weight: 0 };
+    }
+    return validateWeight(value, 'priority');
+}
+
+/**
+ * Work out an alarm's priority.
+ * The score adds up the weight of the event type (the highest of the configured texts it contains),
+ * the site's and camera's own weights, and the disarmed weight if the site is disarmed.
+ * @param {Object} alarm - { eventType }
+ * @param {Object|null} site - Site the alarm was matched to
+ * @param {Object|null} camera - Registered camera it came from
+ * @param {Object|null} arming - Arming state from getArmingState()
+ * @param {Object} weights - Priority weights from the settings
+ * @returns {{level: string, rank: number, score: number, factors: Object}} The priority and what made it up
+ */
+function computePriority(alarm, site, camera, arming, weights = DEFAULT_PRIORITY_WEIGHTS) {
+    const eventType = String(alarm.eventType || '').toLowerCase();
+    const matches = weights.eventTypes.filter(entry => eventType.includes(entry.match.toLowerCase()));
+
+    const factors = {
+        eventType: matches.length > 0 ? Math.max(...matches.map(entry => entry.weight)) : weights.defaultEventTypeWeight,
+        site: site && site.priorityWeight ? site.priorityWeight : 0,
+        camera: camera && camera.priorityWeight ? camera.priorityWeight : 0,
+        arming: arming && !arming.armed ? weights.disarmedWeight : 0
+    };
+    const score = factors.eventType + factors.site + factors.camera + factors.arming;
+
+    let level = 'low';
+    if (score >= weights.thresholds.high) {
+        level = 'high';
+    } else if (score >= weights.thresholds.medium) {
+        level = 'medium';
+    }
+
+    return {
+        level,
+        rank: PRIORITY_LEVELS.find(entry => entry.level === level).rank,
+        score,
+        factors
+    };
+}
+
+module.exports = {
+    PRIORITY_LEVELS,
+    DEFAULT_PRIORITY_WEIGHTS,
+    validatePriorityWeights,
+    validatePriorityWeight,
+    computePriority
+};
@@ -4,15 +4,18 @@
     // DOM elements
     const eventsList = document.getElementById('events-list');
     const alertImage = document.getElementById('alert-image');
+    const imageFilmstrip = document.getElementById('image-filmstrip');
     const imageInfo = document.getElementById('image-info');
     const acknowledgeContainer = document.getElementById('acknowledge-container');
     const refreshBtn = document.getElementById('refresh-btn');
     const unacknowledgedCounter = document.getElementById('unacknowledged-counter');
     const filterUnacknowledged = document.getElementById('filter-unacknowledged');
     const filterLateResponse = document.getElementById('filter-late-response');
+    const filterLowPriority = document.getElementById('filter-low-priority');
     const filterDateFrom = document.getElementById('filter-date-from');
     const filterDateTo = document.getElementById('filter-date-to');
     const filterSite = document.getElementById('filter-site');
+    const filterSearch = document.getElementById('filter-search');
     const clearDateFilterBtn = document.getElementById('clear-date-filter');
     const notificationSound = document.getElementById('notification-sound');
     const showShortcutsBtn = document.getElementById('show-shortcuts');
@@ -20,6 +23,7 @@
 
     // New elements for tags and notes
     let availableTags = [];
+    let availableDispositions = [];
     let filterTagDropdown = null;
     const acknowledgeModal = document.getElementById('acknowledge-modal');
     const acknowledgeForm = document.getElementById('acknowledge-form');
@@ -27,6 +31,10 @@
     const ackNote = document.getElementById('ack-note');
     const tagContainer = document.getElementById('tag-container');
     const ackCancelBtn = document.getElementById('ack-cancel-btn');
+    const ackDisposition = document.getElementById('ack-disposition');
+    const ackContact = document.getElementById('ack-contact');
+    const ackContactOptions = document.getElementById('ack-contact-options');
+    const ackContactedAt = document.getElementById('ack-contacted-at');
     const acknowledgeError = document.getElementById('acknowledge-error');
     const closeModalButtons = document.querySelectorAll('.close-modal');
 
@@ -34,12 +42,29 @@
     const ackLockEvent = document.getElementById('ack-lock-event');
     const eventLockContainer = document.getElementById('event-lock-container');
 
+    // Number of events requested per page; more are loaded with the "Load more" button
+    const EVENTS_PAGE_SIZE = 50;
+    // Largest page the server will return
+    const MAX_EVENTS_PAGE_SIZE = 500;
+    // How often the console tells the server the operator is still active, keeping their claims alive
+    const CLAIM_HEARTBEAT_SECONDS = 30;
+
     // State
     let events = [];
+    let nextCursor = null; // Cursor for the page after the loaded events
+    let totalEvents = 0; // Number of events matching the current filters
+    let unacknowledgedCount = 0;
+    let eventsRequestId = 0; // Lets a slow response be ignored once a newer request has been made
     let selectedEventId = null;
+    let selectedImageIndex = 0; // Position in the selected event's filmstrip
     let polling = null;
     let eventSource = null; // For SSE
     let siteInfoCache = {}; // Cache for site information
+    let lastUserActivity = Date.now(); // Last keyboard or mouse input, for claim heartbeats
+    let assignableUsers = null; // Users an admin can reassign events to, loaded on first use
+    let editingContactEntryId = null; // Keyholder call being edited in the event details
+    let currentShift = null; // Shift the operator has started and not yet ended
+    let pendingHandovers = []; // Handovers from the previous operators, waiting to be acknowledged
 
     // Check if the user is logged in
     const token = localStorage.getItem('token');
@@ -55,7 +80,13 @@
     const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
     console.log('Current user:', currentUser);
 
+    // Check whether the current user's role has a permission, e.g. 'events.acknowledge'
+    function can(permission) {
+        return (currentUser.permissions || []).includes(permission);
+    }
+
     setupUserInfo(currentUser);
+    refreshCurrentUser();
 
     // Admin links are now handled in the user actions section
 
@@ -67,27 +98,122 @@
         // We'll select this event after loading
     }
 
-    // Fetch events from the server
-    async function fetchEvents() {
-        console.log('Fetching events with token:', token);
+    // Build the query string for the current filter controls
+    function buildEventsQuery(limit, cursor) {
+        const params = new URLSearchParams();
+        params.set('limit', limit);
+
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+
+        if (filterUnacknowledged.checked) {
+            params.set('unacknowledged', 'true');
+        }
+
+        if (filterLateResponse.checked) {
+            params.set('lateResponse', 'true');
+        }
+
+        // Alarms from disarmed sites are kept out of the main queue and listed on their own
+        params.set('lowPriority', filterLowPriority.checked ? 'true' : 'false');
+
+        // Alarms grouped into an incident are listed under the incident rather than on their own
+        params.set('incidentId', 'none');
+
+        // Unacknowledged events come first, most urgent then oldest first
+        params.set('sort', 'priority');
+
+        if (filterDateFrom.value) {
+            const fromDate = new Date(filterDateFrom.value);
+            fromDate.setHours(0, 0, 0, 0); // Start of day
+            params.set('from', fromDate.toISOString());
+        }
+
+        if (filterDateTo.value) {
+            const toDate = new Date(filterDateTo.value);
+            toDate.setHours(23, 59, 59, 999); // End of day
+            params.set('to', toDate.toISOString());
+        }
+
+        if (filterSite && filterSite.value) {
+            params.set('siteId', filterSite.value);
+        }
+
+        if (filterTagDropdown && filterTagDropdown.value) {
+            params.set('tag', filterTagDropdown.value);
+        }
+
+        if (filterSearch && filterSearch.value.trim()) {
+            params.set('search', filterSearch.value.trim());
+        }
+
+        return params.toString();
+    }
+
+    // Request one page of events from the server
+    async function fetchEventsPage(limit, cursor) {
+        const response = await fetch(`/api/events?${buildEventsQuery(limit, cursor)}`, {
+            headers: {
+                'x-auth-token': token
+            }
+        });
+
+        console.log('Response status:', response.status);
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch events: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    // Fetch the number of unacknowledged events, regardless of the list filters
+    async function fetchUnacknowledgedCount() {
         try {
-            const response = await fetch('/api/events', {
+            const response = await fetch('/api/events?unacknowledged=true&lowPriority=false&incidentId=none&limit=1', {
                 headers: {
                     'x-auth-token': token
                 }
             });
 
-            console.log('Response status:', response.status);
-
             if (!response.ok) {
-                throw new Error(`Failed to fetch events: ${response.status}`);
+                throw new Error(`Failed to fetch unacknowledged count: ${response.status}`);
             }
 
             const data = await response.json();
+            unacknowledgedCount = data.total;
+        } catch (error) {
+            console.error('Error fetching unacknowledged count:', error);
+        }
+    }
+
+    // Fetch events from the server.
+    // A refresh reloads as many events as are already shown so "Load more" pages are kept;
+    // pass reset when the filters change to start again from the first page.
+    async function fetchEvents(reset = false) {
+        console.log('Fetching events with token:', token);
+        const requestId = ++eventsRequestId;
+        try {
+            const limit = reset
+                ? EVENTS_PAGE_SIZE
+                : Math.min(Math.max(EVENTS_PAGE_SIZE, events.length), MAX_EVENTS_PAGE_SIZE);
+
+            const [data] = await Promise.all([
+                fetchEventsPage(limit),
+                fetchUnacknowledgedCount()
+            ]);
             console.log('Events data received:', data);
-            console.log('Number of events:', data.length);
+            console.log('Number of events:', data.events.length, 'of', data.total);
 
-            events = data;
+            if (requestId !== eventsRequestId) {
+                console.log('Ignoring outdated events response');
+                return;
+            }
+
+            events = data.events;
+            nextCursor = data.nextCursor;
+            totalEvents = data.total;
             updateUnacknowledgedCounter();
 
             // Load site information for all events with siteId
@@ -121,6 +247,55 @@
         }
     }
 
+    // Append the next page of events to the list
+    async function loadMoreEvents() {
+        if (!nextCursor) return;
+
+        try {
+            const requestId = eventsRequestId;
+            const data = await fetchEventsPage(EVENTS_PAGE_SIZE, nextCursor);
+            console.log('Loaded', data.events.length, 'more events');
+
+            // The list was reloaded while this page was loading
+            if (requestId !== eventsRequestId) return;
+
+            events = events.concat(data.events);
+            nextCursor = data.nextCursor;
+            totalEvents = data.total;
+
+            await loadSiteInformation(data.events);
+            renderEventsList();
+        } catch (error) {
+            console.error('Error loading more events:', error);
+            showNotification('Failed to load more events. Please try again.', 'error');
+        }
+    }
+
+    // Load every site into the cache so the site filter lists all of them,
+    // not only the sites of the events on the current page
+    async function fetchSitesForFilter() {
+        try {
+            const response = await fetch('/api/sites', {
+                headers: {
+                    'x-auth-token': token
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch sites: ${response.status}`);
+            }
+
+            const sites = await response.json();
+            sites.forEach(site => {
+                siteInfoCache[site.id] = site;
+            });
+
+            populateSiteFilterDropdown();
+        } catch (error) {
+            console.error('Error fetching sites for filter:', error);
+        }
+    }
+
     // Load site information for events with siteId
     async function loadSiteInformation(events) {
         console.log('Loading site information for events');
@@ -171,7 +346,10 @@
     // Function to populate the site filter dropdown with available sites
     function populateSiteFilterDropdown() {
         if (!filterSite) return;
-        
+
+        // Keep the current selection while the options are rebuilt
+        const selectedSite = filterSite.value;
+
         // Clear existing options except the first one (All sites)
         while (filterSite.options.length > 1) {
             filterSite.remove(1);
@@ -198,11 +376,13 @@
             option.textContent = site.name;
             filterSite.appendChild(option);
         });
+
+        filterSite.value = selectedSite;
     }
 
     // Update the unacknowledged counter and related UI elements
     function updateUnacknowledgedCounter() {
-        const count = events.filter(event => !event.acknowledged).length;
+        const count = unacknowledgedCount;
         console.log('Unacknowledged events count:', count);
         unacknowledgedCounter.textContent = count;
 
@@ -215,89 +395,23 @@
 
     // Render the events list
     function renderEventsList() {
-        console.log('Rendering events list with', events.length, 'events');
-
-        if (events.length === 0) {
+        console.log('Rendering events list with', events.length, 'of', totalEvents, 'events');
+
+        // Events arrive from the server already filtered and in queue order:
+        // unacknowledged events by priority then age, followed by acknowledged events newest first
+        const filteredEvents = events;
+        const filtersActive = filterUnacknowledged.checked || filterLateResponse.checked || filterLowPriority.checked ||
+            filterDateFrom.value || filterDateTo.value ||
+            (filterSite && filterSite.value) ||
+            (filterTagDropdown && filterTagDropdown.value) ||
+            (filterSearch && filterSearch.value.trim());
+
+        if (filteredEvents.length === 0 && !filtersActive) {
             console.log('No events found, showing empty message');
             eventsList.innerHTML = '<div class="loading">No alarm events found.</div>';
             return;
         }
 
-        // Sort events by date (newest first)
-        events.sort((a, b) => new Date(b.date) - new Date(a.date));
-        console.log('Events sorted by date');
-
-        // Apply filters
-        let filteredEvents = events;
-
-        // First apply unacknowledged filter if checked
-        if (filterUnacknowledged.checked) {
-            console.log('Filtering by unacknowledged events');
-            filteredEvents = filteredEvents.filter(event => !event.acknowledged);
-        }
-
-        // Then apply late response filter if checked
-        if (filterLateResponse.checked) {
-            console.log('Filtering by late response events');
-            filteredEvents = filteredEvents.filter(event => event.isLateResponse);
-        }
-
-        // Apply date range filter if either date is set
-        if (filterDateFrom.value || filterDateTo.value) {
-            console.log('Filtering by date range:', filterDateFrom.value, 'to', filterDateTo.value);
-            
-            // If only 'from' date is set
-            if (filterDateFrom.value && !filterDateTo.value) {
-                const fromDate = new Date(filterDateFrom.value);
-                fromDate.setHours(0, 0, 0, 0); // Start of day
-                
-                filteredEvents = filteredEvents.filter(event => {
-                    const eventDate = new Date(event.date);
-                    return eventDate >= fromDate;
-                });
-            }
-            // If only 'to' date is set
-            else if (!filterDateFrom.value && filterDateTo.value) {
-                const toDate = new Date(filterDateTo.value);
-                toDate.setHours(23, 59, 59, 999); // End of day
-                
-                filteredEvents = filteredEvents.filter(event => {
-                    const eventDate = new Date(event.date);
-                    return eventDate <= toDate;
-                });
-            }
-            // If both dates are set
-            else if (filterDateFrom.value && filterDateTo.value) {
-                const fromDate = new Date(filterDateFrom.value);
-                fromDate.setHours(0, 0, 0, 0); // Start of day
-                
-                const toDate = new Date(filterDateTo.value);
-                toDate.setHours(23, 59, 59, 999); // End of day
-                
-                filteredEvents = filteredEvents.filter(event => {
-                    const eventDate = new Date(event.date);
-                    return eventDate >= fromDate && eventDate <= toDate;
-                });
-            }
-        }
-
-        // Apply site filter if selected
-        if (filterSite && filterSite.value) {
-            const siteId = parseInt(filterSite.value);
-            console.log('Filtering by site ID:', siteId);
-            filteredEvents = filteredEvents.filter(event => event.siteId === siteId);
-        }
-        
-        // Apply tag filter if selected
-        if (filterTagDropdown && filterTagDropdown.value) {
-            console.log('Filtering by tag:', filterTagDropdown.value);
-            filteredEvents = filteredEvents.filter(event =>
-                event.tags &&
-                Array.isArray(event.tags) &&
-                event.tags.includes(filterTagDropdown.value)
-            );
-        }
-
         console.log('Filtered events count:', filteredEvents.length);
 
         if (filteredEvents.length === 0) {
@@ -311,9 +425,17 @@
                 message = 'No late response events found';
             }
 
+            if (filterLowPriority.checked) {
+                message += ' in the low-priority queue';
+            }
+
             if (filterTagDropdown && filterTagDropdown.value) {
                 message += ` with tag '${filterTagDropdown.value}'`;
             }
+
+            if (filterSearch && filterSearch.value.trim()) {
+                message += ` matching '${filterSearch.value.trim()}'`;
+            }
             
             // Add date range information to message if dates are set
             if (filterDateFrom.value || filterDateTo.value) {
@@ -347,6 +469,8 @@
             const isAcknowledged = event.acknowledged ? '' : 'unacknowledged';
             const isLateResponse = event.isLateResponse ? 'late-response' : '';
             const isLocked = event.locked ? 'locked-event' : '';
+            const isEscalated = event.escalated ? 'escalated' : '';
+            const priorityClass = event.priority && !event.acknowledged ? `priority-${event.priority.level}` : '';
 
             // Add check icon for acknowledged events
             const acknowledgedIcon = event.acknowledged
@@ -358,6 +482,29 @@
                 ? '<span class="locked-icon">🔒</span>'
                 : '';
 
+            // Add badge for events that went unacknowledged past their escalation policy
+            const escalatedIcon = event.escalated
+                ? '<span class="escalated-badge" title="Escalated">Escalated</span>'
+                : '';
+
+            // Add badge for alarms received while the site was disarmed
+            const disarmedIcon = event.siteDisarmed
+                ? '<span class="disarmed-badge" title="Received while the site was disarmed">Disarmed</span>'
+                : '';
+
+            // Add badge for the priority of alarms still waiting to be handled
+            const priorityIcon = event.priority && !event.acknowledged
+                ? `<span class="priority-badge priority-${event.priority.level}" title="Priority score ${event.priority.score}">${event.priority.level}</span>`
+                : '';
+
+            // Add badges for incidents that grouped a burst of alarms, and for alarms from flooding cameras
+            const incidentIcon = event.incident
+                ? `<span class="incident-badge" title="${event.incident.count} alarms grouped into this incident">${event.incident.count} alarms</span>`
+                : '';
+            const floodingIcon = (event.incident && event.incident.flooding) || event.floodMuted
+                ? '<span class="flooding-badge" title="The camera sent too many alarms and has been muted">Flooding</span>'
+                : '';
+
             // Add response time info if the event has been acknowledged
             let responseTimeHTML = '';
             if (event.acknowledged && event.responseTimeMinutes !== undefined) {
@@ -375,6 +522,17 @@
                 tagsHTML += '</div>';
             }
 
+            // Show the recorded outcome
+            const dispositionHTML = event.disposition
+                ? `<div class="event-disposition">Outcome: ${event.disposition.label}</div>`
+                : '';
+
+            // Show who is handling the event
+            let claimHTML = '';
+            if (event.claimedBy && !event.acknowledged) {
+                claimHTML = `<div class="event-claim ${isClaimedByMe(event) ? 'mine' : ''}">Being handled by ${getClaimantName(event)}</div>`;
+            }
+
             // Add site name if available
             let siteNameHTML = '';
             if (event.siteId && siteInfoCache[event.siteId]) {
@@ -382,19 +540,26 @@
             }
 
             return `
-            <div class="event-item ${isActive} ${isAcknowledged} ${isLateResponse} ${isLocked}" data-id="${event.id}">
+            <div class="event-item ${isActive} ${isAcknowledged} ${isLateResponse} ${isLocked} ${isEscalated} ${priorityClass}" data-id="${event.id}">
                 <div class="event-header">
                     <div class="event-subject">${event.subject}</div>
                     <div class="event-icons">
+                        ${priorityIcon}
+                        ${escalatedIcon}
+                        ${incidentIcon}
+                        ${floodingIcon}
+                        ${disarmedIcon}
                         ${acknowledgedIcon}
                         ${lockedIcon}
                     </div>
                 </div>
                 <div class="event-details">
-                    ${event.camera ? `<div>Camera: ${event.camera}</div>` : ''}
+                    ${event.camera ? `<div>Camera: ${event.cameraName || event.camera}${event.cameraUnknown ? ' <span class="unknown-camera-badge" title="This camera is not in the site\'s camera registry">Unregistered</span>' : ''}</div>` : ''}
                     ${event.eventType ? `<div>Event: ${event.eventType}</div>` : ''}
                     ${siteNameHTML}
+                    ${claimHTML}
                     ${responseTimeHTML}
+                    ${dispositionHTML}
                     ${tagsHTML}
                 </div>
                 <div class="event-date">${formattedDate}</div>
@@ -402,10 +567,26 @@
         `;
         }).join('');
 
+        // Offer the next page when there are more matching events on the server
+        const loadMoreHTML = nextCursor
+            ? `<div class="load-more-container">
+                   <button id="load-more-events" class="small-button">Load more (${events.length} of ${totalEvents})</button>
+               </div>`
+            : '';
+
         console.log('Setting events HTML');
-        eventsList.innerHTML = eventsHTML;
+        eventsList.innerHTML = eventsHTML + loadMoreHTML;
         console.log('Events HTML set, adding event listeners');
 
+        const loadMoreBtn = document.getElementById('load-more-events');
+        if (loadMoreBtn) {
+            loadMoreBtn.addEventListener('click', function () {
+                loadMoreBtn.disabled = true;
+                loadMoreBtn.textContent = 'Loading...';
+                loadMoreEvents();
+            });
+        }
+
         // Add event listeners to items
         document.querySelectorAll('.event-item').forEach(item => {
             item.addEventListener('click', function () {
@@ -416,9 +597,77 @@
         console.log('Event listeners added to event items');
     }
 
+    // Get every snapshot of an event; events stored before multi-image support only have imagePath
+    function getEventImages(event) {
+        if (!event) return [];
+        if (Array.isArray(event.images) && event.images.length > 0) return event.images;
+        return event.imagePath ? [event.imagePath] : [];
+    }
+
+    // Show one of the selected event's images and highlight its thumbnail
+    function showEventImage(index) {
+        const event = events.find(e => e.id === selectedEventId);
+        const images = getEventImages(event);
+        if (images.length === 0) return;
+
+        // Wrap around at both ends
+        selectedImageIndex = (index + images.length) % images.length;
+
+        alertImage.src = images[selectedImageIndex];
+        alertImage.alt = images.length > 1
+            ? `${event.subject} (image ${selectedImageIndex + 1} of ${images.length})`
+            : event.subject;
+
+        imageFilmstrip.querySelectorAll('.filmstrip-thumb').forEach((thumb, thumbIndex) => {
+            thumb.classList.toggle('active', thumbIndex === selectedImageIndex);
+            if (thumbIndex === selectedImageIndex) {
+                thumb.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
+            }
+        });
+
+        const counter = imageFilmstrip.querySelector('.filmstrip-counter');
+        if (counter) {
+            counter.textContent = `${selectedImageIndex + 1} / ${images.length}`;
+        }
+    }
+
+    // Build the thumbnail strip below the main image (hidden when there is only one image)
+    function renderFilmstrip(event) {
+        const images = getEventImages(event);
+
+        if (images.length <= 1) {
+            imageFilmstrip.innerHTML = '';
+            imageFilmstrip.style.display = 'none';
+            return;
+        }
+
+        imageFilmstrip.innerHTML = `
+            <button class="filmstrip-nav filmstrip-prev" title="Previous image (←)">&lsaquo;</button>
+            <div class="filmstrip-thumbs">
+                ${images.map((image, index) => `
+                    <img class="filmstrip-thumb" src="${image}" alt="Image ${index + 1}" data-index="${index}">
+                `).join('')}
+            </div>
+            <button class="filmstrip-nav filmstrip-next" title="Next image (→)">&rsaquo;</button>
+            <span class="filmstrip-counter"></span>
+        `;
+        imageFilmstrip.style.display = 'flex';
+
+        imageFilmstrip.querySelectorAll('.filmstrip-thumb').forEach(thumb => {
+            thumb.addEventListener('click', () => showEventImage(parseInt(thumb.getAttribute('data-index'))));
+        });
+        imageFilmstrip.querySelector('.filmstrip-prev').addEventListener('click', () => showEventImage(selectedImageIndex - 1));
+        imageFilmstrip.querySelector('.filmstrip-next').addEventListener('click', () => showEventImage(selectedImageIndex + 1));
+    }
+
     // Select an event and display its image
     function selectEvent(eventId) {
         console.log('Selecting event:', eventId);
+
+        // Stay on the same image when the selected event is redrawn after a refresh
+        if (eventId !== selectedEventId) {
+            selectedImageIndex = 0;
+        }
         selectedEventId = eventId;
 
         // Update active class
@@ -436,11 +685,12 @@
 
         // Find the event
         const event = events.find(e => e.id === eventId);
-        if (!event || !event.imagePath) {
+        if (getEventImages(event).length === 0) {
             console.log('No image available for event:', event);
             imageInfo.innerHTML = '<p>No image available for this event</p>';
             alertImage.src = '';
             alertImage.alt = 'No image available';
+            renderFilmstrip(null);
             acknowledgeContainer.innerHTML = '';
 
             // Clear video container
@@ -457,10 +707,10 @@
             return;
         }
 
-        // Update image
-        console.log('Setting image path:', event.imagePath);
-        alertImage.src = event.imagePath;
-        alertImage.alt = event.subject;
+        // Update image and filmstrip
+        console.log('Setting image paths:', getEventImages(event));
+        renderFilmstrip(event);
+        showEventImage(selectedImageIndex);
 
         // Update image info
         const date = new Date(event.date);
@@ -469,8 +719,20 @@
             <p>Captured: ${date.toLocaleString()}</p>
         `;
 
-        if (event.camera) infoHTML += `<p>Camera: ${event.camera}</p>`;
+        if (event.camera) {
+            const cameraLabel = event.cameraName && event.cameraName !== event.camera ? `${event.cameraName} (${event.camera})` : event.camera;
+            infoHTML += `<p>Camera: ${cameraLabel}${event.channel ? `, channel ${event.channel}` : ''}${event.cameraUnknown ? ' <span class="unknown-camera-badge">Unregistered</span>' : ''}</p>`;
+        }
+        if (event.cameraDisabled) {
+            infoHTML += '<p class="disarmed-info">The camera is disabled in the camera registry, so the alarm was held in the low-priority queue.</p>';
+        }
+        if (event.cameraOffline) {
+            infoHTML += `<p class="camera-offline-info">${describeCameraOffline(event.cameraOffline)}</p>`;
+        }
         if (event.eventType) infoHTML += `<p>Event Type: ${event.eventType}</p>`;
+        if (event.priority) {
+            infoHTML += `<p>Priority: <span class="priority-badge priority-${event.priority.level}">${event.priority.level}</span> ${describePriority(event.priority)}</p>`;
+        }
         if (event.device) infoHTML += `<p>Device: ${event.device}</p>`;
 
         // Add tags if they exist
@@ -480,6 +742,26 @@
             infoHTML += `</p>`;
         }
 
+        // Explain why an alarm skipped the main queue
+        if (event.siteDisarmed) {
+            infoHTML += `<p class="disarmed-info"><span class="disarmed-badge">Disarmed</span> ${describeSiteDisarmed(event.siteDisarmed)}</p>`;
+        }
+
+        // Show how far the event has gone through its escalation policy
+        infoHTML += renderEscalationSteps(event);
+
+        // Add the alarms grouped into this incident (filled in once the HTML is in place)
+        if (event.incident) {
+            infoHTML += `<div class="incident-info">
+                <p><strong>Incident: ${event.incident.count} alarms</strong> from ${new Date(event.incident.firstEventAt).toLocaleString()} to ${new Date(event.incident.lastEventAt).toLocaleString()}</p>
+                ${event.incident.flooding ? `<p><span class="flooding-badge">Flooding</span> Camera ${event.incident.flooding.camera} is muted until ${new Date(event.incident.flooding.mutedUntil).toLocaleString()}</p>` : ''}
+                ${event.acknowledged ? '' : '<p>Acknowledging the incident closes every alarm in it.</p>'}
+                <div id="incident-events-container"></div>
+            </div>`;
+        } else if (event.floodMuted) {
+            infoHTML += '<p class="disarmed-info"><span class="flooding-badge">Flooding</span> The camera was muted for sending too many alarms, so this alarm did not sound.</p>';
+        }
+
         // Add site information container if siteId exists
         if (event.siteId) {
             infoHTML += `<div id="site-info-container" class="site-info-container">
@@ -487,6 +769,9 @@
             </div>`;
         }
 
+        // Add the keyholder call-out log container (filled in once the HTML is in place)
+        infoHTML += '<div id="contact-log-container" class="contact-log"></div>';
+
         // Add acknowledgment info if event has been acknowledged
         if (event.acknowledged && event.acknowledgedAt) {
             const ackDate = new Date(event.acknowledgedAt);
@@ -510,6 +795,18 @@
                 infoHTML += '</p>';
             }
 
+            // Add the recorded outcome
+            if (event.disposition) {
+                infoHTML += `<p class="event-disposition">Outcome: <strong>${event.disposition.label}</strong>`;
+                if (event.disposition.contact) {
+                    infoHTML += ` - contacted ${event.disposition.contact}`;
+                    if (event.disposition.contactedAt) {
+                        infoHTML += ` at ${new Date(event.disposition.contactedAt).toLocaleString()}`;
+                    }
+                }
+                infoHTML += '</p>';
+            }
+
             // Add note if it exists
             if (event.note) {
                 infoHTML += `<div class="event-note">
@@ -521,38 +818,550 @@
             infoHTML += '</div>';
         }
 
-        console.log('Setting image info HTML');
-        imageInfo.innerHTML = infoHTML;
+        // Add the history container, loaded from the server
+        infoHTML += '<div id="event-history-container" class="event-history"></div>';
+
+        console.log('Setting image info HTML');
+        imageInfo.innerHTML = infoHTML;
+
+        // Show the calls made to keyholders and what has happened to the event so far
+        renderContactLog(event);
+        fetchEventHistory(event.id);
+        if (event.incident) {
+            fetchIncidentEvents(event.id);
+        }
+
+        // Update lock button display
+        updateEventLockDisplay(event);
+
+        // Fetch site information if siteId exists
+        if (event.siteId) {
+            console.log('Event has siteId, fetching site information:', event.siteId);
+            fetchSiteInfo(event.siteId);
+        }
+
+        // Add acknowledge button if not acknowledged
+        if (!event.acknowledged) {
+            console.log('Event not acknowledged, showing acknowledge button');
+            acknowledgeContainer.innerHTML = `
+                ${renderClaimControls(event)}
+                ${can('events.acknowledge') ? '<button id="acknowledge-btn" class="acknowledge-btn">Acknowledge Event</button>' : ''}
+            `;
+
+            // Add event listener to acknowledge button
+            const acknowledgeBtn = document.getElementById('acknowledge-btn');
+            if (acknowledgeBtn) {
+                acknowledgeBtn.addEventListener('click', () => {
+                    acknowledgeEvent(eventId);
+                });
+            }
+
+            bindClaimControls(eventId);
+        } else {
+            console.log('Event already acknowledged, no button needed');
+            acknowledgeContainer.innerHTML = '';
+        }
+
+        // Check for matching video
+        findMatchingVideo(event).then(videoInfo => {
+            updateEventVideoDisplay(event, videoInfo);
+        });
+    }
+
+    // Check whether the current user is handling an event
+    function isClaimedByMe(event) {
+        return !!event.claimedBy && event.claimedBy.userId === currentUser.id;
+    }
+
+    // Name to show for the operator handling an event
+    function getClaimantName(event) {
+        return isClaimedByMe(event) ? 'you' : (event.claimedBy.name || event.claimedBy.username);
+    }
+
+    // Build the claim, release and reassign controls for an unacknowledged event
+    function renderClaimControls(event) {
+        let html = '<div class="claim-controls">';
+
+        if (!event.claimedBy) {
+            html += '<span class="claim-status">Nobody is handling this event</span>';
+            if (can('events.claim')) {
+                html += '<button id="claim-btn" class="small-button">Claim</button>';
+            }
+        } else {
+            html += `<span class="claim-status ${isClaimedByMe(event) ? 'mine' : 'other'}">Being handled by ${getClaimantName(event)} since ${new Date(event.claimedBy.claimedAt).toLocaleTimeString()}</span>`;
+            if (isClaimedByMe(event) || can('events.reassign')) {
+                html += '<button id="release-btn" class="small-button">Release</button>';
+            }
+        }
+
+        if (can('events.reassign')) {
+            const options = (assignableUsers || [])
+                .map(user => `<option value="${user.id}">${user.name || user.username}</option>`)
+                .join('');
+            html += `<select id="reassign-user" class="reassign-select">
+                <option value="">Assign to...</option>
+                ${options}
+            </select>`;
+        }
+
+        html += '</div>';
+        return html;
+    }
+
+    // Attach handlers to the claim controls of the selected event
+    function bindClaimControls(eventId) {
+        const claimBtn = document.getElementById('claim-btn');
+        if (claimBtn) {
+            claimBtn.addEventListener('click', () => updateClaim(eventId, 'claim'));
+        }
+
+        const releaseBtn = document.getElementById('release-btn');
+        if (releaseBtn) {
+            releaseBtn.addEventListener('click', () => updateClaim(eventId, 'release'));
+        }
+
+        const reassignSelect = document.getElementById('reassign-user');
+        if (reassignSelect) {
+            if (assignableUsers === null) {
+                fetchAssignableUsers();
+            }
+            reassignSelect.addEventListener('change', () => {
+                if (reassignSelect.value) {
+                    updateClaim(eventId, 'reassign', { userId: parseInt(reassignSelect.value) });
+                }
+            });
+        }
+    }
+
+    // Load the users events can be handed to
+    async function fetchAssignableUsers() {
+        assignableUsers = [];
+        try {
+            const response = await fetch('/api/auth/users', {
+                headers: {
+                    'x-auth-token': token
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch users');
+            }
+
+            const users = await response.json();
+            assignableUsers = users.filter(user => user.isActive !== false);
+
+            // Redraw the controls now the list is available
+            if (selectedEventId) {
+                selectEvent(selectedEventId);
+            }
+        } catch (error) {
+            console.error('Error fetching users for reassignment:', error);
+        }
+    }
+
+    // Claim, release or reassign an event
+    async function updateClaim(eventId, action, body = {}) {
+        try {
+            const response = await fetch(`/api/events/${eventId}/${action}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-auth-token': token
+                },
+                body: JSON.stringify(body)
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `Failed to ${action} event`);
+            }
+
+            applyEventUpdate(result.event);
+        } catch (error) {
+            console.error(`Error trying to ${action} event:`, error);
+            showNotification(error.message, 'error');
+            // The event may have changed hands in the meantime
+            fetchEvents();
+        }
+    }
+
+    // Explain an offline event raised for a camera that stopped sending emails
+    function describeCameraOffline(cameraOffline) {
+        const lastSeen = cameraOffline.lastSeen ? `last heard from at ${new Date(cameraOffline.lastSeen).toLocaleString()}` : 'not heard from since it was registered';
+        const status = cameraOffline.recoveredAt
+            ? `It came back online at ${new Date(cameraOffline.recoveredAt).toLocaleString()}.`
+            : '<span class="camera-offline-badge">Still offline</span>';
+        return `The camera was ${lastSeen}, more than ${cameraOffline.silenceMinutes} minutes before this event. ${status}`;
+    }
+
+    // Replace a loaded event with a newer copy and redraw it
+    function applyEventUpdate(updatedEvent) {
+        const eventIndex = events.findIndex(e => e.id === updatedEvent.id);
+        if (eventIndex === -1) {
+            return;
+        }
+
+        events[eventIndex] = updatedEvent;
+        renderEventsList();
+
+        if (selectedEventId === updatedEvent.id) {
+            selectEvent(updatedEvent.id);
+        }
+    }
+
+    // Show claim changes made on other consoles
+    function handleClaimUpdate(data) {
+        const event = data.event;
+        if (!event) {
+            return;
+        }
+
+        applyEventUpdate(event);
+
+        const previousClaimWasMine = data.previousClaim && data.previousClaim.userId === currentUser.id;
+        if (data.action === 'expired' && previousClaimWasMine) {
+            showNotification(`Your claim on "${event.subject}" was released because you were idle`, 'warning');
+        } else if (data.action === 'reassigned' && isClaimedByMe(event) && (!data.by || data.by.userId !== currentUser.id)) {
+            showNotification(`"${event.subject}" has been assigned to you`, 'warning');
+            playNotificationSound();
+        } else if (data.action === 'reassigned' && previousClaimWasMine && !isClaimedByMe(event)) {
+            showNotification(`"${event.subject}" has been reassigned to ${event.claimedBy.name || event.claimedBy.username}`, 'info');
+        }
+    }
+
+    // Tell the server the operator is still at the console so their claims do not expire
+    function sendClaimHeartbeat() {
+        if (!can('events.claim') || Date.now() - lastUserActivity > CLAIM_HEARTBEAT_SECONDS * 1000) {
+            return;
+        }
+
+        fetch('/api/events/claims/heartbeat', {
+            method: 'POST',
+            headers: {
+                'x-auth-token': token
+            }
+        }).catch(error => {
+            console.warn('Error sending claim heartbeat:', error);
+        });
+    }
+
+    // Labels for the escalation steps an event can go through
+    const ESCALATION_STEP_LABELS = {
+        're-alert': 'Re-alert operators',
+        'notify-supervisor': 'Notify supervisors',
+        'mark-escalated': 'Mark escalated'
+    };
+
+    // What decided that a site was disarmed when an alarm came in
+    const ARMING_SOURCE_LABELS = {
+        'override': 'disarmed manually',
+        'exception': 'disarmed for the day',
+        'schedule': 'disarmed by its weekly schedule'
+    };
+
+    // Describe how an alarm from a disarmed site was handled
+    function describeSiteDisarmed(siteDisarmed) {
+        const reason = `The site was ${ARMING_SOURCE_LABELS[siteDisarmed.source] || 'disarmed'}${siteDisarmed.label ? ` (${siteDisarmed.label})` : ''}`;
+        return siteDisarmed.action === 'auto-disposition'
+            ? `${reason}, so the alarm was closed automatically.`
+            : `${reason}, so the alarm was held in the low-priority queue.`;
+    }
+
+    // Build the escalation step list shown in the event details
+    function renderEscalationSteps(event) {
+        if (!event.escalation || !Array.isArray(event.escalation.steps) || event.escalation.steps.length === 0) {
+            return '';
+        }
+
+        const stepsHTML = event.escalation.steps.map(step => {
+            let state = 'Pending';
+            if (step.status === 'done') {
+                state = `Done ${new Date(step.firedAt).toLocaleTimeString()}`;
+            } else if (step.status === 'cancelled') {
+                state = 'Cancelled';
+            } else {
+                state = `Due ${new Date(step.dueAt).toLocaleTimeString()}`;
+            }
+
+            return `<li class="escalation-step ${step.status}">
+                <span>${ESCALATION_STEP_LABELS[step.action] || step.action} after ${step.afterMinutes} min</span>
+                <span class="escalation-step-state">${state}</span>
+            </li>`;
+        }).join('');
+
+        const policyName = event.escalation.policy === 'site' ? 'site policy' : 'default policy';
+        return `<div class="escalation-info ${event.escalated ? 'escalated' : ''}">
+            <p><strong>Escalation</strong> (${policyName})${event.escalated ? ' <span class="escalated-badge">Escalated</span>' : ''}</p>
+            <ul class="escalation-steps">${stepsHTML}</ul>
+        </div>`;
+    }
+
+    // Labels for the results of a call to a keyholder
+    const CONTACT_RESULT_LABELS = {
+        'answered': 'Answered',
+        'voicemail': 'Voicemail',
+        'no-answer': 'No answer',
+        'attending': 'Attending'
+    };
+
+    // Show the keyholder call-out log of an event, with a form to log a call or edit one
+    function renderContactLog(event) {
+        const container = document.getElementById('contact-log-container');
+        if (!container) {
+            return;
+        }
+
+        const contactLog = event.contactLog || [];
+        const editing = contactLog.find(entry => entry.id === editingContactEntryId) || null;
+        if (!editing) {
+            editingContactEntryId = null;
+        }
+
+        const entriesHTML = contactLog.map(entry => {
+            const canEdit = (entry.loggedBy && entry.loggedBy.userId === currentUser.id) || can('events.contacts.manage');
+            const loggedBy = entry.loggedBy ? (entry.loggedBy.name || entry.loggedBy.username) : 'unknown';
+
+            return `<li class="contact-entry ${entry.result}">
+                <div class="contact-entry-summary">
+                    <strong>${entry.keyholder.name || entry.keyholder.contact}</strong>
+                    ${entry.keyholder.contact ? `<span class="contact-entry-number">${entry.keyholder.contact}</span>` : ''}
+                    <span class="contact-result ${entry.result}">${CONTACT_RESULT_LABELS[entry.result] || entry.result}</span>
+                    ${entry.eta ? `<span class="contact-eta">ETA ${new Date(entry.eta).toLocaleTimeString()}</span>` : ''}
+                </div>
+                <div class="contact-entry-meta">
+                    Called ${new Date(entry.calledAt).toLocaleString()} by ${loggedBy}${entry.updatedBy ? ` (edited by ${entry.updatedBy.name || entry.updatedBy.username})` : ''}
+                </div>
+                ${entry.note ? `<div class="contact-entry-note">${entry.note}</div>` : ''}
+                ${canEdit ? `<div class="contact-entry-actions">
+                    <button class="small-button edit-contact" data-id="${entry.id}">Edit</button>
+                    <button class="small-button delete-contact" data-id="${entry.id}">Delete</button>
+                </div>` : ''}
+            </li>`;
+        }).join('');
+
+        // Offer the site's keyholders in call order, one option per phone number, then anyone else the operator calls
+        const site = event.siteId ? siteInfoCache[event.siteId] : null;
+        const keyholders = site && Array.isArray(site.keyholders) ? site.keyholders : [];
+        const keyholderOptions = keyholders.map(keyholder => {
+            const phones = keyholder.phones && keyholder.phones.length > 0 ? keyholder.phones : [{ label: '', number: '' }];
+            return phones.map(phone => {
+                const selected = editing && editing.keyholder.id === keyholder.id &&
+                    (!phone.number || editing.keyholder.contact === phone.number);
+                const numberLabel = phone.number ? ` - ${phone.label ? `${phone.label} ` : ''}${phone.number}` : '';
+                return `<option value="${keyholder.id}" data-number="${phone.number}" ${selected ? 'selected' : ''}>${keyholder.name}${numberLabel}</option>`;
+            }).join('');
+        }).join('');
+        const isOther = editing ? editing.keyholder.id === null : !keyholderOptions;
+
+        const resultOptions = Object.entries(CONTACT_RESULT_LABELS)
+            .map(([value, label]) => `<option value="${value}" ${editing && editing.result === value ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const calledAt = editing ? new Date(editing.calledAt) : new Date();
+        const etaMinutes = editing && editing.eta
+            ? Math.round((new Date(editing.eta).getTime() - calledAt.getTime()) / (60 * 1000))
+            : '';
+
+        container.innerHTML = `
+            <p><strong>Keyholder call-out log</strong></p>
+            ${contactLog.length > 0 ? `<ul class="contact-entries">${entriesHTML}</ul>` : '<p class="no-contacts">No calls logged yet</p>'}
+            <form id="contact-log-form" class="contact-log-form" ${can('events.contacts') ? '' : 'style="display: none;"'}>
+                <select id="contact-keyholder">
+                    ${keyholderOptions}
+                    <option value="" ${isOther ? 'selected' : ''}>Someone else...</option>
+                </select>
+                <input type="text" id="contact-name" class="contact-other" placeholder="Name" value="${editing && isOther ? editing.keyholder.name : ''}">
+                <input type="text" id="contact-number" class="contact-other" placeholder="Phone number" value="${editing && isOther ? editing.keyholder.contact : ''}">
+                <input type="datetime-local" id="contact-called-at" title="Time of the call" value="${toDateTimeLocal(calledAt)}" required>
+                <select id="contact-result">${resultOptions}</select>
+                <input type="number" id="contact-eta" min="0" placeholder="ETA (minutes)" title="Minutes until they arrive" value="${etaMinutes}">
+                <input type="text" id="contact-note" placeholder="Note" value="${editing ? editing.note : ''}">
+                <button type="submit" class="small-button">${editing ? 'Save Call' : 'Log Call'}</button>
+                ${editing ? '<button type="button" id="cancel-contact-edit" class="small-button">Cancel</button>' : ''}
+            </form>
+        `;
+
+        const keyholderSelect = document.getElementById('contact-keyholder');
+        const toggleOtherFields = () => {
+            container.querySelectorAll('.contact-other').forEach(input => {
+                input.style.display = keyholderSelect.value === '' ? '' : 'none';
+            });
+        };
+        keyholderSelect.addEventListener('change', toggleOtherFields);
+        toggleOtherFields();
+
+        document.getElementById('contact-log-form').addEventListener('submit', e => {
+            e.preventDefault();
+            saveContactEntry(event.id);
+        });
+
+        const cancelButton = document.getElementById('cancel-contact-edit');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => {
+                editingContactEntryId = null;
+                renderContactLog(event);
+            });
+        }
+
+        container.querySelectorAll('.edit-contact').forEach(button => {
+            button.addEventListener('click', () => {
+                editingContactEntryId = button.dataset.id;
+                renderContactLog(event);
+            });
+        });
+
+        container.querySelectorAll('.delete-contact').forEach(button => {
+            button.addEventListener('click', () => deleteContactEntry(event.id, button.dataset.id));
+        });
+    }
+
+    // Log a new call to a keyholder, or save changes to the one being edited
+    async function saveContactEntry(eventId) {
+        const keyholderSelect = document.getElementById('contact-keyholder');
+        const keyholderId = keyholderSelect.value;
+        const calledAtValue = document.getElementById('contact-called-at').value;
+        const calledAt = calledAtValue ? new Date(calledAtValue) : new Date();
+        const etaMinutes = document.getElementById('contact-eta').value;
+
+        const entry = {
+            keyholderId: keyholderId === '' ? null : parseInt(keyholderId),
+            name: document.getElementById('contact-name').value,
+            number: keyholderId === ''
+                ? document.getElementById('contact-number').value
+                : keyholderSelect.selectedOptions[0].dataset.number,
+            calledAt: calledAt.toISOString(),
+            result: document.getElementById('contact-result').value,
+            eta: etaMinutes !== '' ? new Date(calledAt.getTime() + parseInt(etaMinutes) * 60 * 1000).toISOString() : null,
+            note: document.getElementById('contact-note').value
+        };
+
+        const url = editingContactEntryId
+            ? `/api/events/${eventId}/contacts/${editingContactEntryId}`
+            : `/api/events/${eventId}/contacts`;
+
+        try {
+            const response = await fetch(url, {
+                method: editingContactEntryId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-auth-token': token
+                },
+                body: JSON.stringify(entry)
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to save call');
+            }
+
+            editingContactEntryId = null;
+            applyEventUpdate(result.event);
+        } catch (error) {
+            console.error('Error saving keyholder call:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+
+    // Delete a logged call after confirming with the operator
+    async function deleteContactEntry(eventId, entryId) {
+        if (!confirm('Delete this call from the log?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/events/${eventId}/contacts/${entryId}`, {
+                method: 'DELETE',
+                headers: {
+                    'x-auth-token': token
+                }
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to delete call');
+            }
+
+            if (editingContactEntryId === entryId) {
+                editingContactEntryId = null;
+            }
+            applyEventUpdate(result.event);
+        } catch (error) {
+            console.error('Error deleting keyholder call:', error);
+            showNotification(error.message, 'error');
+        }
+    }
+
+    // Load the history of an event into the event details
+    async function fetchEventHistory(eventId) {
+        try {
+            const response = await fetch(`/api/events/${eventId}/history`, {
+                headers: {
+                    'x-auth-token': token
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch event history: ${response.status}`);
+            }
+
+            const history = await response.json();
+
+            // The operator may have moved on to another event in the meantime
+            const container = document.getElementById('event-history-container');
+            if (!container || selectedEventId !== eventId) {
+                return;
+            }
+
+            const itemsHTML = history.map(item => {
+                const details = [item.details, item.eta ? `ETA ${new Date(item.eta).toLocaleTimeString()}` : null]
+                    .filter(Boolean)
+                    .join(' - ');
+
+                return `<li class="history-item ${item.type}">
+                    <span class="history-time">${new Date(item.at).toLocaleString()}</span>
+                    <span class="history-label">${item.label}${item.by ? ` by ${item.by}` : ''}</span>
+                    ${details ? `<span class="history-details">${details}</span>` : ''}
+                </li>`;
+            }).join('');
+
+            container.innerHTML = `<p><strong>History</strong></p><ul class="event-history-list">${itemsHTML}</ul>`;
+        } catch (error) {
+            console.error('Error fetching event history:', error);
+        }
+    }
+
+    // Fetch the alarms grouped into an incident and list them under it
+    async function fetchIncidentEvents(incidentId) {
+        try {
+            const response = await fetch(`/api/events?incidentId=${incidentId}&sort=desc&limit=100`, {
+                headers: {
+                    'x-auth-token': token
+                }
+            });
 
-        // Update lock button display
-        updateEventLockDisplay(event);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch incident alarms: ${response.status}`);
+            }
 
-        // Fetch site information if siteId exists
-        if (event.siteId) {
-            console.log('Event has siteId, fetching site information:', event.siteId);
-            fetchSiteInfo(event.siteId);
-        }
+            const page = await response.json();
 
-        // Add acknowledge button if not acknowledged
-        if (!event.acknowledged) {
-            console.log('Event not acknowledged, showing acknowledge button');
-            acknowledgeContainer.innerHTML = `
-                <button id="acknowledge-btn" class="acknowledge-btn">Acknowledge Event</button>
-            `;
+            // The operator may have moved on to another event in the meantime
+            const container = document.getElementById('incident-events-container');
+            if (!container || selectedEventId !== incidentId) {
+                return;
+            }
 
-            // Add event listener to acknowledge button
-            document.getElementById('acknowledge-btn').addEventListener('click', () => {
-                acknowledgeEvent(eventId);
-            });
-        } else {
-            console.log('Event already acknowledged, no button needed');
-            acknowledgeContainer.innerHTML = '';
-        }
+            const itemsHTML = page.events.map(child => `<li class="history-item">
+                    <span class="history-time">${new Date(child.receivedAt || child.date).toLocaleString()}</span>
+                    <span class="history-label">${child.cameraName || child.camera}${child.eventType ? ` - ${child.eventType}` : ''}</span>
+                    ${child.imagePath ? `<a class="history-details" href="${child.imagePath}" target="_blank">Snapshot</a>` : ''}
+                </li>`).join('');
 
-        // Check for matching video
-        findMatchingVideo(event).then(videoInfo => {
-            updateEventVideoDisplay(event, videoInfo);
-        });
+            const moreHTML = page.nextCursor ? `<p class="history-details">Showing the latest ${page.events.length} of ${page.total} grouped alarms</p>` : '';
+            container.innerHTML = `<ul class="event-history-list">${itemsHTML}</ul>${moreHTML}`;
+        } catch (error) {
+            console.error('Error fetching incident alarms:', error);
+        }
     }
 
     // Fetch site information
@@ -598,6 +1407,12 @@
 
                 // Update the display
                 updateSiteInfoDisplay(site);
+
+                // The call-out log can now offer the site's keyholders
+                const selectedEvent = events.find(e => e.id === selectedEventId);
+                if (selectedEvent && selectedEvent.siteId === site.id) {
+                    renderContactLog(selectedEvent);
+                }
             } catch (error) {
                 console.error('Error fetching site information:', error);
                 // Check if container still exists before updating
@@ -616,19 +1431,13 @@
             return;
         }
 
-        // Generate keyholder info
-        let keyholderHtml = '';
-        const hasKeyholders = site.keyholders && site.keyholders.some(k => k.name || k.contact);
+        // Keyholders are listed by who to call at the time the alarm fired, loaded below
+        const hasKeyholders = Array.isArray(site.keyholders) && site.keyholders.length > 0;
+        const keyholderHtml = hasKeyholders
+            ? '<div id="call-list-container" class="site-keyholders"><div class="site-info-loading">Loading call list...</div></div>'
+            : '';
 
-        if (hasKeyholders) {
-            keyholderHtml = '<div class="site-keyholders"><h4>Keyholders</h4><ul>';
-            site.keyholders.forEach(keyholder => {
-                if (keyholder.name || keyholder.contact) {
-                    keyholderHtml += `<li><strong>${keyholder.name || 'Unnamed'}</strong>: ${keyholder.contact || 'No contact'}</li>`;
-                }
-            });
-            keyholderHtml += '</ul></div>';
-        }
+        const selectedEvent = events.find(e => e.id === selectedEventId);
 
         // Update site info
         siteInfoContainer.innerHTML = `
@@ -638,10 +1447,96 @@
                     <h4>Address</h4>
                     <p>${site.address.replace(/\n/g, '<br>')}</p>
                 </div>
+                ${renderCameraDetails(site, selectedEvent)}
                 ${keyholderHtml}
             </div>
         `;
         console.log('Site info container updated successfully');
+
+        if (hasKeyholders && selectedEvent && selectedEvent.siteId === site.id) {
+            fetchCallList(site.id, selectedEvent);
+        }
+    }
+
+    // Show where the event's camera is and what it normally sees, from the site's camera registry
+    function renderCameraDetails(site, event) {
+        const camera = event && event.cameraId && (site.cameras || []).find(c => c.id === event.cameraId);
+        if (!camera) {
+            return '';
+        }
+
+        return `<div class="site-camera-info">
+            <h4>Camera: ${camera.displayName}</h4>
+            ${camera.location ? `<p>${camera.location.replace(/\n/g, '<br>')}</p>` : ''}
+            ${camera.referenceImage ? `<img class="camera-reference-image" src="${camera.referenceImage}" alt="Normal view from ${camera.displayName}" title="Normal view from this camera">` : ''}
+        </div>`;
+    }
+
+    // Labels for the kinds of site contact
+    const KEYHOLDER_ROLE_LABELS = {
+        'keyholder': 'Keyholder',
+        'site-manager': 'Site manager',
+        'police-urn': 'Police'
+    };
+
+    // Describe how to reach a keyholder: phone numbers, email addresses and police URN
+    function renderKeyholderContacts(keyholder) {
+        const parts = (keyholder.phones || []).map(phone => `${phone.label ? `${phone.label}: ` : ''}<a href="tel:${phone.number}">${phone.number}</a>`);
+        (keyholder.emails || []).forEach(email => parts.push(`<a href="mailto:${email}">${email}</a>`));
+        if (keyholder.reference) {
+            parts.push(`URN: <strong>${keyholder.reference}</strong>`);
+        }
+        return parts.join(' &middot; ');
+    }
+
+    // Show who to call for the site at the time the event's alarm fired
+    async function fetchCallList(siteId, event) {
+        try {
+            const response = await fetch(`/api/sites/${siteId}/call-list?at=${encodeURIComponent(event.date)}`, {
+                headers: {
+                    'x-auth-token': token
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch call list: ${response.status}`);
+            }
+
+            const callList = await response.json();
+
+            // The operator may have moved on to another event in the meantime
+            const container = document.getElementById('call-list-container');
+            if (!container || selectedEventId !== event.id) {
+                return;
+            }
+
+            const renderKeyholder = (keyholder, position) => `<li class="call-list-item">
+                ${position ? `<span class="call-order">${position}</span>` : ''}
+                <strong>${keyholder.name}</strong>
+                <span class="keyholder-role ${keyholder.role}">${KEYHOLDER_ROLE_LABELS[keyholder.role] || keyholder.role}</span>
+                <div class="keyholder-contacts">${renderKeyholderContacts(keyholder)}</div>
+            </li>`;
+
+            let html = `<h4>Who to call (at ${new Date(callList.at).toLocaleString()})</h4>`;
+            html += callList.available.length > 0
+                ? `<ol class="call-list">${callList.available.map((keyholder, index) => renderKeyholder(keyholder, index + 1)).join('')}</ol>`
+                : '<p class="no-contacts">Nobody is available at this time</p>';
+
+            if (callList.unavailable.length > 0) {
+                html += `<details class="call-list-unavailable">
+                    <summary>Not available at this time (${callList.unavailable.length})</summary>
+                    <ul class="call-list">${callList.unavailable.map(keyholder => renderKeyholder(keyholder, null)).join('')}</ul>
+                </details>`;
+            }
+
+            container.innerHTML = html;
+        } catch (error) {
+            console.error('Error fetching call list:', error);
+            const container = document.getElementById('call-list-container');
+            if (container) {
+                container.innerHTML = `<div class="site-info-error">Failed to load call list: ${error.message}</div>`;
+            }
+        }
     }
 
     // Acknowledge an event
@@ -651,8 +1546,8 @@
     }
 
     // Process the acknowledge form submission
-    async function processAcknowledgement(eventId, note, tags, locked) {
-        console.log('Acknowledging event:', eventId, 'Note:', note, 'Tags:', tags, 'Locked:', locked);
+    async function processAcknowledgement(eventId, note, tags, locked, disposition) {
+        console.log('Acknowledging event:', eventId, 'Note:', note, 'Tags:', tags, 'Locked:', locked, 'Disposition:', disposition);
         try {
             const response = await fetch(`/api/events/${eventId}/acknowledge`, {
                 method: 'POST',
@@ -660,16 +1555,17 @@
                     'Content-Type': 'application/json',
                     'x-auth-token': token
                 },
-                body: JSON.stringify({ note, tags, locked })
+                body: JSON.stringify({ note, tags, locked, disposition })
             });
 
             console.log('Acknowledge response status:', response.status);
 
+            const result = await response.json();
+
             if (!response.ok) {
-                throw new Error('Failed to acknowledge event');
+                throw new Error(result.error || 'Failed to acknowledge event');
             }
 
-            const result = await response.json();
             console.log('Acknowledge result:', result);
 
             // Update the local event data
@@ -681,9 +1577,8 @@
                 console.log('Warning: Could not find event in local data to update');
             }
 
-            // Update UI
-            updateUnacknowledgedCounter();
-            renderEventsList();
+            // Reload the list so the counter and filters reflect the change
+            await fetchEvents();
 
             // If the acknowledged event is the currently selected one, update its display
             if (selectedEventId === eventId) {
@@ -694,7 +1589,7 @@
             closeAcknowledgeModal();
         } catch (error) {
             console.error('Error acknowledging event:', error);
-            acknowledgeError.textContent = 'Failed to acknowledge event. Please try again.';
+            acknowledgeError.textContent = `${error.message}. Please try again.`;
         }
     }
 
@@ -766,7 +1661,7 @@
                 if (newEvents.length > 0) {
                     console.log(`UI updated with ${newEvents.length} new events`);
                     showNotification(`${newEvents.length} new alarm event${newEvents.length > 1 ? 's' : ''} received`, 'success');
-                    playNotificationSound();
+                    playPrioritySound(getHighestPriority(newEvents));
                 }
             } catch (error) {
                 console.error('Error in automatic polling:', error);
@@ -813,10 +1708,50 @@
                     console.log('Received notification about new events:', data.count);
                     // Refresh the events list to get the latest data
                     fetchEvents().then(() => {
-                        // Show notification about new events
+                        // Show notification about new events, with the sound for the most urgent one
                         showNotification(`${data.count} new alarm event${data.count !== 1 ? 's' : ''} received`, 'success');
-                        playNotificationSound();
+                        playPrioritySound(getHighestPriority(data.events));
                     });
+                } else if (data.type === 'low-priority-events') {
+                    // Held alarms from disarmed sites: update the list quietly, without the alert sound
+                    console.log('Received low-priority events:', data.count);
+                    fetchEvents();
+                } else if (data.type === 'event-claim') {
+                    console.log('Received claim update for event:', data.event && data.event.id, data.action);
+                    handleClaimUpdate(data);
+                } else if (data.type === 'contact-log') {
+                    console.log('Received call-out log update for event:', data.event && data.event.id, data.action);
+                    if (data.event) {
+                        applyEventUpdate(data.event);
+                    }
+                } else if (data.type === 'escalation') {
+                    console.log('Received escalation for event:', data.event && data.event.id, data.action);
+                    fetchEvents().then(() => handleEscalation(data));
+                } else if (data.type === 'incident-update') {
+                    // Another alarm joined an incident: update its count without sounding again
+                    console.log('Received incident update:', data.event && data.event.id);
+                    if (data.event) {
+                        applyEventUpdate(data.event);
+                    }
+                } else if (data.type === 'event-images') {
+                    // Snapshots the alarm email linked to have finished downloading
+                    console.log('Received images for event:', data.event && data.event.id);
+                    if (data.event) {
+                        applyEventUpdate(data.event);
+                    }
+                } else if (data.type === 'muted-events') {
+                    // Alarms from a flooding camera are listed quietly
+                    console.log('Received alarms from a muted camera:', data.count);
+                    fetchEvents();
+                } else if (data.type === 'camera-flooding') {
+                    console.log('Camera flooding:', data.camera);
+                    showNotification(`Camera ${data.camera} sent ${data.alarms} alarms and is muted until ${new Date(data.mutedUntil).toLocaleTimeString()}`, 'warning');
+                } else if (data.type === 'camera-health') {
+                    console.log('Received camera health update:', data.camera && data.camera.name, data.action);
+                    if (data.event) {
+                        applyEventUpdate(data.event);
+                    }
+                    showNotification(`Camera ${data.camera.displayName} is back online`, 'success');
                 } else if (data.type === 'connected') {
                     console.log('SSE connection confirmed');
                 }
@@ -837,6 +1772,108 @@
         });
     }
 
+    // Alert the operator about an escalation step fired by the server
+    function handleEscalation(data) {
+        const event = data.event || {};
+        const subject = event.subject || `Event ${event.id}`;
+
+        if (data.action === 're-alert') {
+            showNotification(`Still unacknowledged after ${data.afterMinutes} min: ${subject}`, 'warning');
+            playEscalationSound();
+        } else if (data.action === 'notify-supervisor') {
+            showNotification(`Supervisor alert - unacknowledged for ${data.afterMinutes} min: ${subject}`, 'error');
+            playEscalationSound();
+        } else if (data.action === 'mark-escalated') {
+            showNotification(`Alarm escalated after ${data.afterMinutes} min: ${subject}`, 'error');
+        }
+    }
+
+    // Play a louder, repeating alarm tone for escalations
+    function playEscalationSound() {
+        try {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) {
+                playNotificationSound();
+                return;
+            }
+
+            const context = new AudioContext();
+            const gain = context.createGain();
+            gain.gain.value = 1;
+            gain.connect(context.destination);
+
+            // Three pairs of high/low square-wave beeps
+            for (let i = 0; i < 6; i++) {
+                const oscillator = context.createOscillator();
+                oscillator.type = 'square';
+                oscillator.frequency.value = i % 2 === 0 ? 1200 : 800;
+                oscillator.connect(gain);
+                oscillator.start(context.currentTime + i * 0.25);
+                oscillator.stop(context.currentTime + i * 0.25 + 0.2);
+            }
+
+            setTimeout(() => context.close(), 2000);
+        } catch (err) {
+            console.warn('Error playing escalation sound:', err);
+            playNotificationSound();
+        }
+    }
+
+    // Tones for each priority: more, faster and higher beeps for more urgent alarms
+    const PRIORITY_TONES = {
+        high: { count: 4, frequency: 1400, type: 'sawtooth', gap: 0.15 },
+        medium: { count: 2, frequency: 1000, type: 'square', gap: 0.3 },
+        low: { count: 1, frequency: 600, type: 'sine', gap: 0.4 }
+    };
+
+    // Find the most urgent priority level among some events
+    function getHighestPriority(newEvents) {
+        const ranked = (newEvents || [])
+            .filter(event => event.priority)
+            .sort((a, b) => b.priority.rank - a.priority.rank);
+        return ranked.length > 0 ? ranked[0].priority.level : null;
+    }
+
+    // Describe what made up an event's priority
+    function describePriority(priority) {
+        const parts = [`event type ${priority.factors.eventType}`];
+        if (priority.factors.site) parts.push(`site ${priority.factors.site > 0 ? '+' : ''}${priority.factors.site}`);
+        if (priority.factors.camera) parts.push(`camera ${priority.factors.camera > 0 ? '+' : ''}${priority.factors.camera}`);
+        if (priority.factors.arming) parts.push(`disarmed ${priority.factors.arming > 0 ? '+' : ''}${priority.factors.arming}`);
+        return `(score ${priority.score}: ${parts.join(', ')})`;
+    }
+
+    // Play the alert tone for a priority level, or the usual notification sound for events without one
+    function playPrioritySound(level) {
+        const tone = PRIORITY_TONES[level];
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!tone || !AudioContext) {
+            playNotificationSound();
+            return;
+        }
+
+        try {
+            const context = new AudioContext();
+            const gain = context.createGain();
+            gain.gain.value = 0.6;
+            gain.connect(context.destination);
+
+            for (let i = 0; i < tone.count; i++) {
+                const oscillator = context.createOscillator();
+                oscillator.type = tone.type;
+                oscillator.frequency.value = tone.frequency;
+                oscillator.connect(gain);
+                oscillator.start(context.currentTime + i * tone.gap);
+                oscillator.stop(context.currentTime + i * tone.gap + tone.gap * 0.7);
+            }
+
+            setTimeout(() => context.close(), 2000);
+        } catch (err) {
+            console.warn('Error playing priority sound:', err);
+            playNotificationSound();
+        }
+    }
+
     // Show an in-app notification
     function showNotification(message, type = 'success') {
         console.log(`Showing notification (${type}):`, message);
@@ -923,6 +1960,51 @@
         }
     }
 
+    // Fetch the disposition codes for the acknowledge form
+    async function fetchAvailableDispositions() {
+        try {
+            const response = await fetch('/api/settings/dispositions', {
+                headers: {
+                    'x-auth-token': token
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch dispositions');
+            }
+
+            availableDispositions = await response.json();
+            console.log('Available dispositions:', availableDispositions);
+
+            ackDisposition.innerHTML = '<option value="">Select an outcome...</option>' +
+                availableDispositions.map(disposition =>
+                    `<option value="${disposition.code}">${disposition.label}</option>`).join('');
+            ackDisposition.required = availableDispositions.length > 0;
+        } catch (error) {
+            console.error('Error fetching dispositions:', error);
+        }
+    }
+
+    // Mark the contact fields as required for dispositions that involve contacting someone
+    function updateContactFields() {
+        const disposition = availableDispositions.find(item => item.code === ackDisposition.value);
+        const requiresContact = !!(disposition && disposition.requiresContact);
+
+        ackContact.required = requiresContact;
+        ackContactedAt.required = requiresContact;
+
+        // Most contacts are logged as they happen, so start from the current time
+        if (requiresContact && !ackContactedAt.value) {
+            ackContactedAt.value = toDateTimeLocal(new Date());
+        }
+    }
+
+    // Format a date for a datetime-local input
+    function toDateTimeLocal(date) {
+        const offset = date.getTimezoneOffset() * 60 * 1000;
+        return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+    }
+
     // Update tag filter dropdown with available tags
     function updateTagFilterDropdown() {
         // Clear existing options except the first one (All tags)
@@ -972,7 +2054,7 @@
         }
 
         // Add event listener for changes
-        select.addEventListener('change', renderEventsList);
+        select.addEventListener('change', applyFilters);
 
         tagFilterContainer.appendChild(label);
         tagFilterContainer.appendChild(select);
@@ -997,6 +2079,16 @@
             ackLockEvent.checked = false;
         }
 
+        // Only users who can lock events are offered the checkbox
+        ackLockEvent.closest('.form-group').style.display = can('events.lock') ? '' : 'none';
+
+        // Offer the site's keyholders as contacts
+        const site = event && event.siteId ? siteInfoCache[event.siteId] : null;
+        ackContactOptions.innerHTML = (site && Array.isArray(site.keyholders) ? site.keyholders : [])
+            .map(keyholder => `<option value="${keyholder.name}">${KEYHOLDER_ROLE_LABELS[keyholder.role] || ''} ${keyholder.reference || (keyholder.phones[0] ? keyholder.phones[0].number : '')}</option>`)
+            .join('');
+        updateContactFields();
+
         // Clear selected tags
         const existingTags = tagContainer.querySelectorAll('.tag-option');
         existingTags.forEach(tag => {
@@ -1046,6 +2138,14 @@
     function updateEventLockDisplay(event) {
         if (!event || !eventLockContainer) return;
 
+        // Users who cannot lock events only see whether the event is locked
+        if (!can('events.lock')) {
+            eventLockContainer.innerHTML = event.locked
+                ? '<div class="locked-indicator">This event is locked and will not be automatically deleted</div>'
+                : '';
+            return;
+        }
+
         if (event.locked) {
             // Event is locked - show unlock button and indicator
             eventLockContainer.innerHTML = `
@@ -1163,6 +2263,9 @@
             const cameraName = event.camera || '';
             if (!cameraName) return { found: false, videoPath: null };
 
+            // Registered cameras can have their own video filename pattern
+            const cameraQuery = `camera=${encodeURIComponent(cameraName)}${event.cameraId ? `&siteId=${event.siteId}&cameraId=${event.cameraId}` : ''}`;
+
             // Format date parts for comparison
             const year = dateTimePart.substr(0, 4);
             const month = dateTimePart.substr(4, 2);
@@ -1188,7 +2291,7 @@
             const dateStr = `${year}${month}${day}`;
 
             // Get video files for this camera and date
-            const response = await fetch(`/api/videos/list?camera=${encodeURIComponent(cameraName)}&date=${dateStr}`, {
+            const response = await fetch(`/api/videos/list?${cameraQuery}&date=${dateStr}`, {
                 headers: {
                     'x-auth-token': token
                 }
@@ -1262,7 +2365,7 @@
                 console.log("No videos found for this date, expanding search to all dates");
 
                 // Get all videos for this camera (without date restriction)
-                const allResponse = await fetch(`/api/videos/list?camera=${encodeURIComponent(cameraName)}`, {
+                const allResponse = await fetch(`/api/videos/list?${cameraQuery}`, {
                     headers: {
                         'x-auth-token': token
                     }
@@ -1570,23 +2673,53 @@
         });
     }
 
+    // Reload the current user's permissions, which change when an admin edits their role,
+    // and reload the page if the controls shown for them need to change
+    async function refreshCurrentUser() {
+        try {
+            const response = await fetch('/api/auth/user', {
+                headers: {
+                    'x-auth-token': token
+                }
+            });
+
+            if (!response.ok) {
+                return;
+            }
+
+            const data = await response.json();
+            const changed = JSON.stringify(data.user.permissions) !== JSON.stringify(currentUser.permissions);
+            localStorage.setItem('user', JSON.stringify({ ...currentUser, ...data.user }));
+            if (changed) {
+                window.location.reload();
+            }
+        } catch (error) {
+            console.warn('Error refreshing user permissions:', error);
+        }
+    }
+
     // Set up user info in header
     function setupUserInfo(user) {
         const userInfoContainer = document.getElementById('user-info-container');
         userInfoContainer.innerHTML = `
             <span class="current-user">Logged in as: ${user.name || 'Unknown'}</span>
             <div class="user-actions">
-                ${user.role === 'admin' ? '<a href="/users" class="admin-link">User Management</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/settings" class="admin-link">Settings</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/sites.html" class="admin-link">Sites</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/retention.html" class="admin-link">Retention</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/operator-logs.html" class="admin-link">Operator Logs</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/audit-logs.html" class="admin-link">Audit Logs</a>' : ''}
+                ${can('users.manage') ? '<a href="/users" class="admin-link">User Management</a>' : '<a href="/users" class="admin-link">My Account</a>'}
+                ${can('settings.edit') ? '<a href="/settings" class="admin-link">Settings</a>' : ''}
+                ${can('sites.edit') ? '<a href="/sites.html" class="admin-link">Sites</a>' : ''}
+                ${can('retention.run') ? '<a href="/retention.html" class="admin-link">Retention</a>' : ''}
+                ${can('operator-logs.view') ? '<a href="/operator-logs.html" class="admin-link">Operator Logs</a>' : ''}
+                ${can('audit.view') ? '<a href="/audit-logs.html" class="admin-link">Audit Logs</a>' : ''}
+                ${can('operator-logs.record') ? '<button id="shift-btn" class="shift-btn">Start Shift</button>' : ''}
                 <button id="logout-btn" class="logout-btn">Logout</button>
             </div>
         `;
         console.log('Added user info container to header');
 
+        if (can('operator-logs.record')) {
+            setupShifts();
+        }
+
         // Initialize modal event listeners once to prevent duplication
         const logoutConfirmModal = document.getElementById('logout-confirm-modal');
         const logoutCancelBtn = document.getElementById('logout-cancel-btn');
@@ -1607,14 +2740,17 @@
         document.getElementById('logout-btn').addEventListener('click', async function () {
             console.log('Logout button clicked');
             
-            // Check if user is an operator
-            if (user.role === 'operator') {
-                // Get the count of unacknowledged events
-                const unacknowledgedCount = events.filter(event => !event.acknowledged).length;
+            // Operators record how many alarms they leave unacknowledged when they sign out
+            if (can('operator-logs.record')) {
+                // Get the count of unacknowledged events from the server, not just the loaded page
+                await fetchUnacknowledgedCount();
                 
                 // Set the unacknowledged count
                 const unacknowledgedCountText = document.getElementById('unacknowledged-count-text');
                 unacknowledgedCountText.textContent = unacknowledgedCount;
+
+                // Remind them to hand over if their shift is still running
+                document.getElementById('logout-shift-warning').style.display = currentShift ? 'block' : 'none';
                 
                 // Show the modal
                 logoutConfirmModal.style.display = 'block';
@@ -1648,7 +2784,7 @@
                     }
                 };
             } else {
-                // Regular logout for non-operators
+                // Regular logout for everyone else
                 performLogout();
             }
         });
@@ -1691,6 +2827,217 @@
         }
     }
 
+    // Shifts: operators start a shift, and ending it leaves a handover note that the next operator acknowledges
+    function setupShifts() {
+        const shiftBtn = document.getElementById('shift-btn');
+        const endShiftModal = document.getElementById('end-shift-modal');
+        const endShiftForm = document.getElementById('end-shift-form');
+        const endShiftError = document.getElementById('end-shift-error');
+        const handoverModal = document.getElementById('handover-modal');
+        const handoverForm = document.getElementById('handover-form');
+        const handoverError = document.getElementById('handover-error');
+
+        const closeEndShift = () => { endShiftModal.style.display = 'none'; };
+        const closeHandover = () => { handoverModal.style.display = 'none'; };
+
+        endShiftModal.querySelector('.close-modal').addEventListener('click', closeEndShift);
+        document.getElementById('end-shift-cancel-btn').addEventListener('click', closeEndShift);
+        handoverModal.querySelector('.close-modal').addEventListener('click', closeHandover);
+        document.getElementById('handover-cancel-btn').addEventListener('click', closeHandover);
+
+        shiftBtn.addEventListener('click', async function () {
+            if (currentShift) {
+                await loadShift();
+                if (currentShift) {
+                    showEndShift();
+                }
+            } else if (pendingHandovers.length > 0) {
+                showHandover(pendingHandovers[0]);
+            } else {
+                startShift();
+            }
+        });
+
+        endShiftForm.addEventListener('submit', async function (e) {
+            e.preventDefault();
+            endShiftError.textContent = '';
+
+            try {
+                const response = await fetch('/api/shifts/end', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-auth-token': token
+                    },
+                    body: JSON.stringify({ remarks: document.getElementById('end-shift-remarks').value })
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to end shift');
+                }
+
+                currentShift = null;
+                updateShiftButton();
+                closeEndShift();
+                document.getElementById('end-shift-remarks').value = '';
+                showNotification(`Shift ended. ${data.handover.outstandingCount} outstanding events handed over.`);
+            } catch (error) {
+                console.error('Error ending shift:', error);
+                endShiftError.textContent = error.message;
+            }
+        });
+
+        handoverForm.addEventListener('submit', async function (e) {
+            e.preventDefault();
+            handoverError.textContent = '';
+
+            const shift = pendingHandovers[0];
+            try {
+                const response = await fetch(`/api/shifts/${shift.id}/acknowledge`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'x-auth-token': token
+                    },
+                    body: JSON.stringify({ comment: document.getElementById('handover-comment').value })
+                });
+                const data = await response.json();
+
+                // Someone else may have taken over from this shift already
+                if (!response.ok && response.status !== 400) {
+                    throw new Error(data.error || 'Failed to acknowledge handover');
+                }
+
+                pendingHandovers.shift();
+                if (pendingHandovers.length > 0) {
+                    showHandover(pendingHandovers[0]);
+                } else {
+                    closeHandover();
+                    startShift();
+                }
+            } catch (error) {
+                console.error('Error acknowledging handover:', error);
+                handoverError.textContent = error.message;
+            }
+        });
+
+        loadShift().then(() => {
+            if (!currentShift && pendingHandovers.length > 0) {
+                showHandover(pendingHandovers[0]);
+            }
+        });
+
+        // Load the operator's shift and the handovers waiting for them
+        async function loadShift() {
+            try {
+                const response = await fetch('/api/shifts/current', {
+                    headers: {
+                        'x-auth-token': token
+                    }
+                });
+
+                if (!response.ok) {
+                    return;
+                }
+
+                const data = await response.json();
+                currentShift = data.shift;
+                pendingHandovers = data.pendingHandovers;
+                updateShiftButton();
+            } catch (error) {
+                console.error('Error loading shift:', error);
+            }
+        }
+
+        function updateShiftButton() {
+            shiftBtn.textContent = currentShift ? 'End Shift' : 'Start Shift';
+            shiftBtn.classList.toggle('on-shift', !!currentShift);
+            shiftBtn.title = currentShift ? `On shift since ${new Date(currentShift.startedAt).toLocaleString()}` : '';
+        }
+
+        async function startShift() {
+            try {
+                const response = await fetch('/api/shifts/start', {
+                    method: 'POST',
+                    headers: {
+                        'x-auth-token': token
+                    }
+                });
+                const data = await response.json();
+
+                // The previous operators' handovers come first
+                if (response.status === 409) {
+                    pendingHandovers = data.pendingHandovers;
+                    showHandover(pendingHandovers[0]);
+                    return;
+                }
+
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to start shift');
+                }
+
+                currentShift = data;
+                updateShiftButton();
+                showNotification('Shift started');
+            } catch (error) {
+                console.error('Error starting shift:', error);
+                showNotification(error.message, 'error');
+            }
+        }
+
+        function showEndShift() {
+            const activity = currentShift.activity;
+            document.getElementById('end-shift-summary').textContent =
+                `On shift since ${new Date(currentShift.startedAt).toLocaleString()}: ` +
+                `${activity.received} events received, ${activity.acknowledged} acknowledged by you, ${activity.escalated} escalated.`;
+            endShiftError.textContent = '';
+            endShiftModal.style.display = 'block';
+        }
+
+        function showHandover(shift) {
+            const handover = shift.handover;
+            const activity = shift.activity;
+
+            document.getElementById('handover-summary').textContent =
+                `${shift.name || shift.username} ended their shift at ${new Date(shift.endedAt).toLocaleString()} ` +
+                `(${activity.received} events received, ${activity.acknowledged} acknowledged, ${activity.escalated} escalated).` +
+                (pendingHandovers.length > 1 ? ` ${pendingHandovers.length} handovers are waiting.` : '');
+            document.getElementById('handover-remarks').textContent = handover.remarks || 'No remarks.';
+
+            document.getElementById('handover-outstanding-title').textContent =
+                `Outstanding Events (${handover.outstandingCount})`;
+            renderHandoverEvents(document.getElementById('handover-outstanding'), handover.outstandingEvents,
+                handover.outstandingCount > handover.outstandingEvents.length
+                    ? `and ${handover.outstandingCount - handover.outstandingEvents.length} more`
+                    : null);
+
+            document.getElementById('handover-locked-title').textContent = `Locked Events (${handover.lockedEvents.length})`;
+            renderHandoverEvents(document.getElementById('handover-locked'), handover.lockedEvents, null);
+
+            document.getElementById('handover-comment').value = '';
+            handoverError.textContent = '';
+            handoverModal.style.display = 'block';
+        }
+
+        function renderHandoverEvents(list, events, more) {
+            if (events.length === 0) {
+                list.innerHTML = '<li>None</li>';
+                return;
+            }
+
+            list.innerHTML = events.map(event => `
+                <li>
+                    <a href="/?event=${event.id}">${event.subject || 'No subject'}</a>
+                    ${event.escalated ? '<span class="escalated-badge">Escalated</span>' : ''}
+                    <div class="handover-event-meta">
+                        ${new Date(event.date).toLocaleString()} &middot; ${event.camera || 'Unknown camera'}${event.claimedBy ? ` &middot; claimed by ${event.claimedBy}` : ''}
+                    </div>
+                </li>
+            `).join('') + (more ? `<li class="handover-event-meta">${more}</li>` : '');
+        }
+    }
+
     // Keyboard shortcuts
     document.addEventListener('keydown', function (e) {
         // Don't trigger shortcuts when typing in input fields
@@ -1736,6 +3083,14 @@
             visibleEvents[newIndex].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
         }
 
+        // Left/Right arrows to step through the selected event's images
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            if (selectedEventId) {
+                e.preventDefault();
+                showEventImage(selectedImageIndex + (e.key === 'ArrowLeft' ? -1 : 1));
+            }
+        }
+
         // 'A' key to acknowledge the currently selected event
         if (e.key === 'a' || e.key === 'A') {
             // Check if there's a selected event that's unacknowledged
@@ -1769,7 +3124,7 @@
         // 'F' key to toggle unacknowledged filter
         if (e.key === 'f' || e.key === 'F') {
             filterUnacknowledged.checked = !filterUnacknowledged.checked;
-            renderEventsList();
+            applyFilters();
         }
 
         // 'T' key to focus on tag filter dropdown
@@ -1797,7 +3152,7 @@
             filterDateTo.value = '';
             filterDateFrom.max = '';
             filterDateTo.min = '';
-            renderEventsList();
+            applyFilters();
         }
     });
 
@@ -1809,7 +3164,8 @@
 
         const eventId = parseInt(ackEventId.value);
         const note = ackNote.value.trim();
-        const locked = ackLockEvent.checked;
+        // Users who cannot lock events leave the lock as it is
+        const locked = can('events.lock') ? ackLockEvent.checked : undefined;
 
         // Get selected tags
         const selectedTags = [];
@@ -1817,9 +3173,20 @@
             selectedTags.push(tagElement.getAttribute('data-tag'));
         });
 
-        processAcknowledgement(eventId, note, selectedTags, locked);
+        // Get the structured outcome
+        const disposition = ackDisposition.value
+            ? {
+                code: ackDisposition.value,
+                contact: ackContact.value.trim(),
+                contactedAt: ackContactedAt.value ? new Date(ackContactedAt.value).toISOString() : null
+            }
+            : null;
+
+        processAcknowledgement(eventId, note, selectedTags, locked, disposition);
     });
 
+    ackDisposition.addEventListener('change', updateContactFields);
+
     // Handle modal close buttons
     ackCancelBtn.addEventListener('click', closeAcknowledgeModal);
     closeModalButtons.forEach(btn => btn.addEventListener('click', closeAcknowledgeModal));
@@ -1836,10 +3203,23 @@
         shortcutsPanel.style.display = shortcutsPanel.style.display === 'none' ? 'block' : 'none';
     });
 
+    // Reload the first page of events whenever a filter changes
+    function applyFilters() {
+        fetchEvents(true);
+    }
+
     // Event listeners for filters
-    filterUnacknowledged.addEventListener('change', renderEventsList);
-    filterLateResponse.addEventListener('change', renderEventsList);
-    filterSite.addEventListener('change', renderEventsList);
+    filterUnacknowledged.addEventListener('change', applyFilters);
+    filterLateResponse.addEventListener('change', applyFilters);
+    filterLowPriority.addEventListener('change', applyFilters);
+    filterSite.addEventListener('change', applyFilters);
+
+    // Search as the operator types, waiting for a pause so each keystroke is not a request
+    let searchTimeout = null;
+    filterSearch.addEventListener('input', function () {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(applyFilters, 300);
+    });
     
     // Date filter event listeners
     filterDateFrom.addEventListener('change', function() {
@@ -1849,7 +3229,7 @@
         } else {
             filterDateTo.min = ''; // Reset min constraint if from date is cleared
         }
-        renderEventsList();
+        applyFilters();
     });
     
     filterDateTo.addEventListener('change', function() {
@@ -1859,14 +3239,14 @@
         } else {
             filterDateFrom.max = ''; // Reset max constraint if to date is cleared
         }
-        renderEventsList();
+        applyFilters();
     });
     
     // Clear date filter button
     clearDateFilterBtn.addEventListener('click', function() {
         filterDateFrom.value = '';
         filterDateTo.value = '';
-        renderEventsList();
+        applyFilters();
     });
     
     // Initialize date filter controls
@@ -1889,17 +3269,31 @@
     console.log('Starting initial fetch of events...');
     fetchEvents();
 
+    // Fill the site filter with every site
+    fetchSitesForFilter();
+
     // Fetch available tags
     fetchAvailableTags().then(() => {
         createTagFilterDropdown();
     });
 
+    // Fetch the disposition codes for the acknowledge form
+    fetchAvailableDispositions();
+
     // Start polling
     startPolling();
 
     // Connect to SSE for real-time updates
     connectSSE();
 
+    // Keep this operator's claims alive while they are using the console
+    ['mousemove', 'keydown', 'click', 'touchstart'].forEach(type => {
+        document.addEventListener(type, () => {
+            lastUserActivity = Date.now();
+        }, { passive: true });
+    });
+    setInterval(sendClaimHeartbeat, CLAIM_HEARTBEAT_SECONDS * 1000);
+
     // Init Video Modal
     initVideoModal();
 
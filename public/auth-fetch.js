@@ -0,0 +1,81 @@
+// auth-fetch.js
+// Access tokens only last a few minutes. Pages keep the token they read when they loaded, so every
+// API request is sent with the latest token instead, and when one is refused the token is renewed
+// (the refresh token is kept in the session cookie) and the request tried again once.
+(function () {
+    const originalFetch = window.fetch.bind(window);
+
+    // Requests that must not trigger a renewal themselves
+    const skipPaths = [
+        '/api/auth/login',
+        '/api/auth/login/setup',
+        '/api/auth/login/verify',
+        '/api/auth/login/password',
+        '/api/auth/refresh'
+    ];
+
+    // Renewal in progress, shared by requests refused at the same time
+    let refreshing = null;
+
+    function isApiRequest(url) {
+        const path = new URL(url, window.location.origin).pathname;
+        return path.startsWith('/api/') && !skipPaths.includes(path);
+    }
+
+    function withLatestToken(init) {
+        const token = localStorage.getItem('token');
+        const headers = new Headers((init && init.headers) || {});
+        if (token && headers.has('x-auth-token')) {
+            headers.set('x-auth-token', token);
+        }
+        return { ...(init || {}), headers };
+    }
+
+    function refreshToken() {
+        if (!refreshing) {
+            refreshing = originalFetch('/api/auth/refresh', { method: 'POST' })
+                .then(response => response.ok ? response.json() : null)
+                .then(data => {
+                    if (!data || !data.token) {
+                        return false;
+                    }
+                    localStorage.setItem('token', data.token);
+                    if (data.user) {
+                        const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+                        localStorage.setItem('user', JSON.stringify({ ...currentUser, ...data.user }));
+                    }
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    refreshing = null;
+                });
+        }
+        return refreshing;
+    }
+
+    // The login has ended (signed out elsewhere, deactivated or timed out): back to the login page
+    function endLogin() {
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        window.location.href = '/login';
+    }
+
+    window.fetch = async function (input, init) {
+        const url = typeof input === 'string' ? input : input.url;
+        if (!isApiRequest(url)) {
+            return originalFetch(input, init);
+        }
+
+        const response = await originalFetch(input, withLatestToken(init));
+        if (response.status !== 401) {
+            return response;
+        }
+
+        if (!await refreshToken()) {
+            endLogin();
+            return response;
+        }
+        return originalFetch(input, withLatestToken(init));
+    };
+})();
@@ -18,10 +18,10 @@ document.addEventListener('DOMContentLoaded', function () {
         userInfoContainer.innerHTML = `
             <span id="current-user">${user.name || 'Unknown'} (${user.role || 'user'})</span>
             <div class="user-actions">
-                ${user.role === 'admin' ? '<a href="/users" class="admin-link">User Management</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/settings" class="admin-link active">Settings</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/sites.html" class="admin-link">Sites</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/retention.html" class="admin-link">Retention</a>' : ''}
+                ${(user.permissions || []).includes('users.manage') ? '<a href="/users" class="admin-link">User Management</a>' : '<a href="/users" class="admin-link">My Account</a>'}
+                ${(user.permissions || []).includes('settings.edit') ? '<a href="/settings" class="admin-link active">Settings</a>' : ''}
+                ${(user.permissions || []).includes('sites.edit') ? '<a href="/sites.html" class="admin-link">Sites</a>' : ''}
+                ${(user.permissions || []).includes('retention.run') ? '<a href="/retention.html" class="admin-link">Retention</a>' : ''}
                 <button id="logout-btn" class="logout-button">Logout</button>
             </div>
         `;
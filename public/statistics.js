@@ -53,10 +53,10 @@ document.addEventListener('DOMContentLoaded', function () {
         userInfoContainer.innerHTML = `
             <span class="current-user">Logged in as: ${user.name || 'Unknown'}</span>
             <div class="user-actions">
-                ${user.role === 'admin' ? '<a href="/users" class="admin-link">User Management</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/settings" class="admin-link">Settings</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/sites.html" class="admin-link">Sites</a>' : ''}
-                ${user.role === 'admin' ? '<a href="/retention.html" class="admin-link">Retention</a>' : ''}
+                ${(user.permissions || []).includes('users.manage') ? '<a href="/users" class="admin-link">User Management</a>' : '<a href="/users" class="admin-link">My Account</a>'}
+                ${(user.permissions || []).includes('settings.edit') ? '<a href="/settings" class="admin-link">Settings</a>' : ''}
+                ${(user.permissions || []).includes('sites.edit') ? '<a href="/sites.html" class="admin-link">Sites</a>' : ''}
+                ${(user.permissions || []).includes('retention.run') ? '<a href="/retention.html" class="admin-link">Retention</a>' : ''}
                 <button id="logout-btn" class="logout-btn">Logout</button>
             </div>
         `;
@@ -121,8 +121,8 @@ document.addEventListener('DOMContentLoaded', function () {
         // Filter acknowledged events
         const acknowledgedEvents = allEvents.filter(event => event.acknowledged && event.responseTimeMinutes !== undefined);
 
-        // Calculate total events
-        const totalEvents = allEvents.length;
+        // Calculate total events, leaving out alarms closed automatically because their site was disarmed
+        const totalEvents = allEvents.filter(event => !(event.siteDisarmed && event.siteDisarmed.action === 'auto-disposition')).length;
         const acknowledgedCount = acknowledgedEvents.length;
 
         // Calculate response rate
@@ -0,0 +1,177 @@
+// quarantine.js
+// Keeps emails the SMTP server could not turn into events so admins can see why and act on them
+const fs = require('fs');
+const path = require('path');
+
+const QUARANTINE_FILE_PATH = path.join(__dirname, 'quarantine-data.json');
+
+// Raw messages are kept next to the index so they can be re-parsed or promoted later
+const QUARANTINE_DIR = path.join(__dirname, 'quarantine');
+
+// Oldest entries are dropped past this, so a chatty device cannot fill the disk
+const MAX_QUARANTINE_ENTRIES = 500;
+
+// Why an email ended up in quarantine
+const REASONS = {
+    NO_RULE_MATCH: 'no-rule-match',
+    CAMERA_NOT_ALLOWED: 'camera-not-allowed',
+    UNPARSEABLE: 'unparseable'
+};
+
+// Helper function to read the quarantine index
+function readQuarantineData() {
+    try {
+        // Check if file exists, if not create it with empty array
+        if (!fs.existsSync(QUARANTINE_FILE_PATH)) {
+            fs.writeFileSync(QUARANTINE_FILE_PATH, '[]');
+            return [];
+        }
+
+        const data = fs.readFileSync(QUARANTINE_FILE_PATH, 'utf8');
+        return JSON.parse(data);
+    } catch (err) {
+        console.error('Error reading quarantine data:', err);
+        return [];
+    }
+}
+
+// Helper function to write the quarantine index
+function writeQuarantineData(entries) {
+    try {
+        fs.writeFileSync(QUARANTINE_FILE_PATH, JSON.stringify(entries, null, 2));
+        return true;
+    } catch (err) {
+        console.error('Error writing quarantine data:', err);
+        return false;
+    }
+}
+
+// Path of the stored raw message for an entry
+function getRawEmailPath(entry) {
+    return path.join(QUARANTINE_DIR, `${entry.id}.eml`);
+}
+
+// Delete the stored raw message for an entry, ignoring files that are already gone
+function deleteRawEmail(entry) {
+    try {
+        const rawPath = getRawEmailPath(entry);
+        if (fs.existsSync(rawPath)) {
+            fs.unlinkSync(rawPath);
+        }
+    } catch (err) {
+        console.error(`Error deleting quarantined email ${entry.id}:`, err);
+    }
+}
+
+/**
+ * Store a rejected email in the quarantine
+ * @param {Buffer} rawEmail - Raw RFC 822 message as received
+ * @param {Object|null} emailData - Parsed email data (null if the message could not be parsed)
+ * @param {string} reason - One of REASONS
+ * @param {string} details - Human readable explanation of the rejection
+ * @param {Object} session - SMTP session details ({ user, secure }) used when emailData is missing
+ * @returns {Object|null} The quarantine entry, or null if it could not be saved
+ */
+function addToQuarantine(rawEmail, emailData, reason, details = '', session = {}) {
+    try {
+        const entries = readQuarantineData();
+
+        const entry = {
+            id: entries.length > 0 ? Math.max(...entries.map(e => e.id)) + 1 : 1,
+            receivedAt: new Date().toISOString(),
+            reason,
+            details,
+            from: emailData ? emailData.from : '',
+            to: emailData ? emailData.to : '',
+            subject: emailData ? emailData.subject : '',
+            date: emailData && emailData.date ? new Date(emailData.date).toISOString() : null,
+            messageId: emailData ? emailData.messageId : null,
+            size: rawEmail ? rawEmail.length : 0,
+            attachments: emailData
+                ? emailData.attachments.map(attachment => ({
+                    filename: attachment.filename || '',
+                    contentType: attachment.contentType,
+                    size: attachment.content ? attachment.content.length : 0
+                }))
+                : [],
+            authenticatedUser: emailData ? emailData.authenticatedUser || null : session.user || null,
+            encrypted: emailData ? !!emailData.encrypted : !!session.secure
+        };
+
+        if (!fs.existsSync(QUARANTINE_DIR)) {
+            fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+        }
+        fs.writeFileSync(getRawEmailPath(entry), rawEmail || '');
+
+        entries.push(entry);
+
+        // Drop the oldest entries once the quarantine is full
+        while (entries.length > MAX_QUARANTINE_ENTRIES) {
+            deleteRawEmail(entries.shift());
+        }
+
+        if (!writeQuarantineData(entries)) {
+            return null;
+        }
+
+        console.log(`Quarantined email ${entry.id} (${reason}): ${entry.subject}`);
+        return entry;
+    } catch (err) {
+        console.error('Error quarantining email:', err);
+        return null;
+    }
+}
+
+/**
+ * Find a quarantine entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Object|null} The entry or null if not found
+ */
+function getQuarantinedEmail(id) {
+    return readQuarantineData().find(entry => entry.id === id) || null;
+}
+
+/**
+ * Read the raw message stored for a quarantine entry
+ * @param {Object} entry - Quarantine entry
+ * @returns {Buffer|null} Raw message, or null if the file is missing
+ */
+function readRawEmail(entry) {
+    try {
+        return fs.readFileSync(getRawEmailPath(entry));
+    } catch (err) {
+        console.error(`Error reading quarantined email ${entry.id}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Remove an entry and its raw message from the quarantine
+ * @param {number} id - Entry ID
+ * @returns {Object|null} The removed entry, or null if not found
+ */
+function removeFromQuarantine(id) {
+    const entries = readQuarantineData();
+    const index = entries.findIndex(entry => entry.id === id);
+
+    if (index === -1) {
+        return null;
+    }
+
+    const [removed] = entries.splice(index, 1);
+    if (!writeQuarantineData(entries)) {
+        return null;
+    }
+
+    deleteRawEmail(removed);
+    return removed;
+}
+
+module.exports = {
+    REASONS,
+    readQuarantineData,
+    addToQuarantine,
+    getQuarantinedEmail,
+    readRawEmail,
+    removeFromQuarantine
+};
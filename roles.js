@@ -0,0 +1,189 @@
+// roles.js
+// Named permissions and the roles that group them. Users are given a role, and every check on what
+// a user may do asks whether their role has a permission rather than comparing role names.
+const fs = require('fs');
+const path = require('path');
+
+const ROLES_FILE_PATH = path.join(__dirname, 'roles-data.json');
+
+// Every permission a role can be given, with the wording shown to admins
+const PERMISSIONS = [
+    { id: 'events.view', label: 'View alarm events, video and statistics' },
+    { id: 'events.acknowledge', label: 'Acknowledge events' },
+    { id: 'events.claim', label: 'Claim and release events' },
+    { id: 'events.reassign', label: 'Reassign events and release other operators\' claims' },
+    { id: 'events.lock', label: 'Lock and unlock events against deletion' },
+    { id: 'events.contacts', label: 'Log keyholder calls' },
+    { id: 'events.contacts.manage', label: 'Edit and delete keyholder calls logged by others' },
+    { id: 'events.test', label: 'Create test events' },
+    { id: 'sites.view', label: 'View sites, cameras and call lists' },
+    { id: 'sites.arm', label: 'Arm and disarm sites' },
+    { id: 'sites.edit', label: 'Add, edit and delete sites and cameras' },
+    { id: 'settings.edit', label: 'Change tags, dispositions and alarm handling settings' },
+    { id: 'email.manage', label: 'Manage email parsing rules, SMTP accounts and the quarantine' },
+    { id: 'escalations.receive', label: 'Receive supervisor escalation alerts' },
+    { id: 'operator-logs.record', label: 'Run shifts and hand over to the next operator' },
+    { id: 'operator-logs.view', label: 'View operator sign-out logs and shift history' },
+    { id: 'audit.view', label: 'View and export the audit log' },
+    { id: 'users.manage', label: 'Manage users and roles' },
+    { id: 'retention.run', label: 'Run retention cleanup and change retention settings' }
+];
+
+const PERMISSION_IDS = PERMISSIONS.map(permission => permission.id);
+
+// The admin role always has every permission and cannot be changed, so admins cannot lock themselves out
+const ADMIN_ROLE = 'admin';
+
+// Roles created the first time the server starts. The operator and user roles keep what those users could do before roles.
+const DEFAULT_ROLES = [
+    {
+        id: ADMIN_ROLE,
+        name: 'Administrator',
+        permissions: PERMISSION_IDS,
+        builtIn: true
+    },
+    {
+        id: 'supervisor',
+        name: 'Supervisor',
+        permissions: [
+            'events.view', 'events.acknowledge', 'events.claim', 'events.reassign', 'events.lock',
+            'events.contacts', 'events.contacts.manage', 'sites.view', 'sites.arm',
+            'escalations.receive', 'operator-logs.record', 'operator-logs.view', 'audit.view'
+        ],
+        builtIn: false
+    },
+    {
+        id: 'operator',
+        name: 'Operator',
+        permissions: [
+            'events.view', 'events.acknowledge', 'events.claim', 'events.lock', 'events.contacts',
+            'sites.view', 'sites.arm', 'operator-logs.record'
+        ],
+        builtIn: false
+    },
+    {
+        id: 'user',
+        name: 'User',
+        permissions: [
+            'events.view', 'events.acknowledge', 'events.claim', 'events.lock', 'events.contacts',
+            'sites.view', 'sites.arm'
+        ],
+        builtIn: false
+    },
+    {
+        id: 'client',
+        name: 'Read-only client',
+        permissions: ['events.view', 'sites.view'],
+        builtIn: false
+    }
+];
+
+const ROLE_ID_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+// Helper function to read the roles
+function readRolesData() {
+    try {
+        // Check if file exists, if not create it with the default roles
+        if (!fs.existsSync(ROLES_FILE_PATH)) {
+            fs.writeFileSync(ROLES_FILE_PATH, JSON.stringify(DEFAULT_ROLES, null, 2));
+            return DEFAULT_ROLES;
+        }
+
+        const data = fs.readFileSync(ROLES_FILE_PATH, 'utf8');
+        return JSON.parse(data);
+    } catch (err) {
+        console.error('Error reading roles data:', err);
+        return DEFAULT_ROLES;
+    }
+}
+
+// Helper function to write the roles
+function writeRolesData(roles) {
+    try {
+        fs.writeFileSync(ROLES_FILE_PATH, JSON.stringify(roles, null, 2));
+        return true;
+    } catch (err) {
+        console.error('Error writing roles data:', err);
+        return false;
+    }
+}
+
+/**
+ * Get the permissions of a role
+ * @param {string} roleId - Role stored with the user
+ * @returns {Array<string>} Permission IDs; none for a role that does not exist
+ */
+function getRolePermissions(roleId) {
+    if (roleId === ADMIN_ROLE) {
+        return PERMISSION_IDS;
+    }
+
+    const role = readRolesData().find(r => r.id === roleId);
+    return role ? role.permissions.filter(permission => PERMISSION_IDS.includes(permission)) : [];
+}
+
+/**
+ * Check whether a user's role has a permission
+ * @param {Object} user - Authenticated user ({ role })
+ * @param {string} permission - Permission ID, e.g. 'events.acknowledge'
+ * @returns {boolean} True if the user has the permission
+ */
+function hasPermission(user, permission) {
+    return !!user && getRolePermissions(user.role).includes(permission);
+}
+
+/**
+ * Check a role submitted by an admin and return a cleaned copy
+ * @param {Object} body - { id, name, permissions, requireTwoFactor }
+ * @param {Array} roles - Existing roles, so a new role does not take an existing ID
+ * @param {string|null} roleId - ID of the role being updated (its ID cannot change)
+ * @returns {{role: Object}|{error: string}} Cleaned role or a validation error
+ */
+function validateRole(body, roles, roleId = null) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Invalid role format' };
+    }
+
+    const id = roleId || (typeof body.id === 'string' ? body.id.trim().toLowerCase() : '');
+    if (!ROLE_ID_PATTERN.test(id)) {
+        return { error: 'Role IDs must start with a letter and use only lowercase letters, numbers and "-"' };
+    }
+    if (!roleId && roles.some(role => role.id === id)) {
+        return { error: `A role with the ID "${id}" already exists` };
+    }
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+        return { error: 'Please enter a name for the role' };
+    }
+
+    if (!Array.isArray(body.permissions)) {
+        return { error: 'Permissions must be a list' };
+    }
+    const unknown = body.permissions.filter(permission => !PERMISSION_IDS.includes(permission));
+    if (unknown.length > 0) {
+        return { error: `Unknown permission: ${unknown.join(', ')}` };
+    }
+
+    return {
+        role: {
+            id,
+            name,
+            // Kept in the order of PERMISSIONS so the list reads the same however it was submitted
+            permissions: PERMISSION_IDS.filter(permission => body.permissions.includes(permission)),
+            // Users with the role cannot log in until they have set up two-factor logins
+            requireTwoFactor: !!body.requireTwoFactor,
+            builtIn: false
+        }
+    };
+}
+
+module.exports = {
+    PERMISSIONS,
+    ADMIN_ROLE,
+    readRolesData,
+    writeRolesData,
+    getRolePermissions,
+    hasPermission,
+    validateRole
+};
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { readLogs } = require('../audit-logs');
-const { adminMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
-// Get all logs (admin only, with pagination)
-router.get('/', adminMiddleware, (req, res) => {
+// Get all logs (with pagination)
+router.get('/', requirePermission('audit.view'), (req, res) => {
   try {
     const logs = readLogs();
     
@@ -59,7 +59,7 @@ router.get('/', adminMiddleware, (req, res) => {
 });
 
 // Export logs as CSV
-router.get('/export', adminMiddleware, (req, res) => {
+router.get('/export', requirePermission('audit.view'), (req, res) => {
   try {
     const logs = readLogs();
     
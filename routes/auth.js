@@ -1,8 +1,262 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
-const { JWT_SECRET, readUsersData, writeUsersData, adminMiddleware } = require('../middleware/auth');
+const { issueAccessToken, refreshAccessToken, readUsersData, writeUsersData, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ADMIN_ROLE, readRolesData, writeRolesData, getRolePermissions, validateRole } = require('../roles');
+const { getAllowedSiteIds, validateSiteIds } = require('../site-access');
+const { readSitesData } = require('./sites');
+const { KEY_KINDS, getKeys, rotateKey, isFromEnvironment } = require('../secrets');
+const { LoginThrottle, getClientIp } = require('../login-throttle');
+const { getLoginSessionStore } = require('../login-sessions');
+const {
+    generateSecret, verifyCode, getProvisioning, generateRecoveryCodes, findRecoveryCode,
+    isTwoFactorEnabled, isTwoFactorRequired, createChallenge, getChallenge, recordChallengeFailure, completeChallenge
+} = require('../two-factor');
+const {
+    readPasswordPolicy, writePasswordPolicy, validatePasswordPolicy, stampPasswordExpiry, describePasswordPolicy,
+    checkPasswordStrength, isPasswordReused, setPassword, getPasswordExpiry, getPasswordChangeReason
+} = require('../password-policy');
+
+// Failed logins by username and by address. An address gets more tries than an account,
+// since the operators in one control room usually share it.
+const accountThrottle = new LoginThrottle({ name: 'account' });
+const addressThrottle = new LoginThrottle({
+    name: 'IP address',
+    policy: { freeAttempts: 10, lockoutThreshold: 30 }
+});
+
+// Whether a login from this username and address has to wait, and why
+function checkLoginThrottles(username, ip) {
+    const results = [
+        { ...accountThrottle.check(username), scope: 'account' },
+        { ...addressThrottle.check(ip), scope: 'address' }
+    ].filter(result => !result.allowed);
+
+    return results.find(result => result.locked) || results[0] || null;
+}
+
+// Count a failed login against the username and address, and record it in the audit log
+function recordLoginFailure(req, username, ip, reason) {
+    const { ACTIONS, logUserActivity } = require('../audit-service');
+    const anonymousReq = {
+        headers: req.headers,
+        connection: req.connection,
+        ip: req.ip,
+        user: null
+    };
+
+    const account = accountThrottle.recordFailure(username);
+    const address = addressThrottle.recordFailure(ip);
+
+    logUserActivity(
+        anonymousReq,
+        ACTIONS.LOGIN_FAILURE,
+        'auth',
+        username,
+        {
+            reason,
+            attemptedUsername: username,
+            failedAttempts: account.failures
+        },
+        false
+    );
+
+    if (account.lockedOut || address.lockedOut) {
+        logUserActivity(
+            anonymousReq,
+            ACTIONS.ACCOUNT_LOCKED,
+            'auth',
+            account.lockedOut ? username : ip,
+            {
+                attemptedUsername: username,
+                ip,
+                lockedUntil: account.lockedOut ? account.lockedUntil : address.lockedUntil,
+                scope: account.lockedOut ? 'account' : 'address',
+                failedAttempts: account.lockedOut ? account.failures : address.failures
+            },
+            false
+        );
+    }
+}
+
+// Refuse a login that has to wait after too many failures (see checkLoginThrottles)
+function rejectThrottledLogin(req, res, username, throttled) {
+    const { ACTIONS, logUserActivity } = require('../audit-service');
+    logUserActivity(
+        {
+            headers: req.headers,
+            connection: req.connection,
+            ip: req.ip,
+            user: null
+        },
+        ACTIONS.LOGIN_FAILURE,
+        'auth',
+        username,
+        {
+            reason: throttled.locked ? 'Locked out after too many failed logins' : 'Too many failed logins',
+            attemptedUsername: username,
+            retryAfterSeconds: throttled.retryAfterSeconds
+        },
+        false
+    );
+
+    res.set('Retry-After', String(throttled.retryAfterSeconds));
+
+    let error;
+    if (!throttled.locked) {
+        error = `Too many failed logins. Please wait ${throttled.retryAfterSeconds} second${throttled.retryAfterSeconds === 1 ? '' : 's'} before trying again`;
+    } else if (throttled.scope === 'account') {
+        error = `This account is locked after too many failed logins until ${new Date(throttled.lockedUntil).toLocaleTimeString()}. ` +
+            'An administrator can unlock it sooner';
+    } else {
+        error = `Logins from this address are blocked after too many failed logins until ${new Date(throttled.lockedUntil).toLocaleTimeString()}`;
+    }
+
+    return res.status(429).json({
+        error,
+        retryAfter: throttled.retryAfterSeconds,
+        lockedUntil: throttled.lockedUntil
+    });
+}
+
+// Sign the user in once every factor has been checked: issue the token, start the session and
+// record the login. extra is added to the audit details and the response (e.g. new recovery codes).
+function completeLogin(req, res, user, extra = {}) {
+    const { recoveryCodes, ...details } = extra;
+
+    // The address keeps its count, so one known password cannot be used to keep guessing others
+    accountThrottle.recordSuccess(user.username);
+
+    // Start a login the server can end, with a short-lived access token and a refresh token to renew it
+    const { session, refreshToken } = getLoginSessionStore().create(user, {
+        ip: getClientIp(req),
+        userAgent: req.headers['user-agent']
+    });
+    const token = issueAccessToken(user, session.id);
+
+    // Set token in session if using sessions. Pages renew it from the refresh token kept alongside.
+    if (req.session) {
+        req.session.token = token;
+        req.session.refreshToken = refreshToken;
+        req.session.user = {
+            id: user.id,
+            username: user.username,
+            name: user.name,
+            role: user.role
+        };
+    }
+
+    // Log successful login directly
+    const { ACTIONS, logUserActivity } = require('../audit-service');
+    logUserActivity(
+        { 
+            headers: req.headers,
+            connection: req.connection,
+            ip: req.ip,
+            user: {
+                id: user.id,
+                username: user.username,
+                name: user.name,
+                role: user.role
+            } 
+        },
+        ACTIONS.LOGIN_SUCCESS,
+        'auth',
+        user.username,
+        { 
+            userId: user.id,
+            username: user.username,
+            role: user.role,
+            ...details
+        },
+        true
+    );
+
+    // Return the tokens and user info
+    res.json({
+        success: true,
+        token,
+        refreshToken,
+        user: toClientUser(user),
+        ...(recoveryCodes ? { recoveryCodes } : {})
+    });
+}
+
+// Sign the user in, unless they have to choose a new password first because an admin set it or it
+// has expired. Then the login waits for POST /api/auth/login/password, keeping what completeLogin needs.
+function completeLoginOrChangePassword(req, res, user, extra = {}) {
+    const policy = readPasswordPolicy();
+    const reason = getPasswordChangeReason(user, policy);
+    if (!reason) {
+        return completeLogin(req, res, user, extra);
+    }
+
+    const challengeToken = createChallenge(user, 'password');
+    getChallenge(challengeToken).loginDetails = extra;
+
+    res.json({
+        passwordChangeRequired: true,
+        reason,
+        passwordRules: describePasswordPolicy(policy),
+        challengeToken
+    });
+}
+
+// Check a password a user has chosen for themselves: the policy's rules, and not one they have used before
+async function checkNewPassword(user, password, policy) {
+    const weakness = checkPasswordStrength(password, policy);
+    if (weakness) {
+        return weakness;
+    }
+    if (await isPasswordReused(user, password, policy)) {
+        return policy.historyCount > 0
+            ? 'You have used this password before. Please choose a new one'
+            : 'Your new password must be different from your current one';
+    }
+    return null;
+}
+
+// Record a user changing their own password in the audit log. Logins changing an expired password
+// have no token yet, so the user is filled in for the log.
+function logPasswordChange(req, user, details = {}) {
+    try {
+        const { ACTIONS, logUserActivity } = require('../audit-service');
+        const actor = req.user ? req : {
+            headers: req.headers,
+            connection: req.connection,
+            ip: req.ip,
+            user: {
+                id: user.id,
+                username: user.username,
+                name: user.name,
+                role: user.role
+            }
+        };
+        logUserActivity(actor, ACTIONS.PASSWORD_CHANGE, 'users', user.id, { username: user.username, ...details }, true);
+    } catch (error) {
+        console.error('Error logging password change:', error);
+        // Continue even if logging fails
+    }
+}
+
+// The user as the console sees it, with the permissions it uses to show or hide controls
+// and the sites the user is limited to (null for every site)
+function toClientUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        permissions: getRolePermissions(user.role),
+        siteIds: user.siteIds || null
+    };
+}
+
+// A copy of a stored user without the password hashes or two-factor secret, for responses and the audit log
+function withoutSecrets(user) {
+    const { password, passwordHistory, twoFactor, ...rest } = user;
+    return { ...rest, twoFactorEnabled: isTwoFactorEnabled(user) };
+}
 
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
@@ -16,6 +270,13 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ error: 'Please provide username and password' });
         }
 
+        // Slow down and then lock out repeated guessing, before the password is even checked
+        const ip = getClientIp(req);
+        const throttled = checkLoginThrottles(username, ip);
+        if (throttled) {
+            return rejectThrottledLogin(req, res, username, throttled);
+        }
+
         // Get users from data file
         const users = readUsersData();
 
@@ -24,111 +285,254 @@ router.post('/login', async (req, res) => {
 
         // Check if user exists
         if (!user) {
-            // Log failed login attempt
-            const { ACTIONS, logUserActivity } = require('../audit-service');
-            logUserActivity(
-                { 
-                    headers: req.headers,
-                    connection: req.connection,
-                    user: null 
-                },
-                ACTIONS.LOGIN_FAILURE,
-                'auth',
-                username,
-                { 
-                    reason: 'Invalid username or inactive account',
-                    attemptedUsername: username 
-                },
-                false
-            );
-            
+            recordLoginFailure(req, username, ip, 'Invalid username or inactive account');
             return res.status(400).json({ error: 'Invalid credentials or inactive account' });
         }
 
         // Check if password matches
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
-            // Log failed login attempt
-            const { ACTIONS, logUserActivity } = require('../audit-service');
-            logUserActivity(
-                { 
-                    headers: req.headers,
-                    connection: req.connection,
-                    user: null 
-                },
-                ACTIONS.LOGIN_FAILURE,
-                'auth',
-                username,
-                { 
-                    reason: 'Invalid password',
-                    attemptedUsername: username 
-                },
-                false
-            );
-            
+            recordLoginFailure(req, username, ip, 'Invalid password');
             return res.status(400).json({ error: 'Invalid credentials' });
         }
 
-        // Create payload for JWT
-        const payload = {
-            id: user.id,
-            username: user.username,
-            name: user.name,
-            role: user.role
-        };
+        // Users with two-factor logins get their token once they have entered a code as well
+        if (isTwoFactorEnabled(user)) {
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: createChallenge(user, 'verify')
+            });
+        }
+        if (isTwoFactorRequired(user)) {
+            return res.json({
+                twoFactorSetupRequired: true,
+                challengeToken: createChallenge(user, 'setup')
+            });
+        }
 
-        // Sign token
-        const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '12h' });
+        completeLoginOrChangePassword(req, res, user);
+    } catch (err) {
+        console.error('Login error:', err);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
 
-        // Set token in session if using sessions
-        if (req.session) {
-            req.session.token = token;
-            req.session.user = {
+// Record a two-factor change or use in the audit log. Logins waiting for their second factor
+// have no token yet, so the user is filled in for the log.
+function logTwoFactorEvent(req, action, user, details = {}) {
+    try {
+        const { ACTIONS, logUserActivity } = require('../audit-service');
+        const actor = req.user ? req : {
+            headers: req.headers,
+            connection: req.connection,
+            ip: req.ip,
+            user: {
                 id: user.id,
                 username: user.username,
                 name: user.name,
                 role: user.role
+            }
+        };
+        logUserActivity(actor, ACTIONS[action], 'two-factor', user.id, { username: user.username, ...details }, true);
+    } catch (error) {
+        console.error('Error logging two-factor change:', error);
+        // Continue even if logging fails
+    }
+}
+
+// Get the user a login challenge belongs to, if the challenge is still open and the user can still log in
+function findChallengeUser(users, challenge) {
+    return challenge ? users.find(u => u.id === challenge.userId && u.isActive) || null : null;
+}
+
+// Refuse a wrong second factor. It counts as a failed login, and the challenge ends after a few wrong codes.
+function rejectSecondFactor(req, res, challengeToken, user, ip, reason) {
+    recordLoginFailure(req, user.username, ip, reason);
+
+    const attemptsLeft = recordChallengeFailure(challengeToken);
+    if (attemptsLeft === 0) {
+        return res.status(400).json({
+            error: 'Too many wrong codes. Please enter your password again',
+            expired: true
+        });
+    }
+
+    return res.status(400).json({ error: `${reason}. Please try again`, attemptsLeft });
+}
+
+// @route   POST /api/auth/login/setup
+// @desc    Get the QR code for a user whose role needs two-factor logins but who has not set them up yet
+// @access  Public (with the challenge token from POST /api/auth/login)
+router.post('/login/setup', async (req, res) => {
+    try {
+        const challenge = getChallenge(req.body.challengeToken);
+        const user = findChallengeUser(readUsersData(), challenge);
+        if (!user || challenge.purpose !== 'setup') {
+            return res.status(400).json({ error: 'Your login has expired. Please enter your password again', expired: true });
+        }
+
+        // The secret is only saved once the user has entered a code from it
+        if (!challenge.pendingSecret) {
+            challenge.pendingSecret = generateSecret();
+        }
+
+        res.json(await getProvisioning(challenge.pendingSecret, user.username));
+    } catch (err) {
+        console.error('Two-factor setup error:', err);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// @route   POST /api/auth/login/verify
+// @desc    Finish a two-factor login with a code from the authenticator app or a recovery code, and get the token
+// @access  Public (with the challenge token from POST /api/auth/login)
+router.post('/login/verify', async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    try {
+        const challenge = getChallenge(challengeToken);
+        const users = readUsersData();
+        const user = findChallengeUser(users, challenge);
+        // Challenges for choosing a new password are finished at /login/password, after the new password is saved
+        if (!user || !(challenge.purpose === 'setup' || (challenge.purpose === 'verify' && isTwoFactorEnabled(user)))) {
+            completeChallenge(challengeToken);
+            return res.status(400).json({ error: 'Your login has expired. Please enter your password again', expired: true });
+        }
+
+        const ip = getClientIp(req);
+        const throttled = checkLoginThrottles(user.username, ip);
+        if (throttled) {
+            completeChallenge(challengeToken);
+            return rejectThrottledLogin(req, res, user.username, throttled);
+        }
+
+        // Setting up two-factor logins because the user's role requires them
+        if (challenge.purpose === 'setup') {
+            if (!challenge.pendingSecret) {
+                return res.status(400).json({ error: 'Please scan the QR code first' });
+            }
+
+            const step = verifyCode(challenge.pendingSecret, code);
+            if (step === null) {
+                return rejectSecondFactor(req, res, challengeToken, user, ip, 'Invalid two-factor code');
+            }
+
+            const { codes, hashes } = await generateRecoveryCodes();
+            user.twoFactor = {
+                enabled: true,
+                secret: challenge.pendingSecret,
+                enrolledAt: new Date().toISOString(),
+                lastUsedStep: step,
+                recoveryCodes: hashes
             };
+            if (!writeUsersData(users)) {
+                return res.status(500).json({ error: 'Failed to save two-factor settings' });
+            }
+
+            completeChallenge(challengeToken);
+            logTwoFactorEvent(req, 'TWO_FACTOR_ENROLL', user, { duringLogin: true });
+            return completeLoginOrChangePassword(req, res, user, { twoFactor: 'enrolled', recoveryCodes: codes });
         }
 
-        // Log successful login directly
-        const { ACTIONS, logUserActivity } = require('../audit-service');
-        logUserActivity(
-            { 
-                headers: req.headers,
-                connection: req.connection,
-                user: {
-                    id: user.id,
-                    username: user.username,
-                    name: user.name,
-                    role: user.role
-                } 
-            },
-            ACTIONS.LOGIN_SUCCESS,
-            'auth',
-            user.username,
-            { 
-                userId: user.id,
-                username: user.username,
-                role: user.role
-            },
-            true
-        );
+        // A recovery code, for when the user does not have their phone. Each one works once.
+        if (recoveryCode) {
+            const index = await findRecoveryCode(user.twoFactor.recoveryCodes, recoveryCode);
+            if (index === -1) {
+                return rejectSecondFactor(req, res, challengeToken, user, ip, 'Invalid recovery code');
+            }
+
+            user.twoFactor.recoveryCodes.splice(index, 1);
+            if (!writeUsersData(users)) {
+                return res.status(500).json({ error: 'Failed to save two-factor settings' });
+            }
+
+            completeChallenge(challengeToken);
+            logTwoFactorEvent(req, 'TWO_FACTOR_RECOVERY_USED', user, {
+                recoveryCodesLeft: user.twoFactor.recoveryCodes.length
+            });
+            return completeLoginOrChangePassword(req, res, user, {
+                twoFactor: 'recovery-code',
+                recoveryCodesLeft: user.twoFactor.recoveryCodes.length
+            });
+        }
+
+        // Each code is accepted once, so one seen over someone's shoulder cannot be used again
+        const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? null);
+        if (step === null) {
+            return rejectSecondFactor(req, res, challengeToken, user, ip, 'Invalid two-factor code');
+        }
+
+        user.twoFactor.lastUsedStep = step;
+        if (!writeUsersData(users)) {
+            return res.status(500).json({ error: 'Failed to save two-factor settings' });
+        }
+
+        completeChallenge(challengeToken);
+        completeLoginOrChangePassword(req, res, user, { twoFactor: 'code' });
+    } catch (err) {
+        console.error('Two-factor login error:', err);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// @route   POST /api/auth/login/password
+// @desc    Finish a login whose password was set by an admin or has expired by choosing a new one, and get the token
+// @access  Public (with the challenge token from POST /api/auth/login or /api/auth/login/verify)
+router.post('/login/password', async (req, res) => {
+    const { challengeToken, newPassword } = req.body;
+
+    try {
+        const challenge = getChallenge(challengeToken);
+        const users = readUsersData();
+        const user = findChallengeUser(users, challenge);
+        if (!user || challenge.purpose !== 'password') {
+            return res.status(400).json({ error: 'Your login has expired. Please enter your password again', expired: true });
+        }
+
+        const policy = readPasswordPolicy();
+        const error = await checkNewPassword(user, newPassword, policy);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const reason = getPasswordChangeReason(user, policy);
+        await setPassword(user, newPassword, policy);
+        if (!writeUsersData(users)) {
+            return res.status(500).json({ error: 'Failed to save password' });
+        }
+
+        completeChallenge(challengeToken);
+        logPasswordChange(req, user, { reason, duringLogin: true });
+        completeLogin(req, res, user, { ...challenge.loginDetails, passwordChanged: reason });
+    } catch (err) {
+        console.error('Password change login error:', err);
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Get a new access token with the refresh token from login (sent in the body, or kept in the session by the console)
+// @access  Public (with a refresh token)
+router.post('/refresh', (req, res) => {
+    try {
+        const refreshToken = (req.body && req.body.refreshToken) || (req.session && req.session.refreshToken);
+        const refreshed = refreshToken ? refreshAccessToken(refreshToken) : null;
+        if (!refreshed) {
+            return res.status(401).json({ error: 'Your login has ended. Please log in again' });
+        }
+
+        if (req.session) {
+            req.session.token = refreshed.token;
+        }
 
-        // Return token and user info
         res.json({
             success: true,
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                name: user.name,
-                role: user.role
-            }
+            token: refreshed.token,
+            user: toClientUser(refreshed.user)
         });
     } catch (err) {
-        console.error('Login error:', err);
-        res.status(500).json({ error: 'Server error during login' });
+        console.error('Token refresh error:', err);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
@@ -136,6 +540,11 @@ router.post('/login', async (req, res) => {
 // @desc    Logout user
 // @access  Private
 router.post('/logout', (req, res) => {
+    // End the login, so its access and refresh tokens stop working now rather than when they run out
+    if (req.user && req.user.sid) {
+        getLoginSessionStore().revoke(req.user.sid, 'signed-out');
+    }
+
     // Log logout event before destroying session
     if (req.user) {
         const { ACTIONS, logUserActivity } = require('../audit-service');
@@ -173,15 +582,282 @@ router.get('/user', (req, res) => {
         return res.status(401).json({ error: 'Not authenticated' });
     }
 
-    res.json({ user: req.user });
+    res.json({
+        user: {
+            ...req.user,
+            permissions: getRolePermissions(req.user.role),
+            siteIds: getAllowedSiteIds(req.user)
+        }
+    });
+});
+
+// @route   GET /api/auth/password
+// @desc    Get the rules for a new password and when the current user's password runs out
+// @access  Private
+router.get('/password', (req, res) => {
+    try {
+        const user = readUsersData().find(u => u.id === req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const policy = readPasswordPolicy();
+        const expiry = getPasswordExpiry(user, policy);
+        res.json({
+            rules: describePasswordPolicy(policy),
+            changedAt: user.passwordChangedAt || null,
+            expiresAt: expiry ? expiry.toISOString() : null
+        });
+    } catch (err) {
+        console.error('Error getting password status:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/password
+// @desc    Change the current user's password after confirming the current one. Their other logins are ended.
+// @access  Private
+router.post('/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Please provide your current and new password' });
+        }
+
+        const users = readUsersData();
+        const user = users.find(u => u.id === req.user.id && u.isActive);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // A wrong current password counts as a failed login, so a console left signed in cannot be used to guess it
+        const ip = getClientIp(req);
+        const throttled = checkLoginThrottles(user.username, ip);
+        if (throttled) {
+            return rejectThrottledLogin(req, res, user.username, throttled);
+        }
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            recordLoginFailure(req, user.username, ip, 'Invalid current password when changing password');
+            return res.status(400).json({ error: 'Your current password is not correct' });
+        }
+
+        const policy = readPasswordPolicy();
+        const error = await checkNewPassword(user, newPassword, policy);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await setPassword(user, newPassword, policy);
+        if (!writeUsersData(users)) {
+            return res.status(500).json({ error: 'Failed to save password' });
+        }
+
+        // Anyone else signed in with the old password is signed out; this login carries on
+        const signedOutElsewhere = getLoginSessionStore().revokeUser(user.id, 'password-changed', req.user.sid);
+        logPasswordChange(req, user, { signedOutElsewhere });
+
+        const expiry = getPasswordExpiry(user, policy);
+        res.json({
+            success: true,
+            changedAt: user.passwordChangedAt,
+            expiresAt: expiry ? expiry.toISOString() : null,
+            signedOutElsewhere
+        });
+    } catch (err) {
+        console.error('Error changing password:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
+// @route   GET /api/auth/two-factor
+// @desc    Get whether the current user has two-factor logins and whether their role requires them
+// @access  Private
+router.get('/two-factor', (req, res) => {
+    try {
+        const user = readUsersData().find(u => u.id === req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            enabled: isTwoFactorEnabled(user),
+            required: isTwoFactorRequired(user),
+            enrolledAt: isTwoFactorEnabled(user) ? user.twoFactor.enrolledAt : null,
+            recoveryCodesLeft: isTwoFactorEnabled(user) ? user.twoFactor.recoveryCodes.length : 0
+        });
+    } catch (err) {
+        console.error('Error getting two-factor status:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/two-factor/setup
+// @desc    Start setting up two-factor logins: get a new secret and its QR code for the authenticator app
+// @access  Private
+router.post('/two-factor/setup', async (req, res) => {
+    try {
+        const users = readUsersData();
+        const user = users.find(u => u.id === req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (isTwoFactorEnabled(user)) {
+            return res.status(400).json({ error: 'Two-factor logins are already set up' });
+        }
+
+        // Kept aside until the user confirms it with a code, so a half-finished setup does not lock them out
+        user.twoFactor = { enabled: false, pendingSecret: generateSecret() };
+        if (!writeUsersData(users)) {
+            return res.status(500).json({ error: 'Failed to save two-factor settings' });
+        }
+
+        res.json(await getProvisioning(user.twoFactor.pendingSecret, user.username));
+    } catch (err) {
+        console.error('Error setting up two-factor logins:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/two-factor/enable
+// @desc    Finish setting up two-factor logins with a code from the app, and get the recovery codes
+// @access  Private
+router.post('/two-factor/enable', async (req, res) => {
+    try {
+        const users = readUsersData();
+        const user = users.find(u => u.id === req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (isTwoFactorEnabled(user)) {
+            return res.status(400).json({ error: 'Two-factor logins are already set up' });
+        }
+        if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+            return res.status(400).json({ error: 'Please scan the QR code first' });
+        }
+
+        const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid two-factor code. Please try again' });
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        user.twoFactor = {
+            enabled: true,
+            secret: user.twoFactor.pendingSecret,
+            enrolledAt: new Date().toISOString(),
+            lastUsedStep: step,
+            recoveryCodes: hashes
+        };
+        if (!writeUsersData(users)) {
+            return res.status(500).json({ error: 'Failed to save two-factor settings' });
+        }
+
+        logTwoFactorEvent(req, 'TWO_FACTOR_ENROLL', user);
+
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (err) {
+        console.error('Error enabling two-factor logins:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/two-factor/recovery-codes
+// @desc    Replace the current user's recovery codes (needs a code from the app)
+// @access  Private
+router.post('/two-factor/recovery-codes', async (req, res) => {
+    try {
+        const users = readUsersData();
+        const user = users.find(u => u.id === req.user.id);
+        if (!user || !isTwoFactorEnabled(user)) {
+            return res.status(400).json({ error: 'Two-factor logins are not set up' });
+        }
+
+        const step = verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep ?? null);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid two-factor code. Please try again' });
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = hashes;
+        user.twoFactor.lastUsedStep = step;
+        if (!writeUsersData(users)) {
+            return res.status(500).json({ error: 'Failed to save two-factor settings' });
+        }
+
+        logTwoFactorEvent(req, 'TWO_FACTOR_RECOVERY_CODES', user);
+
+        res.json({ success: true, recoveryCodes: codes });
+    } catch (err) {
+        console.error('Error replacing recovery codes:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/auth/two-factor
+// @desc    Turn off two-factor logins for the current user (needs a code from the app; not allowed if their role requires them)
+// @access  Private
+router.delete('/two-factor', (req, res) => {
+    try {
+        const users = readUsersData();
+        const user = users.find(u => u.id === req.user.id);
+        if (!user || !isTwoFactorEnabled(user)) {
+            return res.status(400).json({ error: 'Two-factor logins are not set up' });
+        }
+        if (isTwoFactorRequired(user)) {
+            return res.status(400).json({ error: 'Your role requires two-factor logins. An administrator can reset them if you have a new phone' });
+        }
+
+        const step = verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep ?? null);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid two-factor code. Please try again' });
+        }
+
+        delete user.twoFactor;
+        if (!writeUsersData(users)) {
+            return res.status(500).json({ error: 'Failed to save two-factor settings' });
+        }
+
+        logTwoFactorEvent(req, 'TWO_FACTOR_DISABLE', user);
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Error turning off two-factor logins:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// End every login of a user and record it in the audit log. Only an admin asking for it is
+// logged when the user had no open logins.
+function endLogins(req, user, reason) {
+    const ended = getLoginSessionStore().revokeUser(user.id, reason);
+    if (ended === 0 && reason !== 'signed-out-everywhere') {
+        return ended;
+    }
+
+    try {
+        const { ACTIONS, logUserActivity } = require('../audit-service');
+        logUserActivity(req, ACTIONS.SESSION_REVOKE, 'users', user.id, {
+            username: user.username,
+            reason,
+            sessionsEnded: ended
+        }, true);
+    } catch (error) {
+        console.error('Error logging ended logins:', error);
+        // Continue even if logging fails
+    }
+
+    return ended;
+}
+
 // @route   GET /api/auth/users
-// @desc    Get all users (admin only)
-// @access  Admin
-router.get('/users', adminMiddleware, (req, res) => {
+// @desc    Get all users (also used to list who events can be reassigned to)
+// @access  Private (users.manage or events.reassign)
+router.get('/users', requirePermission('users.manage', 'events.reassign'), (req, res) => {
     try {
         const users = readUsersData();
+        const activeSessions = getLoginSessionStore().countActiveByUser();
+        const policy = readPasswordPolicy();
 
         // Don't return passwords
         const safeUsers = users.map(user => ({
@@ -189,7 +865,14 @@ router.get('/users', adminMiddleware, (req, res) => {
             username: user.username,
             name: user.name,
             role: user.role,
-            isActive: user.isActive
+            siteIds: user.siteIds || null,
+            isActive: user.isActive,
+            lockedUntil: accountThrottle.getStatus(user.username).lockedUntil,
+            twoFactorEnabled: isTwoFactorEnabled(user),
+            twoFactorRequired: isTwoFactorRequired(user),
+            mustChangePassword: !!user.mustChangePassword,
+            passwordExpiresAt: getPasswordExpiry(user, policy)?.toISOString() || null,
+            activeSessions: activeSessions.get(user.id) || 0
         }));
 
         res.json(safeUsers);
@@ -200,9 +883,9 @@ router.get('/users', adminMiddleware, (req, res) => {
 });
 
 // @route   POST /api/auth/users
-// @desc    Create new user (admin only)
-// @access  Admin
-router.post('/users', adminMiddleware, async (req, res) => {
+// @desc    Create new user
+// @access  Private (users.manage)
+router.post('/users', requirePermission('users.manage'), async (req, res) => {
     try {
         const { username, password, name, role, isActive } = req.body;
 
@@ -211,6 +894,16 @@ router.post('/users', adminMiddleware, async (req, res) => {
             return res.status(400).json({ error: 'Please provide username, password and name' });
         }
 
+        if (role && !readRolesData().some(r => r.id === role)) {
+            return res.status(400).json({ error: `Unknown role: ${role}` });
+        }
+
+        // Customers' staff are limited to their own sites; without a list the user sees every site
+        const { siteIds, error: siteError } = validateSiteIds(req.body.siteIds, readSitesData());
+        if (siteError) {
+            return res.status(400).json({ error: siteError });
+        }
+
         // Read current users
         const users = readUsersData();
 
@@ -219,20 +912,25 @@ router.post('/users', adminMiddleware, async (req, res) => {
             return res.status(400).json({ error: 'Username already exists' });
         }
 
-        // Hash password
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
+        const policy = readPasswordPolicy();
+        const weakness = checkPasswordStrength(password, policy);
+        if (weakness) {
+            return res.status(400).json({ error: weakness });
+        }
 
         // Create new user
         const newUser = {
             id: users.length > 0 ? Math.max(...users.map(u => u.id)) + 1 : 1,
             username,
-            password: hashedPassword,
             name,
             role: role || 'user',
+            siteIds,
             isActive: isActive !== undefined ? isActive : true
         };
 
+        // The admin chose the password, so the user replaces it with their own at their first login
+        await setPassword(newUser, password, policy, true);
+
         // Add to users array
         users.push(newUser);
 
@@ -272,12 +970,12 @@ router.post('/users', adminMiddleware, async (req, res) => {
 });
 
 // @route   PUT /api/auth/users/:id
-// @desc    Update user (admin only)
-// @access  Admin
-router.put('/users/:id', adminMiddleware, async (req, res) => {
+// @desc    Update user
+// @access  Private (users.manage)
+router.put('/users/:id', requirePermission('users.manage'), async (req, res) => {
     try {
         const userId = parseInt(req.params.id);
-        const { username, password, name, role, isActive } = req.body;
+        const { username, password, name, role, isActive, unlock, resetTwoFactor, signOutEverywhere } = req.body;
 
         // Read current users
         const users = readUsersData();
@@ -288,21 +986,77 @@ router.put('/users/:id', adminMiddleware, async (req, res) => {
         if (userIndex === -1) {
             return res.status(404).json({ error: 'User not found' });
         }
+
+        if (role && !readRolesData().some(r => r.id === role)) {
+            return res.status(400).json({ error: `Unknown role: ${role}` });
+        }
+
+        // Make sure there is always an administrator who can manage users
+        if (userId === 1 && role && role !== ADMIN_ROLE) {
+            return res.status(400).json({ error: 'The primary administrator account must keep the admin role' });
+        }
+
+        // Admins change their own password like everyone else, with their current password and the reuse rules
+        if (password && userId === req.user.id) {
+            return res.status(400).json({ error: 'Change your own password under My Account (POST /api/auth/password), where your current password is checked' });
+        }
+
+        const policy = readPasswordPolicy();
+        if (password) {
+            const weakness = checkPasswordStrength(password, policy);
+            if (weakness) {
+                return res.status(400).json({ error: weakness });
+            }
+        }
+
+        // A password set for someone else is a reset: they replace it at their next login
+        const passwordReset = !!password && userId !== req.user.id;
+
+        // Leave the user's sites alone when they are not sent (null gives access to every site)
+        let siteIds;
+        if (req.body.siteIds !== undefined) {
+            const result = validateSiteIds(req.body.siteIds, readSitesData());
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            siteIds = result.siteIds;
+        }
         
-        // Store original user state for audit log
-        const originalUser = { ...users[userIndex] };
-        delete originalUser.password; // Don't include password in logs
+        // Store original user state for audit log, without the password or two-factor secret
+        const originalUser = withoutSecrets(users[userIndex]);
+
+        // Lift a lockout after too many failed logins, before it runs out
+        if (unlock) {
+            const wasLocked = accountThrottle.unlock(users[userIndex].username);
+
+            try {
+                const { ACTIONS, logUserActivity } = require('../audit-service');
+                logUserActivity(req, ACTIONS.ACCOUNT_UNLOCK, 'users', userId, {
+                    username: users[userIndex].username,
+                    wasLocked
+                }, true);
+            } catch (error) {
+                console.error('Error logging account unlock:', error);
+            }
+        }
+
+        // Clear two-factor logins, e.g. when a user has lost their phone and their recovery codes.
+        // They set them up again at their next login if their role requires them.
+        const twoFactorReset = !!(resetTwoFactor && users[userIndex].twoFactor);
+        if (twoFactorReset) {
+            delete users[userIndex].twoFactor;
+        }
 
         // Update user
         if (username) users[userIndex].username = username;
         if (name) users[userIndex].name = name;
         if (role) users[userIndex].role = role;
+        if (siteIds !== undefined) users[userIndex].siteIds = siteIds;
         if (isActive !== undefined) users[userIndex].isActive = isActive;
 
         // Update password if provided
         if (password) {
-            const salt = await bcrypt.genSalt(10);
-            users[userIndex].password = await bcrypt.hash(password, salt);
+            await setPassword(users[userIndex], password, policy, passwordReset);
         }
 
         // Save updated users
@@ -310,9 +1064,24 @@ router.put('/users/:id', adminMiddleware, async (req, res) => {
             return res.status(500).json({ error: 'Failed to update user' });
         }
         
-        // Create updated user object for audit log (without password)
-        const updatedUser = { ...users[userIndex] };
-        delete updatedUser.password;
+        if (twoFactorReset) {
+            logTwoFactorEvent(req, 'TWO_FACTOR_RESET', users[userIndex]);
+        }
+
+        // End the user's logins when asked to, and when they lose access: a deactivated user, or one
+        // moved to another role, should not keep working with tokens issued before the change
+        if (signOutEverywhere) {
+            endLogins(req, users[userIndex], 'signed-out-everywhere');
+        } else if (originalUser.isActive && users[userIndex].isActive === false) {
+            endLogins(req, users[userIndex], 'deactivated');
+        } else if (originalUser.role !== users[userIndex].role) {
+            endLogins(req, users[userIndex], 'role-changed');
+        } else if (passwordReset) {
+            endLogins(req, users[userIndex], 'password-reset');
+        }
+
+        // Create updated user object for audit log (without password or two-factor secret)
+        const updatedUser = withoutSecrets(users[userIndex]);
         
         // Log user update in audit log
         try {
@@ -329,8 +1098,12 @@ router.put('/users/:id', adminMiddleware, async (req, res) => {
                         username: username || undefined,
                         name: name || undefined,
                         role: role || undefined,
+                        siteIds,
                         isActive: isActive,
-                        passwordChanged: !!password
+                        passwordChanged: !!password,
+                        passwordReset,
+                        twoFactorReset,
+                        signedOutEverywhere: !!signOutEverywhere
                     }
                 },
                 true
@@ -341,8 +1114,7 @@ router.put('/users/:id', adminMiddleware, async (req, res) => {
         }
 
         // Return updated user without password
-        const { password: _, ...userWithoutPassword } = users[userIndex];
-        res.json(userWithoutPassword);
+        res.json(withoutSecrets(users[userIndex]));
     } catch (err) {
         console.error('Error updating user:', err);
         res.status(500).json({ error: 'Server error' });
@@ -350,9 +1122,9 @@ router.put('/users/:id', adminMiddleware, async (req, res) => {
 });
 
 // @route   DELETE /api/auth/users/:id
-// @desc    Delete user (admin only)
-// @access  Admin
-router.delete('/users/:id', adminMiddleware, (req, res) => {
+// @desc    Delete user
+// @access  Private (users.manage)
+router.delete('/users/:id', requirePermission('users.manage'), (req, res) => {
     try {
         const userId = parseInt(req.params.id);
 
@@ -372,8 +1144,7 @@ router.delete('/users/:id', adminMiddleware, (req, res) => {
         }
         
         // Store user info for audit log before deleting
-        const deletedUser = { ...users[userIndex] };
-        delete deletedUser.password; // Don't include password in logs
+        const deletedUser = withoutSecrets(users[userIndex]); // Don't include password in logs
 
         // Remove user
         users.splice(userIndex, 1);
@@ -382,6 +1153,8 @@ router.delete('/users/:id', adminMiddleware, (req, res) => {
         if (!writeUsersData(users)) {
             return res.status(500).json({ error: 'Failed to delete user' });
         }
+
+        endLogins(req, deletedUser, 'deleted');
         
         // Log user deletion in audit log
         try {
@@ -408,4 +1181,227 @@ router.delete('/users/:id', adminMiddleware, (req, res) => {
     }
 });
 
+// @route   GET /api/auth/permissions
+// @desc    Get every permission a role can be given
+// @access  Private (users.manage)
+router.get('/permissions', requirePermission('users.manage'), (req, res) => {
+    res.json(PERMISSIONS);
+});
+
+// Record a change to a role in the audit log
+function logRoleChange(req, action, roleId, details) {
+    try {
+        const { ACTIONS, logUserActivity } = require('../audit-service');
+        logUserActivity(req, ACTIONS[action], 'roles', roleId, details, true);
+    } catch (error) {
+        console.error('Error logging role change:', error);
+        // Continue even if logging fails
+    }
+}
+
+// @route   GET /api/auth/roles
+// @desc    Get all roles with their permissions
+// @access  Private (users.manage)
+router.get('/roles', requirePermission('users.manage'), (req, res) => {
+    try {
+        res.json(readRolesData());
+    } catch (err) {
+        console.error('Error getting roles:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/roles
+// @desc    Create a role
+// @access  Private (users.manage)
+router.post('/roles', requirePermission('users.manage'), (req, res) => {
+    try {
+        const roles = readRolesData();
+        const { role, error } = validateRole(req.body, roles);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        roles.push(role);
+        if (!writeRolesData(roles)) {
+            return res.status(500).json({ error: 'Failed to save role' });
+        }
+
+        logRoleChange(req, 'ROLE_CREATE', role.id, { role });
+
+        res.status(201).json(role);
+    } catch (err) {
+        console.error('Error creating role:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/auth/roles/:id
+// @desc    Rename a role, change its permissions or whether it requires two-factor logins. Users with the role get the new permissions straight away.
+// @access  Private (users.manage)
+router.put('/roles/:id', requirePermission('users.manage'), (req, res) => {
+    try {
+        const roles = readRolesData();
+        const roleIndex = roles.findIndex(r => r.id === req.params.id);
+
+        if (roleIndex === -1) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        // Built-in roles keep their name and permissions; only whether they require two-factor logins can change
+        let role;
+        if (roles[roleIndex].builtIn) {
+            role = { ...roles[roleIndex], requireTwoFactor: !!req.body.requireTwoFactor };
+        } else {
+            const result = validateRole(req.body, roles, roles[roleIndex].id);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            role = result.role;
+        }
+
+        const previous = roles[roleIndex];
+        roles[roleIndex] = role;
+        if (!writeRolesData(roles)) {
+            return res.status(500).json({ error: 'Failed to update role' });
+        }
+
+        logRoleChange(req, 'ROLE_UPDATE', role.id, { previous, role });
+
+        res.json(role);
+    } catch (err) {
+        console.error('Error updating role:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE /api/auth/roles/:id
+// @desc    Delete a role that no user has
+// @access  Private (users.manage)
+router.delete('/roles/:id', requirePermission('users.manage'), (req, res) => {
+    try {
+        const roles = readRolesData();
+        const role = roles.find(r => r.id === req.params.id);
+
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        if (role.builtIn) {
+            return res.status(400).json({ error: `The ${role.name} role cannot be deleted` });
+        }
+
+        const holders = readUsersData().filter(user => user.role === role.id);
+        if (holders.length > 0) {
+            return res.status(400).json({
+                error: `The ${role.name} role is given to ${holders.length} user${holders.length !== 1 ? 's' : ''}; give them another role first`
+            });
+        }
+
+        if (!writeRolesData(roles.filter(r => r.id !== role.id))) {
+            return res.status(500).json({ error: 'Failed to delete role' });
+        }
+
+        logRoleChange(req, 'ROLE_DELETE', role.id, { role });
+
+        res.json({ success: true, message: 'Role deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting role:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/password-policy
+// @desc    Get the rules for console passwords
+// @access  Private (users.manage)
+router.get('/password-policy', requirePermission('users.manage'), (req, res) => {
+    try {
+        res.json(readPasswordPolicy());
+    } catch (err) {
+        console.error('Error getting password policy:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT /api/auth/password-policy
+// @desc    Change the rules for console passwords. New rules apply the next time a password is set,
+//          except the maximum age, which applies at the next login.
+// @access  Private (users.manage)
+router.put('/password-policy', requirePermission('users.manage'), (req, res) => {
+    try {
+        const { policy, error } = validatePasswordPolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const previous = readPasswordPolicy();
+        stampPasswordExpiry(policy, previous);
+        if (!writePasswordPolicy(policy)) {
+            return res.status(500).json({ error: 'Failed to update password policy' });
+        }
+
+        try {
+            const { ACTIONS, logUserActivity } = require('../audit-service');
+            logUserActivity(req, ACTIONS.PASSWORD_POLICY_UPDATE, 'settings', 'password-policy', { previous, policy }, true);
+        } catch (logError) {
+            console.error('Error logging password policy change:', logError);
+            // Continue even if logging fails
+        }
+
+        res.json({ success: true, policy, rules: describePasswordPolicy(policy) });
+    } catch (err) {
+        console.error('Error updating password policy:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/auth/keys
+// @desc    Get the signing keys in use (IDs and where they come from, never the keys themselves)
+// @access  Private (users.manage)
+router.get('/keys', requirePermission('users.manage'), (req, res) => {
+    try {
+        const keys = {};
+        for (const kind of Object.keys(KEY_KINDS)) {
+            const [current, ...retired] = getKeys(kind);
+            keys[kind] = {
+                source: isFromEnvironment(kind) ? 'environment' : 'file',
+                current: { id: current.id, createdAt: current.createdAt },
+                retired: retired.map(key => ({ id: key.id, createdAt: key.createdAt }))
+            };
+        }
+        res.json(keys);
+    } catch (err) {
+        console.error('Error getting signing keys:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/auth/keys/:kind/rotate
+// @desc    Start signing with a new key ('jwt' or 'session'). Tokens and cookies signed with the old key keep working until they expire.
+// @access  Private (users.manage)
+router.post('/keys/:kind/rotate', requirePermission('users.manage'), (req, res) => {
+    try {
+        const { kind } = req.params;
+        if (!KEY_KINDS[kind]) {
+            return res.status(404).json({ error: `Unknown kind of key: ${kind}` });
+        }
+
+        const { key, error } = rotateKey(kind);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        try {
+            const { ACTIONS, logUserActivity } = require('../audit-service');
+            logUserActivity(req, ACTIONS.KEY_ROTATE, 'keys', kind, { keyId: key.id }, true);
+        } catch (error) {
+            console.error('Error logging key rotation:', error);
+            // Continue even if logging fails
+        }
+
+        res.json({ success: true, kind, current: { id: key.id, createdAt: key.createdAt } });
+    } catch (err) {
+        console.error('Error rotating key:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,235 @@
+// routes/cameras.js
+// The camera registry for each site, and the review list of cameras that are not registered
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { filterBySite, canAccessSite, rejectCrossSiteAccess, requireSiteAccess } = require('../site-access');
+const { readSitesData, writeSitesData } = require('./sites');
+const { validateCamera, readUnknownCameras, removeUnknownCameras } = require('../cameras');
+
+// Record a registry change in the audit log
+function logCameraChange(req, action, cameraId, details) {
+    const { ACTIONS, logUserActivity } = require('../audit-service');
+    logUserActivity(req, ACTIONS[action], 'cameras', cameraId, details);
+}
+
+// Check that a reference snapshot is an image the console actually has
+function referenceImageExists(referenceImage) {
+    return !referenceImage || fs.existsSync(path.join(__dirname, '..', 'public', referenceImage));
+}
+
+// Once a camera is registered, alarms it sent earlier no longer need reviewing
+function isCoveredBy(siteId, camera) {
+    return entry => entry.siteId === siteId && entry.camera === camera.name &&
+        (!camera.channel || entry.channel === camera.channel);
+}
+
+// @route   GET /api/sites/cameras/unknown
+// @desc    Get cameras that have sent alarms without being registered, most recent first
+// @access  Private (sites.edit)
+router.get('/cameras/unknown', requirePermission('sites.edit'), (req, res) => {
+    try {
+        const sites = readSitesData();
+        const cameras = filterBySite(req.user, readUnknownCameras(), entry => entry.siteId)
+            .map(entry => {
+                const site = sites.find(site => site.id === entry.siteId);
+                return { ...entry, siteName: site ? site.name : null };
+            })
+            .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+
+        res.json(cameras);
+    } catch (error) {
+        console.error('Error fetching unknown cameras:', error);
+        res.status(500).json({ error: 'Failed to fetch unknown cameras' });
+    }
+});
+
+// @route   DELETE /api/sites/cameras/unknown/:id
+// @desc    Dismiss an unknown camera without registering it
+// @access  Private (sites.edit)
+router.delete('/cameras/unknown/:id', requirePermission('sites.edit'), (req, res) => {
+    try {
+        const entryId = parseInt(req.params.id);
+        const entry = readUnknownCameras().find(entry => entry.id === entryId);
+        if (entry && !canAccessSite(req.user, entry.siteId)) {
+            return rejectCrossSiteAccess(req, res, 'cameras', `unknown/${entry.id}`, entry.siteId);
+        }
+
+        const [removed] = removeUnknownCameras(entry => entry.id === entryId);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Unknown camera not found' });
+        }
+
+        logCameraChange(req, 'CAMERA_DISMISS', `unknown/${removed.id}`, { entry: removed });
+
+        res.json({ success: true, message: 'Unknown camera dismissed' });
+    } catch (error) {
+        console.error('Error dismissing unknown camera:', error);
+        res.status(500).json({ error: 'Failed to dismiss unknown camera' });
+    }
+});
+
+// @route   GET /api/sites/:id/cameras
+// @desc    Get the cameras registered for a site
+// @access  Private (sites.view)
+router.get('/:id/cameras', requirePermission('sites.view'), requireSiteAccess, (req, res) => {
+    try {
+        const siteId = parseInt(req.params.id);
+        const site = readSitesData().find(site => site.id === siteId);
+
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        res.json(site.cameras || []);
+    } catch (error) {
+        console.error('Error fetching cameras:', error);
+        res.status(500).json({ error: 'Failed to fetch cameras' });
+    }
+});
+
+// @route   GET /api/sites/:id/cameras/:cameraId
+// @desc    Get a single camera
+// @access  Private (sites.view)
+router.get('/:id/cameras/:cameraId', requirePermission('sites.view'), requireSiteAccess, (req, res) => {
+    try {
+        const siteId = parseInt(req.params.id);
+        const cameraId = parseInt(req.params.cameraId);
+        const site = readSitesData().find(site => site.id === siteId);
+        const camera = site && (site.cameras || []).find(camera => camera.id === cameraId);
+
+        if (!camera) {
+            return res.status(404).json({ error: 'Camera not found' });
+        }
+
+        res.json(camera);
+    } catch (error) {
+        console.error('Error fetching camera:', error);
+        res.status(500).json({ error: 'Failed to fetch camera' });
+    }
+});
+
+// @route   POST /api/sites/:id/cameras
+// @desc    Register a camera
+// @access  Private (sites.edit)
+router.post('/:id/cameras', requirePermission('sites.edit'), requireSiteAccess, (req, res) => {
+    try {
+        const siteId = parseInt(req.params.id);
+        const sites = readSitesData();
+        const siteIndex = sites.findIndex(site => site.id === siteId);
+
+        if (siteIndex === -1) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        const site = sites[siteIndex];
+        const { camera, error } = validateCamera(req.body, site);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (!referenceImageExists(camera.referenceImage)) {
+            return res.status(400).json({ error: 'Reference snapshot not found' });
+        }
+
+        const cameras = site.cameras || [];
+        const newCamera = {
+            id: cameras.length > 0 ? Math.max(...cameras.map(camera => camera.id)) + 1 : 1,
+            ...camera,
+            createdAt: new Date().toISOString()
+        };
+        sites[siteIndex] = { ...site, cameras: [...cameras, newCamera] };
+
+        if (!writeSitesData(sites)) {
+            return res.status(500).json({ error: 'Failed to save camera' });
+        }
+
+        const reviewed = removeUnknownCameras(isCoveredBy(siteId, newCamera));
+        logCameraChange(req, 'CAMERA_CREATE', `${siteId}/${newCamera.id}`, { camera: newCamera, reviewed: reviewed.length });
+
+        res.status(201).json(newCamera);
+    } catch (error) {
+        console.error('Error creating camera:', error);
+        res.status(500).json({ error: 'Failed to save camera' });
+    }
+});
+
+// @route   PUT /api/sites/:id/cameras/:cameraId
+// @desc    Update a camera
+// @access  Private (sites.edit)
+router.put('/:id/cameras/:cameraId', requirePermission('sites.edit'), requireSiteAccess, (req, res) => {
+    try {
+        const siteId = parseInt(req.params.id);
+        const cameraId = parseInt(req.params.cameraId);
+        const sites = readSitesData();
+        const siteIndex = sites.findIndex(site => site.id === siteId);
+        const cameras = siteIndex === -1 ? [] : sites[siteIndex].cameras || [];
+        const cameraIndex = cameras.findIndex(camera => camera.id === cameraId);
+
+        if (cameraIndex === -1) {
+            return res.status(404).json({ error: 'Camera not found' });
+        }
+
+        const { camera, error } = validateCamera(req.body, sites[siteIndex], cameraId);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (!referenceImageExists(camera.referenceImage)) {
+            return res.status(400).json({ error: 'Reference snapshot not found' });
+        }
+
+        const previous = cameras[cameraIndex];
+        const updated = { ...previous, ...camera, updatedAt: new Date().toISOString() };
+        sites[siteIndex] = {
+            ...sites[siteIndex],
+            cameras: cameras.map(existing => existing.id === cameraId ? updated : existing)
+        };
+
+        if (!writeSitesData(sites)) {
+            return res.status(500).json({ error: 'Failed to update camera' });
+        }
+
+        removeUnknownCameras(isCoveredBy(siteId, updated));
+        logCameraChange(req, 'CAMERA_UPDATE', `${siteId}/${cameraId}`, { previous, camera: updated });
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating camera:', error);
+        res.status(500).json({ error: 'Failed to update camera' });
+    }
+});
+
+// @route   DELETE /api/sites/:id/cameras/:cameraId
+// @desc    Remove a camera from the registry. Its past events keep their camera name.
+// @access  Private (sites.edit)
+router.delete('/:id/cameras/:cameraId', requirePermission('sites.edit'), requireSiteAccess, (req, res) => {
+    try {
+        const siteId = parseInt(req.params.id);
+        const cameraId = parseInt(req.params.cameraId);
+        const sites = readSitesData();
+        const siteIndex = sites.findIndex(site => site.id === siteId);
+        const cameras = siteIndex === -1 ? [] : sites[siteIndex].cameras || [];
+        const removed = cameras.find(camera => camera.id === cameraId);
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Camera not found' });
+        }
+
+        sites[siteIndex] = { ...sites[siteIndex], cameras: cameras.filter(camera => camera.id !== cameraId) };
+
+        if (!writeSitesData(sites)) {
+            return res.status(500).json({ error: 'Failed to delete camera' });
+        }
+
+        logCameraChange(req, 'CAMERA_DELETE', `${siteId}/${cameraId}`, { camera: removed });
+
+        res.json({ success: true, message: 'Camera deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting camera:', error);
+        res.status(500).json({ error: 'Failed to delete camera' });
+    }
+});
+
+module.exports = router;
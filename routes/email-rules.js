@@ -0,0 +1,170 @@
+// routes/email-rules.js
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { readRulesData, writeRulesData, validateRule, matchEmail } = require('../email-rules');
+const { parseRawEmail, processEmail } = require('../smtp-server');
+
+// Record a rule change in the audit log
+function logRuleChange(req, ruleId, details) {
+    const { ACTIONS, logUserActivity } = require('../audit-service');
+    logUserActivity(
+        req,
+        ACTIONS.SETTINGS_CHANGE,
+        'email-rule',
+        ruleId,
+        details
+    );
+}
+
+// @route   GET /api/email-rules
+// @desc    Get all email parsing rules
+// @access  Private (email.manage)
+router.get('/', requirePermission('email.manage'), (req, res) => {
+    try {
+        res.json(readRulesData());
+    } catch (error) {
+        console.error('Error fetching email rules:', error);
+        res.status(500).json({ error: 'Failed to fetch email rules' });
+    }
+});
+
+// @route   POST /api/email-rules
+// @desc    Create an email parsing rule
+// @access  Private (email.manage)
+router.post('/', requirePermission('email.manage'), (req, res) => {
+    try {
+        const { rule, error } = validateRule(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const rules = readRulesData();
+
+        const newRule = {
+            id: rules.length > 0 ? Math.max(...rules.map(r => r.id)) + 1 : 1,
+            ...rule
+        };
+
+        rules.push(newRule);
+
+        if (!writeRulesData(rules)) {
+            return res.status(500).json({ error: 'Failed to save email rule' });
+        }
+
+        logRuleChange(req, newRule.id, { operation: 'create', rule: newRule });
+
+        res.status(201).json(newRule);
+    } catch (error) {
+        console.error('Error creating email rule:', error);
+        res.status(500).json({ error: 'Failed to create email rule' });
+    }
+});
+
+// @route   PUT /api/email-rules/:id
+// @desc    Update an email parsing rule
+// @access  Private (email.manage)
+router.put('/:id', requirePermission('email.manage'), (req, res) => {
+    try {
+        const ruleId = parseInt(req.params.id);
+
+        const { rule, error } = validateRule(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const rules = readRulesData();
+        const ruleIndex = rules.findIndex(r => r.id === ruleId);
+
+        if (ruleIndex === -1) {
+            return res.status(404).json({ error: 'Email rule not found' });
+        }
+
+        const previous = rules[ruleIndex];
+        rules[ruleIndex] = { id: ruleId, ...rule };
+
+        if (!writeRulesData(rules)) {
+            return res.status(500).json({ error: 'Failed to update email rule' });
+        }
+
+        logRuleChange(req, ruleId, { operation: 'update', previous, rule: rules[ruleIndex] });
+
+        res.json(rules[ruleIndex]);
+    } catch (error) {
+        console.error('Error updating email rule:', error);
+        res.status(500).json({ error: 'Failed to update email rule' });
+    }
+});
+
+// @route   DELETE /api/email-rules/:id
+// @desc    Delete an email parsing rule
+// @access  Private (email.manage)
+router.delete('/:id', requirePermission('email.manage'), (req, res) => {
+    try {
+        const ruleId = parseInt(req.params.id);
+        const rules = readRulesData();
+        const ruleIndex = rules.findIndex(r => r.id === ruleId);
+
+        if (ruleIndex === -1) {
+            return res.status(404).json({ error: 'Email rule not found' });
+        }
+
+        const [removed] = rules.splice(ruleIndex, 1);
+
+        if (!writeRulesData(rules)) {
+            return res.status(500).json({ error: 'Failed to delete email rule' });
+        }
+
+        logRuleChange(req, ruleId, { operation: 'delete', rule: removed });
+
+        res.json({ success: true, message: 'Email rule deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting email rule:', error);
+        res.status(500).json({ error: 'Failed to delete email rule' });
+    }
+});
+
+// @route   POST /api/email-rules/test
+// @desc    Run a raw .eml message (request body, Content-Type message/rfc822) through the saved rules
+// @access  Private (email.manage)
+router.post('/test', requirePermission('email.manage'), express.raw({
+    type: ['message/rfc822', 'text/plain', 'application/octet-stream'],
+    limit: '25mb'
+}), async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Send the raw email as the request body (Content-Type: message/rfc822)' });
+        }
+
+        const emailData = await parseRawEmail(req.body);
+        const rules = readRulesData();
+        const { rule, fields, trace } = matchEmail(emailData, rules);
+
+        // Show the event that would be created, without the image data
+        let event = null;
+        if (rule) {
+            const { imageContent, images, ...eventData } = processEmail(emailData, rules) || {};
+            event = { ...eventData, images: (images || []).map(image => image.path) };
+        }
+
+        res.json({
+            email: {
+                from: emailData.from,
+                to: emailData.to,
+                subject: emailData.subject,
+                date: emailData.date,
+                attachments: emailData.attachments.map(attachment => attachment.filename)
+            },
+            matched: !!rule,
+            rule,
+            fields,
+            event,
+            trace
+        });
+    } catch (error) {
+        console.error('Error testing email against rules:', error);
+        res.status(500).json({ error: 'Failed to test email', details: error.message });
+    }
+});
+
+module.exports = router;
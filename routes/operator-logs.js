@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const path = require('path');
-const { adminMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
 
 // Path to operator logs data file
 const operatorLogsFilePath = path.join(__dirname, '..', 'operator-logs.json');
@@ -35,9 +35,9 @@ function writeOperatorLogsData(logs) {
 }
 
 // @route   GET /api/operator-logs
-// @desc    Get all operator logs (admin only)
-// @access  Admin
-router.get('/', adminMiddleware, (req, res) => {
+// @desc    Get all operator logs
+// @access  Private (operator-logs.view)
+router.get('/', requirePermission('operator-logs.view'), (req, res) => {
     try {
         const logs = readOperatorLogsData();
         res.json(logs);
@@ -49,18 +49,9 @@ router.get('/', adminMiddleware, (req, res) => {
 
 // @route   POST /api/operator-logs
 // @desc    Add a new operator logout log
-// @access  Private
-router.post('/', (req, res) => {
+// @access  Private (operator-logs.record)
+router.post('/', requirePermission('operator-logs.record'), (req, res) => {
     try {
-        // Check if the user is an operator
-        if (!req.user) {
-            return res.status(401).json({ error: 'Not authenticated' });
-        }
-
-        if (req.user.role !== 'operator') {
-            return res.status(403).json({ error: 'Only operator logs are recorded' });
-        }
-
         const { unacknowledgedCount } = req.body;
 
         if (unacknowledgedCount === undefined) {
@@ -0,0 +1,107 @@
+// routes/quarantine.js
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { readQuarantineData, getQuarantinedEmail, readRawEmail, removeFromQuarantine } = require('../quarantine');
+const { matchEmail, suggestRule } = require('../email-rules');
+const { parseRawEmail } = require('../smtp-server');
+
+// Longest body preview returned with a quarantined email
+const BODY_PREVIEW_LENGTH = 2000;
+
+// @route   GET /api/quarantine
+// @desc    Get all quarantined emails, newest first
+// @access  Private (email.manage)
+router.get('/', requirePermission('email.manage'), (req, res) => {
+    try {
+        const entries = readQuarantineData();
+        entries.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt) || b.id - a.id);
+        res.json(entries);
+    } catch (error) {
+        console.error('Error fetching quarantined emails:', error);
+        res.status(500).json({ error: 'Failed to fetch quarantined emails' });
+    }
+});
+
+// @route   GET /api/quarantine/:id
+// @desc    Get a quarantined email with a body preview, how the current rules treat it and a suggested rule
+// @access  Private (email.manage)
+router.get('/:id', requirePermission('email.manage'), async (req, res) => {
+    try {
+        const entry = getQuarantinedEmail(parseInt(req.params.id));
+        if (!entry) {
+            return res.status(404).json({ error: 'Quarantined email not found' });
+        }
+
+        const rawEmail = readRawEmail(entry);
+        let emailData = null;
+        let parseError = null;
+
+        if (rawEmail) {
+            try {
+                emailData = await parseRawEmail(rawEmail, { user: entry.authenticatedUser, secure: entry.encrypted });
+            } catch (err) {
+                parseError = err.message;
+            }
+        }
+
+        // Re-run the rules as they are now, which may have changed since the email arrived
+        const { rule, trace } = emailData ? matchEmail(emailData) : { rule: null, trace: [] };
+
+        res.json({
+            ...entry,
+            body: emailData ? (emailData.text || (emailData.html || '').replace(/<[^>]*>/g, ' ')).slice(0, BODY_PREVIEW_LENGTH) : '',
+            parseError,
+            matched: !!rule,
+            rule,
+            trace,
+            suggestedRule: suggestRule(emailData || entry)
+        });
+    } catch (error) {
+        console.error('Error fetching quarantined email:', error);
+        res.status(500).json({ error: 'Failed to fetch quarantined email' });
+    }
+});
+
+// @route   GET /api/quarantine/:id/raw
+// @desc    Download the quarantined email as an .eml file
+// @access  Private (email.manage)
+router.get('/:id/raw', requirePermission('email.manage'), (req, res) => {
+    try {
+        const entry = getQuarantinedEmail(parseInt(req.params.id));
+        if (!entry) {
+            return res.status(404).json({ error: 'Quarantined email not found' });
+        }
+
+        const rawEmail = readRawEmail(entry);
+        if (!rawEmail) {
+            return res.status(404).json({ error: 'The stored email could not be read' });
+        }
+
+        res.set('Content-Type', 'message/rfc822');
+        res.set('Content-Disposition', `attachment; filename="quarantine-${entry.id}.eml"`);
+        res.send(rawEmail);
+    } catch (error) {
+        console.error('Error downloading quarantined email:', error);
+        res.status(500).json({ error: 'Failed to download quarantined email' });
+    }
+});
+
+// @route   DELETE /api/quarantine/:id
+// @desc    Delete a quarantined email
+// @access  Private (email.manage)
+router.delete('/:id', requirePermission('email.manage'), (req, res) => {
+    try {
+        const removed = removeFromQuarantine(parseInt(req.params.id));
+        if (!removed) {
+            return res.status(404).json({ error: 'Quarantined email not found' });
+        }
+
+        res.json({ success: true, message: 'Quarantined email deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting quarantined email:', error);
+        res.status(500).json({ error: 'Failed to delete quarantined email' });
+    }
+});
+
+module.exports = router;
@@ -3,20 +3,22 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const EventRetentionService = require('../event-retention');
+const { getEventStore } = require('../event-store');
+const { canAccessEvent, rejectCrossSiteAccess } = require('../site-access');
 
 // Create retention service instance
 const retentionService = new EventRetentionService({
-    eventsFilePath: path.join(__dirname, '..', 'events-data.json'),
+    eventStore: getEventStore(),
     imagesBasePath: path.join(__dirname, '..', 'public'),
     videosBasePath: path.join(__dirname, '..', 'public') // Correctly points to the parent directory of videos
 });
 
 // @route   POST /api/retention/cleanup
-// @desc    Run cleanup process to delete old events (admin only)
-// @access  Admin
-router.post('/cleanup', adminMiddleware, async (req, res) => {
+// @desc    Run cleanup process to delete old events
+// @access  Private (retention.run)
+router.post('/cleanup', requirePermission('retention.run'), async (req, res) => {
     try {
         // Optional override for retention days
         const retentionDays = req.body.retentionDays || undefined;
@@ -44,20 +46,20 @@ router.post('/cleanup', adminMiddleware, async (req, res) => {
 // Fixed version of the debug/video-match endpoint in routes/retention.js
 
 // @route   GET /api/retention/debug/video-match/:eventId
-// @desc    Debug video matching for an event (admin only)
-// @access  Admin
-router.get('/debug/video-match/:eventId', adminMiddleware, async (req, res) => {
+// @desc    Debug video matching for an event
+// @access  Private (retention.run)
+router.get('/debug/video-match/:eventId', requirePermission('retention.run'), async (req, res) => {
     try {
         const eventId = parseInt(req.params.eventId);
 
-        // Read events
-        const events = retentionService.readEventsData();
-
         // Find the event
-        const event = events.find(e => e.id === eventId);
+        const event = retentionService.eventStore.getById(eventId);
         if (!event) {
             return res.status(404).json({ error: 'Event not found' });
         }
+        if (!canAccessEvent(req.user, event)) {
+            return rejectCrossSiteAccess(req, res, 'events', event.id, event.siteId ?? null);
+        }
 
         // Check if event has camera
         if (!event.camera) {
@@ -265,9 +267,9 @@ router.get('/debug/video-match/:eventId', adminMiddleware, async (req, res) => {
 });
 
 // @route   GET /api/retention/debug/directory-structure
-// @desc    Debug video directory structure (admin only)
-// @access  Admin
-router.get('/debug/directory-structure', adminMiddleware, (req, res) => {
+// @desc    Debug video directory structure
+// @access  Private (retention.run)
+router.get('/debug/directory-structure', requirePermission('retention.run'), (req, res) => {
     try {
         const videosBasePath = path.join(retentionService.videosBasePath, 'videos');
 
@@ -360,8 +362,8 @@ router.get('/debug/directory-structure', adminMiddleware, (req, res) => {
 
 // @route   PUT /api/retention/events/:id/lock
 // @desc    Lock an event to prevent deletion
-// @access  Authenticated
-router.put('/events/:id/lock', authMiddleware, (req, res) => {
+// @access  Private (events.lock)
+router.put('/events/:id/lock', requirePermission('events.lock'), (req, res) => {
     try {
         const eventId = parseInt(req.params.id);
         const { locked } = req.body;
@@ -371,12 +373,14 @@ router.put('/events/:id/lock', authMiddleware, (req, res) => {
         }
 
         // Get previous state for audit logging
-        const events = retentionService.readEventsData();
-        const previousEvent = events.find(e => e.id === eventId);
+        const previousEvent = retentionService.eventStore.getById(eventId);
         
         if (!previousEvent) {
             return res.status(404).json({ error: 'Event not found' });
         }
+        if (!canAccessEvent(req.user, previousEvent)) {
+            return rejectCrossSiteAccess(req, res, 'events', previousEvent.id, previousEvent.siteId ?? null);
+        }
         
         // Remember previous lock state
         const previousLockState = previousEvent.locked;
@@ -433,8 +437,8 @@ router.get('/config', authMiddleware, (req, res) => {
 
 // @route   PUT /api/retention/config
 // @desc    Update retention configuration
-// @access  Admin
-router.put('/config', adminMiddleware, (req, res) => {
+// @access  Private (retention.run)
+router.put('/config', requirePermission('retention.run'), (req, res) => {
     try {
         const { retentionDays } = req.body;
 
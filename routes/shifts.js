@@ -0,0 +1,278 @@
+// routes/shifts.js
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../roles');
+const { getEventStore } = require('../event-store');
+const { readLogs: readAuditLogs } = require('../audit-logs');
+const { getAllowedSiteIds, canAccessSite } = require('../site-access');
+const {
+    readShiftsData,
+    writeShiftsData,
+    validateRemarks,
+    countShiftActivity,
+    buildHandover,
+    isHandoverPending,
+    sitesOverlap,
+    shiftsToCsv
+} = require('../shifts');
+
+// The shift a user has started and not yet ended
+function findOpenShift(shifts, userId) {
+    return shifts.find(shift => shift.userId === userId && !shift.endedAt) || null;
+}
+
+// A shift as a user sees it: events of sites they cannot see are left out of the handover note
+function shiftForUser(user, shift) {
+    if (!shift.handover) {
+        return shift;
+    }
+
+    const allowed = getAllowedSiteIds(user);
+    const visible = event => canAccessSite(user, event.siteId, allowed);
+    return {
+        ...shift,
+        handover: {
+            ...shift.handover,
+            outstandingEvents: shift.handover.outstandingEvents.filter(visible),
+            lockedEvents: shift.handover.lockedEvents.filter(visible)
+        }
+    };
+}
+
+// Handovers from other operators, covering the user's sites, that are waiting to be acknowledged
+function findPendingHandovers(user, shifts) {
+    const allowed = getAllowedSiteIds(user);
+    const now = new Date();
+
+    return shifts
+        .filter(shift => shift.userId !== user.id && isHandoverPending(shift, now) && sitesOverlap(shift.siteIds, allowed))
+        .sort((a, b) => new Date(a.endedAt) - new Date(b.endedAt))
+        .map(shift => shiftForUser(user, shift));
+}
+
+// @route   GET /api/shifts/current
+// @desc    Get the user's open shift with its counts so far, and handovers waiting for them
+// @access  Private (operator-logs.record)
+router.get('/current', requirePermission('operator-logs.record'), (req, res) => {
+    try {
+        const shifts = readShiftsData();
+        const shift = findOpenShift(shifts, req.user.id);
+
+        res.json({
+            shift: shift ? { ...shift, activity: countShiftActivity(shift, getEventStore()) } : null,
+            pendingHandovers: findPendingHandovers(req.user, shifts)
+        });
+    } catch (err) {
+        console.error('Error getting current shift:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/shifts/start
+// @desc    Start a shift. Handovers from the previous operators have to be acknowledged first.
+// @access  Private (operator-logs.record)
+router.post('/start', requirePermission('operator-logs.record'), (req, res) => {
+    try {
+        const shifts = readShiftsData();
+
+        if (findOpenShift(shifts, req.user.id)) {
+            return res.status(400).json({ error: 'You already have a shift in progress' });
+        }
+
+        const pendingHandovers = findPendingHandovers(req.user, shifts);
+        if (pendingHandovers.length > 0) {
+            return res.status(409).json({
+                error: 'Acknowledge the handover from the previous shift before starting yours',
+                pendingHandovers
+            });
+        }
+
+        const shift = {
+            id: Date.now(),
+            userId: req.user.id,
+            username: req.user.username,
+            name: req.user.name,
+            siteIds: getAllowedSiteIds(req.user),
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            activity: null,
+            handover: null
+        };
+
+        shifts.push(shift);
+
+        if (!writeShiftsData(shifts)) {
+            return res.status(500).json({ error: 'Failed to save shift' });
+        }
+
+        const { logUserActivity, ACTIONS } = require('../audit-service');
+        logUserActivity(req, ACTIONS.SHIFT_START, 'shifts', shift.id, { siteIds: shift.siteIds });
+
+        res.status(201).json(shift);
+    } catch (err) {
+        console.error('Error starting shift:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/shifts/end
+// @desc    End the user's shift and leave a handover note for the next operator
+// @access  Private (operator-logs.record)
+router.post('/end', requirePermission('operator-logs.record'), (req, res) => {
+    try {
+        const remarks = validateRemarks((req.body || {}).remarks);
+        if (remarks.error) {
+            return res.status(400).json({ error: remarks.error });
+        }
+
+        const shifts = readShiftsData();
+        const shift = findOpenShift(shifts, req.user.id);
+
+        if (!shift) {
+            return res.status(400).json({ error: 'You do not have a shift in progress' });
+        }
+
+        const eventStore = getEventStore();
+        shift.endedAt = new Date().toISOString();
+        shift.activity = countShiftActivity(shift, eventStore);
+        shift.handover = buildHandover(shift, eventStore, readAuditLogs(), remarks.value);
+
+        if (!writeShiftsData(shifts)) {
+            return res.status(500).json({ error: 'Failed to save shift' });
+        }
+
+        const { logUserActivity, ACTIONS } = require('../audit-service');
+        logUserActivity(req, ACTIONS.SHIFT_END, 'shifts', shift.id, {
+            startedAt: shift.startedAt,
+            activity: shift.activity,
+            outstandingCount: shift.handover.outstandingCount,
+            lockedCount: shift.handover.lockedEvents.length
+        });
+
+        res.json(shift);
+    } catch (err) {
+        console.error('Error ending shift:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST /api/shifts/:id/acknowledge
+// @desc    Acknowledge the handover note left at the end of another operator's shift
+// @access  Private (operator-logs.record)
+router.post('/:id/acknowledge', requirePermission('operator-logs.record'), (req, res) => {
+    try {
+        const comment = validateRemarks((req.body || {}).comment);
+        if (comment.error) {
+            return res.status(400).json({ error: comment.error });
+        }
+
+        const shifts = readShiftsData();
+        const shift = shifts.find(s => s.id === parseInt(req.params.id));
+
+        if (!shift) {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+
+        if (!shift.endedAt || !shift.handover) {
+            return res.status(400).json({ error: 'This shift has not ended yet' });
+        }
+
+        if (shift.userId === req.user.id) {
+            return res.status(400).json({ error: 'The handover has to be acknowledged by the incoming operator' });
+        }
+
+        if (shift.handover.acknowledgedAt) {
+            return res.status(400).json({ error: 'This handover has already been acknowledged' });
+        }
+
+        if (!sitesOverlap(shift.siteIds, getAllowedSiteIds(req.user))) {
+            return res.status(403).json({ error: 'This handover does not cover any of your sites' });
+        }
+
+        shift.handover.acknowledgedAt = new Date().toISOString();
+        shift.handover.acknowledgedBy = {
+            userId: req.user.id,
+            username: req.user.username,
+            name: req.user.name
+        };
+        shift.handover.comment = comment.value || null;
+
+        if (!writeShiftsData(shifts)) {
+            return res.status(500).json({ error: 'Failed to save handover' });
+        }
+
+        const { logUserActivity, ACTIONS } = require('../audit-service');
+        logUserActivity(req, ACTIONS.SHIFT_HANDOVER_ACK, 'shifts', shift.id, {
+            outgoingOperator: shift.username,
+            endedAt: shift.endedAt,
+            outstandingCount: shift.handover.outstandingCount
+        });
+
+        res.json(shiftForUser(req.user, shift));
+    } catch (err) {
+        console.error('Error acknowledging handover:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/shifts
+// @desc    Get shift history, newest first, as JSON or as CSV with ?format=csv
+// @access  Private (operator-logs.view)
+router.get('/', requirePermission('operator-logs.view'), (req, res) => {
+    try {
+        const allowed = getAllowedSiteIds(req.user);
+        let shifts = readShiftsData().filter(shift => sitesOverlap(shift.siteIds, allowed));
+
+        // Filter by operator
+        if (req.query.userId) {
+            shifts = shifts.filter(shift => shift.userId === parseInt(req.query.userId));
+        }
+
+        // Filter by the day the shift started
+        if (req.query.from) {
+            const fromDate = new Date(req.query.from);
+            shifts = shifts.filter(shift => new Date(shift.startedAt) >= fromDate);
+        }
+
+        if (req.query.to) {
+            const toDate = new Date(req.query.to);
+            toDate.setHours(23, 59, 59, 999); // End of day
+            shifts = shifts.filter(shift => new Date(shift.startedAt) <= toDate);
+        }
+
+        shifts.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', 'attachment; filename=shifts.csv');
+            return res.send(shiftsToCsv(shifts));
+        }
+
+        res.json(shifts.map(shift => shiftForUser(req.user, shift)));
+    } catch (err) {
+        console.error('Error getting shifts:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET /api/shifts/:id
+// @desc    Get one shift with its handover note
+// @access  Private (operator-logs.view, or the operator whose shift it is)
+router.get('/:id', (req, res) => {
+    try {
+        const shift = readShiftsData().find(s => s.id === parseInt(req.params.id));
+
+        if (!shift || (shift.userId !== req.user.id && !hasPermission(req.user, 'operator-logs.view')) ||
+            !sitesOverlap(shift.siteIds, getAllowedSiteIds(req.user))) {
+            return res.status(404).json({ error: 'Shift not found' });
+        }
+
+        res.json(shiftForUser(req.user, shift));
+    } catch (err) {
+        console.error('Error getting shift:', err);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
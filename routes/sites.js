@@ -3,7 +3,12 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const router = express.Router();
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { filterBySite, canAccessSite, rejectCrossSiteAccess, requireSiteAccess } = require('../site-access');
+const { validateEscalationPolicy } = require('../escalation-service');
+const { normalizeKeyholders, validateKeyholders, getCallList } = require('../keyholders');
+const { validateArmingSchedule, validateArmingOverride, getArmingState } = require('../arming-schedule');
+const { validatePriorityWeight } = require('../priority');
 
 // Helper function to read sites data
 function readSitesData() {
@@ -17,7 +22,9 @@ function readSitesData() {
         }
 
         const data = fs.readFileSync(dataFilePath, 'utf8');
-        return JSON.parse(data);
+
+        // Sites saved before keyholders had roles and call orders are upgraded as they are read
+        return JSON.parse(data).map(site => ({ ...site, keyholders: normalizeKeyholders(site.keyholders) }));
     } catch (err) {
         console.error('Error reading sites data:', err);
         return [];
@@ -36,6 +43,64 @@ function writeSitesData(sites) {
     }
 }
 
+// Check the escalation policy sent with a site. null means the site uses the default policy.
+function parseSiteEscalationPolicy(escalationPolicy) {
+    if (escalationPolicy === null) {
+        return { policy: null };
+    }
+    return validateEscalationPolicy(escalationPolicy);
+}
+
+// Check the fields sent when creating or updating a site and return cleaned values.
+// Keyholders, the arming schedule and the priority weight left out of the request are returned as undefined
+// so an update can keep the existing ones. A null arming schedule means the site is always armed.
+function validateSite(body) {
+    const prefix = typeof body.prefix === 'string' ? body.prefix.trim() : '';
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const address = typeof body.address === 'string' ? body.address.trim() : '';
+
+    if (!prefix || !name || !address) {
+        return { error: 'Please provide prefix, name, and address' };
+    }
+
+    // Cameras are matched on "<prefix>-", so the prefix cannot contain spaces
+    if (!/^[A-Za-z0-9_-]+$/.test(prefix)) {
+        return { error: 'Prefix can only contain letters, numbers, hyphens and underscores' };
+    }
+
+    let keyholders;
+    if (body.keyholders !== undefined) {
+        const result = validateKeyholders(body.keyholders);
+        if (result.error) {
+            return { error: result.error };
+        }
+        keyholders = result.keyholders;
+    }
+
+    let armingSchedule;
+    if (body.armingSchedule === null) {
+        armingSchedule = null;
+    } else if (body.armingSchedule !== undefined) {
+        const result = validateArmingSchedule(body.armingSchedule);
+        if (result.error) {
+            return { error: result.error };
+        }
+        armingSchedule = result.schedule;
+    }
+
+    // Raises or lowers the priority of every alarm from the site, e.g. for a site with a history of break-ins
+    let priorityWeight;
+    if (body.priorityWeight !== undefined) {
+        const result = validatePriorityWeight(body.priorityWeight);
+        if (result.error) {
+            return { error: result.error };
+        }
+        priorityWeight = result.weight;
+    }
+
+    return { site: { prefix, name, address, keyholders, armingSchedule, priorityWeight } };
+}
+
 // Match a camera name to a site based on prefix
 function matchCameraToSite(cameraName) {
     if (!cameraName) return null;
@@ -59,11 +124,11 @@ function matchCameraToSite(cameraName) {
 }
 
 // @route   GET /api/sites
-// @desc    Get all sites
-// @access  Private (requires authentication)
-router.get('/', authMiddleware, (req, res) => {
+// @desc    Get all sites (only the user's own sites if they are limited to some)
+// @access  Private (sites.view)
+router.get('/', requirePermission('sites.view'), (req, res) => {
     try {
-        const sites = readSitesData();
+        const sites = filterBySite(req.user, readSitesData());
         res.json(sites);
     } catch (error) {
         console.error('Error fetching sites:', error);
@@ -73,8 +138,8 @@ router.get('/', authMiddleware, (req, res) => {
 
 // @route   GET /api/sites/match/:camera
 // @desc    Match a camera to a site
-// @access  Private (requires authentication)
-router.get('/match/:camera', authMiddleware, (req, res) => {
+// @access  Private (sites.view)
+router.get('/match/:camera', requirePermission('sites.view'), (req, res) => {
     try {
         const cameraName = req.params.camera;
         const site = matchCameraToSite(cameraName);
@@ -82,6 +147,9 @@ router.get('/match/:camera', authMiddleware, (req, res) => {
         if (!site) {
             return res.status(404).json({ error: 'No matching site found for this camera' });
         }
+        if (!canAccessSite(req.user, site.id)) {
+            return rejectCrossSiteAccess(req, res, 'sites', site.id, site.id);
+        }
 
         res.json(site);
     } catch (error) {
@@ -92,8 +160,8 @@ router.get('/match/:camera', authMiddleware, (req, res) => {
 
 // @route   GET /api/sites/:id
 // @desc    Get site by ID
-// @access  Private (requires authentication)
-router.get('/:id', authMiddleware, (req, res) => {
+// @access  Private (sites.view)
+router.get('/:id', requirePermission('sites.view'), requireSiteAccess, (req, res) => {
     try {
         const siteId = parseInt(req.params.id);
         console.log(`Fetching site with ID: ${siteId}`);
@@ -114,16 +182,136 @@ router.get('/:id', authMiddleware, (req, res) => {
     }
 });
 
+// @route   GET /api/sites/:id/call-list
+// @desc    Get the site's keyholders in call order, split by who is available at a time (?at=, default now)
+// @access  Private (sites.view)
+router.get('/:id/call-list', requirePermission('sites.view'), requireSiteAccess, (req, res) => {
+    try {
+        const siteId = parseInt(req.params.id);
+        const site = readSitesData().find(site => site.id === siteId);
+
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        if (isNaN(at.getTime())) {
+            return res.status(400).json({ error: 'Invalid time' });
+        }
+
+        res.json({ at: at.toISOString(), ...getCallList(site, at) });
+    } catch (error) {
+        console.error('Error building call list:', error);
+        res.status(500).json({ error: 'Failed to build call list' });
+    }
+});
+
+// @route   GET /api/sites/:id/arming
+// @desc    Get whether the site is armed now, and why
+// @access  Private (sites.view)
+router.get('/:id/arming', requirePermission('sites.view'), requireSiteAccess, (req, res) => {
+    try {
+        const siteId = parseInt(req.params.id);
+        const site = readSitesData().find(site => site.id === siteId);
+
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        res.json({
+            ...getArmingState(site),
+            schedule: site.armingSchedule || null,
+            override: site.armingOverride || null
+        });
+    } catch (error) {
+        console.error('Error getting arming state:', error);
+        res.status(500).json({ error: 'Failed to get arming state' });
+    }
+});
+
+// Record a manual arm or disarm in the audit log
+function logArmingChange(req, siteId, state, details) {
+    const { ACTIONS, logUserActivity } = require('../audit-service');
+    const actions = { armed: ACTIONS.SITE_ARM, disarmed: ACTIONS.SITE_DISARM };
+    logUserActivity(
+        req,
+        actions[state] || ACTIONS.SITE_ARMING_RESUME,
+        'sites',
+        siteId,
+        details
+    );
+}
+
+// Store a manual arm or disarm on a site (state null clears it and returns the site to its schedule)
+function setArmingOverride(req, res, state) {
+    try {
+        const siteId = parseInt(req.params.id);
+        const sites = readSitesData();
+        const siteIndex = sites.findIndex(site => site.id === siteId);
+
+        if (siteIndex === -1) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        let override = null;
+        if (state) {
+            const result = validateArmingOverride(state, req.body || {}, req.user);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            override = result.override;
+        }
+
+        const previousOverride = sites[siteIndex].armingOverride || null;
+        sites[siteIndex] = { ...sites[siteIndex], armingOverride: override };
+
+        if (!writeSitesData(sites)) {
+            return res.status(500).json({ error: 'Failed to update arming state' });
+        }
+
+        logArmingChange(req, siteId, state, { override, previousOverride });
+
+        console.log(`Site ${sites[siteIndex].name} ${state || 'returned to its schedule'} by ${req.user.username}`);
+
+        res.json({ ...getArmingState(sites[siteIndex]), schedule: sites[siteIndex].armingSchedule || null, override });
+    } catch (error) {
+        console.error('Error updating arming state:', error);
+        res.status(500).json({ error: 'Failed to update arming state' });
+    }
+}
+
+// @route   POST /api/sites/:id/arm
+// @desc    Arm a site now, whatever its schedule says (optional body: { until, reason })
+// @access  Private (sites.arm)
+router.post('/:id/arm', requirePermission('sites.arm'), requireSiteAccess, (req, res) => setArmingOverride(req, res, 'armed'));
+
+// @route   POST /api/sites/:id/disarm
+// @desc    Disarm a site now, whatever its schedule says (optional body: { until, reason })
+// @access  Private (sites.arm)
+router.post('/:id/disarm', requirePermission('sites.arm'), requireSiteAccess, (req, res) => setArmingOverride(req, res, 'disarmed'));
+
+// @route   DELETE /api/sites/:id/arming-override
+// @desc    Clear a manual arm or disarm so the site follows its schedule again
+// @access  Private (sites.arm)
+router.delete('/:id/arming-override', requirePermission('sites.arm'), requireSiteAccess, (req, res) => setArmingOverride(req, res, null));
+
 // @route   POST /api/sites
 // @desc    Create a new site
-// @access  Admin
-router.post('/', adminMiddleware, (req, res) => {
+// @access  Private (sites.edit)
+router.post('/', requirePermission('sites.edit'), (req, res) => {
     try {
-        const { prefix, name, address, keyholders } = req.body;
+        const { escalationPolicy } = req.body;
 
         // Validate input
-        if (!prefix || !name || !address) {
-            return res.status(400).json({ error: 'Please provide prefix, name, and address' });
+        const { site, error } = validateSite(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { prefix, name, address, keyholders, armingSchedule, priorityWeight } = site;
+
+        const escalation = parseSiteEscalationPolicy(escalationPolicy === undefined ? null : escalationPolicy);
+        if (escalation.error) {
+            return res.status(400).json({ error: escalation.error });
         }
 
         // Read current sites
@@ -140,7 +328,11 @@ router.post('/', adminMiddleware, (req, res) => {
             prefix,
             name,
             address,
-            keyholders: keyholders || Array(4).fill({ name: '', contact: '' })
+            keyholders: keyholders || [],
+            escalationPolicy: escalation.policy,
+            armingSchedule: armingSchedule || null,
+            armingOverride: null,
+            priorityWeight: priorityWeight || 0
         };
 
         // Add to sites array
@@ -160,15 +352,23 @@ router.post('/', adminMiddleware, (req, res) => {
 
 // @route   PUT /api/sites/:id
 // @desc    Update a site
-// @access  Admin
-router.put('/:id', adminMiddleware, (req, res) => {
+// @access  Private (sites.edit)
+router.put('/:id', requirePermission('sites.edit'), requireSiteAccess, (req, res) => {
     try {
         const siteId = parseInt(req.params.id);
-        const { prefix, name, address, keyholders } = req.body;
+        const { escalationPolicy } = req.body;
 
         // Validate input
-        if (!prefix || !name || !address) {
-            return res.status(400).json({ error: 'Please provide prefix, name, and address' });
+        const { site, error } = validateSite(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const { prefix, name, address, keyholders, armingSchedule, priorityWeight } = site;
+
+        // Leave the escalation policy alone when it is not sent
+        const escalation = escalationPolicy === undefined ? null : parseSiteEscalationPolicy(escalationPolicy);
+        if (escalation && escalation.error) {
+            return res.status(400).json({ error: escalation.error });
         }
 
         // Read current sites
@@ -193,7 +393,10 @@ router.put('/:id', adminMiddleware, (req, res) => {
             prefix,
             name,
             address,
-            keyholders: keyholders || sites[siteIndex].keyholders
+            keyholders: keyholders || sites[siteIndex].keyholders,
+            escalationPolicy: escalation ? escalation.policy : sites[siteIndex].escalationPolicy || null,
+            armingSchedule: armingSchedule !== undefined ? armingSchedule : sites[siteIndex].armingSchedule || null,
+            priorityWeight: priorityWeight !== undefined ? priorityWeight : sites[siteIndex].priorityWeight || 0
         };
 
         // Save updated sites
@@ -210,8 +413,8 @@ router.put('/:id', adminMiddleware, (req, res) => {
 
 // @route   DELETE /api/sites/:id
 // @desc    Delete a site
-// @access  Admin
-router.delete('/:id', adminMiddleware, (req, res) => {
+// @access  Private (sites.edit)
+router.delete('/:id', requirePermission('sites.edit'), requireSiteAccess, (req, res) => {
     try {
         const siteId = parseInt(req.params.id);
 
@@ -242,5 +445,7 @@ router.delete('/:id', adminMiddleware, (req, res) => {
 
 module.exports = {
     router,
-    matchCameraToSite
+    matchCameraToSite,
+    readSitesData,
+    writeSitesData
 };
\ No newline at end of file
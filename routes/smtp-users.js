@@ -0,0 +1,308 @@
+// routes/smtp-users.js
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { readSitesData, matchCameraToSite } = require('./sites');
+
+// Helper function to read SMTP device accounts
+function readSmtpUsersData() {
+    try {
+        const dataFilePath = path.join(__dirname, '..', 'smtp-users.json');
+
+        // Check if file exists, if not create it with empty array
+        if (!fs.existsSync(dataFilePath)) {
+            fs.writeFileSync(dataFilePath, '[]');
+            return [];
+        }
+
+        const data = fs.readFileSync(dataFilePath, 'utf8');
+        const accounts = JSON.parse(data);
+
+        // Entries written before accounts could be managed only have a username and password
+        let nextId = Math.max(0, ...accounts.map(account => account.id || 0)) + 1;
+        let upgraded = false;
+        accounts.forEach(account => {
+            if (!account.id) {
+                account.id = nextId++;
+                upgraded = true;
+            }
+            if (!Array.isArray(account.sitePrefixes)) {
+                account.sitePrefixes = [];
+                upgraded = true;
+            }
+            if (account.isActive === undefined) {
+                account.isActive = true;
+                upgraded = true;
+            }
+        });
+
+        if (upgraded) {
+            writeSmtpUsersData(accounts);
+        }
+
+        return accounts;
+    } catch (err) {
+        console.error('Error reading SMTP users data:', err);
+        return [];
+    }
+}
+
+// Helper function to write SMTP device accounts
+function writeSmtpUsersData(accounts) {
+    try {
+        const dataFilePath = path.join(__dirname, '..', 'smtp-users.json');
+        fs.writeFileSync(dataFilePath, JSON.stringify(accounts, null, 2));
+        return true;
+    } catch (err) {
+        console.error('Error writing SMTP users data:', err);
+        return false;
+    }
+}
+
+// Remove the password hash before an account leaves the server
+function withoutPassword(account) {
+    const { password, ...rest } = account;
+    return rest;
+}
+
+// Check the site prefixes submitted for an account; returns an error message or null
+function validateSitePrefixes(sitePrefixes) {
+    if (sitePrefixes === undefined) {
+        return null;
+    }
+
+    if (!Array.isArray(sitePrefixes) || sitePrefixes.some(prefix => typeof prefix !== 'string')) {
+        return 'Site prefixes must be a list of prefixes';
+    }
+
+    const knownPrefixes = readSitesData().map(site => site.prefix);
+    const unknown = sitePrefixes.filter(prefix => !knownPrefixes.includes(prefix));
+    if (unknown.length > 0) {
+        return `Unknown site prefix: ${unknown.join(', ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check SMTP credentials against smtp-users.json
+ * @param {string} username - Username sent by the device
+ * @param {string} password - Password sent by the device
+ * @returns {Promise<Object|null>} The account (without password) or null if the login is rejected
+ */
+async function authenticateSmtpUser(username, password) {
+    const accounts = readSmtpUsersData();
+    const account = accounts.find(a => a.username === username);
+
+    if (!account || !account.isActive || !password) {
+        return null;
+    }
+
+    const isMatch = await bcrypt.compare(password, account.password);
+    if (!isMatch) {
+        return null;
+    }
+
+    // Record when the device last logged in so unused accounts can be spotted
+    account.lastUsedAt = new Date().toISOString();
+    writeSmtpUsersData(accounts);
+
+    return withoutPassword(account);
+}
+
+/**
+ * Check whether an SMTP account may send alarms for a camera.
+ * Accounts without site prefixes may send for any camera; otherwise the site the camera is matched to
+ * (by matchCameraToSite(), as the event will be) must be one of the account's sites. Prefixes may contain
+ * hyphens, so "A-B-1" belongs to site "A-B" rather than "A" when both exist.
+ * @param {string} username - Authenticated SMTP username
+ * @param {string} cameraName - Camera the alarm is for
+ * @returns {boolean} True if the account is allowed to send for this camera
+ */
+function isCameraAllowedForSmtpUser(username, cameraName) {
+    const account = readSmtpUsersData().find(a => a.username === username);
+    if (!account) {
+        return false;
+    }
+
+    if (account.sitePrefixes.length === 0) {
+        return true;
+    }
+
+    const site = matchCameraToSite(cameraName);
+    return !!site && account.sitePrefixes.includes(site.prefix);
+}
+
+// Record an SMTP account change in the audit log
+function logAccountChange(req, accountId, details) {
+    try {
+        const { ACTIONS, logUserActivity } = require('../audit-service');
+        logUserActivity(
+            req,
+            ACTIONS.SETTINGS_CHANGE,
+            'smtp-users',
+            accountId,
+            details
+        );
+    } catch (error) {
+        console.error('Error logging SMTP account change:', error);
+    }
+}
+
+// @route   GET /api/smtp-users
+// @desc    Get all SMTP device accounts (without passwords)
+// @access  Private (email.manage)
+router.get('/', requirePermission('email.manage'), (req, res) => {
+    try {
+        res.json(readSmtpUsersData().map(withoutPassword));
+    } catch (error) {
+        console.error('Error fetching SMTP users:', error);
+        res.status(500).json({ error: 'Failed to fetch SMTP users' });
+    }
+});
+
+// @route   POST /api/smtp-users
+// @desc    Create an SMTP device account
+// @access  Private (email.manage)
+router.post('/', requirePermission('email.manage'), async (req, res) => {
+    try {
+        const { username, password, description, sitePrefixes, isActive } = req.body;
+
+        // Validate input
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Please provide username and password' });
+        }
+
+        const prefixError = validateSitePrefixes(sitePrefixes);
+        if (prefixError) {
+            return res.status(400).json({ error: prefixError });
+        }
+
+        const accounts = readSmtpUsersData();
+
+        // Check if username already exists
+        if (accounts.find(a => a.username === username)) {
+            return res.status(400).json({ error: 'An SMTP account with this username already exists' });
+        }
+
+        // Hash password
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(password, salt);
+
+        const newAccount = {
+            id: accounts.length > 0 ? Math.max(...accounts.map(a => a.id)) + 1 : 1,
+            username,
+            password: hashedPassword,
+            description: description || '',
+            sitePrefixes: sitePrefixes || [],
+            isActive: isActive !== undefined ? !!isActive : true,
+            createdAt: new Date().toISOString()
+        };
+
+        accounts.push(newAccount);
+
+        if (!writeSmtpUsersData(accounts)) {
+            return res.status(500).json({ error: 'Failed to save SMTP user' });
+        }
+
+        logAccountChange(req, newAccount.id, { operation: 'create', account: withoutPassword(newAccount) });
+
+        res.status(201).json(withoutPassword(newAccount));
+    } catch (error) {
+        console.error('Error creating SMTP user:', error);
+        res.status(500).json({ error: 'Failed to create SMTP user' });
+    }
+});
+
+// @route   PUT /api/smtp-users/:id
+// @desc    Update an SMTP device account (leave password empty to keep it)
+// @access  Private (email.manage)
+router.put('/:id', requirePermission('email.manage'), async (req, res) => {
+    try {
+        const accountId = parseInt(req.params.id);
+        const { username, password, description, sitePrefixes, isActive } = req.body;
+
+        const prefixError = validateSitePrefixes(sitePrefixes);
+        if (prefixError) {
+            return res.status(400).json({ error: prefixError });
+        }
+
+        const accounts = readSmtpUsersData();
+        const accountIndex = accounts.findIndex(a => a.id === accountId);
+
+        if (accountIndex === -1) {
+            return res.status(404).json({ error: 'SMTP user not found' });
+        }
+
+        // Check if the new username is taken by another account
+        if (username && accounts.find(a => a.username === username && a.id !== accountId)) {
+            return res.status(400).json({ error: 'An SMTP account with this username already exists' });
+        }
+
+        const previous = withoutPassword(accounts[accountIndex]);
+
+        if (username) accounts[accountIndex].username = username;
+        if (description !== undefined) accounts[accountIndex].description = description;
+        if (sitePrefixes !== undefined) accounts[accountIndex].sitePrefixes = sitePrefixes;
+        if (isActive !== undefined) accounts[accountIndex].isActive = !!isActive;
+
+        // Update password if provided
+        if (password) {
+            const salt = await bcrypt.genSalt(10);
+            accounts[accountIndex].password = await bcrypt.hash(password, salt);
+        }
+
+        if (!writeSmtpUsersData(accounts)) {
+            return res.status(500).json({ error: 'Failed to update SMTP user' });
+        }
+
+        logAccountChange(req, accountId, {
+            operation: 'update',
+            previous,
+            account: withoutPassword(accounts[accountIndex]),
+            passwordChanged: !!password
+        });
+
+        res.json(withoutPassword(accounts[accountIndex]));
+    } catch (error) {
+        console.error('Error updating SMTP user:', error);
+        res.status(500).json({ error: 'Failed to update SMTP user' });
+    }
+});
+
+// @route   DELETE /api/smtp-users/:id
+// @desc    Delete an SMTP device account
+// @access  Private (email.manage)
+router.delete('/:id', requirePermission('email.manage'), (req, res) => {
+    try {
+        const accountId = parseInt(req.params.id);
+        const accounts = readSmtpUsersData();
+        const accountIndex = accounts.findIndex(a => a.id === accountId);
+
+        if (accountIndex === -1) {
+            return res.status(404).json({ error: 'SMTP user not found' });
+        }
+
+        const [removed] = accounts.splice(accountIndex, 1);
+
+        if (!writeSmtpUsersData(accounts)) {
+            return res.status(500).json({ error: 'Failed to delete SMTP user' });
+        }
+
+        logAccountChange(req, accountId, { operation: 'delete', account: withoutPassword(removed) });
+
+        res.json({ success: true, message: 'SMTP user deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting SMTP user:', error);
+        res.status(500).json({ error: 'Failed to delete SMTP user' });
+    }
+});
+
+module.exports = {
+    router,
+    authenticateSmtpUser,
+    isCameraAllowedForSmtpUser
+};
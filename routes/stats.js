@@ -3,18 +3,31 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { getEventStore } = require('../event-store');
+const { scopeEventFilter } = require('../site-access');
+const { DISARMED_DISPOSITION } = require('../arming-schedule');
+
+// Helper function to read events data (only the user's own sites if they are limited to some)
+function readEventsData(user) {
+    return getEventStore().find(scopeEventFilter(user));
+}
 
-// Helper function to read events data
-function readEventsData() {
-    try {
-        const dataFilePath = path.join(__dirname, '..', 'events-data.json');
-        const data = fs.readFileSync(dataFilePath, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        console.error('Error reading events data:', err);
-        return [];
-    }
+// Whether an alarm was closed by the system because its site was disarmed. Nobody had to respond to these,
+// so they are counted on their own rather than as alarms still waiting for an operator.
+function isAutoClosed(event) {
+    return !!(event.siteDisarmed && event.siteDisarmed.action === 'auto-disposition');
+}
+
+// Average of a numeric field over the events that have it, to one decimal place
+function averageMinutes(events, field) {
+    const values = events
+        .map(event => event[field])
+        .filter(value => typeof value === 'number');
+
+    return values.length > 0
+        ? (values.reduce((total, value) => total + value, 0) / values.length).toFixed(1)
+        : 0;
 }
 
 // Helper function to read users data
@@ -31,10 +44,10 @@ function readUsersData() {
 
 // @route   GET /api/stats/summary
 // @desc    Get response time statistics summary
-// @access  Private (requires authentication)
-router.get('/summary', authMiddleware, (req, res) => {
+// @access  Private (events.view)
+router.get('/summary', requirePermission('events.view'), (req, res) => {
     try {
-        const events = readEventsData();
+        const events = readEventsData(req.user);
         const users = readUsersData();
 
         // Get acknowledged events with response times
@@ -42,8 +55,9 @@ router.get('/summary', authMiddleware, (req, res) => {
             event => event.acknowledged && event.responseTimeMinutes !== undefined
         );
 
-        // Calculate total events and acknowledged count
-        const totalEvents = events.length;
+        // Calculate total events (the alarms operators had to handle) and acknowledged count
+        const autoClosedCount = events.filter(isAutoClosed).length;
+        const totalEvents = events.length - autoClosedCount;
         const acknowledgedCount = acknowledgedEvents.length;
 
         // Calculate average response time
@@ -58,6 +72,12 @@ router.get('/summary', authMiddleware, (req, res) => {
         // Count late responses
         const lateResponses = acknowledgedEvents.filter(event => event.isLateResponse).length;
 
+        // Split the response time into waiting for an operator to claim the event
+        // and the operator working on it until acknowledgement
+        const claimedCount = events.filter(event => event.firstClaimedAt).length;
+        const avgTimeToClaim = averageMinutes(events, 'claimTimeMinutes');
+        const avgClaimToAcknowledge = averageMinutes(acknowledgedEvents, 'claimToAcknowledgeMinutes');
+
         // Calculate response rate
         const responseRate = totalEvents > 0
             ? Math.round((acknowledgedCount / totalEvents) * 100)
@@ -120,6 +140,7 @@ router.get('/summary', authMiddleware, (req, res) => {
                     totalEvents: 0,
                     totalResponseTime: 0,
                     lateResponses: 0,
+                    claimedEvents: [], // Events this user acknowledged after they had been claimed
                     tags: {} // Add this for tracking tags
                 };
             }
@@ -131,6 +152,10 @@ router.get('/summary', authMiddleware, (req, res) => {
                 userPerformance[userId].lateResponses++;
             }
 
+            if (event.claimToAcknowledgeMinutes !== undefined) {
+                userPerformance[userId].claimedEvents.push(event);
+            }
+
             // Count tags used by this user
             if (event.tags && Array.isArray(event.tags)) {
                 event.tags.forEach(tag => {
@@ -148,6 +173,56 @@ router.get('/summary', authMiddleware, (req, res) => {
             stats.lateResponsePercentage = stats.totalEvents > 0
                 ? Math.round((stats.lateResponses / stats.totalEvents) * 100)
                 : 0;
+            stats.avgTimeToClaim = averageMinutes(stats.claimedEvents, 'claimTimeMinutes');
+            stats.avgClaimToAcknowledge = averageMinutes(stats.claimedEvents, 'claimToAcknowledgeMinutes');
+            delete stats.claimedEvents;
+        }
+
+        // Break acknowledged events down by disposition, with how often someone had to be contacted
+        const dispositionStats = {};
+        acknowledgedEvents.forEach(event => {
+            const code = event.disposition ? event.disposition.code : 'none';
+
+            if (!dispositionStats[code]) {
+                dispositionStats[code] = {
+                    code,
+                    label: event.disposition ? event.disposition.label : 'No disposition',
+                    count: 0,
+                    contacted: 0,
+                    totalResponseTime: 0
+                };
+            }
+
+            dispositionStats[code].count++;
+            dispositionStats[code].totalResponseTime += event.responseTimeMinutes;
+
+            if (event.disposition && event.disposition.contact) {
+                dispositionStats[code].contacted++;
+            }
+        });
+
+        // Calculate averages for each disposition
+        for (const code in dispositionStats) {
+            const stats = dispositionStats[code];
+            stats.avgResponseTime = (stats.totalResponseTime / stats.count).toFixed(1);
+            delete stats.totalResponseTime;
+        }
+
+        // Alarms closed automatically at disarmed sites have their outcome but no response time
+        if (autoClosedCount > 0) {
+            dispositionStats[DISARMED_DISPOSITION.code] = {
+                code: DISARMED_DISPOSITION.code,
+                label: DISARMED_DISPOSITION.label,
+                count: autoClosedCount,
+                contacted: 0,
+                avgResponseTime: null,
+                automatic: true
+            };
+        }
+
+        // Share of the closed alarms with each outcome
+        for (const code in dispositionStats) {
+            dispositionStats[code].percentage = Math.round((dispositionStats[code].count / (acknowledgedCount + autoClosedCount)) * 100);
         }
 
         // Convert user performance to array for easier processing
@@ -168,14 +243,20 @@ router.get('/summary', authMiddleware, (req, res) => {
             summary: {
                 totalEvents,
                 acknowledgedCount,
+                autoClosedCount,
                 avgResponseTime,
+                // avgResponseTime is the time to acknowledge; these break it down for claimed events
+                claimedCount,
+                avgTimeToClaim,
+                avgClaimToAcknowledge,
                 lateResponses,
                 responseRate
             },
             eventTypes,
             cameraStats,
             userPerformance: userPerformanceArray,
-            tagStats
+            tagStats,
+            dispositionStats
         });
 
     } catch (error) {
@@ -186,10 +267,9 @@ router.get('/summary', authMiddleware, (req, res) => {
 
 // @route   GET /api/stats/timeline
 // @desc    Get response time data by day for timeline charts
-// @access  Private (requires authentication)
-router.get('/timeline', authMiddleware, (req, res) => {
+// @access  Private (events.view)
+router.get('/timeline', requirePermission('events.view'), (req, res) => {
     try {
-        const events = readEventsData();
         const days = parseInt(req.query.days) || 30; // Default to 30 days
 
         // Calculate cutoff date
@@ -197,12 +277,12 @@ router.get('/timeline', authMiddleware, (req, res) => {
         cutoffDate.setDate(cutoffDate.getDate() - days);
 
         // Filter events by date
-        const filteredEvents = events.filter(event => new Date(event.date) >= cutoffDate);
+        const filteredEvents = getEventStore().find(scopeEventFilter(req.user, { from: cutoffDate }));
 
         // Group events by day
         const eventsByDay = {};
 
-        filteredEvents.forEach(event => {
+        filteredEvents.filter(event => !isAutoClosed(event)).forEach(event => {
             const date = new Date(event.date).toLocaleDateString();
 
             if (!eventsByDay[date]) {
@@ -212,12 +292,19 @@ router.get('/timeline', authMiddleware, (req, res) => {
                     acknowledgedEvents: 0,
                     totalResponseTime: 0,
                     lateResponses: 0,
+                    claimedEvents: 0,
+                    totalClaimTime: 0,
                     tags: {} // Add tag tracking by day
                 };
             }
 
             eventsByDay[date].totalEvents++;
 
+            if (event.claimTimeMinutes !== undefined) {
+                eventsByDay[date].claimedEvents++;
+                eventsByDay[date].totalClaimTime += event.claimTimeMinutes;
+            }
+
             // Track tags used each day
             if (event.tags && Array.isArray(event.tags)) {
                 event.tags.forEach(tag => {
@@ -244,6 +331,9 @@ router.get('/timeline', authMiddleware, (req, res) => {
                 avgResponseTime: day.acknowledgedEvents > 0
                     ? (day.totalResponseTime / day.acknowledgedEvents).toFixed(1)
                     : 0,
+                avgTimeToClaim: day.claimedEvents > 0
+                    ? (day.totalClaimTime / day.claimedEvents).toFixed(1)
+                    : 0,
                 lateResponses: day.lateResponses,
                 lateResponseRate: day.acknowledgedEvents > 0
                     ? Math.round((day.lateResponses / day.acknowledgedEvents) * 100)
@@ -265,11 +355,11 @@ router.get('/timeline', authMiddleware, (req, res) => {
 
 // @route   GET /api/stats/recent-responses
 // @desc    Get recent response data for the recent responses table
-// @access  Private (requires authentication)
+// @access  Private (events.view)
 // In routes/stats.js
-router.get('/recent-responses', authMiddleware, (req, res) => {
+router.get('/recent-responses', requirePermission('events.view'), (req, res) => {
     try {
-        const events = readEventsData();
+        const events = getEventStore().find(scopeEventFilter(req.user, { acknowledged: true }));
         const limit = parseInt(req.query.limit) || 20; // Default to 20 events
 
         // Filter acknowledged events with response times
@@ -288,12 +378,15 @@ router.get('/recent-responses', authMiddleware, (req, res) => {
             date: event.date,
             acknowledgedAt: event.acknowledgedAt,
             responseTimeMinutes: event.responseTimeMinutes,
+            claimTimeMinutes: event.claimTimeMinutes,
+            claimToAcknowledgeMinutes: event.claimToAcknowledgeMinutes,
             isLateResponse: event.isLateResponse || false,
             eventType: event.eventType || 'Unknown',
             camera: event.camera || 'Unknown',
             acknowledgedBy: event.acknowledgedBy || { name: 'Unknown' },
             // Include tags in the response
-            tags: event.tags || []
+            tags: event.tags || [],
+            disposition: event.disposition || null
         }));
 
         res.json(recentResponses);
@@ -306,10 +399,10 @@ router.get('/recent-responses', authMiddleware, (req, res) => {
 
 // @route   GET /api/stats/tag-usage
 // @desc    Get statistics about tag usage
-// @access  Private (requires authentication)
-router.get('/tag-usage', authMiddleware, (req, res) => {
+// @access  Private (events.view)
+router.get('/tag-usage', requirePermission('events.view'), (req, res) => {
     try {
-        const events = readEventsData();
+        const events = readEventsData(req.user);
 
         // Count tags
         const tagCounts = {};
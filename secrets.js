@@ -0,0 +1,173 @@
+// secrets.js
+// The keys used to sign login tokens and session cookies. They come from environment variables when set,
+// otherwise from a secrets file generated the first time the server starts, so no key is kept in the repository.
+// Keys can be rotated: new tokens are signed with the current key, and tokens signed with a
+// recently retired key are still accepted until they expire.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRETS_FILE_PATH = process.env.SECRETS_FILE || path.join(__dirname, 'secrets.json');
+
+// The kinds of key kept, and the environment variables that set them.
+// *_PREVIOUS_SECRETS is a comma-separated list of retired keys that are still accepted.
+const KEY_KINDS = {
+    jwt: { env: 'JWT_SECRET', previousEnv: 'JWT_PREVIOUS_SECRETS' },
+    session: { env: 'SESSION_SECRET', previousEnv: 'SESSION_PREVIOUS_SECRETS' }
+};
+
+// Retired keys kept after a rotation. Access tokens last 15 minutes and sessions 24 hours,
+// so a few rotations' worth is plenty.
+const MAX_RETIRED_KEYS = 3;
+
+// Keys loaded from the environment or the secrets file, newest first
+let cachedKeys = null;
+
+// Functions called with the kind of key after a rotation
+const rotationListeners = [];
+
+// A new random key
+function generateKey() {
+    return {
+        id: crypto.randomBytes(8).toString('hex'),
+        secret: crypto.randomBytes(48).toString('base64'),
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Keys set through environment variables. The ID of an environment key is taken from the key itself,
+// so tokens keep pointing at the right key however the list is reordered.
+function keyFromEnvironment(secret) {
+    return {
+        id: crypto.createHash('sha256').update(secret).digest('hex').slice(0, 16),
+        secret,
+        createdAt: null
+    };
+}
+
+// Helper function to write the secrets file, readable only by the user the server runs as
+function writeSecretsFile(secrets) {
+    try {
+        fs.writeFileSync(SECRETS_FILE_PATH, JSON.stringify(secrets, null, 2), { mode: 0o600 });
+        return true;
+    } catch (err) {
+        console.error('Error writing secrets file:', err);
+        return false;
+    }
+}
+
+// Helper function to read the secrets file, generating any keys it does not have yet
+function readSecretsFile() {
+    let secrets = {};
+    if (fs.existsSync(SECRETS_FILE_PATH)) {
+        secrets = JSON.parse(fs.readFileSync(SECRETS_FILE_PATH, 'utf8'));
+    }
+
+    let generated = false;
+    for (const kind of Object.keys(KEY_KINDS)) {
+        if (!Array.isArray(secrets[kind]) || secrets[kind].length === 0) {
+            secrets[kind] = [generateKey()];
+            generated = true;
+        }
+    }
+
+    if (generated) {
+        if (!writeSecretsFile(secrets)) {
+            throw new Error(`Could not save the generated secrets to ${SECRETS_FILE_PATH}`);
+        }
+        console.log(`Generated new secrets in ${SECRETS_FILE_PATH}`);
+    }
+
+    return secrets;
+}
+
+/**
+ * Check whether a kind of key is set through environment variables (and so cannot be rotated here)
+ * @param {string} kind - 'jwt' or 'session'
+ * @returns {boolean} True if the key comes from the environment
+ */
+function isFromEnvironment(kind) {
+    return !!process.env[KEY_KINDS[kind].env];
+}
+
+/**
+ * Get the keys of one kind, newest first. The first key signs; every key is accepted when verifying.
+ * @param {string} kind - 'jwt' or 'session'
+ * @returns {Array<{id: string, secret: string, createdAt: string|null}>} The keys
+ */
+function getKeys(kind) {
+    if (!KEY_KINDS[kind]) {
+        throw new Error(`Unknown kind of key: ${kind}`);
+    }
+
+    if (isFromEnvironment(kind)) {
+        const previous = (process.env[KEY_KINDS[kind].previousEnv] || '')
+            .split(',')
+            .map(secret => secret.trim())
+            .filter(Boolean);
+        return [process.env[KEY_KINDS[kind].env], ...previous].map(keyFromEnvironment);
+    }
+
+    if (!cachedKeys) {
+        cachedKeys = readSecretsFile();
+    }
+    return cachedKeys[kind];
+}
+
+/**
+ * Get the key that signs new tokens or cookies
+ * @param {string} kind - 'jwt' or 'session'
+ * @returns {{id: string, secret: string}} The current key
+ */
+function getSigningKey(kind) {
+    return getKeys(kind)[0];
+}
+
+/**
+ * Replace the current key with a new one. The old key is kept for verifying until MAX_RETIRED_KEYS newer ones have replaced it.
+ * @param {string} kind - 'jwt' or 'session'
+ * @returns {{key: Object}|{error: string}} The new key, or why it could not be rotated
+ */
+function rotateKey(kind) {
+    if (!KEY_KINDS[kind]) {
+        return { error: `Unknown kind of key: ${kind}` };
+    }
+    if (isFromEnvironment(kind)) {
+        return {
+            error: `The ${kind} key is set by ${KEY_KINDS[kind].env}; rotate it by setting a new ${KEY_KINDS[kind].env} ` +
+                `and adding the old one to ${KEY_KINDS[kind].previousEnv}`
+        };
+    }
+
+    const secrets = readSecretsFile();
+    const key = generateKey();
+    secrets[kind] = [key, ...secrets[kind]].slice(0, MAX_RETIRED_KEYS + 1);
+
+    if (!writeSecretsFile(secrets)) {
+        return { error: 'Failed to save the new key' };
+    }
+
+    cachedKeys = secrets;
+    console.log(`Rotated the ${kind} key; now signing with ${key.id}`);
+
+    rotationListeners.forEach(listener => listener(kind));
+
+    return { key };
+}
+
+/**
+ * Be told when a key is rotated, e.g. to start signing session cookies with the new key
+ * @param {Function} listener - listener(kind)
+ */
+function onKeyRotated(listener) {
+    rotationListeners.push(listener);
+}
+
+module.exports = {
+    KEY_KINDS,
+    getKeys,
+    getSigningKey,
+    rotateKey,
+    onKeyRotated,
+    isFromEnvironment
+};
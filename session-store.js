@@ -0,0 +1,146 @@
+// session-store.js
+// Keeps express-session sessions in a SQLite database, so users stay signed in when the server restarts
+const path = require('path');
+const Database = require('better-sqlite3');
+const session = require('express-session');
+
+const DEFAULT_SESSIONS_DB_PATH = path.join(__dirname, 'sessions.db');
+
+// How often expired sessions are removed
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Used for sessions whose cookie has no expiry
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * express-session store backed by a SQLite database
+ */
+class SqliteSessionStore extends session.Store {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {string} options.dbPath - Path to the SQLite database file (default: sessions.db)
+     */
+    constructor(options = {}) {
+        super();
+        this.dbPath = options.dbPath || process.env.SESSIONS_DB_PATH || DEFAULT_SESSIONS_DB_PATH;
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                sid TEXT PRIMARY KEY,
+                expires INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions (expires);
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT data FROM sessions WHERE sid = ? AND expires > ?'),
+            set: this.db.prepare(`
+                INSERT INTO sessions (sid, expires, data) VALUES (?, ?, ?)
+                ON CONFLICT(sid) DO UPDATE SET expires = excluded.expires, data = excluded.data
+            `),
+            touch: this.db.prepare('UPDATE sessions SET expires = ? WHERE sid = ?'),
+            destroy: this.db.prepare('DELETE FROM sessions WHERE sid = ?'),
+            all: this.db.prepare('SELECT sid, data FROM sessions WHERE expires > ?'),
+            length: this.db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires > ?'),
+            clear: this.db.prepare('DELETE FROM sessions'),
+            removeExpired: this.db.prepare('DELETE FROM sessions WHERE expires <= ?')
+        };
+
+        this.removeExpired();
+        this.cleanupTimer = setInterval(() => this.removeExpired(), CLEANUP_INTERVAL_MS);
+        this.cleanupTimer.unref();
+
+        console.log(`SQLite session store opened at ${this.dbPath}`);
+    }
+
+    // When a session expires, from its cookie
+    getExpiry(sess) {
+        const cookie = sess && sess.cookie;
+        if (cookie && cookie.expires) {
+            return new Date(cookie.expires).getTime();
+        }
+        return Date.now() + (cookie && cookie.originalMaxAge ? cookie.originalMaxAge : DEFAULT_MAX_AGE_MS);
+    }
+
+    // Run a store operation, passing the result or error to the express-session callback
+    run(callback, operation) {
+        let result;
+        try {
+            result = operation();
+        } catch (err) {
+            console.error('Session store error:', err);
+            return callback && callback(err);
+        }
+        return callback && callback(null, result);
+    }
+
+    get(sid, callback) {
+        this.run(callback, () => {
+            const row = this.statements.get.get(sid, Date.now());
+            return row ? JSON.parse(row.data) : null;
+        });
+    }
+
+    set(sid, sess, callback) {
+        this.run(callback, () => {
+            this.statements.set.run(sid, this.getExpiry(sess), JSON.stringify(sess));
+        });
+    }
+
+    touch(sid, sess, callback) {
+        this.run(callback, () => {
+            this.statements.touch.run(this.getExpiry(sess), sid);
+        });
+    }
+
+    destroy(sid, callback) {
+        this.run(callback, () => {
+            this.statements.destroy.run(sid);
+        });
+    }
+
+    all(callback) {
+        this.run(callback, () => {
+            const sessions = {};
+            this.statements.all.all(Date.now()).forEach(row => {
+                sessions[row.sid] = JSON.parse(row.data);
+            });
+            return sessions;
+        });
+    }
+
+    length(callback) {
+        this.run(callback, () => this.statements.length.get(Date.now()).count);
+    }
+
+    clear(callback) {
+        this.run(callback, () => {
+            this.statements.clear.run();
+        });
+    }
+
+    /**
+     * Remove sessions that have expired
+     * @returns {number} How many were removed
+     */
+    removeExpired() {
+        try {
+            return this.statements.removeExpired.run(Date.now()).changes;
+        } catch (err) {
+            console.error('Error removing expired sessions:', err);
+            return 0;
+        }
+    }
+
+    close() {
+        clearInterval(this.cleanupTimer);
+        this.db.close();
+    }
+}
+
+module.exports = {
+    SqliteSessionStore
+};
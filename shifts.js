@@ -0,0 +1,273 @@
+// shifts.js
+// Operator shifts: what happened while an operator was on duty, and the handover note they leave
+// for whoever takes over. The counts are worked out from the events and the audit log rather than
+// kept as the shift goes, so they are right even if the server restarts during a shift.
+const fs = require('fs');
+const path = require('path');
+const { ACTIONS } = require('./audit-service');
+
+const SHIFTS_FILE_PATH = path.join(__dirname, 'shifts.json');
+
+// Handovers older than this no longer have to be acknowledged before a shift starts.
+// They stay unacknowledged in the shift history.
+const HANDOVER_PENDING_HOURS = 24;
+
+// Shift counts go by when the server received an alarm, but the store is searched by the camera's date,
+// so the search reaches this far either side of the shift: a day for a camera clock that is off, and a
+// day for alarms received before the shift and escalated during it (escalation stops after a day)
+const SEARCH_MARGIN_HOURS = 48;
+
+// Longest handover remarks, and most outstanding events listed in one handover (the count covers them all)
+const MAX_REMARKS_LENGTH = 4000;
+const MAX_LISTED_EVENTS = 200;
+
+// Helper function to read the shifts
+function readShiftsData() {
+    try {
+        if (!fs.existsSync(SHIFTS_FILE_PATH)) {
+            return [];
+        }
+
+        const data = fs.readFileSync(SHIFTS_FILE_PATH, 'utf8');
+        return JSON.parse(data);
+    } catch (err) {
+        console.error('Error reading shifts data:', err);
+        return [];
+    }
+}
+
+// Helper function to write the shifts
+function writeShiftsData(shifts) {
+    try {
+        fs.writeFileSync(SHIFTS_FILE_PATH, JSON.stringify(shifts, null, 2));
+        return true;
+    } catch (err) {
+        console.error('Error writing shifts data:', err);
+        return false;
+    }
+}
+
+/**
+ * Check handover remarks and return a cleaned copy
+ * @param {*} remarks - remarks from the request body
+ * @returns {{value: string}|{error: string}} Trimmed remarks (may be empty) or a validation error
+ */
+function validateRemarks(remarks) {
+    if (remarks === undefined || remarks === null) {
+        return { value: '' };
+    }
+    if (typeof remarks !== 'string') {
+        return { error: 'Remarks must be text' };
+    }
+    if (remarks.length > MAX_REMARKS_LENGTH) {
+        return { error: `Remarks can be at most ${MAX_REMARKS_LENGTH} characters long` };
+    }
+    return { value: remarks.trim() };
+}
+
+// Whether a time falls within a shift (open shifts run until now)
+function isDuringShift(time, shift, now) {
+    const at = new Date(time).getTime();
+    const end = shift.endedAt ? new Date(shift.endedAt).getTime() : now.getTime();
+    return at >= new Date(shift.startedAt).getTime() && at <= end;
+}
+
+// Whether the operator on a shift could see a site (operators limited to some sites cannot see unmatched alarms)
+function isShiftSite(shift, siteId) {
+    return !Array.isArray(shift.siteIds) || shift.siteIds.includes(siteId ?? null);
+}
+
+// When the server received an event. The event date comes from the camera's clock, which may be off.
+function receivedTime(event) {
+    return event.receivedAt || event.date;
+}
+
+// The events of the shift's sites, as an event store filter
+function shiftFilter(shift, filter = {}) {
+    return Array.isArray(shift.siteIds) ? { ...filter, siteIds: shift.siteIds } : filter;
+}
+
+/**
+ * Count what happened during a shift
+ * @param {Object} shift - Stored shift
+ * @param {Object} eventStore - Event store
+ * @param {Date} now - Current time, the end of a shift still in progress
+ * @returns {{received: number, acknowledged: number, escalated: number}} Alarms received from the
+ *   operator's sites, alarms the operator acknowledged, and alarms marked as escalated
+ */
+function countShiftActivity(shift, eventStore, now = new Date()) {
+    const start = new Date(shift.startedAt);
+    const end = shift.endedAt ? new Date(shift.endedAt) : now;
+    const margin = SEARCH_MARGIN_HOURS * 60 * 60 * 1000;
+
+    const events = eventStore.find(shiftFilter(shift, {
+        from: new Date(start.getTime() - margin),
+        to: new Date(end.getTime() + margin)
+    }));
+
+    const received = events.filter(event => isDuringShift(receivedTime(event), shift, now)).length;
+
+    const acknowledged = eventStore.count({
+        acknowledged: true,
+        acknowledgedBy: shift.userId,
+        acknowledgedFrom: start,
+        acknowledgedTo: end
+    });
+
+    const escalated = events.filter(event =>
+        event.escalated && event.escalatedAt && isDuringShift(event.escalatedAt, shift, now)
+    ).length;
+
+    return { received, acknowledged, escalated };
+}
+
+/**
+ * Describe an event for a handover note
+ * @param {Object} event - Event from the store
+ * @returns {Object} The fields the incoming operator needs to pick it up
+ */
+function summarizeEvent(event) {
+    return {
+        id: event.id,
+        date: event.date,
+        subject: event.subject,
+        camera: event.cameraName || event.camera,
+        siteId: event.siteId ?? null,
+        escalated: !!event.escalated,
+        lowPriority: !!event.lowPriority,
+        claimedBy: event.claimedBy ? event.claimedBy.name || event.claimedBy.username : null
+    };
+}
+
+/**
+ * Build the handover note left at the end of a shift
+ * @param {Object} shift - Stored shift, with endedAt set
+ * @param {Object} eventStore - Event store
+ * @param {Array} auditLogs - Audit log entries
+ * @param {string} remarks - The outgoing operator's remarks
+ * @returns {Object} { remarks, outstandingCount, outstandingEvents, lockedEvents, acknowledgedAt, acknowledgedBy, comment }
+ */
+function buildHandover(shift, eventStore, auditLogs, remarks) {
+    const now = new Date(shift.endedAt);
+
+    // Alarms still waiting, oldest first. Alarms grouped into an incident are handled through it.
+    const outstanding = eventStore
+        .find(shiftFilter(shift, { acknowledged: false, incidentId: null }))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Alarms kept from deletion that came in or were acknowledged during the shift, or were locked
+    // on the retention page during it
+    const lockedIds = new Set(eventStore
+        .find(shiftFilter(shift, { locked: true }))
+        .filter(event => isDuringShift(receivedTime(event), shift, now) ||
+            (event.acknowledgedAt && isDuringShift(event.acknowledgedAt, shift, now)))
+        .map(event => event.id));
+    auditLogs
+        .filter(log => log.action === ACTIONS.EVENT_LOCK && isDuringShift(log.timestamp, shift, now))
+        .forEach(log => lockedIds.add(parseInt(log.resourceId)));
+
+    const lockedEvents = [...lockedIds]
+        .map(id => eventStore.getById(id))
+        .filter(event => event && event.locked && isShiftSite(shift, event.siteId))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return {
+        remarks,
+        outstandingCount: outstanding.length,
+        outstandingEvents: outstanding.slice(0, MAX_LISTED_EVENTS).map(summarizeEvent),
+        lockedEvents: lockedEvents.map(summarizeEvent),
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        comment: null
+    };
+}
+
+/**
+ * Check whether a handover is still waiting for the next operator to acknowledge it
+ * @param {Object} shift - Stored shift
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the shift has ended recently and nobody has acknowledged its handover
+ */
+function isHandoverPending(shift, now = new Date()) {
+    return !!(shift.endedAt && shift.handover && !shift.handover.acknowledgedAt &&
+        now.getTime() - new Date(shift.endedAt).getTime() < HANDOVER_PENDING_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether two operators' sites overlap, so one's handover concerns the other
+ * @param {Array<number>|null} a - Site IDs of one operator (null for every site)
+ * @param {Array<number>|null} b - Site IDs of the other
+ * @returns {boolean} True if they share a site
+ */
+function sitesOverlap(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b)) {
+        return true;
+    }
+    return a.some(siteId => b.includes(siteId));
+}
+
+// Quote a CSV value when it contains a separator, quote or line break. Text that a spreadsheet would
+// run as a formula (e.g. remarks starting with "=", or with a tab or carriage return) gets a leading
+// apostrophe so it stays text.
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn shifts into CSV, one row per shift
+ * @param {Array} shifts - Stored shifts
+ * @returns {string} CSV text with a header row
+ */
+function shiftsToCsv(shifts) {
+    const header = [
+        'Operator', 'Username', 'Started', 'Ended', 'Duration (minutes)', 'Events Received', 'Acknowledged',
+        'Escalated', 'Outstanding at Handover', 'Locked Events', 'Remarks', 'Handover Acknowledged By',
+        'Handover Acknowledged At', 'Acknowledgement Comment'
+    ];
+
+    const rows = shifts.map(shift => {
+        const activity = shift.activity || {};
+        const handover = shift.handover || {};
+        const duration = shift.endedAt
+            ? Math.round((new Date(shift.endedAt) - new Date(shift.startedAt)) / (60 * 1000))
+            : '';
+
+        return [
+            shift.name,
+            shift.username,
+            shift.startedAt,
+            shift.endedAt,
+            duration,
+            activity.received,
+            activity.acknowledged,
+            activity.escalated,
+            handover.outstandingCount,
+            handover.lockedEvents ? handover.lockedEvents.length : '',
+            handover.remarks,
+            handover.acknowledgedBy ? handover.acknowledgedBy.name : '',
+            handover.acknowledgedAt,
+            handover.comment
+        ].map(csvValue).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    HANDOVER_PENDING_HOURS,
+    readShiftsData,
+    writeShiftsData,
+    validateRemarks,
+    countShiftActivity,
+    buildHandover,
+    isHandoverPending,
+    sitesOverlap,
+    shiftsToCsv
+};
@@ -0,0 +1,165 @@
+// site-access.js
+// Limits users to the sites they are assigned, so each customer's own staff only see their sites' alarms.
+// Users without a site list (e.g. the monitoring centre's own operators) see every site.
+const { readUsersData } = require('./middleware/auth');
+const { ACTIONS, logUserActivity } = require('./audit-service');
+
+/**
+ * Get the sites a user is limited to.
+ * Looked up on each request, like permissions, so changing a user's sites applies without signing in again.
+ * @param {Object} user - Authenticated user ({ id })
+ * @returns {Array<number>|null} Site IDs, or null if the user may see every site
+ */
+function getAllowedSiteIds(user) {
+    if (!user) {
+        return [];
+    }
+
+    const stored = readUsersData().find(u => u.id === user.id);
+    const siteIds = stored ? stored.siteIds : user.siteIds;
+    return Array.isArray(siteIds) ? siteIds : null;
+}
+
+/**
+ * Check whether a user may see a site. Users limited to some sites cannot see alarms that matched no site.
+ * @param {Object} user - Authenticated user
+ * @param {number|null} siteId - Site ID (null for alarms that matched no site)
+ * @param {Array<number>|null} [allowed] - Result of getAllowedSiteIds(), when already looked up
+ * @returns {boolean} True if the user may see the site
+ */
+function canAccessSite(user, siteId, allowed = getAllowedSiteIds(user)) {
+    return allowed === null || (siteId !== null && siteId !== undefined && allowed.includes(siteId));
+}
+
+/**
+ * Check whether a user may see an event
+ * @param {Object} user - Authenticated user
+ * @param {Object} event - Stored event
+ * @returns {boolean} True if the event's site is one the user may see
+ */
+function canAccessEvent(user, event) {
+    return canAccessSite(user, event.siteId ?? null);
+}
+
+/**
+ * Limit an event store filter to the sites a user may see
+ * @param {Object} user - Authenticated user
+ * @param {Object} filter - Event store filter
+ * @returns {Object} The filter, with siteIds added if the user is limited to some sites
+ */
+function scopeEventFilter(user, filter = {}) {
+    const allowed = getAllowedSiteIds(user);
+    return allowed === null ? filter : { ...filter, siteIds: allowed };
+}
+
+/**
+ * Limit a list of sites (or anything with a siteId) to the ones a user may see
+ * @param {Object} user - Authenticated user
+ * @param {Array} items - Sites ({ id }) or entries with a siteId
+ * @param {Function} getSiteId - Returns the site ID of an item (default: item.id)
+ * @returns {Array} The items the user may see
+ */
+function filterBySite(user, items, getSiteId = item => item.id) {
+    const allowed = getAllowedSiteIds(user);
+    return allowed === null ? items : items.filter(item => canAccessSite(user, getSiteId(item), allowed));
+}
+
+/**
+ * Cut an SSE message down to what a user may see
+ * @param {Object} user - User the SSE stream belongs to
+ * @param {Object} data - Message sent by notifyClients()
+ * @returns {Object|null} The message, a copy with other sites' events left out, or null if none of it is for the user
+ */
+function scopeMessage(user, data) {
+    const allowed = getAllowedSiteIds(user);
+    if (allowed === null) {
+        return data;
+    }
+
+    const visible = event => canAccessSite(user, event.siteId ?? null, allowed);
+
+    if (Array.isArray(data.events)) {
+        const events = data.events.filter(visible);
+        return events.length > 0 ? { ...data, events, count: events.length } : null;
+    }
+    if (data.event) {
+        return visible(data.event) ? data : null;
+    }
+    if (data.siteId !== undefined) {
+        return canAccessSite(user, data.siteId, allowed) ? data : null;
+    }
+
+    // Messages about no site in particular (e.g. the connection ping) go to everyone
+    return data;
+}
+
+/**
+ * Refuse a request for another site's data and record the attempt in the audit log
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} resource - What was asked for, e.g. 'events' or 'sites'
+ * @param {string|number} resourceId - ID of what was asked for
+ * @param {number|null} siteId - Site it belongs to
+ */
+function rejectCrossSiteAccess(req, res, resource, resourceId, siteId) {
+    console.log(`User ${req.user ? req.user.username : 'unknown'} tried to access ${resource} ${resourceId} of site ${siteId}`);
+
+    logUserActivity(req, ACTIONS.SITE_ACCESS_DENIED, resource, resourceId, {
+        siteId,
+        method: req.method,
+        path: req.originalUrl
+    }, false);
+
+    return res.status(403).json({ error: 'You do not have access to this site' });
+}
+
+/**
+ * Middleware for /api/sites/:id routes that refuses sites the user may not see
+ */
+function requireSiteAccess(req, res, next) {
+    const siteId = parseInt(req.params.id);
+    if (!canAccessSite(req.user, siteId)) {
+        return rejectCrossSiteAccess(req, res, 'sites', req.params.id, isNaN(siteId) ? null : siteId);
+    }
+    next();
+}
+
+/**
+ * Check the sites an admin assigns to a user
+ * @param {*} value - siteIds from the request body: a list of site IDs, or null/undefined for every site
+ * @param {Array} sites - Existing sites
+ * @returns {{siteIds: Array<number>|null}|{error: string}} Cleaned site IDs or a validation error
+ */
+function validateSiteIds(value, sites) {
+    if (value === undefined || value === null) {
+        return { siteIds: null };
+    }
+    if (!Array.isArray(value)) {
+        return { error: 'Sites must be a list of site IDs' };
+    }
+
+    const siteIds = [];
+    for (const id of value) {
+        const siteId = parseInt(id);
+        if (!sites.some(site => site.id === siteId)) {
+            return { error: `Unknown site: ${id}` };
+        }
+        if (!siteIds.includes(siteId)) {
+            siteIds.push(siteId);
+        }
+    }
+
+    return { siteIds };
+}
+
+module.exports = {
+    getAllowedSiteIds,
+    canAccessSite,
+    canAccessEvent,
+    scopeEventFilter,
+    filterBySite,
+    scopeMessage,
+    rejectCrossSiteAccess,
+    requireSiteAccess,
+    validateSiteIds
+};
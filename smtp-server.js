@@ -4,61 +4,226 @@ const simpleParser = require('mailparser').simpleParser;
 const path = require('path');
 const fs = require('fs');
 const util = require('util');
+const { matchEmail, parseTimestamp } = require('./email-rules');
+const { authenticateSmtpUser } = require('./routes/smtp-users');
+const { REASONS, addToQuarantine } = require('./quarantine');
+const { LoginThrottle } = require('./login-throttle');
+const { ACTIONS, logUserActivity } = require('./audit-service');
+
+// Failed SMTP logins by address. Only the address is counted: locking a camera's account
+// would let anyone who knows its username stop its alarms getting through.
+const authThrottle = new LoginThrottle({ name: 'SMTP address' });
+
+// An error for a client that has to wait before logging in again
+function throttledError(result) {
+    const error = new Error(result.locked
+        ? `Too many failed logins, try again after ${result.lockedUntil}`
+        : `Too many failed logins, try again in ${result.retryAfterSeconds} second${result.retryAfterSeconds === 1 ? '' : 's'}`);
+    error.responseCode = result.locked ? 421 : 454;
+    return error;
+}
 
 // Store event handler
 let onEmailReceivedHandler = null;
 
-// SMTP Authentication Configuration
-// Replace these values with your desired username and password
-const SMTP_AUTH = {
-    user: "cctv@cctv.com",
-    pass: "cctv"
-};
-
 // Settings for the SMTP server
 const config = {
     port: process.env.SMTP_PORT || 2525,
     host: process.env.SMTP_HOST || '0.0.0.0',
-    // Set to true to use TLS (requires key and cert)
-    secure: false,
-    // Remove AUTH from disabledCommands to enable authentication
-    disabledCommands: ['STARTTLS'],
     // Maximum allowed message size in bytes
     size: 25 * 1024 * 1024, // 25MB
-    // Optional certificate files for TLS
-    // key: fs.readFileSync('private-key.pem'),
-    // cert: fs.readFileSync('server-cert.pem'),
     logger: process.env.NODE_ENV === 'development',
     // Authentication settings
-    authMethods: ['PLAIN', 'LOGIN']
+    authMethods: ['PLAIN', 'LOGIN'],
+    // TLS settings. STARTTLS is offered on the main port and implicit TLS is started on
+    // securePort once the key and certificate files exist. Both are re-read when they change.
+    tls: {
+        keyPath: process.env.SMTP_TLS_KEY || path.join(__dirname, 'certs', 'smtp-key.pem'),
+        certPath: process.env.SMTP_TLS_CERT || path.join(__dirname, 'certs', 'smtp-cert.pem'),
+        // Port for implicit TLS (usually 465), leave unset to only offer STARTTLS
+        securePort: process.env.SMTP_SECURE_PORT || null,
+        // Refuse logins on connections that have not been upgraded with STARTTLS.
+        // Off by default because many cameras cannot do TLS.
+        requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+        // How often the certificate files are checked for changes
+        reloadIntervalMs: 60 * 1000
+    }
 };
 
+/**
+ * Read the TLS key and certificate from the configured paths
+ * @returns {Object|null} { key, cert } or null if the files are missing or unreadable
+ */
+function loadTlsCredentials() {
+    try {
+        if (!fs.existsSync(config.tls.keyPath) || !fs.existsSync(config.tls.certPath)) {
+            return null;
+        }
+
+        return {
+            key: fs.readFileSync(config.tls.keyPath),
+            cert: fs.readFileSync(config.tls.certPath)
+        };
+    } catch (error) {
+        console.error('SMTP: Error reading TLS key or certificate:', error);
+        return null;
+    }
+}
+
+/**
+ * Apply new TLS credentials to running servers, enabling STARTTLS if it was off
+ * @param {Array} servers - SMTP server instances
+ * @param {Object} credentials - { key, cert }
+ */
+function applyTlsCredentials(servers, credentials) {
+    servers.forEach(server => {
+        server.updateSecureContext(credentials);
+        server.options.disabledCommands = server.options.disabledCommands.filter(command => command !== 'STARTTLS');
+    });
+}
+
+/**
+ * Watch the certificate files and reload them into the servers when they change,
+ * so renewed certificates are picked up without a restart
+ * @param {Array} servers - SMTP server instances
+ */
+function watchTlsCredentials(servers) {
+    const reload = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+            return;
+        }
+
+        const credentials = loadTlsCredentials();
+        if (!credentials) {
+            console.warn('SMTP: TLS certificate files changed but could not be loaded, keeping the previous certificate');
+            return;
+        }
+
+        try {
+            applyTlsCredentials(servers, credentials);
+            console.log(`SMTP: Reloaded TLS certificate from ${config.tls.certPath}`);
+        } catch (error) {
+            // A key that does not match the certificate ends up here, usually halfway through a renewal
+            console.error('SMTP: Error applying reloaded TLS certificate, keeping the previous one:', error.message);
+        }
+    };
+
+    const options = { interval: config.tls.reloadIntervalMs };
+    fs.watchFile(config.tls.keyPath, options, reload);
+    fs.watchFile(config.tls.certPath, options, reload);
+}
+
+// File names treated as images whatever their content type says
+const IMAGE_EXTENSION_REGEX = /\.(jpe?g|png|gif|bmp|webp)$/i;
+
+/**
+ * Parse a raw email into the email data passed to the received-email handler
+ * @param {Buffer|string} mailData - Raw RFC 822 message
+ * @param {Object} session - SMTP session (authenticated user), empty when not received over SMTP
+ * @returns {Promise<Object>} Email data
+ */
+async function parseRawEmail(mailData, session = {}) {
+    // Keep cid: references in the HTML as they are; the inline images they point to are attachments
+    const parsed = await simpleParser(mailData, { skipImageLinks: true });
+
+    // Process attachments if any
+    const attachments = [];
+
+    if (parsed.attachments && parsed.attachments.length > 0) {
+        for (const attachment of parsed.attachments) {
+            // Some cameras send snapshots as application/octet-stream, so fall back to the file extension
+            if ((attachment.contentType && attachment.contentType.includes('image')) ||
+                IMAGE_EXTENSION_REGEX.test(attachment.filename || '')) {
+                attachments.push({
+                    filename: attachment.filename,
+                    contentType: attachment.contentType,
+                    content: attachment.content,
+                    contentId: attachment.cid || null
+                });
+            }
+        }
+    }
+
+    // Extract HTML content if present (some cameras embed images in HTML)
+    let htmlContent = null;
+    if (parsed.html) {
+        htmlContent = parsed.html;
+    }
+
+    return {
+        from: parsed.from?.text || '',
+        to: parsed.to?.text || '',
+        subject: parsed.subject || '',
+        text: parsed.text || '',
+        html: htmlContent,
+        date: parsed.date || new Date(),
+        attachments: attachments,
+        messageId: parsed.messageId || `generated-${Date.now()}`,
+        authenticated: !!session.user,
+        authenticatedUser: session.user,
+        // True when the message arrived over STARTTLS or implicit TLS
+        encrypted: !!session.secure
+    };
+}
+
 /**
  * Initialize SMTP server and handle incoming messages
- * @param {Function} onEmailReceived - Callback function to handle new emails
+ * @param {Function} onEmailReceived - Callback function to handle new emails,
+ *                                     called with the parsed email data and the raw message
  * @returns {Object} SMTP server instance
  */
 function initSmtpServer(onEmailReceived) {
     // Store the callback
     onEmailReceivedHandler = onEmailReceived;
 
-    // Create the SMTP server
-    const server = new SMTPServer({
-        secure: config.secure,
+    const credentials = loadTlsCredentials();
+    if (!credentials) {
+        console.warn(`SMTP: No TLS certificate found at ${config.tls.certPath}, mail will be accepted in plaintext only`);
+    }
+
+    // Options shared by the plain/STARTTLS server and the implicit TLS server
+    const serverOptions = {
         size: config.size,
-        disabledCommands: config.disabledCommands,
+        // STARTTLS stays off until there is a certificate to offer
+        disabledCommands: credentials ? [] : ['STARTTLS'],
+        allowInsecureAuth: !config.tls.requireTLS,
         authMethods: config.authMethods,
+        ...(credentials || {}),
 
-        // Handle authentication - simple fixed username/password check
+        // Handle authentication - per-device accounts from smtp-users.json
         onAuth(auth, session, callback) {
-            // Check if username and password match
-            if (auth.username === SMTP_AUTH.user && auth.password === SMTP_AUTH.pass) {
-                console.log(`SMTP: Authentication successful for user ${auth.username}`);
-                return callback(null, { user: auth.username });
+            const throttled = authThrottle.check(session.remoteAddress);
+            if (!throttled.allowed) {
+                console.log(`SMTP: Refused authentication for user ${auth.username} from ${session.remoteAddress} after too many failures`);
+                return callback(throttledError(throttled));
             }
 
-            console.log(`SMTP: Authentication failed for user ${auth.username}`);
-            return callback(new Error('Invalid username or password'));
+            authenticateSmtpUser(auth.username, auth.password)
+                .then(account => {
+                    if (account) {
+                        console.log(`SMTP: Authentication successful for user ${auth.username}`);
+                        authThrottle.recordSuccess(session.remoteAddress);
+                        return callback(null, { user: account.username });
+                    }
+
+                    console.log(`SMTP: Authentication failed for user ${auth.username}`);
+
+                    const failure = authThrottle.recordFailure(session.remoteAddress);
+                    if (failure.lockedOut) {
+                        logUserActivity(null, ACTIONS.SMTP_AUTH_BLOCKED, 'smtp', session.remoteAddress, {
+                            ip: session.remoteAddress,
+                            attemptedUsername: auth.username,
+                            failedAttempts: failure.failures,
+                            lockedUntil: failure.lockedUntil
+                        }, false);
+                    }
+
+                    return callback(new Error('Invalid username or password'));
+                })
+                .catch(error => {
+                    console.error('SMTP: Error checking credentials:', error);
+                    return callback(new Error('Authentication unavailable'));
+                });
         },
 
         onData(stream, session, callback) {
@@ -70,60 +235,29 @@ function initSmtpServer(onEmailReceived) {
             });
 
             stream.on('end', async () => {
-                try {
-                    // Combine chunks to form the complete email
-                    const mailData = Buffer.concat(mailDataChunks);
+                // Combine chunks to form the complete email
+                const mailData = Buffer.concat(mailDataChunks);
 
+                try {
                     // Parse email
-                    const parsed = await simpleParser(mailData);
-                    console.log(`SMTP: Received email: ${parsed.subject}`);
+                    const emailData = await parseRawEmail(mailData, session);
+                    console.log(`SMTP: Received email: ${emailData.subject}`);
 
                     // Log authenticated user if available
                     if (session.user) {
                         console.log(`SMTP: Email received from authenticated user: ${session.user}`);
                     }
 
-                    // Process attachments if any
-                    const attachments = [];
-
-                    if (parsed.attachments && parsed.attachments.length > 0) {
-                        for (const attachment of parsed.attachments) {
-                            if (attachment.contentType && attachment.contentType.includes('image')) {
-                                attachments.push({
-                                    filename: attachment.filename,
-                                    contentType: attachment.contentType,
-                                    content: attachment.content
-                                });
-                            }
-                        }
-                    }
-
-                    // Extract HTML content if present (some cameras embed images in HTML)
-                    let htmlContent = null;
-                    if (parsed.html) {
-                        htmlContent = parsed.html;
-                    }
-
                     // Call the handler with the parsed email data
                     if (onEmailReceivedHandler) {
-                        onEmailReceivedHandler({
-                            from: parsed.from?.text || '',
-                            to: parsed.to?.text || '',
-                            subject: parsed.subject || '',
-                            text: parsed.text || '',
-                            html: htmlContent,
-                            date: parsed.date || new Date(),
-                            attachments: attachments,
-                            messageId: parsed.messageId || `generated-${Date.now()}`,
-                            authenticated: !!session.user,
-                            authenticatedUser: session.user
-                        });
+                        onEmailReceivedHandler(emailData, mailData);
                     }
 
                     // Acknowledge the receipt to the sender
                     callback();
                 } catch (error) {
                     console.error('Error processing email:', error);
+                    addToQuarantine(mailData, null, REASONS.UNPARSEABLE, error.message, session);
                     // Still acknowledge to avoid hanging connections
                     callback();
                 }
@@ -141,7 +275,12 @@ function initSmtpServer(onEmailReceived) {
                 console.log(`SMTP: New connection from ${session.remoteAddress}`);
             }
 
-            // Accept all connections
+            // Turn away addresses blocked after too many failed logins; accept all others
+            const throttled = authThrottle.check(session.remoteAddress);
+            if (throttled.locked) {
+                return callback(throttledError(throttled));
+            }
+
             callback();
         },
 
@@ -164,12 +303,17 @@ function initSmtpServer(onEmailReceived) {
             // Accept all recipients
             callback();
         }
-    });
+    };
+
+    // Create the SMTP server
+    const server = new SMTPServer({ ...serverOptions, secure: false });
+    const servers = [server];
 
     // Start the server
     server.listen(config.port, config.host, () => {
-        console.log(`SMTP server running on ${config.host}:${config.port} with authentication enabled`);
-        console.log(`SMTP username: ${SMTP_AUTH.user} (Use this in your camera/device configuration)`);
+        console.log(`SMTP server running on ${config.host}:${config.port} with authentication enabled` +
+            (credentials ? ' (STARTTLS available)' : ''));
+        console.log('SMTP device accounts are managed on the Settings page (smtp-users.json)');
     });
 
     // Handle errors
@@ -177,21 +321,107 @@ function initSmtpServer(onEmailReceived) {
         console.error('SMTP server error:', error);
     });
 
+    // Implicit TLS needs a certificate from the start
+    if (config.tls.securePort && credentials) {
+        const secureServer = new SMTPServer({ ...serverOptions, secure: true });
+        servers.push(secureServer);
+
+        secureServer.listen(config.tls.securePort, config.host, () => {
+            console.log(`SMTP server running on ${config.host}:${config.tls.securePort} with implicit TLS`);
+        });
+
+        secureServer.on('error', (error) => {
+            console.error('SMTP TLS server error:', error);
+        });
+    } else if (config.tls.securePort) {
+        console.warn(`SMTP: Implicit TLS on port ${config.tls.securePort} not started because no TLS certificate was found`);
+    }
+
+    watchTlsCredentials(servers);
+
     return server;
 }
 
 /**
- * Process an email similarly to the existing IMAP logic
+ * Find every snapshot in an email: image attachments (including inline cid: images) and
+ * <img> tags in the HTML body that point at a URL or carry a data: URI.
+ * @param {Array} attachments - Image attachments from parseRawEmail()
+ * @param {string|null} html - HTML body with cid: references left in place
+ * @returns {Array} [{ path, content }] where content is a Buffer, or { isUrl, url } for images
+ *                  that still have to be downloaded. Paths are unique within the email.
+ */
+function collectEmailImages(attachments, html) {
+    const timestamp = Date.now();
+    const usedNames = new Set();
+    const images = [];
+
+    // Image file names keep the camera's own name (it often carries the capture time) after a timestamp
+    const addImage = (filename, content) => {
+        let name = filename.replace(/[^a-zA-Z0-9_.]/g, '') || 'image.jpg';
+
+        // NVRs often give every frame the same name
+        if (usedNames.has(name)) {
+            const extension = path.extname(name);
+            const base = name.slice(0, name.length - extension.length);
+            let counter = 2;
+            while (usedNames.has(`${base}_${counter}${extension}`)) {
+                counter++;
+            }
+            name = `${base}_${counter}${extension}`;
+        }
+        usedNames.add(name);
+
+        images.push({ path: `/images/${timestamp}_${name}`, content });
+    };
+
+    (attachments || []).forEach((attachment, index) => {
+        addImage(attachment.filename || `image${index + 1}.jpg`, attachment.content);
+    });
+
+    if (html) {
+        const imgRegex = /<img[^>]+?src=["'](.+?)["'][^>]*>/ig;
+        const seenUrls = new Set();
+        let imgMatch;
+
+        while ((imgMatch = imgRegex.exec(html)) !== null) {
+            const src = imgMatch[1].trim();
+
+            // Inline cid: images were already added from the attachments
+            if (/^cid:/i.test(src) || seenUrls.has(src)) {
+                continue;
+            }
+            seenUrls.add(src);
+
+            const dataUri = src.match(/^data:image\/([a-z+]+);base64,(.+)$/i);
+            if (dataUri) {
+                const extension = dataUri[1].toLowerCase() === 'jpeg' ? 'jpg' : dataUri[1].toLowerCase().replace(/\W/g, '');
+                addImage(`embedded.${extension}`, Buffer.from(dataUri[2], 'base64'));
+            } else if (/^https?:\/\//i.test(src)) {
+                // For embedded images, we'll return the URL for later download
+                const urlName = path.basename(src.split(/[?#]/)[0]);
+                addImage(IMAGE_EXTENSION_REGEX.test(urlName) ? urlName : 'embedded.jpg', { isUrl: true, url: src });
+            }
+        }
+    }
+
+    return images;
+}
+
+/**
+ * Turn an email into event data using the configured parsing rules (see email-rules.js)
  * @param {Object} emailData - The parsed email data
- * @returns {Object} The processed event data
+ * @param {Array} rules - Parsing rules to apply (defaults to the saved rules)
+ * @returns {Object|null} The processed event data, or null if no rule matched
  */
-function processEmail(emailData) {
+function processEmail(emailData, rules) {
     try {
-        const { subject, date, messageId, attachments, html, authenticated, authenticatedUser } = emailData;
+        const { subject, date, messageId, attachments, html, authenticated, authenticatedUser, encrypted } = emailData;
+
+        // Find the parsing rule for this email
+        const { rule, fields } = matchEmail(emailData, rules);
 
-        // Check if this is an alarm email by subject
-        if (subject.includes('Detected') || subject.includes('Alert') || subject.includes('Motion')) {
-            console.log('SMTP: Found an alarm email:', subject);
+        if (rule) {
+            console.log(`SMTP: Found an alarm email: ${subject} (rule: ${rule.name})`);
 
             // Log authentication status
             if (authenticated) {
@@ -200,55 +430,14 @@ function processEmail(emailData) {
                 console.log('SMTP: Email was sent without authentication');
             }
 
-            // Extract camera and event type from subject
-            let camera = '';
-            let eventType = '';
-
-            if (subject.includes('from')) {
-                camera = subject.split('from')[1].split('at')[0].trim();
-            }
+            const camera = fields.camera;
+            const eventType = fields.eventType || 'Alert';
 
-            if (subject.includes('Motion Detected')) {
-                eventType = 'Motion Detected';
-            } else if (subject.includes('Person Detected')) {
-                eventType = 'Person Detected';
-            } else if (subject.includes('Vehicle Detected')) {
-                eventType = 'Vehicle Detected';
-            } else {
-                eventType = 'Alert';
-            }
+            // Keep the time reported by the camera alongside the time the email was sent
+            const cameraTimestamp = parseTimestamp(fields.timestamp);
 
-            // Handle image - either from attachments or embedded in HTML
-            let imagePath = '';
-            let imageContent = null;
-
-            // First check attachments
-            if (attachments && attachments.length > 0) {
-                for (const attachment of attachments) {
-                    if (attachment.contentType && attachment.contentType.includes('image')) {
-                        const timestamp = Date.now();
-                        const imgFileName = `${timestamp}_${attachment.filename.replace(/[^a-zA-Z0-9_.]/g, '')}`;
-                        imagePath = `/images/${imgFileName}`;
-                        imageContent = attachment.content;
-                        break;
-                    }
-                }
-            }
-            // If no attachments, try extracting from HTML
-            else if (html) {
-                const imgRegex = /<img.+?src=["'](.+?)["'].*?>/ig;
-                const imgMatch = imgRegex.exec(html);
-
-                if (imgMatch && imgMatch[1]) {
-                    // For embedded images, we'll return the URL for later download
-                    const imgUrl = imgMatch[1];
-                    const timestamp = Date.now();
-                    const imgFileName = `${timestamp}_embedded.jpg`;
-                    imagePath = `/images/${imgFileName}`;
-                    // Signal that this is a URL to be downloaded, not binary content
-                    imageContent = { isUrl: true, url: imgUrl };
-                }
-            }
+            // Every attached and embedded snapshot, in the order the camera sent them
+            const images = collectEmailImages(attachments, html);
 
             // Return the processed event data
             return {
@@ -257,16 +446,24 @@ function processEmail(emailData) {
                 messageId,
                 camera,
                 eventType,
+                channel: fields.channel || null,
+                cameraTimestamp: cameraTimestamp ? cameraTimestamp.toISOString() : null,
+                parsingRule: { id: rule.id, name: rule.name },
+                heartbeat: rule.heartbeat === true,
                 device: camera,
-                imagePath,
-                imageContent,
+                images,
+                // The first image is also kept on its own for code that only knows about one
+                imagePath: images.length > 0 ? images[0].path : '',
+                imageContent: images.length > 0 ? images[0].content : null,
                 authenticated,
                 authenticatedUser,
+                encrypted: !!encrypted,
                 acknowledged: false
             };
         }
 
-        // Not an alarm email
+        // No rule matched, so this is not an alarm email
+        console.log('SMTP: No parsing rule matched email:', subject);
         return null;
     } catch (error) {
         console.error('Error processing email in SMTP server:', error);
@@ -276,5 +473,6 @@ function processEmail(emailData) {
 
 module.exports = {
     initSmtpServer,
+    parseRawEmail,
     processEmail
 };
\ No newline at end of file
@@ -4,25 +4,23 @@
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const { getEventStore } = require('./event-store');
 
 // Make fs functions promise-based
-const readFile = util.promisify(fs.readFile);
 const stat = util.promisify(fs.stat);
 
 // Configuration - adjust as needed
-const EVENTS_FILE_PATH = path.join(__dirname, 'events-data.json');
 const BASE_PATH = __dirname;
 const PUBLIC_PATH = path.join(__dirname, 'public');
 const VIDEOS_BASE_PATH = PUBLIC_PATH;
 
 /**
- * Reads the events data file
+ * Reads the events from the event store
  * @returns {Promise<Array>} The events array
  */
 async function readEventsData() {
     try {
-        const data = await readFile(EVENTS_FILE_PATH, 'utf8');
-        return JSON.parse(data);
+        return getEventStore().all();
     } catch (err) {
         console.error('Error reading events data:', err);
         return [];
@@ -96,7 +94,7 @@ async function testVideoPaths() {
         console.log(`Base directory: ${BASE_PATH}`);
         console.log(`Public directory: ${PUBLIC_PATH}`);
         console.log(`Videos base directory: ${VIDEOS_BASE_PATH}`);
-        console.log(`Events file: ${EVENTS_FILE_PATH}`);
+        console.log(`Event store: ${getEventStore().type}`);
         console.log('==========================\n');
 
         // Read all events
@@ -0,0 +1,77 @@
+// test/acknowledge-lock.test.js
+// Acknowledging an event must not lock or unlock it for roles without events.lock
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { requirePermissionToSet } = require('../middleware/auth');
+
+const ROLES_FILE_PATH = path.join(__dirname, '..', 'roles-data.json');
+
+// Roles as an admin might have set them up: a guard can acknowledge alarms but not lock them
+const TEST_ROLES = [
+    { id: 'guard', name: 'Guard', permissions: ['events.view', 'events.acknowledge', 'events.claim'] },
+    { id: 'operator', name: 'Operator', permissions: ['events.view', 'events.acknowledge', 'events.claim', 'events.lock'] }
+];
+
+// Run the lock check of POST /api/events/:id/acknowledge on a request
+function runLockCheck(role, body) {
+    const req = { user: { id: 7, username: 'test', role }, body };
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(data) {
+            this.body = data;
+            return this;
+        }
+    };
+    let passed = false;
+    requirePermissionToSet('locked', 'events.lock')(req, res, () => { passed = true; });
+    return { passed, res };
+}
+
+describe('acknowledging an event with a lock change', () => {
+    let originalExistsSync;
+    let originalReadFileSync;
+
+    before(() => {
+        originalExistsSync = fs.existsSync;
+        originalReadFileSync = fs.readFileSync;
+        fs.existsSync = file => file === ROLES_FILE_PATH || originalExistsSync(file);
+        fs.readFileSync = (file, ...args) => file === ROLES_FILE_PATH
+            ? JSON.stringify(TEST_ROLES)
+            : originalReadFileSync(file, ...args);
+    });
+
+    after(() => {
+        fs.existsSync = originalExistsSync;
+        fs.readFileSync = originalReadFileSync;
+    });
+
+    it('refuses to lock the event for a role without events.lock', () => {
+        const { passed, res } = runLockCheck('guard', { note: 'Checked', locked: true });
+        assert.strictEqual(passed, false);
+        assert.strictEqual(res.statusCode, 403);
+        assert.strictEqual(res.body.permission, 'events.lock');
+    });
+
+    it('refuses to unlock the event for a role without events.lock', () => {
+        const { passed, res } = runLockCheck('guard', { locked: false });
+        assert.strictEqual(passed, false);
+        assert.strictEqual(res.statusCode, 403);
+    });
+
+    it('lets a role without events.lock acknowledge when the lock is left out', () => {
+        const { passed } = runLockCheck('guard', { note: 'Checked', tags: ['false-alarm'] });
+        assert.strictEqual(passed, true);
+    });
+
+    it('lets a role with events.lock change the lock', () => {
+        const { passed } = runLockCheck('operator', { locked: true });
+        assert.strictEqual(passed, true);
+    });
+});
@@ -0,0 +1,43 @@
+// test/shifts-csv.test.js
+// The shift CSV export must not hand spreadsheets text they would run as a formula
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { shiftsToCsv } = require('../shifts');
+
+// Export one ended shift with the given handover remarks and return the remarks cell
+function exportRemarks(remarks) {
+    const csv = shiftsToCsv([{
+        name: 'Test Operator',
+        username: 'test',
+        startedAt: '2026-01-01T08:00:00.000Z',
+        endedAt: '2026-01-01T16:00:00.000Z',
+        activity: { received: 3, acknowledged: 2, escalated: -1 },
+        handover: { remarks, outstandingCount: 1, lockedEvents: [] }
+    }]);
+    const row = csv.split('\n')[1];
+    return { row, remarks: row.split(',')[10] };
+}
+
+describe('shift CSV export', () => {
+    it('prefixes remarks starting with = with an apostrophe', () => {
+        assert.strictEqual(exportRemarks('=HYPERLINK("http://example.com")').remarks,
+            '"\'=HYPERLINK(""http://example.com"")"');
+    });
+
+    it('prefixes remarks starting with a tab with an apostrophe', () => {
+        assert.strictEqual(exportRemarks('\t=1+1').remarks, '\'\t=1+1');
+    });
+
+    it('prefixes remarks starting with + - @ or a carriage return', () => {
+        assert.strictEqual(exportRemarks('+1').remarks, '\'+1');
+        assert.strictEqual(exportRemarks('-1').remarks, '\'-1');
+        assert.strictEqual(exportRemarks('@SUM(A1)').remarks, '\'@SUM(A1)');
+        assert.strictEqual(exportRemarks('\r=1+1').remarks.startsWith('"\'\r'), true);
+    });
+
+    it('leaves ordinary remarks and numbers alone', () => {
+        const { row, remarks } = exportRemarks('All quiet');
+        assert.strictEqual(remarks, 'All quiet');
+        assert.match(row, /,3,2,-1,1,0,/);
+    });
+});
@@ -0,0 +1,86 @@
+// time-windows.js
+// Weekly time windows ({ days, start, end }) used for keyholder availability and site arming schedules.
+// Times are in the server's local time, like the rest of the console.
+
+// Day numbers as used by Date.getDay(), Sunday first
+const DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check a weekly time window. A window that ends before it starts runs past midnight.
+ * @param {Object} window - Window from the request body
+ * @param {string} owner - What the window is, for error messages (e.g. "availability window for Jo")
+ * @returns {{window: Object}|{error: string}} Cleaned window or a validation error
+ */
+function validateTimeWindow(window, owner) {
+    if (!window || typeof window !== 'object') {
+        return { error: `Invalid ${owner}` };
+    }
+
+    const days = Array.isArray(window.days) ? [...new Set(window.days.map(Number))].sort((a, b) => a - b) : [];
+    if (days.length === 0 || days.some(day => !DAYS.includes(day))) {
+        return { error: `Each ${owner} needs at least one day` };
+    }
+
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+        return { error: `Times in each ${owner} must be in HH:MM format` };
+    }
+    if (window.start === window.end) {
+        return { error: `Each ${owner} must start and end at different times` };
+    }
+
+    return { window: { days, start: window.start, end: window.end } };
+}
+
+/**
+ * Convert an HH:MM time to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a time falls inside any of a list of weekly windows
+ * @param {Array} windows - Windows of { days, start, end }
+ * @param {Date} date - Time to check
+ * @returns {boolean} True if the time is inside a window
+ */
+function isWithinWindows(windows, date) {
+    const day = date.getDay();
+    const previousDay = (day + 6) % 7;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    return windows.some(window => {
+        const start = toMinutes(window.start);
+        const end = toMinutes(window.end);
+
+        if (start < end) {
+            return window.days.includes(day) && minutes >= start && minutes < end;
+        }
+
+        // Overnight window: the evening part on the listed day, the morning part on the day after
+        return (window.days.includes(day) && minutes >= start) ||
+            (window.days.includes(previousDay) && minutes < end);
+    });
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time, to compare with dates entered by users
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+function toLocalDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+module.exports = {
+    validateTimeWindow,
+    isWithinWindows,
+    toLocalDateString
+};
@@ -0,0 +1,293 @@
+// two-factor.js
+// Second login factor: one-time codes from an authenticator app (TOTP, RFC 6238), with one-time
+// recovery codes for when the phone is lost. Roles can make it mandatory for their users.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { readRolesData } = require('./roles');
+
+// Name shown for the account in the authenticator app
+const ISSUER = process.env.TOTP_ISSUER || 'CCTV Alert Monitor';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Codes from one step either side of now are accepted, to allow for the phone's clock drifting
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// How long someone who has entered their password has to enter the code, and how many tries they get
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Logins waiting for their second factor, by challenge token. Kept in memory:
+// after a restart the user simply enters their password again.
+const challenges = new Map();
+
+// Helper function to encode a secret the way authenticator apps expect it
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+// Helper function to decode a base32 secret
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new secret to share with an authenticator app
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Work out the code for one time step (RFC 4226 HOTP with the step as the counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Number of STEP_SECONDS periods since the Unix epoch
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code from an authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user entered
+ * @param {number|null} lastUsedStep - Step of the last code accepted, so a code cannot be used twice
+ * @param {Date} now - Current time
+ * @returns {number|null} The step the code belongs to, or null if it is wrong, out of date or already used
+ */
+function verifyCode(secret, code, lastUsedStep = null, now = new Date()) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) {
+        return null;
+    }
+
+    const currentStep = Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+    for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) {
+            continue;
+        }
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get what an authenticator app needs to add an account: the otpauth:// URL and a QR code of it
+ * @param {string} secret - Base32 secret
+ * @param {string} username - Account name shown in the app
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} The QR code is a PNG data URL
+ */
+async function getProvisioning(secret, username) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+        `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+    return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+}
+
+// Recovery codes are compared without dashes, spaces or case
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Generate a new set of recovery codes
+ * @returns {Promise<{codes: Array<string>, hashes: Array<string>}>} The codes to show the user once, and the hashes to store
+ */
+async function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const code = crypto.randomBytes(5).toString('hex');
+        codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(normalizeRecoveryCode(code), salt)));
+
+    return { codes, hashes };
+}
+
+/**
+ * Find which stored recovery code a user entered
+ * @param {Array<string>} hashes - Hashes of the user's unused recovery codes
+ * @param {string} code - Code the user entered
+ * @returns {Promise<number>} Index of the matching hash, or -1
+ */
+async function findRecoveryCode(hashes, code) {
+    const clean = normalizeRecoveryCode(code);
+    if (!clean) {
+        return -1;
+    }
+
+    for (let i = 0; i < (hashes || []).length; i++) {
+        if (await bcrypt.compare(clean, hashes[i])) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Check whether a user has set up two-factor logins
+ * @param {Object} user - Stored user
+ * @returns {boolean} True if a second factor is needed when they log in
+ */
+function isTwoFactorEnabled(user) {
+    return !!(user && user.twoFactor && user.twoFactor.enabled);
+}
+
+/**
+ * Check whether a user's role makes two-factor logins mandatory
+ * @param {Object} user - User ({ role })
+ * @returns {boolean} True if the user cannot log in without setting up a second factor
+ */
+function isTwoFactorRequired(user) {
+    const role = user ? readRolesData().find(r => r.id === user.role) : null;
+    return !!(role && role.requireTwoFactor);
+}
+
+/**
+ * Start waiting for the second factor of a login whose password was correct
+ * @param {Object} user - Stored user
+ * @param {string} purpose - 'verify' to enter a code, 'setup' when the user must set up two-factor first,
+ *   or 'password' when the user must choose a new password (see routes/auth.js)
+ * @returns {string} Challenge token for the login page to send back with the code
+ */
+function createChallenge(user, purpose) {
+    const now = Date.now();
+    for (const [token, challenge] of challenges) {
+        if (challenge.expiresAt <= now) {
+            challenges.delete(token);
+        }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    challenges.set(token, {
+        userId: user.id,
+        purpose,
+        attempts: 0,
+        pendingSecret: null,
+        loginDetails: null,
+        expiresAt: now + CHALLENGE_TTL_MS
+    });
+    return token;
+}
+
+/**
+ * Get a login waiting for its second factor
+ * @param {string} token - Challenge token from the login page
+ * @returns {Object|null} { userId, purpose, attempts, pendingSecret, loginDetails }, or null if unknown or expired
+ */
+function getChallenge(token) {
+    const challenge = typeof token === 'string' ? challenges.get(token) : null;
+    if (!challenge) {
+        return null;
+    }
+    if (challenge.expiresAt <= Date.now()) {
+        challenges.delete(token);
+        return null;
+    }
+    return challenge;
+}
+
+/**
+ * Count a wrong code against a challenge, ending it after MAX_CHALLENGE_ATTEMPTS
+ * @param {string} token - Challenge token
+ * @returns {number} Attempts left; 0 means the user has to enter their password again
+ */
+function recordChallengeFailure(token) {
+    const challenge = challenges.get(token);
+    if (!challenge) {
+        return 0;
+    }
+
+    challenge.attempts += 1;
+    const remaining = MAX_CHALLENGE_ATTEMPTS - challenge.attempts;
+    if (remaining <= 0) {
+        challenges.delete(token);
+    }
+    return Math.max(remaining, 0);
+}
+
+/**
+ * End a challenge once the login has gone through
+ * @param {string} token - Challenge token
+ */
+function completeChallenge(token) {
+    challenges.delete(token);
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    getProvisioning,
+    generateRecoveryCodes,
+    findRecoveryCode,
+    isTwoFactorEnabled,
+    isTwoFactorRequired,
+    createChallenge,
+    getChallenge,
+    recordChallengeFailure,
+    completeChallenge
+};
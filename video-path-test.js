@@ -3,16 +3,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getEventStore } = require('./event-store');
 
 // Paths to adjust based on your system
-const EVENTS_DATA_PATH = path.join(__dirname, 'events-data.json');
 const BASE_DIR = __dirname;
 
 // Load events data
 function loadEvents() {
     try {
-        const data = fs.readFileSync(EVENTS_DATA_PATH, 'utf8');
-        return JSON.parse(data);
+        return getEventStore().all();
     } catch (error) {
         console.error('Error loading events data:', error.message);
         return [];
@@ -78,7 +77,7 @@ function run() {
     console.log('Video Path Testing Utility');
     console.log('=========================');
     console.log('Base directory:', BASE_DIR);
-    console.log('Events data file:', EVENTS_DATA_PATH);
+    console.log('Event store:', getEventStore().type);
     console.log('Current working directory:', process.cwd());
     console.log('=========================\n');
 